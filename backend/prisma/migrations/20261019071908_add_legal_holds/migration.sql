@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "LegalHold" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "targetType" TEXT NOT NULL,
+    "userId" TEXT,
+    "conversationId" TEXT,
+    "reason" TEXT NOT NULL,
+    "custodian" TEXT NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "releasedAt" TIMESTAMP(3),
+    "releasedById" TEXT,
+    "releaseReason" TEXT,
+
+    CONSTRAINT "LegalHold_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LegalHold_tenantId_releasedAt_idx" ON "LegalHold"("tenantId", "releasedAt");
+
+-- CreateIndex
+CREATE INDEX "LegalHold_userId_releasedAt_idx" ON "LegalHold"("userId", "releasedAt");
+
+-- CreateIndex
+CREATE INDEX "LegalHold_conversationId_releasedAt_idx" ON "LegalHold"("conversationId", "releasedAt");
+
+-- AddForeignKey
+ALTER TABLE "LegalHold" ADD CONSTRAINT "LegalHold_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LegalHold" ADD CONSTRAINT "LegalHold_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LegalHold" ADD CONSTRAINT "LegalHold_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LegalHold" ADD CONSTRAINT "LegalHold_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LegalHold" ADD CONSTRAINT "LegalHold_releasedById_fkey" FOREIGN KEY ("releasedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
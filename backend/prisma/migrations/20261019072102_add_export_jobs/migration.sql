@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "ExportJob" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "requestedById" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "filters" TEXT NOT NULL DEFAULT '{}',
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "totalItems" INTEGER NOT NULL DEFAULT 0,
+    "processedItems" INTEGER NOT NULL DEFAULT 0,
+    "filePath" TEXT,
+    "fileSize" BIGINT,
+    "sha256" TEXT,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExportJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ExportJob_tenantId_createdAt_idx" ON "ExportJob"("tenantId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ExportJob_status_idx" ON "ExportJob"("status");
+
+-- AddForeignKey
+ALTER TABLE "ExportJob" ADD CONSTRAINT "ExportJob_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ExportJob" ADD CONSTRAINT "ExportJob_requestedById_fkey" FOREIGN KEY ("requestedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
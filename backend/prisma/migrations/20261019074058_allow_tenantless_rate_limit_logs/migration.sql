@@ -0,0 +1,8 @@
+-- DropForeignKey
+ALTER TABLE "RateLimitLog" DROP CONSTRAINT "RateLimitLog_tenantId_fkey";
+
+-- AlterTable
+ALTER TABLE "RateLimitLog" ALTER COLUMN "tenantId" DROP NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "RateLimitLog" ADD CONSTRAINT "RateLimitLog_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
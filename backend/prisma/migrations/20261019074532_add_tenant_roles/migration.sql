@@ -0,0 +1,24 @@
+-- DropIndex
+DROP INDEX "Role_name_key";
+
+-- AlterTable
+ALTER TABLE "Role" ADD COLUMN     "tenantId" TEXT,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- AlterTable
+ALTER TABLE "Invitation" ADD COLUMN     "roleIds" TEXT NOT NULL DEFAULT '[]';
+
+-- CreateIndex
+CREATE INDEX "Role_tenantId_idx" ON "Role"("tenantId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Role_tenantId_name_key" ON "Role"("tenantId", "name");
+
+-- AddForeignKey
+ALTER TABLE "Role" ADD CONSTRAINT "Role_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- CreateIndex
+-- Postgres treats NULLs as distinct, so Role_tenantId_name_key does not stop two
+-- global (tenantId IS NULL) roles sharing a name. Prisma cannot express partial
+-- indexes; keep this one when generating later migrations.
+CREATE UNIQUE INDEX "Role_name_global_key" ON "Role"("name") WHERE "tenantId" IS NULL;
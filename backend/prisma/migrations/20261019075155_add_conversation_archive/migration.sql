@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "archivedAt" TIMESTAMP(3),
+ADD COLUMN     "archivedById" TEXT;
@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "visibility" TEXT NOT NULL DEFAULT 'private';
+
+-- CreateTable
+CREATE TABLE "ConversationJoinRequest" (
+    "id" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "message" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ConversationJoinRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ConversationJoinRequest_conversationId_status_idx" ON "ConversationJoinRequest"("conversationId", "status");
+
+-- CreateIndex
+CREATE INDEX "ConversationJoinRequest_userId_status_idx" ON "ConversationJoinRequest"("userId", "status");
+
+-- CreateIndex
+CREATE INDEX "Conversation_tenantId_visibility_idx" ON "Conversation"("tenantId", "visibility");
+
+-- AddForeignKey
+ALTER TABLE "ConversationJoinRequest" ADD CONSTRAINT "ConversationJoinRequest_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationJoinRequest" ADD CONSTRAINT "ConversationJoinRequest_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationJoinRequest" ADD CONSTRAINT "ConversationJoinRequest_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
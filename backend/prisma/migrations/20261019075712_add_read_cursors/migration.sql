@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ConversationParticipant" ADD COLUMN     "lastReadAt" TIMESTAMP(3),
+ADD COLUMN     "lastReadMessageId" TEXT;
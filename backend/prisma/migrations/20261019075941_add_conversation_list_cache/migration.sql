@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "lastMessageAt" TIMESTAMP(3),
+ADD COLUMN     "lastMessageId" TEXT,
+ADD COLUMN     "lastMessagePreview" TEXT,
+ADD COLUMN     "lastMessageSenderId" TEXT;
+
+-- AlterTable
+ALTER TABLE "ConversationParticipant" ADD COLUMN     "unreadCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "ConversationParticipant_userId_deletedAt_idx" ON "ConversationParticipant"("userId", "deletedAt");
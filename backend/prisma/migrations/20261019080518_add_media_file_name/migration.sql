@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "MediaFile" ADD COLUMN     "fileName" TEXT;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "MessageRevision" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "messageText" TEXT,
+    "editedById" TEXT NOT NULL,
+    "editedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MessageRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MessageRevision_messageId_revision_key" ON "MessageRevision"("messageId", "revision");
+
+-- AddForeignKey
+ALTER TABLE "MessageRevision" ADD CONSTRAINT "MessageRevision_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageRevision" ADD CONSTRAINT "MessageRevision_editedById_fkey" FOREIGN KEY ("editedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "lastReplyAt" TIMESTAMP(3),
+ADD COLUMN     "replyCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "ThreadFollower" (
+    "id" TEXT NOT NULL,
+    "threadId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "lastReadAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ThreadFollower_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ThreadFollower_userId_idx" ON "ThreadFollower"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ThreadFollower_threadId_userId_key" ON "ThreadFollower"("threadId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "ThreadFollower" ADD CONSTRAINT "ThreadFollower_threadId_fkey" FOREIGN KEY ("threadId") REFERENCES "Message"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ThreadFollower" ADD CONSTRAINT "ThreadFollower_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "notificationLevel" TEXT NOT NULL DEFAULT 'all',
+ADD COLUMN     "notificationsMutedUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "ConversationParticipant" ADD COLUMN     "mutedUntil" TIMESTAMP(3),
+ADD COLUMN     "notificationLevel" TEXT;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "emailDigestFrequency" TEXT NOT NULL DEFAULT 'daily',
+ADD COLUMN     "emailDigestLastSentAt" TIMESTAMP(3),
+ADD COLUMN     "emailDigestQuietEnd" INTEGER,
+ADD COLUMN     "emailDigestQuietStart" INTEGER,
+ADD COLUMN     "emailDigestTimeZone" TEXT;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "EmailDelivery" ALTER COLUMN "htmlBody" DROP NOT NULL,
+ALTER COLUMN "textBody" DROP NOT NULL;
+
+-- Clear bodies already kept for finished deliveries
+UPDATE "EmailDelivery" SET "htmlBody" = NULL, "textBody" = NULL WHERE "status" IN ('sent', 'failed');
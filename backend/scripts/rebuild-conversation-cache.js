@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+// Recompute the conversation list cache: each conversation's last message,
+// each participant's unread count and each thread's reply count. Run once after
+// deploying the cache columns, or whenever the counters are suspected to have drifted.
+//
+// Usage: node scripts/rebuild-conversation-cache.js [conversationId...]
+
+require('../src/config/environment');
+const { prisma } = require('../src/utils/prisma');
+const conversationCacheService = require('../src/services/conversationCache.service');
+
+async function main() {
+  const ids = process.argv.slice(2);
+  const conversations = ids.length
+    ? ids.map(id => ({ id }))
+    : await prisma.conversation.findMany({ where: { deletedAt: null }, select: { id: true } });
+
+  let done = 0;
+  for (const { id } of conversations) {
+    try {
+      await conversationCacheService.rebuildConversation(id);
+      done += 1;
+    } catch (e) {
+      console.error(`Failed to rebuild conversation ${id}:`, e);
+    }
+  }
+
+  console.log(`Rebuilt ${done} of ${conversations.length} conversation(s)`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -59,7 +59,7 @@ class EnvironmentConfig {
   get jwt() {
     return {
       secret: process.env.JWT_SECRET || 'your-fallback-secret-key',
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
       refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d'
     };
   }
@@ -72,6 +72,31 @@ class EnvironmentConfig {
     };
   }
 
+  // ===========================================
+  // ACCOUNT RECOVERY & EMAIL VERIFICATION
+  // ===========================================
+  get accountTokens() {
+    return {
+      passwordResetExpiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60,
+      emailVerificationExpiresHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24
+    };
+  }
+
+  // ===========================================
+  // TWO-FACTOR AUTHENTICATION
+  // ===========================================
+  get twoFactor() {
+    return {
+      issuer: process.env.TWO_FACTOR_ISSUER || process.env.APP_NAME || 'TeamHub',
+      encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || this.jwt.secret,
+      challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+      window: parseInt(process.env.TWO_FACTOR_WINDOW) || 1,
+      recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+      maxFailedAttempts: parseInt(process.env.TWO_FACTOR_MAX_FAILED_ATTEMPTS) || 5,
+      lockoutMinutes: parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES) || 15
+    };
+  }
+
   // ===========================================
   // OAUTH PROVIDERS
   // ===========================================
@@ -152,12 +177,22 @@ class EnvironmentConfig {
   // ===========================================
   get rateLimit() {
     return {
+      enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
-      maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+      maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000, // per IP across the whole API
       message: process.env.RATE_LIMIT_MESSAGE || 'Too many requests from this IP, please try again later',
       auth: {
         windowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 900000,
         maxRequests: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 5
+      },
+      messages: {
+        windowMs: parseInt(process.env.MESSAGE_RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
+        maxPerUser: parseInt(process.env.MESSAGE_RATE_LIMIT_MAX_PER_USER) || 30,
+        maxPerTenant: parseInt(process.env.MESSAGE_RATE_LIMIT_MAX_PER_TENANT) || 1000
+      },
+      accountEmails: {
+        windowMs: parseInt(process.env.ACCOUNT_EMAIL_RATE_LIMIT_WINDOW_MS) || 3600000, // 1 hour
+        maxRequests: parseInt(process.env.ACCOUNT_EMAIL_RATE_LIMIT_MAX_REQUESTS) || 5
       }
     };
   }
@@ -193,7 +228,32 @@ class EnvironmentConfig {
         name: process.env.EMAIL_FROM_NAME || 'TeamHub Platform',
         address: process.env.EMAIL_FROM_ADDRESS || 'noreply@teamhub.com'
       },
-      enabled: !!(process.env.EMAIL_USER && process.env.EMAIL_PASSWORD)
+      // 'auto' picks Brevo or SMTP from the available credentials; 'smtp', 'brevo', 'outbox' and 'console' force one
+      transport: process.env.EMAIL_TRANSPORT || 'auto',
+      outboxDir: process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox'),
+      enabled: ['outbox', 'file', 'console'].includes(process.env.EMAIL_TRANSPORT) ||
+        !!process.env.BREVO_API_KEY ||
+        !!(process.env.EMAIL_USER && process.env.EMAIL_PASSWORD),
+      retry: {
+        maxAttempts: parseInt(process.env.EMAIL_RETRY_MAX_ATTEMPTS) || 5,
+        baseDelayMs: parseInt(process.env.EMAIL_RETRY_BASE_DELAY_MS) || 60000, // doubles after each failed attempt
+        pollIntervalMs: parseInt(process.env.EMAIL_RETRY_POLL_INTERVAL_MS) || 30000,
+        batchSize: parseInt(process.env.EMAIL_RETRY_BATCH_SIZE) || 20
+      }
+    };
+  }
+
+  // ===========================================
+  // UNREAD DIGEST EMAILS (features.emailNotifications)
+  // ===========================================
+  get emailDigests() {
+    return {
+      pollIntervalMs: parseInt(process.env.EMAIL_DIGEST_POLL_INTERVAL_MS) || 900000, // 15 minutes
+      // Users count as away once they have been offline this long
+      offlineMinutes: parseInt(process.env.EMAIL_DIGEST_OFFLINE_MINUTES) || 30,
+      batchSize: parseInt(process.env.EMAIL_DIGEST_BATCH_SIZE) || 100,
+      // Mentions and conversations listed in one email; the rest are counted
+      maxItems: parseInt(process.env.EMAIL_DIGEST_MAX_ITEMS) || 10
     };
   }
 
@@ -244,7 +304,10 @@ class EnvironmentConfig {
         short: parseInt(process.env.CACHE_TTL_SHORT) || 300,
         medium: parseInt(process.env.CACHE_TTL_MEDIUM) || 3600,
         long: parseInt(process.env.CACHE_TTL_LONG) || 86400
-      }
+      },
+      // Effective permissions are cached per server instance; role changes
+      // clear the local entries, other instances catch up within this TTL
+      permissionsTtlMs: parseInt(process.env.PERMISSION_CACHE_TTL_MS) || 60000
     };
   }
 
@@ -281,6 +344,28 @@ class EnvironmentConfig {
     };
   }
 
+  // ===========================================
+  // MESSAGE RETENTION
+  // ===========================================
+  get retention() {
+    return {
+      enabled: process.env.RETENTION_SWEEP_ENABLED !== 'false',
+      sweepIntervalMs: parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS) || 86400000, // 24 hours
+      purgeGraceDays: parseInt(process.env.RETENTION_PURGE_GRACE_DAYS) || 30,
+      batchSize: parseInt(process.env.RETENTION_BATCH_SIZE) || 500
+    };
+  }
+
+  // ===========================================
+  // EDISCOVERY EXPORTS
+  // ===========================================
+  get ediscovery() {
+    return {
+      exportDir: process.env.EDISCOVERY_EXPORT_DIR || 'exports',
+      batchSize: parseInt(process.env.EDISCOVERY_BATCH_SIZE) || 500
+    };
+  }
+
   // ===========================================
   // INVITATION SETTINGS
   // ===========================================
@@ -313,6 +398,18 @@ class EnvironmentConfig {
     };
   }
 
+  // ===========================================
+  // SCHEDULED MESSAGES
+  // ===========================================
+  get scheduledMessages() {
+    return {
+      pollIntervalMs: parseInt(process.env.SCHEDULED_MESSAGES_POLL_INTERVAL_MS) || 15000,
+      batchSize: parseInt(process.env.SCHEDULED_MESSAGES_BATCH_SIZE) || 50,
+      maxAttempts: parseInt(process.env.SCHEDULED_MESSAGES_MAX_ATTEMPTS) || 3,
+      maxScheduleDays: parseInt(process.env.SCHEDULED_MESSAGES_MAX_SCHEDULE_DAYS) || 365
+    };
+  }
+
   // ===========================================
   // API DOCUMENTATION
   // ===========================================
@@ -3,7 +3,32 @@ const { validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const config = require('../config/environment');
-const { sendInviteEmail } = require('../services/email.service');
+const { sendInviteEmail, listDeliveries, retryDelivery } = require('../services/email.service');
+const retentionService = require('../services/retention.service');
+const legalHoldService = require('../services/legalHold.service');
+const ediscoveryService = require('../services/ediscovery.service');
+const sessionService = require('../services/session.service');
+const socketRegistry = require('../services/socketRegistry.service');
+const twoFactorService = require('../services/twoFactor.service');
+const permissionService = require('../services/permission.service');
+const roleService = require('../services/role.service');
+const notificationService = require('../services/notification.service');
+
+/**
+ * Tell a user that an admin changed their account
+ * @param {Object} req - Admin's request
+ * @param {string} userId - Affected user ID
+ * @param {string} title - What changed
+ * @returns {Promise<void>}
+ */
+const notifyUserOfAdminAction = (req, userId, title) =>
+  notificationService.notify(req.app.get('io'), [{
+    userId,
+    actorId: req.userId,
+    type: 'admin',
+    title,
+    targetId: userId
+  }]);
 
 /**
  * Get tenant dashboard stats
@@ -167,6 +192,7 @@ const getAllUsers = async (req, res) => {
         role: true,
         permissions: true,
         isActive: true,
+        twoFactorEnabled: true,
         lastLoginAt: true,
         createdAt: true,
         _count: {
@@ -223,7 +249,7 @@ const updateUserRole = async (req, res) => {
     }
 
     const { userId } = req.params;
-    const { role, permissions = [] } = req.body;
+    const { role, permissions } = req.body;
     const { tenantId, userId: adminUserId } = req;
 
     // Check if target user exists and belongs to the same tenant
@@ -249,12 +275,18 @@ const updateUserRole = async (req, res) => {
       });
     }
 
+    // Permissions sent with the role replace the user's grants; denies are kept
+    const overrides = permissionService.parseOverrides(targetUser.permissions);
+    if (permissions) {
+      overrides.grant = permissions;
+    }
+
     // Update user role and permissions
     const updatedUser = await prisma.user.update({
       where: { id: userId },
       data: {
         role,
-        permissions
+        permissions: permissionService.serializeOverrides(overrides)
       },
       select: {
         id: true,
@@ -273,10 +305,13 @@ const updateUserRole = async (req, res) => {
         userId: adminUserId,
         action: 'USER_ROLE_UPDATED',
         targetId: userId,
-        context: `Updated user role to ${role} with permissions: ${permissions.join(', ')}`
+        context: `Updated user role to ${role} with permissions: ${overrides.grant.join(', ')}`
       }
     });
 
+    permissionService.invalidateUser(userId);
+    await notifyUserOfAdminAction(req, userId, `An administrator changed your role to ${role}`);
+
     res.json({
       success: true,
       message: 'User role updated successfully',
@@ -359,6 +394,19 @@ const updateUserStatus = async (req, res) => {
       }
     });
 
+    permissionService.invalidateUser(userId);
+
+    // A deactivated user must lose access immediately, not when their token expires
+    if (!isActive) {
+      await sessionService.revokeUserSessions(userId, {
+        reason: 'account_deactivated',
+        actorId: adminUserId
+      });
+      socketRegistry.terminateUserSockets(userId, { reason: 'account_deactivated' });
+    } else {
+      await notifyUserOfAdminAction(req, userId, 'An administrator reactivated your account');
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -374,6 +422,309 @@ const updateUserStatus = async (req, res) => {
   }
 };
 
+/**
+ * Reset a user's two-factor authentication (e.g. lost device)
+ * @route POST /api/admin/users/:userId/2fa/reset
+ * @access Admin
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { tenantId, userId: adminUserId } = req;
+
+    await twoFactorService.resetForUser(userId, tenantId, adminUserId, req.body.reason);
+    await notifyUserOfAdminAction(req, userId, 'An administrator reset your two-factor authentication');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset user two-factor error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while resetting two-factor authentication'
+    });
+  }
+};
+
+/**
+ * Get the permission catalog
+ * @route GET /api/admin/permissions
+ * @access Admin
+ */
+const getPermissions = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { permissions: permissionService.getCatalog() }
+    });
+
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching permissions'
+    });
+  }
+};
+
+/**
+ * Get the tenant's custom roles
+ * @route GET /api/admin/roles
+ * @access Admin
+ */
+const getRoles = async (req, res) => {
+  try {
+    const roles = await roleService.listRoles(req.tenantId);
+
+    res.json({
+      success: true,
+      data: { roles }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching roles'
+    });
+  }
+};
+
+/**
+ * Create a custom role
+ * @route POST /api/admin/roles
+ * @access Admin
+ */
+const createRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions, isDefault } = req.body;
+
+    const role = await roleService.createRole(
+      req.tenantId,
+      { name, description, permissions, isDefault },
+      req.userId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while creating role'
+    });
+  }
+};
+
+/**
+ * Update a custom role and its permissions
+ * @route PUT /api/admin/roles/:roleId
+ * @access Admin
+ */
+const updateRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions, isDefault } = req.body;
+
+    const role = await roleService.updateRole(
+      req.tenantId,
+      req.params.roleId,
+      { name, description, permissions, isDefault },
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while updating role'
+    });
+  }
+};
+
+/**
+ * Delete a custom role
+ * @route DELETE /api/admin/roles/:roleId
+ * @access Admin
+ */
+const deleteRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await roleService.deleteRole(req.tenantId, req.params.roleId, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while deleting role'
+    });
+  }
+};
+
+/**
+ * Get a user's roles, permission overrides and effective permissions
+ * @route GET /api/admin/users/:userId/permissions
+ * @access Admin
+ */
+const getUserAccess = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await roleService.getUserAccess(req.tenantId, req.params.userId);
+
+    res.json({
+      success: true,
+      data: access
+    });
+
+  } catch (error) {
+    console.error('Get user access error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching user permissions'
+    });
+  }
+};
+
+/**
+ * Set the custom roles assigned to a user
+ * @route PUT /api/admin/users/:userId/roles
+ * @access Admin
+ */
+const updateUserRoles = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await roleService.setUserRoles(
+      req.tenantId,
+      req.params.userId,
+      req.body.roleIds,
+      req.userId
+    );
+    await notifyUserOfAdminAction(req, req.params.userId, 'An administrator updated your roles');
+
+    res.json({
+      success: true,
+      message: 'User roles updated successfully',
+      data: access
+    });
+
+  } catch (error) {
+    console.error('Update user roles error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while updating user roles'
+    });
+  }
+};
+
+/**
+ * Set per-user permission grants and denies
+ * @route PUT /api/admin/users/:userId/permissions
+ * @access Admin
+ */
+const updateUserPermissions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { grant = [], deny = [] } = req.body;
+
+    const access = await roleService.setUserPermissionOverrides(
+      req.tenantId,
+      req.params.userId,
+      { grant, deny },
+      req.userId
+    );
+    await notifyUserOfAdminAction(req, req.params.userId, 'An administrator updated your permissions');
+
+    res.json({
+      success: true,
+      message: 'User permissions updated successfully',
+      data: access
+    });
+
+  } catch (error) {
+    console.error('Update user permissions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while updating user permissions'
+    });
+  }
+};
+
 /**
  * Send user invitation
  * @route POST /api/admin/invitations
@@ -390,9 +741,12 @@ const sendInvitation = async (req, res) => {
       });
     }
 
-    const { email, role = 'member', permissions = [] } = req.body;
+    const { email, role = 'member', permissions = [], roleIds = [] } = req.body;
     const { tenantId, userId } = req;
 
+    // Custom roles must belong to this organization
+    const roles = await roleService.resolveTenantRoles(tenantId, roleIds);
+
     // Check if user already exists
     const existingUser = await prisma.user.findFirst({
       where: {
@@ -450,6 +804,7 @@ const sendInvitation = async (req, res) => {
         email,
         role,
         permissions: Array.isArray(permissions) ? JSON.stringify(permissions) : '[]',
+        roleIds: JSON.stringify(roles.map(r => r.id)),
         inviteToken,
         invitedById: userId,
         expiresAt
@@ -476,7 +831,7 @@ const sendInvitation = async (req, res) => {
         userId,
         action: 'INVITATION_SENT',
         targetId: invitation.id,
-        context: `Invitation sent to ${email} with role ${role}`
+        context: `Invitation sent to ${email} with role ${role}${roles.length ? ` and roles ${roles.map(r => r.name).join(', ')}` : ''}`
       }
     });
 
@@ -503,10 +858,11 @@ const sendInvitation = async (req, res) => {
         to: invitation.email,
         inviteUrl,
         tenantName: invitation.tenant.name,
-        invitedByName: invitation.invitedBy.displayName || 'An administrator'
+        invitedByName: invitation.invitedBy.displayName || 'An administrator',
+        tenantId
       });
     } catch (emailError) {
-      console.error('Failed to send invitation email via Brevo:', emailError);
+      console.error('Failed to send invitation email:', emailError);
       // Do not fail the API response because email dispatch failed
     }
 
@@ -520,6 +876,7 @@ const sendInvitation = async (req, res) => {
           email: invitation.email,
           role: invitation.role,
           permissions: JSON.parse(invitation.permissions || '[]'),
+          roles,
           inviteToken: invitation.inviteToken,
           expiresAt: invitation.expiresAt,
           inviteUrl: `${config.frontend.url}/invite/${invitation.inviteToken}`
@@ -529,7 +886,12 @@ const sendInvitation = async (req, res) => {
 
       } catch (error) {
     console.error('Send invitation error:', error);
-    if (error.code === 'P2002') {
+    if (error.statusCode) {
+      res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    } else if (error.code === 'P2002') {
       res.status(400).json({
         success: false,
         message: 'An invitation already exists for this email in your organization'
@@ -855,14 +1217,742 @@ const getRateLimitLogs = async (req, res) => {
   }
 };
 
+/**
+ * Get tenant security settings
+ * @route GET /api/admin/security
+ * @access Admin
+ */
+const getSecuritySettings = async (req, res) => {
+  try {
+    const { tenantId } = req;
+
+    const [settings, totalUsers, enrolledUsers] = await Promise.all([
+      prisma.tenantSettings.findUnique({
+        where: { tenantId },
+        select: { requireTwoFactor: true }
+      }),
+      prisma.user.count({ where: { tenantId, isActive: true } }),
+      prisma.user.count({ where: { tenantId, isActive: true, twoFactorEnabled: true } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        requireTwoFactor: settings?.requireTwoFactor ?? false,
+        twoFactorEnrollment: {
+          enrolledUsers,
+          totalUsers
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching security settings'
+    });
+  }
+};
+
+/**
+ * Update tenant security settings
+ * @route PUT /api/admin/security
+ * @access Admin
+ */
+const updateSecuritySettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { tenantId, userId: adminUserId } = req;
+    const { requireTwoFactor } = req.body;
+
+    const settings = await prisma.tenantSettings.upsert({
+      where: { tenantId },
+      update: { requireTwoFactor },
+      create: { tenantId, requireTwoFactor },
+      select: { requireTwoFactor: true }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId,
+        userId: adminUserId,
+        action: 'SECURITY_SETTINGS_UPDATED',
+        targetId: tenantId,
+        context: `Two-factor authentication ${requireTwoFactor ? 'required' : 'optional'} for all users`
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating security settings'
+    });
+  }
+};
+
+/**
+ * Get tenant mention settings
+ * @route GET /api/admin/mentions
+ * @access Admin
+ */
+const getMentionSettings = async (req, res) => {
+  try {
+    const settings = await prisma.tenantSettings.findUnique({
+      where: { tenantId: req.tenantId },
+      select: { channelMentionLimit: true }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        channelMentionLimit: settings?.channelMentionLimit ?? null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get mention settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching mention settings'
+    });
+  }
+};
+
+/**
+ * Update tenant mention settings. Above channelMentionLimit members, only
+ * conversation owners and moderators can use @here and @channel.
+ * @route PUT /api/admin/mentions
+ * @access Admin
+ */
+const updateMentionSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { tenantId, userId: adminUserId } = req;
+    const { channelMentionLimit } = req.body;
+
+    const settings = await prisma.tenantSettings.upsert({
+      where: { tenantId },
+      update: { channelMentionLimit },
+      create: { tenantId, channelMentionLimit },
+      select: { channelMentionLimit: true }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId,
+        userId: adminUserId,
+        action: 'MENTION_SETTINGS_UPDATED',
+        targetId: tenantId,
+        context: channelMentionLimit === null
+          ? '@here and @channel allowed for all members'
+          : `@here and @channel limited to owners and moderators in conversations with more than ${channelMentionLimit} members`
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Mention settings updated successfully',
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Update mention settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating mention settings'
+    });
+  }
+};
+
+/**
+ * Get message retention policy for the tenant
+ * @route GET /api/admin/retention
+ * @access Admin
+ */
+const getRetentionPolicy = async (req, res) => {
+  try {
+    const { tenantId } = req;
+
+    const settings = await prisma.tenantSettings.findUnique({
+      where: { tenantId },
+      select: { messageRetentionDays: true }
+    });
+
+    const overrides = await prisma.conversation.findMany({
+      where: {
+        tenantId,
+        messageRetentionDays: { not: null }
+      },
+      select: {
+        id: true,
+        name: true,
+        messageRetentionDays: true
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        messageRetentionDays: settings?.messageRetentionDays ?? null,
+        effectiveRetentionDays: settings?.messageRetentionDays || config.tenant.defaults.messageRetentionDays,
+        defaultRetentionDays: config.tenant.defaults.messageRetentionDays,
+        purgeGraceDays: config.retention.purgeGraceDays,
+        conversationOverrides: overrides
+      }
+    });
+
+  } catch (error) {
+    console.error('Get retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching retention policy'
+    });
+  }
+};
+
+/**
+ * Update tenant message retention window
+ * @route PUT /api/admin/retention
+ * @access Admin
+ */
+const updateRetentionPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { tenantId, userId: adminUserId } = req;
+    const messageRetentionDays = req.body.messageRetentionDays === null
+      ? null
+      : parseInt(req.body.messageRetentionDays);
+
+    const settings = await prisma.tenantSettings.upsert({
+      where: { tenantId },
+      update: { messageRetentionDays },
+      create: { tenantId, messageRetentionDays },
+      select: { messageRetentionDays: true }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId,
+        userId: adminUserId,
+        action: 'RETENTION_POLICY_UPDATED',
+        targetId: tenantId,
+        context: messageRetentionDays === null
+          ? 'Tenant message retention reset to platform default'
+          : `Tenant message retention set to ${messageRetentionDays} days`
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Retention policy updated successfully',
+      data: {
+        messageRetentionDays: settings.messageRetentionDays,
+        effectiveRetentionDays: settings.messageRetentionDays || config.tenant.defaults.messageRetentionDays
+      }
+    });
+
+  } catch (error) {
+    console.error('Update retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating retention policy'
+    });
+  }
+};
+
+/**
+ * Set or clear a conversation's retention override
+ * @route PUT /api/admin/retention/conversations/:conversationId
+ * @access Admin
+ */
+const updateConversationRetention = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversationId } = req.params;
+    const { tenantId, userId: adminUserId } = req;
+    const messageRetentionDays = req.body.messageRetentionDays === null
+      ? null
+      : parseInt(req.body.messageRetentionDays);
+
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: conversationId, tenantId }
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const updatedConversation = await prisma.conversation.update({
+      where: { id: conversationId },
+      data: { messageRetentionDays },
+      select: {
+        id: true,
+        name: true,
+        messageRetentionDays: true
+      }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId,
+        userId: adminUserId,
+        action: 'CONVERSATION_RETENTION_UPDATED',
+        targetId: conversationId,
+        context: messageRetentionDays === null
+          ? 'Conversation retention override cleared'
+          : `Conversation retention override set to ${messageRetentionDays} days`
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Conversation retention updated successfully',
+      data: { conversation: updatedConversation }
+    });
+
+  } catch (error) {
+    console.error('Update conversation retention error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating conversation retention'
+    });
+  }
+};
+
+/**
+ * Preview what the next retention sweep would remove
+ * @route GET /api/admin/retention/report
+ * @access Admin
+ */
+const getRetentionReport = async (req, res) => {
+  try {
+    const report = await retentionService.sweepTenant(req.tenantId, { dryRun: true });
+
+    res.json({
+      success: true,
+      data: { report }
+    });
+
+  } catch (error) {
+    console.error('Get retention report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating retention report'
+    });
+  }
+};
+
+/**
+ * Run a retention sweep for the tenant now
+ * @route POST /api/admin/retention/sweep
+ * @access Admin
+ */
+const runRetentionSweep = async (req, res) => {
+  try {
+    const report = await retentionService.sweepTenant(req.tenantId, { userId: req.userId });
+
+    res.json({
+      success: true,
+      message: 'Retention sweep completed',
+      data: { report }
+    });
+
+  } catch (error) {
+    console.error('Run retention sweep error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running retention sweep'
+    });
+  }
+};
+
+/**
+ * Place a user or conversation on legal hold
+ * @route POST /api/admin/legal-holds
+ * @access Admin
+ */
+const createLegalHold = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { targetType, targetId, reason, custodian } = req.body;
+
+    const hold = await legalHoldService.createHold({
+      tenantId: req.tenantId,
+      targetType,
+      targetId,
+      reason,
+      custodian,
+      createdById: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Legal hold created successfully',
+      data: { hold }
+    });
+
+  } catch (error) {
+    console.error('Create legal hold error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while creating legal hold'
+    });
+  }
+};
+
+/**
+ * Get legal holds for the tenant
+ * @route GET /api/admin/legal-holds
+ * @access Admin
+ */
+const getLegalHolds = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, targetType, page = 1, limit = 50 } = req.query;
+
+    const result = await legalHoldService.listHolds(req.tenantId, {
+      status,
+      targetType,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get legal holds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching legal holds'
+    });
+  }
+};
+
+/**
+ * Release a legal hold
+ * @route POST /api/admin/legal-holds/:holdId/release
+ * @access Admin
+ */
+const releaseLegalHold = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { holdId } = req.params;
+    const { reason } = req.body;
+
+    const hold = await legalHoldService.releaseHold(holdId, req.tenantId, req.userId, reason);
+
+    res.json({
+      success: true,
+      message: 'Legal hold released successfully',
+      data: { hold }
+    });
+
+  } catch (error) {
+    console.error('Release legal hold error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while releasing legal hold'
+    });
+  }
+};
+
+/**
+ * Start an eDiscovery export
+ * @route POST /api/admin/exports
+ * @access Private (audit.read)
+ */
+const createExport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate, userIds = [], conversationIds = [] } = req.body;
+
+    const job = await ediscoveryService.createExportJob({
+      tenantId: req.tenantId,
+      requestedById: req.userId,
+      filters: { startDate, endDate, userIds, conversationIds }
+    }, req.app.get('io'));
+
+    res.status(202).json({
+      success: true,
+      message: 'Export started',
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Create export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting export'
+    });
+  }
+};
+
+/**
+ * Get eDiscovery export jobs
+ * @route GET /api/admin/exports
+ * @access Private (audit.read)
+ */
+const getExports = async (req, res) => {
+  try {
+    const jobs = await ediscoveryService.listExportJobs(req.tenantId);
+
+    res.json({
+      success: true,
+      data: { jobs }
+    });
+
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exports'
+    });
+  }
+};
+
+/**
+ * Get eDiscovery export job status and progress
+ * @route GET /api/admin/exports/:jobId
+ * @access Private (audit.read)
+ */
+const getExport = async (req, res) => {
+  try {
+    const job = await ediscoveryService.getExportJob(req.params.jobId, req.tenantId);
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching export'
+    });
+  }
+};
+
+/**
+ * Download a completed eDiscovery export archive
+ * @route GET /api/admin/exports/:jobId/download
+ * @access Private (audit.read)
+ */
+const downloadExport = async (req, res) => {
+  try {
+    const { job, archivePath } = await ediscoveryService.getExportArchive(req.params.jobId, req.tenantId);
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId: req.tenantId,
+        userId: req.userId,
+        action: 'EDISCOVERY_EXPORT_DOWNLOADED',
+        targetId: job.id,
+        context: `eDiscovery export downloaded (sha256 ${job.sha256})`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    res.set('X-Content-SHA256', job.sha256);
+    res.download(archivePath, `ediscovery-export-${job.id}.zip`);
+
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while downloading export'
+    });
+  }
+};
+
+/**
+ * Get email delivery status
+ * @route GET /api/admin/email/deliveries
+ * @access Admin
+ */
+const getEmailDeliveries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, template, recipient, page = 1, limit = 50 } = req.query;
+
+    const result = await listDeliveries(req.tenantId, {
+      status,
+      template,
+      recipient,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get email deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching email deliveries'
+    });
+  }
+};
+
+/**
+ * Requeue a skipped email delivery
+ * @route POST /api/admin/email/deliveries/:deliveryId/retry
+ * @access Admin
+ */
+const retryEmailDelivery = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const delivery = await retryDelivery(req.params.deliveryId, req.tenantId, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Email delivery queued for retry',
+      data: { delivery }
+    });
+
+  } catch (error) {
+    console.error('Retry email delivery error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while retrying email delivery'
+    });
+  }
+};
+
 module.exports = {
   getDashboardStats,
   getAllUsers,
   updateUserRole,
   updateUserStatus,
+  resetUserTwoFactor,
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUserAccess,
+  updateUserRoles,
+  updateUserPermissions,
   sendInvitation,
   getInvitations,
   revokeInvitation,
   getAuditLogs,
-  getRateLimitLogs
+  getRateLimitLogs,
+  getSecuritySettings,
+  updateSecuritySettings,
+  getMentionSettings,
+  updateMentionSettings,
+  getRetentionPolicy,
+  updateRetentionPolicy,
+  updateConversationRetention,
+  getRetentionReport,
+  runRetentionSweep,
+  createLegalHold,
+  getLegalHolds,
+  releaseLegalHold,
+  createExport,
+  getExports,
+  getExport,
+  downloadExport,
+  getEmailDeliveries,
+  retryEmailDelivery
 };
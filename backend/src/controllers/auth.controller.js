@@ -1,7 +1,17 @@
 const { validationResult } = require('express-validator');
 const authService = require('../services/auth.service');
+const sessionService = require('../services/session.service');
+const socketRegistry = require('../services/socketRegistry.service');
+const twoFactorService = require('../services/twoFactor.service');
+const permissionService = require('../services/permission.service');
 const { prisma } = require('../utils/prisma');
 
+// Device details recorded on the session created at sign-in
+const getSessionContext = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
 class AuthController {
   // Email authentication
   async register(req, res) {
@@ -17,7 +27,7 @@ class AuthController {
 
       const { email, password, displayName, tenantName } = req.body;
       const tenantData = tenantName ? { tenantName } : undefined;
-      const result = await authService.registerWithEmail(email, password, displayName, tenantData);
+      const result = await authService.registerWithEmail(email, password, displayName, tenantData, getSessionContext(req));
 
       res.status(201).json({
         success: true,
@@ -46,61 +56,15 @@ class AuthController {
       }
 
       const { email, password } = req.body;
-      
-      // Check rate limiting before proceeding
-      const ipAddress = req.ip;
-      const rateLimitWindow = 15 * 60; // 15 minutes in seconds
-      const maxAttempts = 5;
-
-      const recentAttempts = await prisma.rateLimitLog.count({
-        where: {
-          ipAddress,
-          endpoint: '/auth/login',
-          method: 'POST',
-          timestamp: {
-            gte: new Date(Date.now() - rateLimitWindow * 1000)
-          }
-        }
-      });
-
-      if (recentAttempts >= maxAttempts) {
-        const oldestAttempt = await prisma.rateLimitLog.findFirst({
-          where: {
-            ipAddress,
-            endpoint: '/auth/login',
-            method: 'POST'
-          },
-          orderBy: { timestamp: 'asc' }
-        });
-
-        const resetTime = new Date(oldestAttempt.timestamp.getTime() + rateLimitWindow * 1000);
-        
-        // Log the rate limit hit
-        await prisma.rateLimitLog.create({
-          data: {
-            ipAddress,
-            endpoint: '/auth/login',
-            method: 'POST',
-            userAgent: req.get('user-agent'),
-            limit: maxAttempts,
-            current: recentAttempts + 1,
-            ttl: rateLimitWindow,
-            resetAt: resetTime
-          }
-        });
-
-        return res.status(429).json({
-          success: false,
-          message: 'Too many login attempts. Please try again later.',
-          resetAt: resetTime
-        });
-      }
-
-      const result = await authService.loginWithEmail(email, password);
+      const result = await authService.loginWithEmail(email, password, getSessionContext(req));
 
       res.json({
         success: true,
-        message: 'Login successful',
+        message: result.challengeToken
+          ? (result.twoFactorSetupRequired
+            ? 'Your organization requires two-factor authentication. Please set it up to continue.'
+            : 'Enter your two-factor authentication code')
+          : 'Login successful',
         data: result
       });
     } catch (error) {
@@ -127,7 +91,7 @@ class AuthController {
       }
 
       const tenantData = tenantName ? { tenantName } : undefined;
-      const result = await authService.handleGoogleAuth(token, tenantData);
+      const result = await authService.handleGoogleAuth(token, tenantData, getSessionContext(req));
 
       res.json({
         success: true,
@@ -167,7 +131,7 @@ class AuthController {
       }
 
       const tenantData = tenantName ? { tenantName } : undefined;
-      const result = await authService.handleMicrosoftAuth(accessToken, tenantData);
+      const result = await authService.handleMicrosoftAuth(accessToken, tenantData, getSessionContext(req));
 
       res.json({
         success: true,
@@ -230,7 +194,7 @@ class AuthController {
       console.log(`🔍 Logout request for user: ${req.userId}`);
       
       // Add timeout to prevent hanging
-      const logoutPromise = authService.logout(req.userId);
+      const logoutPromise = authService.logout(req.userId, req.sessionId);
       const timeoutPromise = new Promise((_, reject) => {
         setTimeout(() => reject(new Error('Logout timeout')), 10000); // 10 second timeout
       });
@@ -275,6 +239,404 @@ class AuthController {
     }
   }
 
+  // Two-factor login steps
+  async loginTwoFactor(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { challengeToken, code } = req.body;
+      const result = await authService.verifyTwoFactorLogin(challengeToken, code, getSessionContext(req));
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: result
+      });
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error during two-factor login'
+      });
+    }
+  }
+
+  async loginTwoFactorEnroll(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const enrollment = await authService.beginTwoFactorLoginEnrollment(req.body.challengeToken);
+
+      res.json({
+        success: true,
+        data: enrollment
+      });
+    } catch (error) {
+      console.error('Two-factor login enrollment error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while starting two-factor enrollment'
+      });
+    }
+  }
+
+  async loginTwoFactorEnrollVerify(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { challengeToken, code } = req.body;
+      const result = await authService.completeTwoFactorLoginEnrollment(challengeToken, code, getSessionContext(req));
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: result
+      });
+    } catch (error) {
+      console.error('Two-factor login enrollment verification error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while verifying two-factor enrollment'
+      });
+    }
+  }
+
+  // Two-factor management for the signed-in user
+  async getTwoFactorStatus(req, res) {
+    try {
+      const twoFactor = await twoFactorService.getStatus(req.userId);
+
+      res.json({
+        success: true,
+        data: { twoFactor }
+      });
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while fetching two-factor status'
+      });
+    }
+  }
+
+  async enrollTwoFactor(req, res) {
+    try {
+      const enrollment = await twoFactorService.beginEnrollment(req.userId);
+
+      res.json({
+        success: true,
+        data: enrollment
+      });
+    } catch (error) {
+      console.error('Two-factor enrollment error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while starting two-factor enrollment'
+      });
+    }
+  }
+
+  async verifyTwoFactorEnrollment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const recoveryCodes = await twoFactorService.confirmEnrollment(req.userId, req.body.code);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      console.error('Two-factor enrollment verification error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while verifying two-factor enrollment'
+      });
+    }
+  }
+
+  async disableTwoFactor(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      await twoFactorService.disable(req.userId, req.body.code);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while disabling two-factor authentication'
+      });
+    }
+  }
+
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.userId, req.body.code);
+
+      res.json({
+        success: true,
+        message: 'Recovery codes regenerated',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while regenerating recovery codes'
+      });
+    }
+  }
+
+  async refresh(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { token, refreshToken } = await sessionService.rotateSession(
+        req.body.refreshToken,
+        getSessionContext(req)
+      );
+
+      res.json({
+        success: true,
+        data: { token, refreshToken }
+      });
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while refreshing token'
+      });
+    }
+  }
+
+  // Password reset
+  async forgotPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      await authService.requestPasswordReset(req.body.email, getSessionContext(req));
+
+      // Same response whether or not the account exists
+      res.json({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while requesting password reset'
+      });
+    }
+  }
+
+  async resetPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      await authService.resetPassword(req.body.token, req.body.password);
+
+      res.json({
+        success: true,
+        message: 'Password has been reset. Please sign in with your new password.'
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while resetting password'
+      });
+    }
+  }
+
+  // Email verification
+  async verifyEmail(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await authService.verifyEmail(req.body.token);
+
+      res.json({
+        success: true,
+        message: 'Email address verified',
+        data: result
+      });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while verifying email'
+      });
+    }
+  }
+
+  async resendVerificationEmail(req, res) {
+    try {
+      const sent = await authService.sendEmailVerification(req.userId, getSessionContext(req));
+
+      if (!sent) {
+        return res.status(503).json({
+          success: false,
+          message: 'Email delivery is not configured'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      console.error('Resend verification email error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while sending verification email'
+      });
+    }
+  }
+
+  // Session management
+  async getSessions(req, res) {
+    try {
+      const sessions = await sessionService.listSessions(req.userId, req.sessionId);
+
+      res.json({
+        success: true,
+        data: { sessions }
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching sessions'
+      });
+    }
+  }
+
+  async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      await sessionService.revokeSession(sessionId, req.userId, 'user_revoked');
+      socketRegistry.terminateUserSockets(req.userId, {
+        reason: 'session_revoked',
+        sessionIds: [sessionId]
+      });
+
+      res.json({
+        success: true,
+        message: sessionId === req.sessionId ? 'Signed out of this device' : 'Session revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Server error while revoking session'
+      });
+    }
+  }
+
+  async revokeOtherSessions(req, res) {
+    try {
+      const revokedSessionIds = await sessionService.revokeUserSessions(req.userId, {
+        exceptSessionId: req.sessionId,
+        reason: 'user_revoked_others'
+      });
+      socketRegistry.terminateUserSockets(req.userId, {
+        reason: 'session_revoked',
+        sessionIds: revokedSessionIds
+      });
+
+      res.json({
+        success: true,
+        message: `Signed out of ${revokedSessionIds.length} other session(s)`,
+        data: { revokedCount: revokedSessionIds.length }
+      });
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while revoking sessions'
+      });
+    }
+  }
+
   async getCurrentUser(req, res) {
     try {
       console.log('🔍 getCurrentUser - Start');
@@ -310,6 +672,8 @@ class AuthController {
           lastSeenAt: true,
           onlineStatus: true,
           phoneNumber: true,
+          twoFactorEnabled: true,
+          emailVerified: true,
           tenant: {
             select: {
               id: true,
@@ -365,11 +729,14 @@ class AuthController {
             avatarUrl: user.avatarUrl,
             role: user.role,
             permissions: user.permissions,
+            effectivePermissions: Array.from(await permissionService.getEffectivePermissions(user.id)).sort(),
             isActive: user.isActive,
             lastLoginAt: user.lastLoginAt,
             lastSeenAt: user.lastSeenAt,
             onlineStatus: user.onlineStatus,
             phoneNumber: user.phoneNumber,
+            twoFactorEnabled: user.twoFactorEnabled,
+            emailVerified: user.emailVerified,
             tenant: user.tenant,
             roleAssignments: user.roleAssignments
           }
@@ -423,11 +790,15 @@ class AuthController {
 
       const { inviteToken } = req.params;
       const { password, displayName } = req.body;
-      const result = await authService.acceptInvitation(inviteToken, password, displayName);
+      const result = await authService.acceptInvitation(inviteToken, password, displayName, getSessionContext(req));
 
       res.status(201).json({
         success: true,
-        message: 'Successfully joined organization',
+        message: result.challengeToken
+          ? (result.twoFactorSetupRequired
+            ? 'Successfully joined organization. It requires two-factor authentication; please set it up to continue.'
+            : 'Successfully joined organization. Enter your two-factor authentication code to continue.')
+          : 'Successfully joined organization',
         data: result
       });
     } catch (error) {
@@ -1,5 +1,6 @@
 const { prisma } = require('../utils/prisma');
 const { generateSignedUrl, deleteFile, getFileInfo } = require('../config/storage');
+const legalHoldService = require('../services/legalHold.service');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -45,6 +46,7 @@ const uploadFiles = async (req, res) => {
           uploadedById: userId,
           tenantId,
           fileUrl: fileKey,
+          fileName: file.originalname,
           fileType: file.mimetype,
           size: BigInt(fileSize),
           duration: metadata.duration,
@@ -260,6 +262,33 @@ const deleteUserFile = async (req, res) => {
       });
     }
 
+    // Files shared in held conversations or owned by held users must be preserved
+    const attachments = await prisma.messageMediaFile.findMany({
+      where: { mediaFileId: fileId },
+      select: { message: { select: { conversationId: true } } }
+    });
+
+    const hold = await legalHoldService.findActiveHold({
+      userIds: [mediaFile.uploadedById],
+      conversationIds: attachments.map(a => a.message.conversationId)
+    });
+
+    if (hold) {
+      await legalHoldService.recordBlockedDeletion({
+        tenantId,
+        userId,
+        hold,
+        targetId: fileId,
+        context: `File deletion blocked: ${mediaFile.fileUrl}`,
+        req
+      });
+
+      return res.status(423).json({
+        success: false,
+        message: 'This file is under legal hold and cannot be deleted'
+      });
+    }
+
     // Delete file from storage
     try {
       await deleteFile(mediaFile.fileUrl);
@@ -268,10 +297,11 @@ const deleteUserFile = async (req, res) => {
       // Continue with database deletion even if file deletion fails
     }
 
-    // Delete file record from database
-    await prisma.mediaFile.delete({
-      where: { id: fileId }
-    });
+    // Delete file record from database, detaching it from any messages first
+    await prisma.$transaction([
+      prisma.messageMediaFile.deleteMany({ where: { mediaFileId: fileId } }),
+      prisma.mediaFile.delete({ where: { id: fileId } })
+    ]);
 
     // Create audit log
     await prisma.auditLog.create({
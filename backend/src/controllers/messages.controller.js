@@ -1,6 +1,71 @@
 const { prisma } = require('../utils/prisma');
 const { Prisma } = require('@prisma/client');
 const { validationResult } = require('express-validator');
+const messageService = require('../services/message.service');
+const scheduledMessageService = require('../services/scheduledMessage.service');
+const legalHoldService = require('../services/legalHold.service');
+const conversationService = require('../services/conversation.service');
+const channelService = require('../services/channel.service');
+const readReceiptService = require('../services/readReceipt.service');
+const conversationCacheService = require('../services/conversationCache.service');
+const attachmentService = require('../services/attachment.service');
+const galleryService = require('../services/gallery.service');
+const threadService = require('../services/thread.service');
+const mentionService = require('../services/mention.service');
+const notificationService = require('../services/notification.service');
+const notificationPreferenceService = require('../services/notificationPreference.service');
+const { PREFERENCE_SELECT, DEFAULTS_SELECT } = require('../services/notificationPreference.service');
+
+/**
+ * Move a user's connected sockets into or out of a conversation room, so
+ * membership changes take effect without the client re-joining
+ * @param {Object} io - Socket.IO server instance
+ * @param {string[]} userIds - Users whose sockets move
+ * @param {string} conversationId - Conversation room
+ * @param {boolean} join - Join when true, leave when false
+ */
+const syncConversationRoom = (io, userIds, conversationId, join) => {
+  if (!io || userIds.length === 0) return;
+
+  const sockets = io.in(userIds.map(id => `user:${id}`));
+  if (join) {
+    sockets.socketsJoin(conversationId);
+  } else {
+    sockets.socketsLeave(conversationId);
+  }
+};
+
+/**
+ * Tell a conversation about new participants, and give the new participants
+ * the conversation in their sidebar and its room on every open tab
+ * @param {Object} io - Socket.IO server instance
+ * @param {string} conversationId - Conversation ID
+ * @param {Object[]} participants - Added participants with their users
+ * @param {Object} [addedBy] - User who added them, who is named in their notification
+ * @returns {Promise<void>}
+ */
+const announceNewParticipants = async (io, conversationId, participants, addedBy) => {
+  if (participants.length === 0) return;
+
+  const addedUserIds = participants.map(p => p.userId);
+  const conversation = await conversationService.getConversationSummary(conversationId);
+
+  if (io) {
+    io.to(conversationId).emit('participants-added', { conversationId, participants });
+    syncConversationRoom(io, addedUserIds, conversationId, true);
+    io.to(addedUserIds.map(id => `user:${id}`)).emit('conversation-added', { conversation });
+  }
+
+  if (addedBy) {
+    await notificationService.notify(io, addedUserIds.map(userId => ({
+      userId,
+      actorId: addedBy.id,
+      type: 'invitation',
+      title: `${addedBy.displayName} added you to ${conversation.name || 'a conversation'}`,
+      conversationId
+    })));
+  }
+};
 
 /**
  * Create a new conversation
@@ -18,7 +83,7 @@ const createConversation = async (req, res) => {
       });
     }
 
-    const { name, isGroup, participantIds, crossTenant } = req.body;
+    const { name, isGroup, participantIds, crossTenant, visibility } = req.body;
     const { userId, tenantId } = req;
 
     // Validate participants exist and are accessible
@@ -90,14 +155,16 @@ const createConversation = async (req, res) => {
         name,
         isGroup,
         crossTenant: crossTenant || false,
+        // Only same-tenant groups can be listed in the channel directory
+        visibility: isGroup && !crossTenant ? visibility || 'private' : 'private',
         tenantId,
         createdById: userId,
         participants: {
           create: [
-            { userId }, // Add creator as participant
+            { userId, role: isGroup ? 'owner' : 'member' }, // Add creator as participant; they own group conversations
             ...participantIds
               .filter(id => id !== userId) // Don't duplicate creator
-              .map(participantId => ({ userId: participantId }))
+              .map(participantId => ({ userId: participantId, role: 'member' }))
           ]
         }
       },
@@ -136,24 +203,14 @@ const createConversation = async (req, res) => {
       }
     });
 
-    // Realtime: notify tenant clients to add conversation and join rooms
+    // Realtime: add the conversation to participants' sidebars and join their sockets to the room
     try {
       const io = req.app.get('io');
+      const participantIds = conversation.participants.map(p => p.userId);
+      syncConversationRoom(io, participantIds, conversation.id, true);
       if (io) {
-        io.to(tenantId).emit('conversation-created', {
-          conversation: {
-            id: conversation.id,
-            name: conversation.name,
-            isGroup: conversation.isGroup,
-            createdAt: conversation.createdAt,
-            participants: conversation.participants.map(p => ({
-              id: p.user.id,
-              email: p.user.email,
-              displayName: p.user.displayName,
-              avatarUrl: p.user.avatarUrl
-            }))
-          }
-        });
+        const summary = await conversationService.getConversationSummary(conversation.id);
+        io.to(participantIds.map(id => `user:${id}`)).emit('conversation-created', { conversation: summary });
       }
     } catch {}
 
@@ -180,20 +237,28 @@ const createConversation = async (req, res) => {
 const getConversations = async (req, res) => {
   try {
     const { userId } = req;
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, archived } = req.query;
 
     const skip = (page - 1) * limit;
 
+    // Last message and unread counts come from columns kept up to date on write
     const conversations = await prisma.conversation.findMany({
       where: {
         participants: {
-          some: { userId }
+          some: { userId, deletedAt: null }
         },
-        deletedAt: null
+        deletedAt: null,
+        // Archived conversations are listed separately
+        archivedAt: archived === 'true' ? { not: null } : null
       },
       include: {
         participants: {
-          include: {
+          where: { deletedAt: null },
+          select: {
+            id: true,
+            userId: true,
+            role: true,
+            joinedAt: true,
             user: {
               select: {
                 id: true,
@@ -205,48 +270,6 @@ const getConversations = async (req, res) => {
               }
             }
           }
-        },
-        messages: {
-          where: {
-            deletedAt: null
-          },
-          take: 1,
-          orderBy: { createdAt: 'desc' },
-          include: {
-            sender: {
-              select: {
-                id: true,
-                displayName: true,
-                avatarUrl: true
-              }
-            },
-            readBy: {
-              where: {
-                userId
-              }
-            }
-          }
-        },
-        _count: {
-          select: {
-            messages: {
-              where: {
-                AND: [
-                  { deletedAt: null },
-                  { senderId: { not: userId } },
-                  {
-                    NOT: {
-                      readBy: {
-                        some: {
-                          userId
-                        }
-                      }
-                    }
-                  }
-                ]
-              }
-            }
-          }
         }
       },
       orderBy: { updatedAt: 'desc' },
@@ -254,46 +277,54 @@ const getConversations = async (req, res) => {
       take: parseInt(limit)
     });
 
-    // Update frequent conversations
-    for (const conversation of conversations) {
-      const existingFrequent = await prisma.frequentConversation.findFirst({
+    // The user's own read state and notification settings; other participants' stay private
+    const [ownRows, notificationDefaults] = await Promise.all([
+      prisma.conversationParticipant.findMany({
         where: {
           userId,
-          conversationId: conversation.id
+          deletedAt: null,
+          conversationId: { in: conversations.map(conv => conv.id) }
+        },
+        select: {
+          conversationId: true,
+          unreadCount: true,
+          lastReadMessageId: true,
+          lastReadAt: true,
+          ...PREFERENCE_SELECT
         }
-      });
-
-      if (existingFrequent) {
-        await prisma.frequentConversation.update({
-          where: { id: existingFrequent.id },
-          data: {
-            accessCount: { increment: 1 },
-            lastAccessed: new Date()
-          }
-        });
-      } else {
-        await prisma.frequentConversation.create({
-          data: {
-            userId,
-            conversationId: conversation.id,
-            accessCount: 1
-          }
-        });
-      }
-    }
+      }),
+      prisma.user.findUnique({ where: { id: userId }, select: DEFAULTS_SELECT })
+    ]);
+    const readState = new Map(ownRows.map(row => [row.conversationId, row]));
 
     // Format conversations with unread count and last message
-    const formattedConversations = conversations.map(conv => ({
-      ...conv,
-      unreadCount: conv._count.messages,
-      lastMessage: conv.messages[0] ? {
-        id: conv.messages[0].id,
-        senderId: conv.messages[0].senderId,
-        messageText: conv.messages[0].messageText,
-        createdAt: conv.messages[0].createdAt,
-        read: conv.messages[0].readBy.length > 0
-      } : null
-    }));
+    const formattedConversations = conversations.map(({
+      lastMessageId,
+      lastMessageAt,
+      lastMessageSenderId,
+      lastMessagePreview,
+      ...conv
+    }) => {
+      const own = readState.get(conv.id);
+      const unreadCount = own?.unreadCount || 0;
+
+      return {
+        ...conv,
+        unreadCount,
+        readCursor: {
+          lastReadMessageId: own?.lastReadMessageId || null,
+          lastReadAt: own?.lastReadAt || null
+        },
+        notificationPreferences: notificationPreferenceService.resolve(own, notificationDefaults),
+        lastMessage: lastMessageId ? {
+          id: lastMessageId,
+          senderId: lastMessageSenderId,
+          messageText: lastMessagePreview,
+          createdAt: lastMessageAt,
+          read: lastMessageSenderId === userId || unreadCount === 0
+        } : null
+      };
+    });
 
     res.json({
       success: true,
@@ -317,172 +348,102 @@ const getConversations = async (req, res) => {
 };
 
 /**
- * Get messages from a conversation
- * @route GET /api/messages/conversations/:conversationId/messages
- * @access Private
+ * Rename a conversation or change its description and topic
+ * @route PUT /api/messages/conversations/:conversationId
+ * @access Private (conversation owner or moderator)
  */
-const getMessages = async (req, res) => {
+const updateConversation = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { conversationId } = req.params;
-    const { userId } = req;
-    const { page = 1, limit = 50, threadId } = req.query;
+    const { name, description, topic, visibility } = req.body;
 
-    // Check if user is participant in conversation
-    const participant = await prisma.conversationParticipant.findFirst({
-      where: {
-        conversationId,
-        userId
-      }
+    const conversation = await conversationService.updateConversation({
+      conversationId,
+      userId: req.userId,
+      tenantId: req.tenantId,
+      updates: { name, description, topic, visibility }
     });
 
-    if (!participant) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view this conversation'
-      });
+    const io = req.app.get('io');
+    if (io) {
+      io.to(conversationId).emit('conversation-updated', { conversation });
     }
 
-    const skip = (page - 1) * limit;
+    res.json({
+      success: true,
+      message: 'Conversation updated successfully',
+      data: { conversation }
+    });
 
-    const messages = await prisma.$transaction(async (tx) => {
-      // First find all unread messages
-      const unreadMessages = await tx.message.findMany({
-        where: {
-          conversationId,
-          deletedAt: null,
-          senderId: { not: userId },
-          NOT: {
-            readBy: {
-              some: { userId }
-            }
-          }
-        },
-        select: { id: true }
+  } catch (error) {
+    console.error('Update conversation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while updating conversation'
+    });
+  }
+};
+
+/**
+ * Add participants to a group conversation
+ * @route POST /api/messages/conversations/:conversationId/participants
+ * @access Private (conversation owner or moderator)
+ */
+const addParticipants = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
       });
+    }
 
-      // Mark all unread messages as read
-      if (unreadMessages.length > 0) {
-        await tx.messageRead.createMany({
-          data: unreadMessages.map(msg => ({
-            messageId: msg.id,
-            userId
-          }))
-        });
-      }
+    const { conversationId } = req.params;
 
-      // Then fetch all messages with their data
-      return await tx.message.findMany({
-        where: {
-          conversationId,
-          deletedAt: null,
-          ...(threadId ? {
-            OR: [
-              { id: threadId }, // Include the thread starter
-              { threadId: threadId } // Include all messages in the thread
-            ]
-          } : {
-            threadId: null // Only show root messages when not viewing a thread
-          })
-        },
-        include: {
-          sender: {
-            select: {
-              id: true,
-              email: true,
-              displayName: true,
-              avatarUrl: true
-            }
-          },
-          reactions: {
-            include: {
-              user: {
-                select: {
-                  id: true,
-                  displayName: true
-                }
-              }
-            }
-          },
-          parent: {
-            select: {
-              id: true,
-              messageText: true,
-              sender: {
-                select: {
-                  id: true,
-                  displayName: true
-                }
-              }
-            }
-          },
-          thread: {
-            select: {
-              id: true,
-              messageText: true,
-              sender: {
-                select: {
-                  id: true,
-                  displayName: true
-                }
-              }
-            }
-          },
-          readBy: {
-            where: { userId },
-            select: { readAt: true }
-          },
-          _count: {
-            select: {
-              childMessages: true,
-              threadMessages: true
-            }
-          }
-        },
-        orderBy: { createdAt: 'desc' },
-        skip,
-        take: parseInt(limit)
-      });
+    const participants = await conversationService.addParticipants({
+      conversationId,
+      userId: req.userId,
+      tenantId: req.tenantId,
+      userIds: req.body.userIds
     });
 
-    // Sort messages in ascending order for chat
-    const sortedMessages = messages.toReversed();
+    await announceNewParticipants(req.app.get('io'), conversationId, participants, req.user);
 
-    res.json({
+    res.status(201).json({
       success: true,
-      data: {
-        messages: sortedMessages,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          hasMore: messages.length === parseInt(limit)
-        }
-      }
+      message: 'Participants added successfully',
+      data: { participants }
     });
 
   } catch (error) {
-    console.error('Get messages error:', error);
-    res.status(500).json({
+    console.error('Add participants error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error while fetching messages'
+      message: error.statusCode ? error.message : 'Server error while adding participants'
     });
   }
 };
 
 /**
- * Send a message
- * @route POST /api/messages/conversations/:conversationId/messages
- * @access Private
+ * Remove a participant from a group conversation
+ * @route DELETE /api/messages/conversations/:conversationId/participants/:userId
+ * @access Private (conversation owner or moderator)
  */
-const sendMessage = async (req, res) => {
-  const startTime = Date.now();
-  console.log(`🔍 Send message request started for conversation: ${req.params.conversationId}`);
-  console.log(`📝 Request body:`, req.body);
-  console.log(`👤 User ID: ${req.userId}, Tenant ID: ${req.tenantId}`);
-  
+const removeParticipant = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      console.error('❌ Validation errors:', errors.array());
       return res.status(400).json({
         success: false,
         message: 'Validation failed',
@@ -490,229 +451,1281 @@ const sendMessage = async (req, res) => {
       });
     }
 
-    const { conversationId } = req.params;
-    const { messageText, fileUrl, messageType = 'text', parentId, threadId } = req.body;
-    const { userId, tenantId } = req;
+    const { conversationId, userId: targetUserId } = req.params;
 
-    console.log(`📨 Processing message:`, { conversationId, messageText, messageType, parentId, threadId });
+    await conversationService.removeParticipant({
+      conversationId,
+      userId: req.userId,
+      tenantId: req.tenantId,
+      targetUserId
+    });
 
-    // If this is a reply, verify the parent message exists and is accessible
-    if (parentId) {
-      const parentMessage = await prisma.message.findFirst({
-        where: {
-          id: parentId,
-          conversationId,
-          deletedAt: null
-        }
+    const io = req.app.get('io');
+    if (io) {
+      io.to(conversationId).emit('participant-removed', {
+        conversationId,
+        userId: targetUserId,
+        reason: 'removed'
       });
-
-      if (!parentMessage) {
-        console.error(`❌ Parent message not found: ${parentId}`);
-        return res.status(404).json({
-          success: false,
-          message: 'Parent message not found'
-        });
-      }
+      syncConversationRoom(io, [targetUserId], conversationId, false);
+      io.to(`user:${targetUserId}`).emit('conversation-removed', { conversationId, reason: 'removed' });
     }
 
-    // If this is a thread message, verify the thread exists
-    if (threadId) {
-      const threadMessage = await prisma.message.findFirst({
-        where: {
-          id: threadId,
-          conversationId,
-          deletedAt: null
-        }
-      });
+    res.json({
+      success: true,
+      message: 'Participant removed successfully'
+    });
 
-      if (!threadMessage) {
-        console.error(`❌ Thread message not found: ${threadId}`);
-        return res.status(404).json({
-          success: false,
-          message: 'Thread not found'
-        });
-      }
+  } catch (error) {
+    console.error('Remove participant error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while removing participant'
+    });
+  }
+};
+
+/**
+ * Change a participant's role in a group conversation
+ * @route PUT /api/messages/conversations/:conversationId/participants/:userId/role
+ * @access Private (conversation owner)
+ */
+const updateParticipantRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    // Check if user is participant in conversation
-    console.log(`🔍 Checking if user ${userId} is participant in conversation ${conversationId}`);
-    const participant = await prisma.conversationParticipant.findFirst({
-      where: {
-        conversationId,
-        userId
-      }
+    const { conversationId, userId: targetUserId } = req.params;
+
+    const participant = await conversationService.setParticipantRole({
+      conversationId,
+      userId: req.userId,
+      tenantId: req.tenantId,
+      targetUserId,
+      role: req.body.role
     });
 
-    if (!participant) {
-      console.error(`❌ User ${userId} is not a participant in conversation ${conversationId}`);
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to send messages to this conversation'
+    const io = req.app.get('io');
+    if (io) {
+      io.to(conversationId).emit('participant-role-updated', {
+        conversationId,
+        userId: targetUserId,
+        role: participant.role
       });
     }
 
-    console.log(`✅ Authorization check completed in ${Date.now() - startTime}ms`);
+    res.json({
+      success: true,
+      message: 'Participant role updated successfully',
+      data: { participant }
+    });
 
-    // Create message with threading support - add timeout to prevent hanging
-    const messagePromise = prisma.$transaction(async (tx) => {
-      console.log(`🔄 Starting database transaction for message creation`);
-      
-      // First create the message without the vector
-      const newMessage = await tx.message.create({
-        data: {
-          conversationId,
-          senderId: userId,
-          messageText,
-          fileUrl,
-          messageType,
-          parentId,
-          threadId,
-          readBy: {
-            create: {
-              userId // Mark as read by sender
-            }
-          }
-        },
-        include: {
-          sender: {
-            select: {
-              id: true,
-              email: true,
-              displayName: true,
-              avatarUrl: true
-            }
-          },
-          conversation: {
-            include: {
-              participants: true
-            }
-          },
-          readBy: true
+  } catch (error) {
+    console.error('Update participant role error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while updating participant role'
+    });
+  }
+};
+
+/**
+ * Leave a group conversation
+ * @route POST /api/messages/conversations/:conversationId/leave
+ * @access Private
+ */
+const leaveConversation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversationId } = req.params;
+    const { userId } = req;
+
+    await conversationService.leaveConversation({
+      conversationId,
+      userId,
+      tenantId: req.tenantId
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      syncConversationRoom(io, [userId], conversationId, false);
+      io.to(conversationId).emit('participant-removed', { conversationId, userId, reason: 'left' });
+      io.to(`user:${userId}`).emit('conversation-removed', { conversationId, reason: 'left' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Left conversation successfully'
+    });
+
+  } catch (error) {
+    console.error('Leave conversation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while leaving conversation'
+    });
+  }
+};
+
+/**
+ * Archive or restore a conversation
+ * @route POST /api/messages/conversations/:conversationId/archive
+ * @route DELETE /api/messages/conversations/:conversationId/archive
+ * @access Private (conversation owner)
+ */
+const setConversationArchived = (archived) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversationId } = req.params;
+
+    const conversation = await conversationService.setArchived({
+      conversationId,
+      userId: req.userId,
+      tenantId: req.tenantId,
+      archived
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(conversationId).emit('conversation-updated', { conversation });
+    }
+
+    res.json({
+      success: true,
+      message: archived ? 'Conversation archived successfully' : 'Conversation restored successfully',
+      data: { conversation }
+    });
+
+  } catch (error) {
+    console.error(`${archived ? 'Archive' : 'Unarchive'} conversation error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : `Server error while ${archived ? 'archiving' : 'restoring'} conversation`
+    });
+  }
+};
+
+const archiveConversation = setConversationArchived(true);
+const unarchiveConversation = setConversationArchived(false);
+
+/**
+ * Set the user's notification level or mute for a conversation
+ * @route PUT /api/messages/conversations/:conversationId/notifications
+ * @access Private (participants)
+ */
+const updateConversationNotifications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversationId } = req.params;
+    const { level, mutedUntil } = req.body;
+
+    const notificationPreferences = await notificationPreferenceService.updateForConversation({
+      conversationId,
+      userId: req.userId,
+      level,
+      mutedUntil
+    });
+
+    // Keep the user's other tabs and devices in step
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user:${req.userId}`).emit('conversation-notifications-updated', { conversationId, notificationPreferences });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: { conversationId, notificationPreferences }
+    });
+
+  } catch (error) {
+    console.error('Update conversation notifications error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while updating notification preferences'
+    });
+  }
+};
+
+/**
+ * Delete a group conversation for everyone
+ * @route DELETE /api/messages/conversations/:conversationId
+ * @access Private (conversation owner)
+ */
+const deleteConversation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversationId } = req.params;
+
+    const participantIds = await conversationService.deleteConversation({
+      conversationId,
+      userId: req.userId,
+      tenantId: req.tenantId,
+      req
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(conversationId).to(participantIds.map(id => `user:${id}`)).emit('conversation-removed', {
+        conversationId,
+        reason: 'deleted'
+      });
+      io.in(conversationId).socketsLeave(conversationId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while deleting conversation'
+    });
+  }
+};
+
+/**
+ * Browse and search the tenant's channel directory
+ * @route GET /api/messages/channels
+ * @access Private
+ */
+const getChannelDirectory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, visibility, page = 1, limit = 20 } = req.query;
+
+    const directory = await channelService.listDirectory({
+      tenantId: req.tenantId,
+      userId: req.userId,
+      search: q,
+      visibility,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: directory
+    });
+
+  } catch (error) {
+    console.error('Get channel directory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching channels'
+    });
+  }
+};
+
+/**
+ * Join a public or announcement channel
+ * @route POST /api/messages/conversations/:conversationId/join
+ * @access Private
+ */
+const joinChannel = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversationId } = req.params;
+
+    const participant = await channelService.joinChannel({
+      conversationId,
+      userId: req.userId,
+      tenantId: req.tenantId
+    });
+
+    await announceNewParticipants(req.app.get('io'), conversationId, [participant]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Joined channel successfully',
+      data: { participant }
+    });
+
+  } catch (error) {
+    console.error('Join channel error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while joining channel'
+    });
+  }
+};
+
+/**
+ * Ask to join a private channel
+ * @route POST /api/messages/conversations/:conversationId/join-requests
+ * @access Private
+ */
+const requestToJoinChannel = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversationId } = req.params;
+
+    const joinRequest = await channelService.requestToJoin({
+      conversationId,
+      userId: req.userId,
+      tenantId: req.tenantId,
+      message: req.body.message
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      const reviewerIds = await channelService.getReviewerIds(conversationId);
+      if (reviewerIds.length) {
+        io.to(reviewerIds.map(id => `user:${id}`)).emit('join-request-created', { conversationId, joinRequest });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Join request sent successfully',
+      data: { joinRequest }
+    });
+
+  } catch (error) {
+    console.error('Request to join channel error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while requesting to join channel'
+    });
+  }
+};
+
+/**
+ * List a channel's join requests
+ * @route GET /api/messages/conversations/:conversationId/join-requests
+ * @access Private (conversation owner or moderator)
+ */
+const getJoinRequests = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const joinRequests = await channelService.listJoinRequests({
+      conversationId: req.params.conversationId,
+      userId: req.userId,
+      tenantId: req.tenantId,
+      status: req.query.status
+    });
+
+    res.json({
+      success: true,
+      data: { joinRequests }
+    });
+
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching join requests'
+    });
+  }
+};
+
+/**
+ * Approve or deny a join request
+ * @route POST /api/messages/conversations/:conversationId/join-requests/:requestId/approve
+ * @route POST /api/messages/conversations/:conversationId/join-requests/:requestId/deny
+ * @access Private (conversation owner or moderator)
+ */
+const reviewJoinRequest = (approved) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversationId, requestId } = req.params;
+
+    const { request: joinRequest, participant } = await channelService.reviewJoinRequest({
+      conversationId,
+      requestId,
+      userId: req.userId,
+      tenantId: req.tenantId,
+      approved
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user:${joinRequest.userId}`).emit('join-request-reviewed', { conversationId, joinRequest });
+    }
+    if (participant) {
+      await announceNewParticipants(io, conversationId, [participant]);
+    }
+
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: { name: true }
+    });
+    await notificationService.notify(io, [{
+      userId: joinRequest.userId,
+      actorId: req.userId,
+      type: 'invitation',
+      title: `Your request to join ${conversation?.name || 'a channel'} was ${approved ? 'approved' : 'denied'}`,
+      conversationId,
+      targetId: joinRequest.id
+    }]);
+
+    res.json({
+      success: true,
+      message: approved ? 'Join request approved' : 'Join request denied',
+      data: { joinRequest, participant }
+    });
+
+  } catch (error) {
+    console.error(`${approved ? 'Approve' : 'Deny'} join request error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while reviewing join request'
+    });
+  }
+};
+
+const approveJoinRequest = reviewJoinRequest(true);
+const denyJoinRequest = reviewJoinRequest(false);
+
+/**
+ * Get a conversation's pinned messages
+ * @route GET /api/messages/conversations/:conversationId/pins
+ * @access Private
+ */
+const getPinnedMessages = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const messages = await conversationService.getPinnedMessages(
+      req.params.conversationId,
+      req.userId,
+      req.tenantId
+    );
+
+    res.json({
+      success: true,
+      data: { messages }
+    });
+
+  } catch (error) {
+    console.error('Get pinned messages error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching pinned messages'
+    });
+  }
+};
+
+/**
+ * Get messages from a conversation: the latest by default, or a page before
+ * or after a message, or the context around a message or the first unread one
+ * @route GET /api/messages/conversations/:conversationId/messages
+ * @access Private
+ */
+const getMessages = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversationId } = req.params;
+    const { userId } = req;
+    const { limit = 50, threadId, before, after, around, anchor } = req.query;
+
+    // Check if user is participant in conversation
+    const participant = await prisma.conversationParticipant.findFirst({
+      where: {
+        conversationId,
+        userId,
+        deletedAt: null
+      }
+    });
+
+    if (!participant) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this conversation'
+      });
+    }
+
+    // Opening a conversation counts towards the user's frequent conversations
+    if (!before && !after && !threadId) {
+      prisma.frequentConversation.upsert({
+        where: { userId_conversationId: { userId, conversationId } },
+        update: { accessCount: { increment: 1 }, lastAccessed: new Date() },
+        create: { userId, conversationId, accessCount: 1 }
+      }).catch(error => {
+        console.error('Failed to update frequent conversation:', error);
+      });
+    }
+
+    // Fetching leaves the read cursor alone; clients mark messages read explicitly
+    const history = await messageService.getHistory({
+      participant,
+      threadId,
+      before,
+      after,
+      around,
+      firstUnread: anchor === 'first-unread',
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...history,
+        readCursor: {
+          lastReadMessageId: participant.lastReadMessageId,
+          lastReadAt: participant.lastReadAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching messages'
+    });
+  }
+};
+
+/**
+ * Mark a conversation read up to a message, or up to its latest message
+ * @route POST /api/messages/conversations/:conversationId/read
+ * @access Private
+ */
+const markConversationRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cursor = await readReceiptService.markRead({
+      conversationId: req.params.conversationId,
+      userId: req.userId,
+      messageId: req.body.messageId
+    });
+
+    readReceiptService.broadcast(req.app.get('io'), cursor);
+
+    res.json({
+      success: true,
+      data: { cursor }
+    });
+
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while marking messages read'
+    });
+  }
+};
+
+/**
+ * Mark a message and everything after it unread
+ * @route POST /api/messages/conversations/:conversationId/unread
+ * @access Private
+ */
+const markConversationUnread = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cursor = await readReceiptService.markUnread({
+      conversationId: req.params.conversationId,
+      userId: req.userId,
+      messageId: req.body.messageId
+    });
+
+    readReceiptService.broadcast(req.app.get('io'), cursor, true);
+
+    res.json({
+      success: true,
+      data: { cursor }
+    });
+
+  } catch (error) {
+    console.error('Mark conversation unread error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while marking messages unread'
+    });
+  }
+};
+
+/**
+ * List who has seen a message
+ * @route GET /api/messages/:messageId/seen-by
+ * @access Private
+ */
+const getMessageSeenBy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const seenBy = await readReceiptService.getSeenBy(req.params.messageId, req.userId);
+
+    res.json({
+      success: true,
+      data: seenBy
+    });
+
+  } catch (error) {
+    console.error('Get message seen by error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching read receipts'
+    });
+  }
+};
+
+/**
+ * List files shared in a conversation
+ * @route GET /api/messages/conversations/:conversationId/files
+ * @access Private
+ */
+const getConversationFiles = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { fileType, senderId, from, to, page = 1, limit = 20 } = req.query;
+
+    const gallery = await galleryService.listFiles({
+      conversationId: req.params.conversationId,
+      userId: req.userId,
+      fileType,
+      senderId,
+      from: from && new Date(from),
+      to: to && new Date(to),
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: gallery
+    });
+
+  } catch (error) {
+    console.error('Get conversation files error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching files'
+    });
+  }
+};
+
+/**
+ * List links shared in a conversation
+ * @route GET /api/messages/conversations/:conversationId/links
+ * @access Private
+ */
+const getConversationLinks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { domain, senderId, from, to, page = 1, limit = 20 } = req.query;
+
+    const gallery = await galleryService.listLinks({
+      conversationId: req.params.conversationId,
+      userId: req.userId,
+      domain,
+      senderId,
+      from: from && new Date(from),
+      to: to && new Date(to),
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: gallery
+    });
+
+  } catch (error) {
+    console.error('Get conversation links error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching links'
+    });
+  }
+};
+
+/**
+ * Send a message, optionally with files uploaded through /api/files/upload
+ * attached by their IDs
+ * @route POST /api/messages/conversations/:conversationId/messages
+ * @access Private
+ */
+const sendMessage = async (req, res) => {
+  const startTime = Date.now();
+  console.log(`🔍 Send message request started for conversation: ${req.params.conversationId}`);
+  console.log(`📝 Request body:`, req.body);
+  console.log(`👤 User ID: ${req.userId}, Tenant ID: ${req.tenantId}`);
+  
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      console.error('❌ Validation errors:', errors.array());
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversationId } = req.params;
+    const { messageText, attachmentIds = [], parentId, threadId, sendAt } = req.body;
+    const { messageType = attachmentIds.length ? 'file' : 'text' } = req.body;
+    const { userId, tenantId } = req;
+
+    if (!messageText && attachmentIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A message needs text or at least one attachment'
+      });
+    }
+
+    // ScheduledMessage has nowhere to keep attachments until delivery
+    if (sendAt && attachmentIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Messages with attachments cannot be scheduled'
+      });
+    }
+
+    console.log(`📨 Processing message:`, { conversationId, messageText, messageType, parentId, threadId });
+
+    // If this is a reply, verify the parent message exists and is accessible
+    if (parentId) {
+      const parentMessage = await prisma.message.findFirst({
+        where: {
+          id: parentId,
+          conversationId,
+          deletedAt: null
+        }
+      });
+
+      if (!parentMessage) {
+        console.error(`❌ Parent message not found: ${parentId}`);
+        return res.status(404).json({
+          success: false,
+          message: 'Parent message not found'
+        });
+      }
+    }
+
+    // If this is a thread message, verify the thread exists; replies cannot start threads of their own
+    if (threadId) {
+      const threadMessage = await prisma.message.findFirst({
+        where: {
+          id: threadId,
+          conversationId,
+          threadId: null,
+          deletedAt: null
+        }
+      });
+
+      if (!threadMessage) {
+        console.error(`❌ Thread message not found: ${threadId}`);
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found'
+        });
+      }
+    }
+
+    // Check if user is participant in conversation
+    console.log(`🔍 Checking if user ${userId} is participant in conversation ${conversationId}`);
+    const participant = await prisma.conversationParticipant.findFirst({
+      where: {
+        conversationId,
+        userId,
+        deletedAt: null
+      },
+      include: {
+        conversation: {
+          select: { archivedAt: true, visibility: true }
+        }
+      }
+    });
+
+    if (!participant) {
+      console.error(`❌ User ${userId} is not a participant in conversation ${conversationId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to send messages to this conversation'
+      });
+    }
+
+    if (participant.conversation.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'This conversation is archived'
+      });
+    }
+
+    if (participant.conversation.visibility === 'announcement') {
+      const access = await conversationService.getAccess(conversationId, userId, tenantId);
+      if (!conversationService.canPost(access)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners and moderators can post in this announcement channel'
+        });
+      }
+    }
+
+    // Attached files must be uploads from the sender's own organization
+    const resolvedAttachmentIds = await attachmentService.resolveForMessage({
+      mediaFileIds: attachmentIds,
+      tenantId
+    });
+
+    // Resolved now as well as at delivery, so a restricted @channel is refused before scheduling
+    const mentions = await mentionService.resolveForMessage({
+      conversationId,
+      senderId: userId,
+      tenantId,
+      messageText
+    });
+
+    console.log(`✅ Authorization check completed in ${Date.now() - startTime}ms`);
+
+    // Defer delivery when the message is scheduled for later
+    if (sendAt) {
+      const scheduledMessage = await scheduledMessageService.scheduleMessage({
+        tenantId,
+        conversationId,
+        senderId: userId,
+        messageText,
+        messageType,
+        parentId,
+        threadId,
+        sendAt
+      });
+
+      console.log(`⏰ Message scheduled for ${scheduledMessage.sendAt.toISOString()}`);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Message scheduled successfully',
+        data: { scheduledMessage }
+      });
+    }
+
+    // Create message with threading support - add timeout to prevent hanging
+    const messagePromise = messageService.createMessage({
+      conversationId,
+      senderId: userId,
+      messageText,
+      attachmentIds: resolvedAttachmentIds,
+      messageType,
+      parentId,
+      threadId,
+      mentions
+    });
+
+    // Add timeout to prevent hanging
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Message creation timeout')), 15000); // 15 second timeout
+    });
+
+    const message = await Promise.race([messagePromise, timeoutPromise]);
+    console.log(`✅ Message created in ${Date.now() - startTime}ms`);
+
+    // Update conversation, write audit log and emit real-time events
+    await messageService.deliverMessage(req.app.get('io'), message, tenantId);
+    console.log(`✅ Message delivered in ${Date.now() - startTime}ms`);
+
+    const totalTime = Date.now() - startTime;
+    console.log(`✅ Message sent successfully in ${totalTime}ms`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: { message }
+    });
+
+  } catch (error) {
+    const totalTime = Date.now() - startTime;
+    console.error(`❌ Send message error after ${totalTime}ms:`, error);
+    
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // If it's a timeout, try to send a basic response
+    if (error.message === 'Message creation timeout') {
+      return res.status(408).json({
+        success: false,
+        message: 'Message creation timed out. Please try again.',
+        error: 'TIMEOUT'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending message',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Edit a message; the text it replaces is kept in the message's edit history
+ * @route PUT /api/messages/:messageId
+ * @access Private
+ */
+const editMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { messageId } = req.params;
+    const { messageText } = req.body;
+    const { userId, tenantId } = req;
+
+    // The replaced text is kept as a revision
+    const { message, revisionCount, changed, newMentions } = await messageService.editMessage({
+      messageId,
+      userId,
+      messageText,
+      tenantId
+    });
+
+    // Emit real-time message update
+    const io = req.app.get('io');
+    if (io && changed) {
+      io.to(message.conversationId).emit('message-updated', {
+        message: {
+          id: message.id,
+          messageText: message.messageText,
+          edited: message.edited,
+          editedAt: message.editedAt,
+          revisionCount
         }
       });
+    }
+
+    // Only users the earlier text did not mention hear about the edit
+    await mentionService.notify(io, messageService.toSocketPayload(message), newMentions);
+
+    res.json({
+      success: true,
+      message: 'Message updated successfully',
+      data: { message: { ...message, revisionCount } }
+    });
+
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while editing message'
+    });
+  }
+};
+
+/**
+ * Get a message's edit history
+ * @route GET /api/messages/:messageId/revisions
+ * @access Private (sender, or audit.read)
+ */
+const getMessageRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const history = await messageService.getRevisions({
+      messageId: req.params.messageId,
+      userId: req.userId,
+      tenantId: req.tenantId
+    });
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Get message revisions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching message history'
+    });
+  }
+};
+
+/**
+ * Delete a message
+ * @route DELETE /api/messages/:messageId
+ * @access Private
+ */
+const deleteMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { userId, tenantId } = req;
+
+    const existingMessage = await prisma.message.findFirst({
+      where: {
+        id: messageId,
+        deletedAt: null
+      },
+      include: {
+        sender: {
+          select: {
+            email: true
+          }
+        }
+      }
+    });
+
+    if (!existingMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found or not authorized to delete'
+      });
+    }
 
-      console.log(`✅ Message created with ID: ${newMessage.id}`);
-
-      // Then update the message with the vector if there's text
-      if (messageText) {
-        try {
-          await tx.$executeRaw`
-            UPDATE "Message"
-            SET "messageVector" = to_tsvector('english', ${messageText}::text)
-            WHERE id = ${newMessage.id}
-          `;
-          console.log(`✅ Message vector updated successfully`);
-        } catch (vectorError) {
-          console.error('⚠️ Vector update failed, continuing without vector:', vectorError);
-          // Don't fail the entire transaction if vector update fails
-        }
-      }
-
-      return newMessage;
-    });
+    // Senders delete their own messages; anyone else needs a moderating role or message.delete
+    const deletion = await conversationService.authorizeMessageDeletion(existingMessage, userId, tenantId);
 
-    // Add timeout to prevent hanging
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Message creation timeout')), 15000); // 15 second timeout
+    // Messages covered by a legal hold must be preserved
+    const hold = await legalHoldService.findActiveHold({
+      userIds: [existingMessage.senderId],
+      conversationIds: [existingMessage.conversationId]
     });
 
-    const message = await Promise.race([messagePromise, timeoutPromise]);
-    console.log(`✅ Message created in ${Date.now() - startTime}ms`);
+    if (hold) {
+      await legalHoldService.recordBlockedDeletion({
+        tenantId: req.tenantId,
+        userId,
+        hold,
+        targetId: messageId,
+        context: `Message deletion blocked in conversation ${existingMessage.conversationId}`,
+        req
+      });
 
-    // Update conversation's updatedAt
-    try {
-      await prisma.conversation.update({
-        where: { id: conversationId },
-        data: { updatedAt: new Date() }
+      return res.status(423).json({
+        success: false,
+        message: 'This message is under legal hold and cannot be deleted'
       });
-      console.log(`✅ Conversation updated in ${Date.now() - startTime}ms`);
-    } catch (updateError) {
-      console.error('⚠️ Failed to update conversation timestamp:', updateError);
-      // Don't fail the entire operation
     }
 
-    // Create audit log
-    try {
-      await prisma.auditLog.create({
-        data: {
-          tenantId,
-          userId,
-          action: 'MESSAGE_SENT',
-          targetId: message.id,
-          context: `Message sent in conversation ${conversationId}`
-        }
+    // Soft delete message, and take it out of unread counters, the last-message cache and its thread's reply count
+    await prisma.$transaction(async (tx) => {
+      await tx.message.update({
+        where: { id: messageId },
+        data: { deletedAt: new Date() }
       });
-      console.log(`✅ Audit log created in ${Date.now() - startTime}ms`);
-    } catch (auditError) {
-      console.error('⚠️ Failed to create audit log:', auditError);
-      // Don't fail the entire operation
+      await conversationCacheService.recordDeletedMessage(tx, existingMessage);
+      await threadService.recordDeletedReply(tx, existingMessage);
+    });
+
+    if (deletion.moderated) {
+      await conversationService.audit(deletion.access, userId, 'MESSAGE_DELETED', messageId,
+        `Deleted a message by ${existingMessage.sender.email} in "${deletion.access.conversation.name}"`,
+        deletion.viaOverride);
     }
 
-    // Emit real-time message to all participants
+    // Emit real-time message deletion
     const io = req.app.get('io');
     if (io) {
-      console.log(`📡 Emitting new-message event to conversation ${conversationId}`);
-      io.to(conversationId).emit('new-message', {
-        message: {
-          id: message.id,
-          conversationId: message.conversationId,
-          senderId: message.senderId,
-          messageText: message.messageText,
-          fileUrl: message.fileUrl,
-          messageType: message.messageType,
-          createdAt: message.createdAt,
-          sender: message.sender
-        }
-      });
-      
-      // Emit user activity event to update sender's status to online
-      io.to(conversationId).emit('user-activity', {
-        userId: userId,
-        conversationId: conversationId,
-        activityType: 'message_sent',
-        timestamp: new Date()
+      io.to(existingMessage.conversationId).emit('message-deleted', {
+        messageId
       });
-      console.log(`✅ Socket events emitted successfully`);
-    } else {
-      console.warn('⚠️ Socket.IO not available, real-time updates disabled');
     }
 
-    const totalTime = Date.now() - startTime;
-    console.log(`✅ Message sent successfully in ${totalTime}ms`);
-    
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Message sent successfully',
-      data: { message }
+      message: 'Message deleted successfully'
     });
 
   } catch (error) {
-    const totalTime = Date.now() - startTime;
-    console.error(`❌ Send message error after ${totalTime}ms:`, error);
-    
-    // If it's a timeout, try to send a basic response
-    if (error.message === 'Message creation timeout') {
-      return res.status(408).json({
+    console.error('Delete message error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while deleting message'
+    });
+  }
+};
+
+/**
+ * List threads the user follows, with unread reply counts
+ * @route GET /api/messages/threads
+ * @access Private
+ */
+const getThreads = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Message creation timed out. Please try again.',
-        error: 'TIMEOUT'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
-    
+
+    const { conversationId, page = 1, limit = 20 } = req.query;
+
+    const threads = await threadService.listFollowed({
+      userId: req.userId,
+      conversationId,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: threads
+    });
+
+  } catch (error) {
+    console.error('Get threads error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while sending message',
-      error: error.message
+      message: 'Server error while fetching threads'
     });
   }
 };
 
 /**
- * Edit a message
- * @route PUT /api/messages/:messageId
+ * Follow or unfollow a thread
+ * @route POST /api/messages/threads/:threadId/follow
+ * @route DELETE /api/messages/threads/:threadId/follow
  * @access Private
  */
-const editMessage = async (req, res) => {
+const setThreadFollowed = (following) => async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -723,128 +1736,156 @@ const editMessage = async (req, res) => {
       });
     }
 
-    const { messageId } = req.params;
-    const { messageText } = req.body;
-    const { userId } = req;
+    const params = { threadId: req.params.threadId, userId: req.userId };
+    const thread = following ? await threadService.follow(params) : await threadService.unfollow(params);
 
-    // Check if message exists and user is the sender
-    const existingMessage = await prisma.message.findFirst({
-      where: {
-        id: messageId,
-        senderId: userId,
-        deletedAt: null
-      }
+    // Keep the user's other tabs and devices in step
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user:${req.userId}`).emit('thread-state-updated', thread);
+    }
+
+    res.json({
+      success: true,
+      message: following ? 'Following thread' : 'Unfollowed thread',
+      data: { thread }
     });
 
-    if (!existingMessage) {
-      return res.status(404).json({
+  } catch (error) {
+    console.error(`${following ? 'Follow' : 'Unfollow'} thread error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : `Server error while ${following ? 'following' : 'unfollowing'} thread`
+    });
+  }
+};
+
+const followThread = setThreadFollowed(true);
+const unfollowThread = setThreadFollowed(false);
+
+/**
+ * Mark a followed thread read
+ * @route POST /api/messages/threads/:threadId/read
+ * @access Private
+ */
+const markThreadRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Message not found or not authorized to edit'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Update message
-    const message = await prisma.message.update({
-      where: { id: messageId },
-      data: {
-        messageText,
-        edited: true,
-        editedAt: new Date()
-      },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            email: true,
-            displayName: true,
-            avatarUrl: true
-          }
-        }
-      }
-    });
+    const thread = await threadService.markRead({ threadId: req.params.threadId, userId: req.userId });
 
-    // Emit real-time message update
     const io = req.app.get('io');
     if (io) {
-      io.to(existingMessage.conversationId).emit('message-updated', {
-        message: {
-          id: message.id,
-          messageText: message.messageText,
-          edited: message.edited,
-          editedAt: message.editedAt
-        }
-      });
+      io.to(`user:${req.userId}`).emit('thread-state-updated', thread);
     }
 
     res.json({
       success: true,
-      message: 'Message updated successfully',
-      data: { message }
+      data: { thread }
     });
 
   } catch (error) {
-    console.error('Edit message error:', error);
-    res.status(500).json({
+    console.error('Mark thread read error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error while editing message'
+      message: error.statusCode ? error.message : 'Server error while marking thread read'
     });
   }
 };
 
 /**
- * Delete a message
- * @route DELETE /api/messages/:messageId
+ * List messages that mention the user, newest first
+ * @route GET /api/messages/mentions
  * @access Private
  */
-const deleteMessage = async (req, res) => {
+const getMentions = async (req, res) => {
   try {
-    const { messageId } = req.params;
-    const { userId } = req;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    // Check if message exists and user is the sender
-    const existingMessage = await prisma.message.findFirst({
-      where: {
-        id: messageId,
-        senderId: userId,
-        deletedAt: null
-      }
+    const { conversationId, page = 1, limit = 20 } = req.query;
+
+    const mentions = await mentionService.listForUser({
+      userId: req.userId,
+      conversationId,
+      page: parseInt(page),
+      limit: parseInt(limit)
     });
 
-    if (!existingMessage) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      data: mentions
+    });
+
+  } catch (error) {
+    console.error('Get mentions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching mentions'
+    });
+  }
+};
+
+/**
+ * Pin or unpin a message
+ * @route POST /api/messages/:messageId/pin
+ * @route DELETE /api/messages/:messageId/pin
+ * @access Private (conversation owner or moderator)
+ */
+const setMessagePinned = (pinned) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Message not found or not authorized to delete'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Soft delete message
-    await prisma.message.update({
-      where: { id: messageId },
-      data: { deletedAt: new Date() }
+    const message = await conversationService.setPinned({
+      messageId: req.params.messageId,
+      userId: req.userId,
+      tenantId: req.tenantId,
+      pinned
     });
 
-    // Emit real-time message deletion
     const io = req.app.get('io');
     if (io) {
-      io.to(existingMessage.conversationId).emit('message-deleted', {
-        messageId
-      });
+      io.to(message.conversationId).emit(pinned ? 'message-pinned' : 'message-unpinned', { message });
     }
 
     res.json({
       success: true,
-      message: 'Message deleted successfully'
+      message: pinned ? 'Message pinned successfully' : 'Message unpinned successfully',
+      data: { message }
     });
 
   } catch (error) {
-    console.error('Delete message error:', error);
-    res.status(500).json({
+    console.error(`${pinned ? 'Pin' : 'Unpin'} message error:`, error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error while deleting message'
+      message: error.statusCode ? error.message : `Server error while ${pinned ? 'pinning' : 'unpinning'} message`
     });
   }
 };
 
+const pinMessage = setMessagePinned(true);
+const unpinMessage = setMessagePinned(false);
+
 /**
  * Add reaction to message
  * @route POST /api/messages/:messageId/reactions
@@ -870,7 +1911,7 @@ const addReaction = async (req, res) => {
         deletedAt: null,
         conversation: {
           participants: {
-            some: { userId }
+            some: { userId, deletedAt: null }
           }
         }
       }
@@ -941,6 +1982,17 @@ const addReaction = async (req, res) => {
       });
     }
 
+    // The message's author hears about reactions from others
+    await notificationService.notify(io, [{
+      userId: message.senderId,
+      actorId: userId,
+      type: 'reaction',
+      title: `${reaction.user.displayName} reacted ${emoji} to your message`,
+      body: mentionService.plainText(message.messageText),
+      conversationId: message.conversationId,
+      messageId
+    }]);
+
     res.status(201).json({
       success: true,
       message: 'Reaction added successfully',
@@ -971,7 +2023,8 @@ const setTyping = async (req, res) => {
     const participant = await prisma.conversationParticipant.findFirst({
       where: {
         conversationId,
-        userId
+        userId,
+        deletedAt: null
       }
     });
 
@@ -1034,13 +2087,148 @@ const setTyping = async (req, res) => {
   }
 };
 
+/**
+ * Get current user's scheduled messages
+ * @route GET /api/messages/scheduled
+ * @access Private
+ */
+const getScheduledMessages = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversationId, status } = req.query;
+
+    const scheduledMessages = await scheduledMessageService.listScheduledMessages(req.userId, {
+      conversationId,
+      status
+    });
+
+    res.json({
+      success: true,
+      data: { scheduledMessages }
+    });
+
+  } catch (error) {
+    console.error('Get scheduled messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching scheduled messages'
+    });
+  }
+};
+
+/**
+ * Edit a pending scheduled message
+ * @route PUT /api/messages/scheduled/:scheduledMessageId
+ * @access Private
+ */
+const updateScheduledMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { scheduledMessageId } = req.params;
+    const { messageText, sendAt } = req.body;
+
+    const scheduledMessage = await scheduledMessageService.updateScheduledMessage(
+      scheduledMessageId,
+      req.userId,
+      req.tenantId,
+      { messageText, sendAt }
+    );
+
+    res.json({
+      success: true,
+      message: 'Scheduled message updated successfully',
+      data: { scheduledMessage }
+    });
+
+  } catch (error) {
+    console.error('Update scheduled message error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while updating scheduled message'
+    });
+  }
+};
+
+/**
+ * Cancel a pending scheduled message
+ * @route DELETE /api/messages/scheduled/:scheduledMessageId
+ * @access Private
+ */
+const cancelScheduledMessage = async (req, res) => {
+  try {
+    const { scheduledMessageId } = req.params;
+
+    await scheduledMessageService.cancelScheduledMessage(scheduledMessageId, req.userId, req.tenantId);
+
+    res.json({
+      success: true,
+      message: 'Scheduled message cancelled successfully'
+    });
+
+  } catch (error) {
+    console.error('Cancel scheduled message error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while cancelling scheduled message'
+    });
+  }
+};
+
 module.exports = {
   createConversation,
   getConversations,
+  updateConversation,
+  addParticipants,
+  removeParticipant,
+  updateParticipantRole,
+  leaveConversation,
+  archiveConversation,
+  unarchiveConversation,
+  updateConversationNotifications,
+  deleteConversation,
+  getChannelDirectory,
+  joinChannel,
+  requestToJoinChannel,
+  getJoinRequests,
+  approveJoinRequest,
+  denyJoinRequest,
+  getPinnedMessages,
   getMessages,
+  markConversationRead,
+  markConversationUnread,
+  getMessageSeenBy,
+  getConversationFiles,
+  getConversationLinks,
   sendMessage,
   editMessage,
+  getMessageRevisions,
   deleteMessage,
+  getThreads,
+  followThread,
+  unfollowThread,
+  markThreadRead,
+  getMentions,
+  pinMessage,
+  unpinMessage,
   addReaction,
-  setTyping
+  setTyping,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
 };
@@ -0,0 +1,288 @@
+const { validationResult } = require('express-validator');
+const notificationService = require('../services/notification.service');
+const notificationPreferenceService = require('../services/notificationPreference.service');
+const emailDigestService = require('../services/emailDigest.service');
+
+/**
+ * List the user's notifications, newest first
+ * @route GET /api/notifications
+ * @access Private
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { unread, type, page = 1, limit = 20 } = req.query;
+
+    const notifications = await notificationService.list({
+      userId: req.userId,
+      unreadOnly: unread === 'true',
+      type,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: notifications
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notifications'
+    });
+  }
+};
+
+/**
+ * Mark notifications read
+ * @route POST /api/notifications/read
+ * @access Private
+ */
+const markNotificationsRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { notificationIds } = req.body;
+    const result = await notificationService.markRead({ userId: req.userId, notificationIds });
+
+    // Keep the user's other tabs and devices in step
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user:${req.userId}`).emit('notifications-read', {
+        notificationIds,
+        unreadCount: result.unreadCount
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while marking notifications read'
+    });
+  }
+};
+
+/**
+ * Mark all of the user's notifications read
+ * @route POST /api/notifications/read-all
+ * @access Private
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await notificationService.markAllRead(req.userId);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user:${req.userId}`).emit('notifications-read', {
+        all: true,
+        unreadCount: 0
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while marking notifications read'
+    });
+  }
+};
+
+/**
+ * Get the user's default notification level and global mute
+ * @route GET /api/notifications/preferences
+ * @access Private
+ */
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const preferences = await notificationPreferenceService.getDefaults(req.userId);
+
+    res.json({
+      success: true,
+      data: { preferences }
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching notification preferences'
+    });
+  }
+};
+
+/**
+ * Update the user's default notification level and global mute
+ * @route PUT /api/notifications/preferences
+ * @access Private
+ */
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { notificationLevel, notificationsMutedUntil } = req.body;
+    const preferences = await notificationPreferenceService.updateDefaults(req.userId, {
+      notificationLevel,
+      notificationsMutedUntil
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user:${req.userId}`).emit('notification-preferences-updated', { preferences });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: { preferences }
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while updating notification preferences'
+    });
+  }
+};
+
+/**
+ * Get the user's unread digest email settings
+ * @route GET /api/notifications/email-digest
+ * @access Private
+ */
+const getEmailDigestSettings = async (req, res) => {
+  try {
+    const settings = await emailDigestService.getSettings(req.userId);
+
+    res.json({
+      success: true,
+      data: { settings }
+    });
+
+  } catch (error) {
+    console.error('Get email digest settings error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while fetching email digest settings'
+    });
+  }
+};
+
+/**
+ * Update the user's unread digest email settings
+ * @route PUT /api/notifications/email-digest
+ * @access Private
+ */
+const updateEmailDigestSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { frequency, quietHoursStart, quietHoursEnd, timeZone } = req.body;
+    const settings = await emailDigestService.updateSettings(req.userId, {
+      frequency,
+      quietHoursStart,
+      quietHoursEnd,
+      timeZone
+    });
+
+    res.json({
+      success: true,
+      message: 'Email digest settings updated successfully',
+      data: { settings }
+    });
+
+  } catch (error) {
+    console.error('Update email digest settings error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while updating email digest settings'
+    });
+  }
+};
+
+/**
+ * Turn off digest emails from the signed link in a digest
+ * @route POST /api/notifications/email-digest/unsubscribe
+ * @access Public
+ */
+const unsubscribeEmailDigest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = await emailDigestService.unsubscribe(req.body.token);
+
+    res.json({
+      success: true,
+      message: `${email} will no longer receive unread message digests`,
+      data: { email }
+    });
+
+  } catch (error) {
+    console.error('Unsubscribe email digest error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while unsubscribing'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationsRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getEmailDigestSettings,
+  updateEmailDigestSettings,
+  unsubscribeEmailDigest
+};
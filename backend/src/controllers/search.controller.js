@@ -44,7 +44,7 @@ const globalSearch = async (req, res) => {
         deletedAt: null,
         conversation: {
           participants: {
-            some: { userId }
+            some: { userId, deletedAt: null }
           },
           tenantId
         }
@@ -150,10 +150,10 @@ const globalSearch = async (req, res) => {
     if (type === 'all' || type === 'files') {
       const fileWhereClause = {
         tenantId,
-        fileUrl: {
-          contains: searchTerm,
-          mode: 'insensitive'
-        }
+        OR: [
+          { fileName: { contains: searchTerm, mode: 'insensitive' } },
+          { fileUrl: { contains: searchTerm, mode: 'insensitive' } }
+        ]
       };
 
       // Add date filter if provided
@@ -258,7 +258,7 @@ const searchMessages = async (req, res) => {
       deletedAt: null,
       conversation: {
         participants: {
-          some: { userId }
+          some: { userId, deletedAt: null }
         },
         tenantId
       }
@@ -299,11 +299,9 @@ const searchMessages = async (req, res) => {
 
     // Filter messages with files
     if (hasFile === 'true') {
-      whereClause.fileUrl = {
-        not: null
-      };
+      whereClause.mediaFiles = { some: {} };
     } else if (hasFile === 'false') {
-      whereClause.fileUrl = null;
+      whereClause.mediaFiles = { none: {} };
     }
 
     // Add date filter
@@ -500,7 +498,7 @@ const getSearchSuggestions = async (req, res) => {
     const recentConversations = await prisma.conversation.findMany({
       where: {
         participants: {
-          some: { userId }
+          some: { userId, deletedAt: null }
         },
         tenantId,
         name: {
@@ -1,5 +1,10 @@
 const { validationResult } = require('express-validator');
 const { prisma } = require('../utils/prisma');
+const legalHoldService = require('../services/legalHold.service');
+const sessionService = require('../services/session.service');
+const socketRegistry = require('../services/socketRegistry.service');
+const permissionService = require('../services/permission.service');
+const authService = require('../services/auth.service');
 
 /**
  * Get all users
@@ -250,7 +255,13 @@ exports.updateUser = async (req, res) => {
     // Build update object with only provided fields
     const updateData = {};
     if (displayName) updateData.displayName = displayName;
+    const emailChanged = Boolean(email) && email !== existingUser.email;
     if (email) updateData.email = email;
+    // A new address has to be confirmed again before anything is emailed to it
+    if (emailChanged) {
+      updateData.emailVerified = false;
+      updateData.emailVerifiedAt = null;
+    }
     if (avatarUrl) updateData.avatarUrl = avatarUrl;
     if (phoneNumber) updateData.phoneNumber = phoneNumber;
 
@@ -270,10 +281,17 @@ exports.updateUser = async (req, res) => {
         lastSeenAt: true,
         onlineStatus: true,
         phoneNumber: true,
+        emailVerified: true,
         createdAt: true
       }
     });
 
+    if (emailChanged) {
+      // Delivery problems must not fail the update; the user can resend from their profile
+      authService.sendEmailVerification(id, { ipAddress: req.ip })
+        .catch(error => console.error('Failed to send verification email:', error));
+    }
+
     // Create audit log
     await prisma.auditLog.create({
       data: {
@@ -435,6 +453,25 @@ exports.deleteUser = async (req, res) => {
       });
     }
 
+    // Users under legal hold cannot be deleted
+    const hold = await legalHoldService.findActiveHold({ userIds: [id] });
+
+    if (hold) {
+      await legalHoldService.recordBlockedDeletion({
+        tenantId,
+        userId,
+        hold,
+        targetId: id,
+        context: `User deletion blocked: ${existingUser.email}`,
+        req
+      });
+
+      return res.status(423).json({
+        success: false,
+        message: 'This user is under legal hold and cannot be deleted'
+      });
+    }
+
     // Soft delete user
     await prisma.user.update({
       where: { id },
@@ -456,6 +493,13 @@ exports.deleteUser = async (req, res) => {
       }
     });
 
+    await sessionService.revokeUserSessions(id, {
+      reason: 'account_deleted',
+      actorId: req.user.id
+    });
+    socketRegistry.terminateUserSockets(id, { reason: 'account_deleted' });
+    permissionService.invalidateUser(id);
+
     // Emit real-time user deletion
     try {
       const io = req.app.get('io');
@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const config = require('../config/environment');
 const { prisma } = require('../utils/prisma');
 const { createError } = require('../utils/errors');
+const sessionService = require('../services/session.service');
 
 /**
  * Middleware to authenticate requests using JWT
@@ -20,7 +21,8 @@ const auth = async (req, res, next) => {
 
     // Verify token
     console.log('🔐 Verifying token...');
-    const decoded = jwt.verify(token, config.jwt.secret);
+    // Access tokens are bound to a session; revoked or expired sessions lose access immediately
+    const decoded = await sessionService.verifyAccessToken(token);
     console.log('✅ Token verified, decoded:', { userId: decoded.userId, tenantId: decoded.tenantId });
     
     // Get user from database
@@ -48,6 +50,7 @@ const auth = async (req, res, next) => {
     console.log('📝 Setting request properties...');
     req.userId = user.id;
     req.tenantId = user.tenantId;
+    req.sessionId = decoded.sessionId;
     req.user = {
       id: user.id,
       email: user.email,
@@ -3,6 +3,7 @@ const { errorHandler, setupErrorHandling } = require('./error.middleware');
 const { requestLogger, errorLogger } = require('./logging.middleware');
 const { requirePermission, requireRole, requireAdmin } = require('./rbac.middleware');
 const { validateRequest } = require('./validation.middleware');
+const { createRateLimiter, apiRateLimiter, loginRateLimiters, messageRateLimiters } = require('./rateLimit.middleware');
 
 module.exports = {
   // Authentication middleware
@@ -24,4 +25,10 @@ module.exports = {
 
   // Validation middleware
   validateRequest,
+
+  // Rate limiting middleware
+  createRateLimiter,
+  apiRateLimiter,
+  loginRateLimiters,
+  messageRateLimiters,
 };
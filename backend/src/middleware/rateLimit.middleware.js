@@ -0,0 +1,187 @@
+const config = require('../config/environment');
+const { prisma } = require('../utils/prisma');
+const { getStore } = require('../utils/rateLimitStore');
+
+// Bucket keys for the built-in scopes; user and tenant scopes need the auth middleware to run first
+const SCOPE_KEYS = {
+  ip: (req) => req.ip,
+  user: (req) => req.userId,
+  tenant: (req) => req.tenantId
+};
+
+// Route pattern when available so breaches on /conversations/:id/... group together
+const getEndpoint = (req) => {
+  const path = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+  return path.replace(/^\/api/, '') || '/';
+};
+
+/**
+ * Record a limit breach in RateLimitLog
+ * @param {Object} req - Express request
+ * @param {Object} details - Breach details
+ * @returns {Promise<void>}
+ */
+const logBreach = async (req, { maxRequests, count, windowMs, resetAt, resolveTenantId }) => {
+  try {
+    const tenantId = req.tenantId || (resolveTenantId ? await resolveTenantId(req) : null);
+
+    await prisma.rateLimitLog.create({
+      data: {
+        tenantId,
+        userId: req.userId || null,
+        endpoint: getEndpoint(req),
+        method: req.method,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        limit: maxRequests,
+        current: count,
+        ttl: Math.ceil(windowMs / 1000),
+        resetAt: new Date(resetAt)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record rate limit breach:', error);
+  }
+};
+
+/**
+ * Set the RateLimit-* headers, keeping those of the most restrictive limiter
+ * when several apply to the same request
+ * @param {Object} res - Express response
+ * @param {Object} state - Limiter state for this request
+ */
+const setHeaders = (res, { maxRequests, remaining, resetAt, windowMs }) => {
+  const current = res.locals.rateLimit;
+  if (current && current.remaining <= remaining) {
+    return;
+  }
+
+  res.locals.rateLimit = { remaining };
+  res.set('RateLimit-Limit', String(maxRequests));
+  res.set('RateLimit-Remaining', String(remaining));
+  res.set('RateLimit-Reset', String(Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0)));
+  res.set('RateLimit-Policy', `${maxRequests};w=${Math.ceil(windowMs / 1000)}`);
+};
+
+/**
+ * Create a fixed-window rate limiting middleware
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Limiter name, keeps counters of different limiters apart
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.maxRequests - Requests allowed per key within a window
+ * @param {string} [options.scope] - Bucket per 'ip', 'user' or 'tenant'; defaults to 'ip'
+ * @param {Function} [options.keyGenerator] - Derives the bucket key from the request; overrides scope
+ * @param {Function} [options.resolveTenantId] - Finds the tenant for breach logs on unauthenticated routes
+ * @param {string} [options.message] - Message returned when the limit is exceeded
+ * @returns {Function} Express middleware function
+ */
+const createRateLimiter = ({
+  name,
+  windowMs,
+  maxRequests,
+  scope = 'ip',
+  keyGenerator = SCOPE_KEYS[scope],
+  resolveTenantId,
+  message
+}) => {
+  return async (req, res, next) => {
+    if (!config.rateLimit.enabled) {
+      return next();
+    }
+
+    const clientKey = keyGenerator(req);
+    if (!clientKey) {
+      return next();
+    }
+
+    let hit;
+    try {
+      hit = await getStore().increment(`${name}:${String(clientKey).toLowerCase()}`, windowMs);
+    } catch (error) {
+      // Never turn a store failure into an outage
+      console.error(`Rate limiter ${name} error:`, error);
+      return next();
+    }
+
+    const { count, resetAt } = hit;
+    setHeaders(res, { maxRequests, remaining: Math.max(maxRequests - count, 0), resetAt, windowMs });
+
+    if (count > maxRequests) {
+      // One log entry per key and window; later rejections in the same window are not recorded
+      if (count === maxRequests + 1) {
+        logBreach(req, { maxRequests, count, windowMs, resetAt, resolveTenantId });
+      }
+
+      res.set('Retry-After', String(Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1)));
+      return res.status(429).json({
+        success: false,
+        message: message || config.rateLimit.message,
+        resetAt: new Date(resetAt)
+      });
+    }
+
+    next();
+  };
+};
+
+// Tenant of the account being signed into, so login breaches show up in that tenant's logs
+const resolveTenantFromEmail = async (req) => {
+  if (!req.body?.email) return null;
+
+  const user = await prisma.user.findUnique({
+    where: { email: String(req.body.email).toLowerCase() },
+    select: { tenantId: true }
+  });
+  return user?.tenantId || null;
+};
+
+// Route policies
+const apiRateLimiter = createRateLimiter({
+  name: 'api-ip',
+  windowMs: config.rateLimit.windowMs,
+  maxRequests: config.rateLimit.maxRequests,
+  scope: 'ip'
+});
+
+const loginRateLimiters = [
+  createRateLimiter({
+    name: 'login-ip',
+    windowMs: config.rateLimit.auth.windowMs,
+    maxRequests: config.rateLimit.auth.maxRequests,
+    scope: 'ip',
+    resolveTenantId: resolveTenantFromEmail,
+    message: 'Too many login attempts. Please try again later.'
+  }),
+  createRateLimiter({
+    name: 'login-account',
+    windowMs: config.rateLimit.auth.windowMs,
+    maxRequests: config.rateLimit.auth.maxRequests,
+    keyGenerator: (req) => req.body?.email,
+    resolveTenantId: resolveTenantFromEmail,
+    message: 'Too many login attempts. Please try again later.'
+  })
+];
+
+const messageRateLimiters = [
+  createRateLimiter({
+    name: 'messages-user',
+    windowMs: config.rateLimit.messages.windowMs,
+    maxRequests: config.rateLimit.messages.maxPerUser,
+    scope: 'user',
+    message: 'You are sending messages too quickly. Please slow down.'
+  }),
+  createRateLimiter({
+    name: 'messages-tenant',
+    windowMs: config.rateLimit.messages.windowMs,
+    maxRequests: config.rateLimit.messages.maxPerTenant,
+    scope: 'tenant',
+    message: 'Your organization is sending messages too quickly. Please try again shortly.'
+  })
+];
+
+module.exports = {
+  createRateLimiter,
+  apiRateLimiter,
+  loginRateLimiters,
+  messageRateLimiters,
+};
@@ -1,36 +1,6 @@
 const { prisma } = require('../utils/prisma');
 const { createError } = require('../utils/errors');
-
-// Define default permissions for each role
-const DEFAULT_ROLE_PERMISSIONS = {
-  admin: [
-    'user.create', 'user.read', 'user.update', 'user.delete', 'user.invite', 'user.manage_roles',
-    'conversation.create', 'conversation.read', 'conversation.update', 'conversation.delete', 'conversation.manage',
-    'message.create', 'message.read', 'message.update', 'message.delete',
-    'file.upload', 'file.read', 'file.delete',
-    'tenant.read', 'tenant.update', 'tenant.manage_settings',
-    'audit.read'
-  ],
-  moderator: [
-    'user.read', 'user.invite',
-    'conversation.create', 'conversation.read', 'conversation.update', 'conversation.manage',
-    'message.create', 'message.read', 'message.update', 'message.delete',
-    'file.upload', 'file.read', 'file.delete',
-    'tenant.read'
-  ],
-  member: [
-    'user.read',
-    'conversation.create', 'conversation.read', 'conversation.update',
-    'message.create', 'message.read', 'message.update',
-    'file.upload', 'file.read', 'file.delete',
-    'tenant.read'
-  ],
-  guest: [
-    'conversation.read',
-    'message.read',
-    'file.read'
-  ]
-};
+const permissionService = require('../services/permission.service');
 
 /**
  * Check if user has specific permission
@@ -40,16 +10,8 @@ const DEFAULT_ROLE_PERMISSIONS = {
  * @returns {Promise<boolean>} Whether user has permission
  */
 const hasPermission = async (userId, permission, tenantId) => {
-  const user = await prisma.user.findUnique({
-    where: { id: userId },
-    select: { role: true, isActive: true }
-  });
-
-  if (!user?.isActive) {
-    return false;
-  }
-
-  return DEFAULT_ROLE_PERMISSIONS[user.role]?.includes(permission) || false;
+  // Built-in role, custom roles and per-user overrides, cached by the permission service
+  return permissionService.hasPermission(userId, permission);
 };
 
 /**
@@ -166,6 +128,7 @@ const requireAdmin = requireRole('admin');
 const requireAdminOrModerator = requireRole(['admin', 'moderator']);
 
 module.exports = {
+  hasPermission,
   requirePermission,
   requireRole,
   requireAdmin,
@@ -248,40 +248,1222 @@ router.put('/users/:userId/status', auth, requireAdmin, [
     .withMessage('isActive must be a boolean')
 ], adminController.updateUserStatus);
 
+/**
+ * @swagger
+ * /api/admin/users/{userId}/2fa/reset:
+ *   post:
+ *     summary: Reset a user's two-factor authentication
+ *     description: Removes the user's authenticator secret and recovery codes so they can enroll again. The reset is recorded in the audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User does not have two-factor authentication enabled
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/users/:userId/2fa/reset', auth, requireAdmin, [
+  param('userId')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+], adminController.resetUserTwoFactor);
+
+/**
+ * @swagger
+ * /api/admin/permissions:
+ *   get:
+ *     summary: Get the permission catalog
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/permissions', auth, requirePermission('user.manage_roles'), adminController.getPermissions);
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: Get the organization's custom roles
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/roles', auth, requirePermission('user.manage_roles'), adminController.getRoles);
+
+// Changing roles stays admin-only so a custom role cannot be used to grant more than its holder has
+const roleValidators = [
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isString()
+    .withMessage('Permissions must be permission names'),
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean')
+];
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   post:
+ *     summary: Create a custom role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 default: []
+ *               isDefault:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Assign the role to everyone who joins by invitation
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error or unknown permission
+ *       409:
+ *         description: A role with this name already exists
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/roles', auth, requireAdmin, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Role name must be between 1 and 50 characters'),
+  ...roleValidators
+], adminController.createRole);
+
+/**
+ * @swagger
+ * /api/admin/roles/{roleId}:
+ *   put:
+ *     summary: Update a custom role
+ *     description: Permissions, when given, replace the role's current permissions.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error or unknown permission
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: A role with this name already exists
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/roles/:roleId', auth, requireAdmin, [
+  param('roleId')
+    .isUUID()
+    .withMessage('Role ID must be a valid UUID'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Role name must be between 1 and 50 characters'),
+  ...roleValidators
+], adminController.updateRole);
+
+/**
+ * @swagger
+ * /api/admin/roles/{roleId}:
+ *   delete:
+ *     summary: Delete a custom role
+ *     description: The role is removed from every user holding it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       404:
+ *         description: Role not found
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/roles/:roleId', auth, requireAdmin, [
+  param('roleId')
+    .isUUID()
+    .withMessage('Role ID must be a valid UUID')
+], adminController.deleteRole);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/permissions:
+ *   get:
+ *     summary: Get a user's roles, permission overrides and effective permissions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User permissions retrieved successfully
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/users/:userId/permissions', auth, requirePermission('user.manage_roles'), [
+  param('userId')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID')
+], adminController.getUserAccess);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/permissions:
+ *   put:
+ *     summary: Set per-user permission grants and denies
+ *     description: Grants add to the user's roles, denies remove permissions their roles would give.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               grant:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 default: []
+ *               deny:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 default: []
+ *     responses:
+ *       200:
+ *         description: User permissions updated successfully
+ *       400:
+ *         description: Validation error, unknown permission or cannot change own permissions
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/users/:userId/permissions', auth, requireAdmin, [
+  param('userId')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+  body('grant')
+    .optional()
+    .isArray()
+    .withMessage('Grant must be an array'),
+  body('deny')
+    .optional()
+    .isArray()
+    .withMessage('Deny must be an array')
+], adminController.updateUserPermissions);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/roles:
+ *   put:
+ *     summary: Set the custom roles assigned to a user
+ *     description: Replaces the user's current custom roles. The built-in role is changed via /role.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roleIds
+ *             properties:
+ *               roleIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: User roles updated successfully
+ *       400:
+ *         description: Validation error, unknown role or cannot change own roles
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/users/:userId/roles', auth, requireAdmin, [
+  param('userId')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+  body('roleIds')
+    .isArray()
+    .withMessage('Role IDs must be an array'),
+  body('roleIds.*')
+    .isUUID()
+    .withMessage('Role IDs must be valid UUIDs')
+], adminController.updateUserRoles);
+
+/**
+ * @swagger
+ * /api/admin/invitations:
+ *   post:
+ *     summary: Send user invitation
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [admin, moderator, member, guest]
+ *                 default: member
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 default: []
+ *               roleIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 default: []
+ *                 description: Custom roles assigned when the invitation is accepted
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *       400:
+ *         description: User already exists, pending invitation exists or unknown role
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/invitations', auth, requireAdmin, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .isIn(['admin', 'moderator', 'member', 'guest'])
+    .withMessage('Role must be admin, moderator, member, or guest'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('roleIds')
+    .optional()
+    .isArray()
+    .withMessage('Role IDs must be an array'),
+  body('roleIds.*')
+    .isUUID()
+    .withMessage('Role IDs must be valid UUIDs')
+], adminController.sendInvitation);
+
 /**
  * @swagger
  * /api/admin/invitations:
+ *   get:
+ *     summary: Get all invitations
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, expired, revoked]
+ *         description: Filter by invitation status
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/invitations', auth, requireAdminOrModerator, [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'expired', 'revoked'])
+    .withMessage('Status must be pending, accepted, expired, or revoked')
+], adminController.getInvitations);
+
+/**
+ * @swagger
+ * /api/admin/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke invitation
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       404:
+ *         description: Invitation not found or already processed
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/invitations/:invitationId', auth, requireAdmin, [
+  param('invitationId')
+    .isUUID()
+    .withMessage('Invitation ID must be a valid UUID')
+], adminController.revokeInvitation);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: Get audit logs
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Filter by action type
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by user ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter logs after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter logs before this date
+ *     responses:
+ *       200:
+ *         description: Audit logs retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/audit-logs', auth, requireAdmin, [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('action')
+    .optional()
+    .isString()
+    .withMessage('Action must be a string'),
+  query('userId')
+    .optional()
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+], adminController.getAuditLogs);
+
+/**
+ * @swagger
+ * /api/admin/rate-limits:
+ *   get:
+ *     summary: Get rate limit breaches
+ *     description: One entry is recorded per limiter, client and window when a rate limit is exceeded.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: endpoint
+ *         schema:
+ *           type: string
+ *         description: Filter by endpoint, e.g. /auth/login
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by user ID
+ *       - in: query
+ *         name: ipAddress
+ *         schema:
+ *           type: string
+ *         description: Filter by client IP address
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter logs after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter logs before this date
+ *     responses:
+ *       200:
+ *         description: Rate limit logs retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/rate-limits', auth, requireAdmin, [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('userId')
+    .optional()
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+], adminController.getRateLimitLogs);
+
+
+/**
+ * @swagger
+ * /api/admin/security:
+ *   get:
+ *     summary: Get tenant security settings
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Security settings and two-factor enrollment counts
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update tenant security settings
+ *     description: When requireTwoFactor is enabled, users without two-factor authentication must enroll at their next email login.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requireTwoFactor
+ *             properties:
+ *               requireTwoFactor:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Security settings updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/security', auth, requireAdmin, adminController.getSecuritySettings);
+
+router.put('/security', auth, requireAdmin, [
+  body('requireTwoFactor')
+    .isBoolean()
+    .withMessage('requireTwoFactor must be a boolean')
+], adminController.updateSecuritySettings);
+
+/**
+ * @swagger
+ * /api/admin/mentions:
+ *   get:
+ *     summary: Get tenant mention settings
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Mention settings retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update tenant mention settings
+ *     description: In conversations with more members than channelMentionLimit, only owners and moderators can use @here and @channel.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - channelMentionLimit
+ *             properties:
+ *               channelMentionLimit:
+ *                 type: integer
+ *                 minimum: 2
+ *                 nullable: true
+ *                 description: Member count above which @here and @channel are restricted, or null for no restriction
+ *     responses:
+ *       200:
+ *         description: Mention settings updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/mentions', auth, requireAdmin, adminController.getMentionSettings);
+
+router.put('/mentions', auth, requireAdmin, [
+  body('channelMentionLimit')
+    .custom(value => value === null || (Number.isInteger(value) && value >= 2 && value <= 100000))
+    .withMessage('channelMentionLimit must be an integer between 2 and 100000, or null')
+], adminController.updateMentionSettings);
+
+/**
+ * @swagger
+ * /api/admin/retention:
+ *   get:
+ *     summary: Get message retention policy
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Retention policy retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update tenant message retention window
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - messageRetentionDays
+ *             properties:
+ *               messageRetentionDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Retention window in days, or null to use the platform default
+ *     responses:
+ *       200:
+ *         description: Retention policy updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/retention', auth, requireAdmin, adminController.getRetentionPolicy);
+
+router.put('/retention', auth, requireAdmin, [
+  body('messageRetentionDays')
+    .custom(value => value === null || (Number.isInteger(value) && value >= 1 && value <= 36500))
+    .withMessage('messageRetentionDays must be an integer between 1 and 36500, or null')
+], adminController.updateRetentionPolicy);
+
+/**
+ * @swagger
+ * /api/admin/retention/conversations/{conversationId}:
+ *   put:
+ *     summary: Set or clear a conversation retention override
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - messageRetentionDays
+ *             properties:
+ *               messageRetentionDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Retention window in days, or null to inherit the tenant policy
+ *     responses:
+ *       200:
+ *         description: Conversation retention updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Conversation not found
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/retention/conversations/:conversationId', auth, requireAdmin, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  body('messageRetentionDays')
+    .custom(value => value === null || (Number.isInteger(value) && value >= 1 && value <= 36500))
+    .withMessage('messageRetentionDays must be an integer between 1 and 36500, or null')
+], adminController.updateConversationRetention);
+
+/**
+ * @swagger
+ * /api/admin/retention/report:
+ *   get:
+ *     summary: Dry-run report of what the next retention sweep would remove
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Retention report generated successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/retention/report', auth, requireAdmin, adminController.getRetentionReport);
+
+/**
+ * @swagger
+ * /api/admin/retention/sweep:
+ *   post:
+ *     summary: Run a retention sweep for the tenant immediately
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Retention sweep completed
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/retention/sweep', auth, requireAdmin, adminController.runRetentionSweep);
+
+
+/**
+ * @swagger
+ * /api/admin/legal-holds:
+ *   post:
+ *     summary: Place a user or conversation on legal hold
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetType
+ *               - targetId
+ *               - reason
+ *               - custodian
+ *             properties:
+ *               targetType:
+ *                 type: string
+ *                 enum: [user, conversation]
+ *               targetId:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *               custodian:
+ *                 type: string
+ *                 description: Person responsible for the hold
+ *     responses:
+ *       201:
+ *         description: Legal hold created successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User or conversation not found
+ *       409:
+ *         description: An active hold already exists for this target
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: Get legal holds
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, released, all]
+ *           default: active
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [user, conversation]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Legal holds retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/legal-holds', auth, requireAdmin, [
+  body('targetType')
+    .isIn(['user', 'conversation'])
+    .withMessage('Target type must be either user or conversation'),
+  body('targetId')
+    .isUUID()
+    .withMessage('Target ID must be a valid UUID'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Reason must be between 1 and 1000 characters'),
+  body('custodian')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Custodian must be between 1 and 200 characters')
+], adminController.createLegalHold);
+
+router.get('/legal-holds', auth, requireAdmin, [
+  query('status')
+    .optional()
+    .isIn(['active', 'released', 'all'])
+    .withMessage('Status must be one of active, released or all'),
+  query('targetType')
+    .optional()
+    .isIn(['user', 'conversation'])
+    .withMessage('Target type must be either user or conversation'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], adminController.getLegalHolds);
+
+/**
+ * @swagger
+ * /api/admin/legal-holds/{holdId}/release:
  *   post:
- *     summary: Send user invitation
+ *     summary: Release a legal hold
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - email
  *             properties:
- *               email:
+ *               reason:
  *                 type: string
- *                 format: email
- *               role:
+ *                 description: Why the hold is being released
+ *     responses:
+ *       200:
+ *         description: Legal hold released successfully
+ *       404:
+ *         description: Legal hold not found
+ *       409:
+ *         description: Legal hold already released
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/legal-holds/:holdId/release', auth, requireAdmin, [
+  param('holdId')
+    .isUUID()
+    .withMessage('Hold ID must be a valid UUID'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be at most 1000 characters')
+], adminController.releaseLegalHold);
+
+
+/**
+ * @swagger
+ * /api/admin/exports:
+ *   post:
+ *     summary: Start an eDiscovery export of conversations and files
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
  *                 type: string
- *                 enum: [admin, moderator, member, guest]
- *                 default: member
- *               permissions:
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               userIds:
  *                 type: array
  *                 items:
  *                   type: string
- *                 default: []
+ *                   format: uuid
+ *                 description: Only export conversations these users took part in
+ *               conversationIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
  *     responses:
- *       201:
- *         description: Invitation sent successfully
+ *       202:
+ *         description: Export job queued
  *       400:
- *         description: User already exists or pending invitation exists
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: Get eDiscovery export jobs
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Export jobs retrieved successfully
  *       403:
  *         description: Insufficient permissions
  *       401:
@@ -289,52 +1471,53 @@ router.put('/users/:userId/status', auth, requireAdmin, [
  *       500:
  *         description: Server error
  */
-router.post('/invitations', auth, requireAdmin, [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email'),
-  body('role')
+router.post('/exports', auth, requirePermission('audit.read'), [
+  body('startDate')
     .optional()
-    .isIn(['admin', 'moderator', 'member', 'guest'])
-    .withMessage('Role must be admin, moderator, member, or guest'),
-  body('permissions')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  body('userIds')
     .optional()
     .isArray()
-    .withMessage('Permissions must be an array')
-], adminController.sendInvitation);
+    .withMessage('userIds must be an array'),
+  body('userIds.*')
+    .isUUID()
+    .withMessage('Each user ID must be a valid UUID'),
+  body('conversationIds')
+    .optional()
+    .isArray()
+    .withMessage('conversationIds must be an array'),
+  body('conversationIds.*')
+    .isUUID()
+    .withMessage('Each conversation ID must be a valid UUID')
+], adminController.createExport);
+
+router.get('/exports', auth, requirePermission('audit.read'), adminController.getExports);
 
 /**
  * @swagger
- * /api/admin/invitations:
+ * /api/admin/exports/{jobId}:
  *   get:
- *     summary: Get all invitations
+ *     summary: Get eDiscovery export status and progress
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 20
- *       - in: query
- *         name: status
+ *       - in: path
+ *         name: jobId
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [pending, accepted, expired, revoked]
- *         description: Filter by invitation status
+ *           format: uuid
  *     responses:
  *       200:
- *         description: Invitations retrieved successfully
+ *         description: Export job retrieved successfully
+ *       404:
+ *         description: Export job not found
  *       403:
  *         description: Insufficient permissions
  *       401:
@@ -342,41 +1525,34 @@ router.post('/invitations', auth, requireAdmin, [
  *       500:
  *         description: Server error
  */
-router.get('/invitations', auth, requireAdminOrModerator, [
-  query('page')
-    .optional()
-    .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer'),
-  query('limit')
-    .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100'),
-  query('status')
-    .optional()
-    .isIn(['pending', 'accepted', 'expired', 'revoked'])
-    .withMessage('Status must be pending, accepted, expired, or revoked')
-], adminController.getInvitations);
+router.get('/exports/:jobId', auth, requirePermission('audit.read'), [
+  param('jobId')
+    .isUUID()
+    .withMessage('Job ID must be a valid UUID')
+], adminController.getExport);
 
 /**
  * @swagger
- * /api/admin/invitations/{invitationId}:
- *   delete:
- *     summary: Revoke invitation
+ * /api/admin/exports/{jobId}/download:
+ *   get:
+ *     summary: Download a completed eDiscovery export archive
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: invitationId
+ *         name: jobId
  *         required: true
  *         schema:
  *           type: string
  *           format: uuid
  *     responses:
  *       200:
- *         description: Invitation revoked successfully
+ *         description: Zip archive with JSON lines, HTML transcripts, files and a SHA-256 manifest
  *       404:
- *         description: Invitation not found or already processed
+ *         description: Export job or archive not found
+ *       409:
+ *         description: Export is not completed
  *       403:
  *         description: Insufficient permissions
  *       401:
@@ -384,22 +1560,36 @@ router.get('/invitations', auth, requireAdminOrModerator, [
  *       500:
  *         description: Server error
  */
-router.delete('/invitations/:invitationId', auth, requireAdmin, [
-  param('invitationId')
+router.get('/exports/:jobId/download', auth, requirePermission('audit.read'), [
+  param('jobId')
     .isUUID()
-    .withMessage('Invitation ID must be a valid UUID')
-], adminController.revokeInvitation);
+    .withMessage('Job ID must be a valid UUID')
+], adminController.downloadExport);
 
 /**
  * @swagger
- * /api/admin/audit-logs:
+ * /api/admin/email/deliveries:
  *   get:
- *     summary: Get audit logs
+ *     summary: Get email delivery status
+ *     description: Lists outgoing emails with their delivery status. Message bodies are not included.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, sent, failed, skipped]
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -412,32 +1602,11 @@ router.delete('/invitations/:invitationId', auth, requireAdmin, [
  *           minimum: 1
  *           maximum: 100
  *           default: 50
- *       - in: query
- *         name: action
- *         schema:
- *           type: string
- *         description: Filter by action type
- *       - in: query
- *         name: userId
- *         schema:
- *           type: string
- *           format: uuid
- *         description: Filter by user ID
- *       - in: query
- *         name: startDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Filter logs after this date
- *       - in: query
- *         name: endDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Filter logs before this date
  *     responses:
  *       200:
- *         description: Audit logs retrieved successfully
+ *         description: Email deliveries retrieved successfully
+ *       400:
+ *         description: Validation error
  *       403:
  *         description: Insufficient permissions
  *       401:
@@ -445,7 +1614,19 @@ router.delete('/invitations/:invitationId', auth, requireAdmin, [
  *       500:
  *         description: Server error
  */
-router.get('/audit-logs', auth, requireAdmin, [
+router.get('/email/deliveries', auth, requireAdmin, [
+  query('status')
+    .optional()
+    .isIn(['pending', 'processing', 'sent', 'failed', 'skipped'])
+    .withMessage('Status must be one of pending, processing, sent, failed or skipped'),
+  query('template')
+    .optional()
+    .isString()
+    .trim(),
+  query('recipient')
+    .optional()
+    .isString()
+    .trim(),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -453,23 +1634,42 @@ router.get('/audit-logs', auth, requireAdmin, [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100'),
-  query('action')
-    .optional()
-    .isString()
-    .withMessage('Action must be a string'),
-  query('userId')
-    .optional()
+    .withMessage('Limit must be between 1 and 100')
+], adminController.getEmailDeliveries);
+
+/**
+ * @swagger
+ * /api/admin/email/deliveries/{deliveryId}/retry:
+ *   post:
+ *     summary: Requeue a skipped email delivery
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Email delivery queued for retry
+ *       404:
+ *         description: Email delivery not found
+ *       409:
+ *         description: Delivery is not in a skipped state
+ *       403:
+ *         description: Insufficient permissions
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/email/deliveries/:deliveryId/retry', auth, requireAdmin, [
+  param('deliveryId')
     .isUUID()
-    .withMessage('User ID must be a valid UUID'),
-  query('startDate')
-    .optional()
-    .isISO8601()
-    .withMessage('Start date must be a valid date'),
-  query('endDate')
-    .optional()
-    .isISO8601()
-    .withMessage('End date must be a valid date')
-], adminController.getAuditLogs);
+    .withMessage('Delivery ID must be a valid UUID')
+], adminController.retryEmailDelivery);
 
 module.exports = router;
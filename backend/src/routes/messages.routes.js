@@ -2,7 +2,13 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const router = express.Router();
 const { auth } = require('../middleware/auth.middleware');
+const { messageRateLimiters } = require('../middleware/rateLimit.middleware');
 const messagesController = require('../controllers/messages.controller');
+const conversationService = require('../services/conversation.service');
+const conversationCacheService = require('../services/conversationCache.service');
+const { VISIBILITIES } = require('../services/conversation.service');
+const { JOIN_REQUEST_STATUSES } = require('../services/channel.service');
+const { NOTIFICATION_LEVELS } = require('../services/notificationPreference.service');
 const { prisma } = require('../utils/prisma');
 
 /**
@@ -93,7 +99,11 @@ router.post('/conversations', auth, [
   body('crossTenant')
     .optional()
     .isBoolean()
-    .withMessage('crossTenant must be a boolean')
+    .withMessage('crossTenant must be a boolean'),
+  body('visibility')
+    .optional()
+    .isIn(VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${VISIBILITIES.join(', ')}`)
 ], messagesController.createConversation);
 
 router.get('/conversations', auth, [
@@ -104,13 +114,342 @@ router.get('/conversations', auth, [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
+    .withMessage('Limit must be between 1 and 100'),
+  query('archived')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('archived must be true or false')
 ], messagesController.getConversations);
 
+// Channel directory: public and announcement channels are joined directly, private ones by request
+router.get('/channels', auth, [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query must be at most 100 characters'),
+  query('visibility')
+    .optional()
+    .isIn(VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${VISIBILITIES.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], messagesController.getChannelDirectory);
+
+// Threads the user follows; a thread is identified by its root message
+router.get('/threads', auth, [
+  query('conversationId')
+    .optional()
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], messagesController.getThreads);
+
+router.post('/threads/:threadId/follow', auth, [
+  param('threadId')
+    .isUUID()
+    .withMessage('Thread ID must be a valid UUID')
+], messagesController.followThread);
+
+router.delete('/threads/:threadId/follow', auth, [
+  param('threadId')
+    .isUUID()
+    .withMessage('Thread ID must be a valid UUID')
+], messagesController.unfollowThread);
+
+router.post('/threads/:threadId/read', auth, [
+  param('threadId')
+    .isUUID()
+    .withMessage('Thread ID must be a valid UUID')
+], messagesController.markThreadRead);
+
+// Messages that mention the user, directly, through a group, or by @here or @channel
+router.get('/mentions', auth, [
+  query('conversationId')
+    .optional()
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], messagesController.getMentions);
+
+router.put('/conversations/:conversationId', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Conversation name must be between 1 and 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  body('topic')
+    .optional({ nullable: true })
+    .isLength({ max: 250 })
+    .withMessage('Topic must be at most 250 characters'),
+  body('visibility')
+    .optional()
+    .isIn(VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${VISIBILITIES.join(', ')}`)
+], messagesController.updateConversation);
+
+// Participant management; conversation roles are checked by the conversation service
+router.post('/conversations/:conversationId/participants', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  body('userIds')
+    .isArray({ min: 1 })
+    .withMessage('At least one user is required'),
+  body('userIds.*')
+    .isUUID()
+    .withMessage('Each user ID must be a valid UUID')
+], messagesController.addParticipants);
+
+router.delete('/conversations/:conversationId/participants/:userId', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  param('userId')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID')
+], messagesController.removeParticipant);
+
+router.put('/conversations/:conversationId/participants/:userId/role', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  param('userId')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+  body('role')
+    .isIn(['owner', 'moderator', 'member'])
+    .withMessage('Role must be owner, moderator, or member')
+], messagesController.updateParticipantRole);
+
+router.post('/conversations/:conversationId/leave', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID')
+], messagesController.leaveConversation);
+
+router.post('/conversations/:conversationId/join', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID')
+], messagesController.joinChannel);
+
+router.post('/conversations/:conversationId/join-requests', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be at most 500 characters')
+], messagesController.requestToJoinChannel);
+
+router.get('/conversations/:conversationId/join-requests', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  query('status')
+    .optional()
+    .isIn(JOIN_REQUEST_STATUSES)
+    .withMessage(`Status must be one of: ${JOIN_REQUEST_STATUSES.join(', ')}`)
+], messagesController.getJoinRequests);
+
+router.post('/conversations/:conversationId/join-requests/:requestId/approve', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  param('requestId')
+    .isUUID()
+    .withMessage('Request ID must be a valid UUID')
+], messagesController.approveJoinRequest);
+
+router.post('/conversations/:conversationId/join-requests/:requestId/deny', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  param('requestId')
+    .isUUID()
+    .withMessage('Request ID must be a valid UUID')
+], messagesController.denyJoinRequest);
+
+router.post('/conversations/:conversationId/archive', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID')
+], messagesController.archiveConversation);
+
+router.delete('/conversations/:conversationId/archive', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID')
+], messagesController.unarchiveConversation);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{conversationId}/notifications:
+ *   put:
+ *     summary: Set the current user's notification level or mute for a conversation
+ *     description: Omitted fields are kept. A null level follows the user's default level.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               level:
+ *                 type: string
+ *                 enum: [all, mentions, none]
+ *                 nullable: true
+ *               mutedUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Mute the conversation until then; null unmutes
+ *     responses:
+ *       200:
+ *         description: The conversation's notification preferences
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Conversation not found
+ */
+router.put('/conversations/:conversationId/notifications', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  body('level')
+    .optional({ nullable: true })
+    .isIn(NOTIFICATION_LEVELS)
+    .withMessage(`Level must be one of: ${NOTIFICATION_LEVELS.join(', ')}`),
+  body('mutedUntil')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('mutedUntil must be a valid ISO 8601 date or null')
+], messagesController.updateConversationNotifications);
+
+router.delete('/conversations/:conversationId', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID')
+], messagesController.deleteConversation);
+
+router.get('/conversations/:conversationId/pins', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID')
+], messagesController.getPinnedMessages);
+
 router.get('/conversations/:conversationId/messages', auth, [
   param('conversationId')
     .isUUID()
     .withMessage('Conversation ID must be a valid UUID'),
+  query('before')
+    .optional()
+    .isUUID()
+    .withMessage('before must be a message ID'),
+  query('after')
+    .optional()
+    .isUUID()
+    .withMessage('after must be a message ID'),
+  query('around')
+    .optional()
+    .isUUID()
+    .withMessage('around must be a message ID'),
+  query('anchor')
+    .optional()
+    .isIn(['first-unread'])
+    .withMessage('anchor must be first-unread'),
+  query('threadId')
+    .optional()
+    .isUUID()
+    .withMessage('Thread ID must be a valid UUID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], messagesController.getMessages);
+
+// Read cursor: everything up to the given message counts as read
+router.post('/conversations/:conversationId/read', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  body('messageId')
+    .optional()
+    .isUUID()
+    .withMessage('Message ID must be a valid UUID')
+], messagesController.markConversationRead);
+
+router.post('/conversations/:conversationId/unread', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  body('messageId')
+    .isUUID()
+    .withMessage('Message ID must be a valid UUID')
+], messagesController.markConversationUnread);
+
+// Shared files and links gallery
+router.get('/conversations/:conversationId/files', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  query('fileType')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('File type must be between 1 and 100 characters'),
+  query('senderId')
+    .optional()
+    .isUUID()
+    .withMessage('Sender ID must be a valid UUID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid ISO 8601 date'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -119,9 +458,40 @@ router.get('/conversations/:conversationId/messages', auth, [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100')
-], messagesController.getMessages);
+], messagesController.getConversationFiles);
+
+router.get('/conversations/:conversationId/links', auth, [
+  param('conversationId')
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  query('domain')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 253 })
+    .withMessage('Domain must be between 1 and 253 characters'),
+  query('senderId')
+    .optional()
+    .isUUID()
+    .withMessage('Sender ID must be a valid UUID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid ISO 8601 date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], messagesController.getConversationLinks);
 
-router.post('/conversations/:conversationId/messages', auth, [
+router.post('/conversations/:conversationId/messages', auth, messageRateLimiters, [
   param('conversationId')
     .isUUID()
     .withMessage('Conversation ID must be a valid UUID'),
@@ -129,14 +499,21 @@ router.post('/conversations/:conversationId/messages', auth, [
     .optional()
     .isLength({ min: 1, max: 2000 })
     .withMessage('Message text must be between 1 and 2000 characters'),
-  body('fileUrl')
+  body('attachmentIds')
     .optional()
-    .isURL()
-    .withMessage('File URL must be a valid URL'),
+    .isArray({ max: 10 })
+    .withMessage('attachmentIds must be an array of at most 10 file IDs'),
+  body('attachmentIds.*')
+    .isUUID()
+    .withMessage('Each attachment ID must be a valid UUID'),
   body('messageType')
     .optional()
     .isIn(['text', 'file'])
-    .withMessage('Message type must be either text or file')
+    .withMessage('Message type must be either text or file'),
+  body('sendAt')
+    .optional()
+    .isISO8601()
+    .withMessage('sendAt must be a valid ISO 8601 date')
 ], messagesController.sendMessage);
 
 /**
@@ -166,7 +543,7 @@ router.post('/conversations/:conversationId/messages', auth, [
  *       201:
  *         description: Message sent successfully
  */
-router.post('/conversations/:conversationId/messages/simple', auth, async (req, res) => {
+router.post('/conversations/:conversationId/messages/simple', auth, messageRateLimiters, async (req, res) => {
   const startTime = Date.now();
   console.log(`🚀 Simple message request started for conversation: ${req.params.conversationId}`);
   
@@ -187,9 +564,10 @@ router.post('/conversations/:conversationId/messages/simple', auth, async (req,
     const participant = await prisma.conversationParticipant.findFirst({
       where: {
         conversationId,
-        userId
+        userId,
+        deletedAt: null
       },
-      select: { id: true } // Only select what we need
+      select: { id: true, conversation: { select: { visibility: true } } } // Only select what we need
     });
 
     if (!participant) {
@@ -199,24 +577,38 @@ router.post('/conversations/:conversationId/messages/simple', auth, async (req,
       });
     }
 
+    if (participant.conversation.visibility === 'announcement' &&
+      !conversationService.canPost(await conversationService.getAccess(conversationId, userId, tenantId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners and moderators can post in this announcement channel'
+      });
+    }
+
     console.log(`✅ Authorization check completed in ${Date.now() - startTime}ms`);
 
     // Create message with minimal data and no complex operations - add timeout
-    const messagePromise = prisma.message.create({
-      data: {
-        conversationId,
-        senderId: userId,
-        messageText: messageText.trim(),
-        messageType: 'text'
-      },
-      select: {
-        id: true,
-        conversationId: true,
-        senderId: true,
-        messageText: true,
-        messageType: true,
-        createdAt: true
-      }
+    const messagePromise = prisma.$transaction(async (tx) => {
+      const created = await tx.message.create({
+        data: {
+          conversationId,
+          senderId: userId,
+          messageText: messageText.trim(),
+          messageType: 'text'
+        },
+        select: {
+          id: true,
+          conversationId: true,
+          senderId: true,
+          messageText: true,
+          messageType: true,
+          createdAt: true
+        }
+      });
+
+      // Also bumps the conversation's updatedAt
+      await conversationCacheService.recordNewMessage(tx, created);
+      return created;
     });
 
     // Add timeout to prevent hanging
@@ -238,14 +630,6 @@ router.post('/conversations/:conversationId/messages/simple', auth, async (req,
       console.error('Failed to mark message as read:', error);
     });
 
-    // Update conversation timestamp (async, don't wait)
-    prisma.conversation.update({
-      where: { id: conversationId },
-      data: { updatedAt: new Date() }
-    }).catch(error => {
-      console.error('Failed to update conversation timestamp:', error);
-    });
-
     const totalTime = Date.now() - startTime;
     console.log(`✅ Simple message sent successfully in ${totalTime}ms`);
 
@@ -569,6 +953,38 @@ router.post('/conversations/:conversationId/typing', auth, [
     .withMessage('isTyping must be a boolean')
 ], messagesController.setTyping);
 
+// Scheduled message routes
+router.get('/scheduled', auth, [
+  query('conversationId')
+    .optional()
+    .isUUID()
+    .withMessage('Conversation ID must be a valid UUID'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'sent', 'cancelled', 'failed', 'all'])
+    .withMessage('Status must be one of pending, sent, cancelled, failed or all')
+], messagesController.getScheduledMessages);
+
+router.put('/scheduled/:scheduledMessageId', auth, [
+  param('scheduledMessageId')
+    .isUUID()
+    .withMessage('Scheduled message ID must be a valid UUID'),
+  body('messageText')
+    .optional()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message text must be between 1 and 2000 characters'),
+  body('sendAt')
+    .optional()
+    .isISO8601()
+    .withMessage('sendAt must be a valid ISO 8601 date')
+], messagesController.updateScheduledMessage);
+
+router.delete('/scheduled/:scheduledMessageId', auth, [
+  param('scheduledMessageId')
+    .isUUID()
+    .withMessage('Scheduled message ID must be a valid UUID')
+], messagesController.cancelScheduledMessage);
+
 // Message routes
 router.put('/:messageId', auth, [
   param('messageId')
@@ -579,12 +995,36 @@ router.put('/:messageId', auth, [
     .withMessage('Message text must be between 1 and 2000 characters')
 ], messagesController.editMessage);
 
+router.get('/:messageId/revisions', auth, [
+  param('messageId')
+    .isUUID()
+    .withMessage('Message ID must be a valid UUID')
+], messagesController.getMessageRevisions);
+
 router.delete('/:messageId', auth, [
   param('messageId')
     .isUUID()
     .withMessage('Message ID must be a valid UUID')
 ], messagesController.deleteMessage);
 
+router.get('/:messageId/seen-by', auth, [
+  param('messageId')
+    .isUUID()
+    .withMessage('Message ID must be a valid UUID')
+], messagesController.getMessageSeenBy);
+
+router.post('/:messageId/pin', auth, [
+  param('messageId')
+    .isUUID()
+    .withMessage('Message ID must be a valid UUID')
+], messagesController.pinMessage);
+
+router.delete('/:messageId/pin', auth, [
+  param('messageId')
+    .isUUID()
+    .withMessage('Message ID must be a valid UUID')
+], messagesController.unpinMessage);
+
 router.post('/:messageId/reactions', auth, [
   param('messageId')
     .isUUID()
@@ -0,0 +1,302 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router();
+const { auth } = require('../middleware/auth.middleware');
+const notificationsController = require('../controllers/notifications.controller');
+const { NOTIFICATION_TYPES } = require('../services/notification.service');
+const { NOTIFICATION_LEVELS } = require('../services/notificationPreference.service');
+const { DIGEST_FREQUENCIES } = require('../services/emailDigest.service');
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List the current user's notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [mention, thread_reply, reaction, invitation, admin]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notifications, unread count and pagination
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', auth, [
+  query('unread')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('unread must be true or false'),
+  query('type')
+    .optional()
+    .isIn(NOTIFICATION_TYPES)
+    .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], notificationsController.getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/read:
+ *   post:
+ *     summary: Mark notifications read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notificationIds
+ *             properties:
+ *               notificationIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Number marked and the remaining unread count
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/read', auth, [
+  body('notificationIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('notificationIds must be an array of 1 to 100 IDs'),
+  body('notificationIds.*')
+    .isUUID()
+    .withMessage('Each notification ID must be a valid UUID')
+], notificationsController.markNotificationsRead);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all of the current user's notifications read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number marked
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/read-all', auth, notificationsController.markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the current user's default notification level and global mute
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: notificationLevel and notificationsMutedUntil
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update the current user's default notification level and global mute
+ *     description: The level applies to conversations without their own level. Omitted fields are kept.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notificationLevel:
+ *                 type: string
+ *                 enum: [all, mentions, none]
+ *               notificationsMutedUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Mute all notifications until then; null unmutes
+ *     responses:
+ *       200:
+ *         description: Updated preferences
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/preferences', auth, notificationsController.getNotificationPreferences);
+
+router.put('/preferences', auth, [
+  body('notificationLevel')
+    .optional()
+    .isIn(NOTIFICATION_LEVELS)
+    .withMessage(`Notification level must be one of: ${NOTIFICATION_LEVELS.join(', ')}`),
+  body('notificationsMutedUntil')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('notificationsMutedUntil must be a valid ISO 8601 date or null')
+], notificationsController.updateNotificationPreferences);
+
+/**
+ * @swagger
+ * /api/notifications/email-digest:
+ *   get:
+ *     summary: Get the current user's unread digest email settings
+ *     description: enabled is false when the server has email notifications turned off.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: enabled, frequency, quietHoursStart, quietHoursEnd, timeZone and lastSentAt
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update the current user's unread digest email settings
+ *     description: Digests summarize unread mentions and direct messages while the user is away. Omitted fields are kept.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               frequency:
+ *                 type: string
+ *                 enum: [off, hourly, daily, weekly]
+ *               quietHoursStart:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 23
+ *                 nullable: true
+ *                 description: First hour no digest is sent; null with quietHoursEnd clears quiet hours
+ *               quietHoursEnd:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 23
+ *                 nullable: true
+ *                 description: Hour digests may be sent again; may be earlier than quietHoursStart to wrap past midnight
+ *               timeZone:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Europe/Berlin
+ *                 description: IANA time zone for quiet hours; null means UTC
+ *     responses:
+ *       200:
+ *         description: Updated settings
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/email-digest', auth, notificationsController.getEmailDigestSettings);
+
+router.put('/email-digest', auth, [
+  body('frequency')
+    .optional()
+    .isIn(DIGEST_FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`),
+  body(['quietHoursStart', 'quietHoursEnd'])
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Quiet hours must be whole hours between 0 and 23')
+    .toInt(),
+  body('timeZone')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Time zone must be an IANA time zone name')
+], notificationsController.updateEmailDigestSettings);
+
+/**
+ * @swagger
+ * /api/notifications/email-digest/unsubscribe:
+ *   post:
+ *     summary: Turn off unread digest emails using the signed token from a digest's unsubscribe link
+ *     tags: [Notifications]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Digests turned off for the address
+ *       400:
+ *         description: Invalid token
+ *       404:
+ *         description: The user no longer exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/email-digest/unsubscribe', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Unsubscribe token is required')
+], notificationsController.unsubscribeEmailDigest);
+
+module.exports = router;
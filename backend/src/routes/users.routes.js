@@ -33,9 +33,9 @@ router.get('/', auth, async (req, res) => {
     const filters = req.tenantId ? { tenantId: req.tenantId } : {};
     const users = await UserService.findMany(filters);
     
-    // Remove password hashes from response
+    // Remove password hashes and 2FA secrets from response
     const sanitizedUsers = users.map(user => {
-      const { passwordHash, ...userWithoutPassword } = user;
+      const { passwordHash, twoFactorSecret, twoFactorRecoveryCodes, twoFactorLastUsedStep, ...userWithoutPassword } = user;
       return userWithoutPassword;
     });
     
@@ -101,8 +101,8 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
     
-    // Remove password hash from response
-    const { passwordHash, ...userWithoutPassword } = user;
+    // Remove password hash and 2FA secrets from response
+    const { passwordHash, twoFactorSecret, twoFactorRecoveryCodes, twoFactorLastUsedStep, ...userWithoutPassword } = user;
     
     res.json({
       success: true,
@@ -178,6 +178,20 @@ router.put('/:id', auth, async (req, res) => {
     delete updates.password;
     delete updates.passwordHash;
     delete updates.tenantId;
+    delete updates.twoFactorEnabled;
+    delete updates.twoFactorSecret;
+    delete updates.twoFactorRecoveryCodes;
+    delete updates.twoFactorLastUsedStep;
+    delete updates.twoFactorEnabledAt;
+    // Set through /api/notifications/preferences, which validates them
+    delete updates.notificationLevel;
+    delete updates.notificationsMutedUntil;
+    // Set through /api/notifications/email-digest
+    delete updates.emailDigestFrequency;
+    delete updates.emailDigestQuietStart;
+    delete updates.emailDigestQuietEnd;
+    delete updates.emailDigestTimeZone;
+    delete updates.emailDigestLastSentAt;
     
     const user = await UserService.updateById(req.params.id, updates);
     
@@ -188,8 +202,8 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
     
-    // Remove password hash from response
-    const { passwordHash, ...userWithoutPassword } = user;
+    // Remove password hash and 2FA secrets from response
+    const { passwordHash, twoFactorSecret, twoFactorRecoveryCodes, twoFactorLastUsedStep, ...userWithoutPassword } = user;
     
     res.json({
       success: true,
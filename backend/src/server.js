@@ -6,6 +6,15 @@ const config = require('./config/environment');
 const { prisma } = require('./utils/prisma');
 const { specs, swaggerUi } = require('./config/swagger');
 const { logger, requestLogger, errorLogger, errorHandler } = require('./middleware/logging.middleware');
+const { apiRateLimiter } = require('./middleware/rateLimit.middleware');
+const scheduledMessageService = require('./services/scheduledMessage.service');
+const retentionService = require('./services/retention.service');
+const emailDigestService = require('./services/emailDigest.service');
+const ediscoveryService = require('./services/ediscovery.service');
+const emailService = require('./services/email.service');
+const sessionService = require('./services/session.service');
+const socketRegistry = require('./services/socketRegistry.service');
+const readReceiptService = require('./services/readReceipt.service');
 
 // Create Express app
 const app = express();
@@ -31,11 +40,19 @@ const corsOptions = {
     'Origin', 'X-Requested-With', 'Content-Type', 'Accept', 
     'Authorization', 'Cache-Control', 'Pragma'
   ],
-  exposedHeaders: ['Authorization'],
+  exposedHeaders: [
+    'Authorization', 'Retry-After',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'
+  ],
   maxAge: config.cors.maxAge,
   optionsSuccessStatus: 200
 };
 
+// Per-IP rate limits need the real client address when running behind a proxy
+if (config.security.trustProxy) {
+  app.set('trust proxy', 1);
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -51,6 +68,9 @@ prisma.$connect()
   .then(() => console.log('Connected to PostgreSQL with Prisma'))
   .catch(err => console.error('Prisma connection error:', err));
 
+// Per-IP limit across the whole API; stricter route policies are applied in the routers
+app.use('/api', apiRateLimiter);
+
 // Routes
 app.use('/api/auth', require('./routes/auth.routes'));
 app.use('/api/users', require('./routes/users.routes'));
@@ -59,6 +79,7 @@ app.use('/api/files', require('./routes/files.routes'));
 app.use('/api/search', require('./routes/search.routes'));
 app.use('/api/admin', require('./routes/admin.routes'));
 app.use('/api/user-status', require('./routes/userStatus.routes'));
+app.use('/api/notifications', require('./routes/notifications.routes'));
 
 // Swagger API documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
@@ -104,8 +125,13 @@ io.use(async (socket, next) => {
       return next(new Error('No token provided'));
     }
 
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, config.jwt.secret);
+    let decoded;
+    try {
+      decoded = await sessionService.verifyAccessToken(token);
+    } catch (error) {
+      console.error(`❌ Socket token rejected: ${error.message}`);
+      return next(new Error(error.statusCode ? error.message : 'Authentication failed'));
+    }
     console.log(`✅ JWT verified for user ID: ${decoded.userId}`);
     
     // Get user info
@@ -116,7 +142,8 @@ io.use(async (socket, next) => {
         email: true,
         displayName: true,
         avatarUrl: true,
-        tenantId: true
+        tenantId: true,
+        isActive: true
       }
     });
 
@@ -125,8 +152,14 @@ io.use(async (socket, next) => {
       return next(new Error('User not found'));
     }
 
+    if (!user.isActive) {
+      console.error(`❌ Deactivated user attempted socket connection: ${decoded.userId}`);
+      return next(new Error('Account is deactivated'));
+    }
+
     socket.userId = user.id;
     socket.tenantId = user.tenantId;
+    socket.sessionId = decoded.sessionId;
     socket.user = user;
     
     console.log(`✅ Socket authenticated for user: ${user.displayName} (${user.id})`);
@@ -166,6 +199,10 @@ io.on('connection', (socket) => {
     });
   }
   
+  // Join personal room for user-targeted events
+  socket.join(`user:${socket.userId}`);
+  socketRegistry.register(socket);
+
   // Join conversation rooms that user is part of
   socket.on('join-conversations', async () => {
     try {
@@ -173,7 +210,7 @@ io.on('connection', (socket) => {
       const conversations = await prisma.conversation.findMany({
         where: {
           participants: {
-            some: { userId: socket.userId }
+            some: { userId: socket.userId, deletedAt: null }
           },
           deletedAt: null
         },
@@ -199,7 +236,8 @@ io.on('connection', (socket) => {
       const participant = await prisma.conversationParticipant.findFirst({
         where: {
           conversationId,
-          userId: socket.userId
+          userId: socket.userId,
+          deletedAt: null
         }
       });
 
@@ -243,29 +281,31 @@ io.on('connection', (socket) => {
   // Handle typing indicators (already implemented in messages controller)
   // Real-time events are emitted from the controller
 
-  // Handle message read status
+  // Move the user's read cursor; clients send the last message they have seen.
+  // Older clients send messageIds instead, the newest of which becomes the cursor.
   socket.on('mark-messages-read', async (data) => {
     try {
-      const { conversationId, messageIds } = data;
-      
-      // Verify user is participant
-      const participant = await prisma.conversationParticipant.findFirst({
-        where: {
-          conversationId,
-          userId: socket.userId
-        }
-      });
-
-      if (participant && messageIds?.length > 0) {
-        // In a real implementation, you'd have a MessageRead model
-        // For now, just emit the read status
-        socket.to(conversationId).emit('messages-read', {
-          userId: socket.userId,
-          conversationId,
-          messageIds,
-          readAt: new Date()
+      const { conversationId, messageId, messageIds } = data || {};
+      if (!conversationId) return;
+
+      let lastMessageId = messageId;
+      if (!lastMessageId && Array.isArray(messageIds) && messageIds.length > 0) {
+        const newest = await prisma.message.findFirst({
+          where: { id: { in: messageIds }, conversationId },
+          select: { id: true },
+          orderBy: { createdAt: 'desc' }
         });
+        // Stale or foreign IDs must not fall through to marking the whole conversation read
+        if (!newest) return;
+        lastMessageId = newest.id;
       }
+
+      const cursor = await readReceiptService.markRead({
+        conversationId,
+        userId: socket.userId,
+        messageId: lastMessageId
+      });
+      readReceiptService.broadcast(io, cursor);
     } catch (error) {
       console.error('Error marking messages as read:', error);
     }
@@ -288,7 +328,7 @@ io.on('connection', (socket) => {
         const conversations = await prisma.conversation.findMany({
           where: {
             participants: {
-              some: { userId: socket.userId }
+              some: { userId: socket.userId, deletedAt: null }
             }
           },
           select: { id: true }
@@ -332,7 +372,7 @@ io.on('connection', (socket) => {
       const conversations = await prisma.conversation.findMany({
         where: {
           participants: {
-          some: { userId: socket.userId }
+          some: { userId: socket.userId, deletedAt: null }
           }
         },
         select: { id: true }
@@ -384,6 +424,7 @@ io.on('connection', (socket) => {
   // Disconnect handler
   socket.on('disconnect', async () => {
     console.log(`User ${socket.user.displayName} disconnected`);
+    socketRegistry.unregister(socket);
     
     try {
       // Update user status to offline in database
@@ -399,7 +440,7 @@ io.on('connection', (socket) => {
       const conversations = await prisma.conversation.findMany({
         where: {
           participants: {
-            some: { userId: socket.userId }
+            some: { userId: socket.userId, deletedAt: null }
           }
         },
         select: { id: true }
@@ -463,6 +504,31 @@ server.listen(config.app.port, () => {
   if (enabledOAuth.length > 0) {
     console.log(`🔐 OAuth providers: ${enabledOAuth.join(', ')}`);
   }
+
+  // Start background delivery of scheduled messages
+  scheduledMessageService.startWorker(io);
+  console.log(`⏰ Scheduled message worker polling every ${config.scheduledMessages.pollIntervalMs}ms`);
+
+  // Start retrying failed email deliveries
+  emailService.startWorker();
+  console.log(`📧 Email retry worker polling every ${config.email.retry.pollIntervalMs}ms`);
+
+  // Exports cannot resume after a restart
+  ediscoveryService.failInterruptedJobs().catch(error => {
+    console.error('❌ Failed to clean up interrupted exports:', error);
+  });
+
+  // Start periodic message retention sweeps
+  if (config.retention.enabled) {
+    retentionService.startWorker();
+    console.log(`🧹 Retention sweeper running every ${config.retention.sweepIntervalMs}ms`);
+  }
+
+  // Start unread digest emails
+  if (config.features.emailNotifications) {
+    emailDigestService.startWorker();
+    console.log(`📬 Unread digest worker polling every ${config.emailDigests.pollIntervalMs}ms`);
+  }
 });
 
 // Handle graceful shutdown
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+
+const TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+class AccountTokenService {
+  constructor() {
+    this.types = TOKEN_TYPES;
+  }
+
+  /**
+   * Hash a token for storage; raw tokens only ever appear in the emailed link
+   * @param {string} token - Raw token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue a signed, single-use token for a user. Any earlier unused token of
+   * the same type is invalidated so only the most recent link works.
+   * @param {Object} user - User with id and tenantId
+   * @param {string} type - One of the TOKEN_TYPES values
+   * @param {number} expiresInSeconds - Token lifetime
+   * @param {Object} [context] - Request details
+   * @param {string} [context.ipAddress] - Client IP address
+   * @returns {Promise<string>} Raw signed token
+   */
+  async issueToken(user, type, expiresInSeconds, { ipAddress } = {}) {
+    const tokenId = crypto.randomUUID();
+    const token = jwt.sign(
+      { tokenId, type, nonce: crypto.randomBytes(16).toString('hex') },
+      config.jwt.secret,
+      { expiresIn: expiresInSeconds }
+    );
+
+    await prisma.$transaction([
+      prisma.authToken.updateMany({
+        where: { userId: user.id, type, usedAt: null },
+        data: { usedAt: new Date() }
+      }),
+      prisma.authToken.create({
+        data: {
+          id: tokenId,
+          userId: user.id,
+          tenantId: user.tenantId,
+          type,
+          tokenHash: this.hashToken(token),
+          requestedIp: ipAddress,
+          expiresAt: new Date(Date.now() + expiresInSeconds * 1000)
+        }
+      })
+    ]);
+
+    return token;
+  }
+
+  /**
+   * Verify a token and mark it used
+   * @param {string} token - Raw token from the link
+   * @param {string} type - Expected token type
+   * @returns {Promise<Object>} Consumed token record with its user
+   */
+  async consumeToken(token, type) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwt.secret);
+    } catch (error) {
+      throw createError.validation(
+        error.name === 'TokenExpiredError' ? 'This link has expired' : 'This link is invalid'
+      );
+    }
+
+    if (decoded.type !== type || !decoded.tokenId) {
+      throw createError.validation('This link is invalid');
+    }
+
+    const record = await prisma.authToken.findUnique({
+      where: { id: decoded.tokenId },
+      include: { user: true }
+    });
+
+    if (!record || record.tokenHash !== this.hashToken(token)) {
+      throw createError.validation('This link is invalid');
+    }
+    if (record.usedAt) {
+      throw createError.validation('This link has already been used');
+    }
+    if (record.expiresAt < new Date()) {
+      throw createError.validation('This link has expired');
+    }
+
+    // Guard on usedAt so two concurrent submissions cannot both succeed
+    const result = await prisma.authToken.updateMany({
+      where: { id: record.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (result.count === 0) {
+      throw createError.validation('This link has already been used');
+    }
+
+    return record;
+  }
+}
+
+module.exports = new AccountTokenService();
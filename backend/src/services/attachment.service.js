@@ -0,0 +1,83 @@
+const path = require('path');
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const { generateSignedUrl } = require('../config/storage');
+
+// Most files one message can carry; matches the upload endpoint's limit
+const MAX_ATTACHMENTS = 10;
+
+// Loads a message's attachments in the order they were attached
+const ATTACHMENTS_INCLUDE = {
+  include: { mediaFile: true },
+  orderBy: { createdAt: 'asc' }
+};
+
+/**
+ * Connects uploaded MediaFile rows to messages through MessageMediaFile and
+ * shapes them for API responses and socket events
+ */
+class AttachmentService {
+  /**
+   * Check that uploaded files can be attached to a message by the sender
+   * @param {Object} params - Parameters
+   * @param {string[]} params.mediaFileIds - Uploaded file IDs
+   * @param {string} params.tenantId - Sender's tenant ID
+   * @returns {Promise<string[]>} De-duplicated file IDs in the order given
+   */
+  async resolveForMessage({ mediaFileIds = [], tenantId }) {
+    const ids = [...new Set(mediaFileIds)];
+    if (ids.length === 0) return ids;
+
+    if (ids.length > MAX_ATTACHMENTS) {
+      throw createError.validation(`A message can have at most ${MAX_ATTACHMENTS} attachments`);
+    }
+
+    const files = await prisma.mediaFile.findMany({
+      where: { id: { in: ids }, tenantId, deletedAt: null },
+      select: { id: true }
+    });
+
+    if (files.length !== ids.length) {
+      throw createError.validation('One or more attachments were not found in your organization');
+    }
+    return ids;
+  }
+
+  /**
+   * Attachment metadata for a file
+   * @param {Object} mediaFile - MediaFile row
+   * @returns {Promise<Object>} Name, type, size, dimensions and download URL
+   */
+  async format(mediaFile) {
+    return {
+      id: mediaFile.id,
+      name: mediaFile.fileName || path.basename(mediaFile.fileUrl),
+      fileType: mediaFile.fileType,
+      size: Number(mediaFile.size),
+      width: mediaFile.width,
+      height: mediaFile.height,
+      duration: mediaFile.duration,
+      uploadedAt: mediaFile.uploadedAt,
+      downloadUrl: await generateSignedUrl(mediaFile.fileUrl)
+    };
+  }
+
+  /**
+   * Replace a message's loaded MessageMediaFile links with attachment metadata.
+   * The raw links carry BigInt sizes, which cannot be serialized to JSON.
+   * @param {Object} message - Message, optionally with mediaFiles included
+   * @returns {Promise<Object>} Message with an attachments array
+   */
+  async formatMessage(message) {
+    const { mediaFiles = [], ...rest } = message;
+    return {
+      ...rest,
+      attachments: await Promise.all(mediaFiles.map(link => this.format(link.mediaFile)))
+    };
+  }
+}
+
+module.exports = new AttachmentService();
+
+module.exports.MAX_ATTACHMENTS = MAX_ATTACHMENTS;
+module.exports.ATTACHMENTS_INCLUDE = ATTACHMENTS_INCLUDE;
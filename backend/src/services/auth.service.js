@@ -1,11 +1,18 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { OAuth2Client } = require('google-auth-library');
 const axios = require('axios');
 const config = require('../config/environment');
 const { prisma } = require('../utils/prisma');
 const { convertBigIntToNumber, parseJsonFields } = require('../utils/serialization');
 const { createError } = require('../utils/errors');
+const sessionService = require('./session.service');
+const twoFactorService = require('./twoFactor.service');
+const accountTokenService = require('./accountToken.service');
+const socketRegistry = require('./socketRegistry.service');
+const permissionService = require('./permission.service');
+const roleService = require('./role.service');
+const notificationService = require('./notification.service');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('./email.service');
 
 // Initialize OAuth clients
 const googleClient = config.oauth.google.enabled 
@@ -18,10 +25,14 @@ const googleClient = config.oauth.google.enabled
 
 class AuthService {
   // Token generation and validation
-  generateToken(userId, tenantId) {
-    return jwt.sign({ userId, tenantId }, config.jwt.secret, {
-      expiresIn: config.jwt.expiresIn,
-    });
+  generateToken(userId, tenantId, sessionId) {
+    return sessionService.signAccessToken(userId, tenantId, sessionId);
+  }
+
+  // Start a session and issue its access/refresh token pair
+  async issueTokens(user, sessionContext) {
+    const { token, refreshToken } = await sessionService.createSession(user, sessionContext);
+    return { token, refreshToken };
   }
 
   async verifyToken(token) {
@@ -30,10 +41,17 @@ class AuthService {
     }
     
     try {
-      const decoded = jwt.verify(token, config.jwt.secret);
-      if (!decoded.userId || !decoded.tenantId) {
-        throw createError.authentication('Invalid token format');
+      // Same checks as the auth middleware: an access token for a live session
+      const decoded = await sessionService.verifyAccessToken(token);
+
+      const user = await prisma.user.findUnique({
+        where: { id: decoded.userId },
+        select: { isActive: true, deletedAt: true }
+      });
+      if (!user || !user.isActive || user.deletedAt) {
+        throw createError.authentication('Token is not valid - user not found or deactivated');
       }
+
       return decoded;
     } catch (error) {
       if (error.name === 'JsonWebTokenError') {
@@ -56,7 +74,13 @@ class AuthService {
 
   // User data formatting
   formatUserResponse(user) {
-    const { passwordHash, ...userData } = user;
+    const {
+      passwordHash,
+      twoFactorSecret,
+      twoFactorRecoveryCodes,
+      twoFactorLastUsedStep,
+      ...userData
+    } = user;
     return {
       ...userData,
       tenant: user.tenant ? {
@@ -67,7 +91,7 @@ class AuthService {
   }
 
   // Core authentication methods
-  async registerWithEmail(email, password, displayName, tenantData) {
+  async registerWithEmail(email, password, displayName, tenantData, sessionContext) {
     // Ensure user does not already exist
     const existing = await prisma.user.findUnique({ where: { email } });
     if (existing) {
@@ -125,14 +149,19 @@ class AuthService {
       return user;
     });
 
-    const token = this.generateToken(result.id, result.tenantId);
+    // Delivery problems must not fail the registration; the user can resend from their profile
+    this.sendEmailVerification(result.id, { ipAddress: sessionContext?.ipAddress })
+      .catch(error => console.error('Failed to send verification email:', error));
+
+    const { token, refreshToken } = await this.issueTokens(result, sessionContext);
     // Mark first user so frontend can show invite dialog
     return {
       user: { ...this.formatUserResponse(result), isFirstUser: true },
       token,
+      refreshToken,
     };
   }
-  async loginWithEmail(email, password) {
+  async loginWithEmail(email, password, sessionContext) {
     const user = await prisma.user.findUnique({
       where: { email },
       include: {
@@ -157,8 +186,39 @@ class AuthService {
       throw createError.authorization('Account is deactivated. Please contact your administrator.');
     }
 
+    const challenge = this.getTwoFactorChallenge(user);
+    if (challenge) {
+      return challenge;
+    }
+
+    return this.completeEmailLogin(user, 'Email login', sessionContext);
+  }
+
+  /**
+   * Password alone is not enough: enrolled users must pass a second step,
+   * and users in tenants that enforce 2FA must enroll before getting a session
+   * @param {Object} user - User with tenant.settings
+   * @returns {Object|null} Challenge response, or null when no second step is needed
+   */
+  getTwoFactorChallenge(user) {
+    if (user.twoFactorEnabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallenge(user, 'verify')
+      };
+    }
+    if (user.tenant?.settings?.requireTwoFactor) {
+      return {
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactorService.createChallenge(user, 'enroll')
+      };
+    }
+    return null;
+  }
+
+  async completeEmailLogin(user, auditContext, sessionContext) {
     await this.updateLastLogin(user.id);
-    await this.createLoginAuditLog(user.id, user.tenantId, 'Email login');
+    await this.createLoginAuditLog(user.id, user.tenantId, auditContext);
     
     // Update user status to online
     try {
@@ -174,13 +234,67 @@ class AuthService {
       // Don't fail login if status update fails
     }
   
-    const token = this.generateToken(user.id, user.tenantId);
+    const { token, refreshToken } = await this.issueTokens(user, sessionContext);
     return {
       user: this.formatUserResponse(user),
-      token
+      token,
+      refreshToken
     };
   }
 
+  // Two-factor login steps
+  async loadChallengeUser(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: {
+        tenant: {
+          include: {
+            settings: true
+          }
+        }
+      }
+    });
+
+    if (!user || user.deletedAt) {
+      throw createError.authentication('Invalid two-factor challenge');
+    }
+    if (!user.isActive) {
+      throw createError.authorization('Account is deactivated. Please contact your administrator.');
+    }
+
+    return user;
+  }
+
+  async verifyTwoFactorLogin(challengeToken, code, sessionContext) {
+    const userId = twoFactorService.verifyChallenge(challengeToken, 'verify');
+    const user = await this.loadChallengeUser(userId);
+
+    const method = await twoFactorService.verifyUserCode(user, code);
+    return this.completeEmailLogin(
+      user,
+      method === 'recovery' ? 'Email login with recovery code' : 'Email login with two-factor code',
+      sessionContext
+    );
+  }
+
+  async beginTwoFactorLoginEnrollment(challengeToken) {
+    const userId = twoFactorService.verifyChallenge(challengeToken, 'enroll');
+    await this.loadChallengeUser(userId);
+
+    return twoFactorService.beginEnrollment(userId);
+  }
+
+  async completeTwoFactorLoginEnrollment(challengeToken, code, sessionContext) {
+    const userId = twoFactorService.verifyChallenge(challengeToken, 'enroll');
+    await this.loadChallengeUser(userId);
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(userId, code);
+    const user = await this.loadChallengeUser(userId);
+    const result = await this.completeEmailLogin(user, 'Email login after two-factor enrollment', sessionContext);
+
+    return { ...result, recoveryCodes };
+  }
+
 
   // Fetch current user by id
   async getCurrentUser(userId) {
@@ -250,7 +364,41 @@ class AuthService {
     };
   }
 
-  async acceptInvitation(inviteToken, password, displayName) {
+  /**
+   * Give a user joining by invitation the custom roles and extra permissions
+   * it carries, plus the tenant's default roles
+   * @param {Object} tx - Prisma transaction
+   * @param {string} userId - Joining user ID
+   * @param {Object} invitation - Accepted invitation
+   * @returns {Promise<void>}
+   */
+  async applyInvitationAccess(tx, userId, invitation) {
+    let roleIds = [];
+    let permissions = [];
+    try { roleIds = JSON.parse(invitation.roleIds || '[]'); } catch {}
+    try { permissions = JSON.parse(invitation.permissions || '[]'); } catch {}
+
+    // Roles deleted since the invitation was sent are skipped
+    const defaultRoleIds = await roleService.getDefaultRoleIds(invitation.tenantId, tx);
+    const roles = await tx.role.findMany({
+      where: { id: { in: [...roleIds, ...defaultRoleIds] }, tenantId: invitation.tenantId },
+      select: { id: true }
+    });
+
+    await roleService.replaceAssignments(tx, {
+      userId,
+      tenantId: invitation.tenantId,
+      roleIds: roles.map(role => role.id),
+      assignedBy: invitation.invitedById
+    });
+
+    await tx.user.update({
+      where: { id: userId },
+      data: { permissions: permissionService.serializeOverrides({ grant: permissions.filter(name => permissionService.isKnownPermission(name)) }) }
+    });
+  }
+
+  async acceptInvitation(inviteToken, password, displayName, sessionContext) {
     if (!inviteToken) {
       throw createError.validation('Invalid invitation token');
     }
@@ -288,11 +436,14 @@ class AuthService {
             isActive: true,
             displayName: displayName || existingUser.displayName || invitation.email.split('@')[0],
             passwordHash: await this.hashPassword(password),
-            lastLoginAt: new Date()
+            lastLoginAt: new Date(),
+            ...(!existingUser.emailVerified && { emailVerified: true, emailVerifiedAt: new Date() })
           },
           include: { tenant: { include: { settings: true } } }
         });
 
+        await this.applyInvitationAccess(tx, user.id, invitation);
+
         await tx.invitation.update({
           where: { id: invitation.id },
           data: { status: 'accepted', acceptedAt: new Date() }
@@ -311,8 +462,27 @@ class AuthService {
         return user;
       });
 
-      const token = this.generateToken(updated.id, updated.tenantId);
-      return { user: this.formatUserResponse(updated), token };
+      permissionService.invalidateUser(updated.id);
+
+      // The password was just replaced, so whoever knew the old one must not stay signed in
+      const revokedSessionIds = await sessionService.revokeUserSessions(updated.id, { reason: 'invitation_accepted' });
+      if (revokedSessionIds.length > 0) {
+        socketRegistry.terminateUserSockets(updated.id, {
+          reason: 'invitation_accepted',
+          sessionIds: revokedSessionIds
+        });
+      }
+
+      await this.notifyInviter(updated, invitation);
+
+      // An invite link must not stand in for the account's second factor
+      const challenge = this.getTwoFactorChallenge(updated);
+      if (challenge) {
+        return challenge;
+      }
+
+      const { token, refreshToken } = await this.issueTokens(updated, sessionContext);
+      return { user: this.formatUserResponse(updated), token, refreshToken };
     }
 
     const result = await prisma.$transaction(async (tx) => {
@@ -325,11 +495,16 @@ class AuthService {
           isActive: true,
           tenantId: invitation.tenantId,
           lastLoginAt: new Date(),
-          passwordHash: await this.hashPassword(password)
+          passwordHash: await this.hashPassword(password),
+          // The invitation link was delivered to this address
+          emailVerified: true,
+          emailVerifiedAt: new Date()
         },
         include: { tenant: { include: { settings: true } } }
       });
 
+      await this.applyInvitationAccess(tx, user.id, invitation);
+
       // Update invitation
       await tx.invitation.update({
         where: { id: invitation.id },
@@ -350,7 +525,6 @@ class AuthService {
       return user;
     });
 
-    const token = this.generateToken(result.id, result.tenantId);
     // Realtime: notify tenant of acceptance
     try {
       const { io } = require('../server');
@@ -368,12 +542,40 @@ class AuthService {
         });
       }
     } catch {}
+    await this.notifyInviter(result, invitation);
 
-    return { user: this.formatUserResponse(result), token };
+    // Tenants that enforce 2FA get it set up before the first session
+    const challenge = this.getTwoFactorChallenge(result);
+    if (challenge) {
+      return challenge;
+    }
+
+    const { token, refreshToken } = await this.issueTokens(result, sessionContext);
+    return { user: this.formatUserResponse(result), token, refreshToken };
+  }
+
+  /**
+   * Let the person who sent an invitation know it was accepted
+   * @param {Object} user - User who joined
+   * @param {Object} invitation - Accepted invitation
+   * @returns {Promise<void>}
+   */
+  async notifyInviter(user, invitation) {
+    let io = null;
+    try { ({ io } = require('../server')); } catch {}
+
+    await notificationService.notify(io, [{
+      userId: invitation.invitedById,
+      actorId: user.id,
+      type: 'invitation',
+      title: `${user.displayName} accepted your invitation`,
+      body: `${invitation.email} joined ${invitation.tenant?.name || 'your organization'}`,
+      targetId: invitation.id
+    }]);
   }
 
   // OAuth methods
-  async handleMicrosoftAuth(accessToken, tenantData) {
+  async handleMicrosoftAuth(accessToken, tenantData, sessionContext) {
     if (!config.oauth.microsoft.enabled) {
       throw createError.server('Microsoft OAuth is not configured');
     }
@@ -428,10 +630,11 @@ class AuthService {
           // Don't fail login if status update fails
         }
         
-        const token = this.generateToken(user.id, user.tenantId);
+        const { token, refreshToken } = await this.issueTokens(user, sessionContext);
         return {
           user: this.formatUserResponse(user),
-          token
+          token,
+          refreshToken
         };
       }
 
@@ -462,7 +665,9 @@ class AuthService {
               lastLoginAt: new Date(),
               onlineStatus: 'online',
               lastSeenAt: new Date(),
-              passwordHash: await this.hashPassword(Math.random().toString(36).slice(-8))
+              passwordHash: await this.hashPassword(Math.random().toString(36).slice(-8)),
+              emailVerified: true,
+              emailVerifiedAt: new Date()
             },
             include: {
               tenant: {
@@ -487,10 +692,11 @@ class AuthService {
           return user;
         });
 
-        const token = this.generateToken(result.id, result.tenantId);
+        const { token, refreshToken } = await this.issueTokens(result, sessionContext);
         return {
           user: this.formatUserResponse(result),
-          token
+          token,
+          refreshToken
         };
       }
 
@@ -503,7 +709,7 @@ class AuthService {
     }
   }
 
-  async handleGoogleAuth(token, tenantData) {
+  async handleGoogleAuth(token, tenantData, sessionContext) {
     if (!config.oauth.google.enabled || !googleClient) {
       throw createError.server('Google OAuth is not configured');
     }
@@ -554,10 +760,11 @@ class AuthService {
         // Don't fail login if status update fails
       }
       
-      const token = this.generateToken(user.id, user.tenantId);
+      const { token, refreshToken } = await this.issueTokens(user, sessionContext);
       return {
         user: this.formatUserResponse(user),
-        token
+        token,
+        refreshToken
       };
     }
 
@@ -591,7 +798,9 @@ class AuthService {
               lastLoginAt: new Date(),
               onlineStatus: 'online',
               lastSeenAt: new Date(),
-              passwordHash: await this.hashPassword(Math.random().toString(36).slice(-8))
+              passwordHash: await this.hashPassword(Math.random().toString(36).slice(-8)),
+              emailVerified: true,
+              emailVerifiedAt: new Date()
             },
             include: {
               tenant: {
@@ -616,10 +825,11 @@ class AuthService {
         return user;
       });
 
-      const token = this.generateToken(result.id, result.tenantId);
+      const { token, refreshToken } = await this.issueTokens(result, sessionContext);
       return {
         user: this.formatUserResponse(result),
-        token
+        token,
+        refreshToken
       };
     }
 
@@ -656,8 +866,12 @@ class AuthService {
     }
   }
 
-  async logout(userId) {
+  async logout(userId, sessionId) {
     try {
+      if (sessionId) {
+        await sessionService.revokeSession(sessionId, userId, 'logout');
+      }
+
       // Check database connection first
       await prisma.$queryRaw`SELECT 1`;
       console.log(`✅ Database connection verified for logout of user ${userId}`);
@@ -695,6 +909,131 @@ class AuthService {
     }
   }
 
+  // Password reset. Unknown or inactive accounts are ignored silently so the
+  // endpoint cannot be used to discover which emails are registered.
+  async requestPasswordReset(email, context = {}) {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user || !user.isActive || user.deletedAt) {
+      return;
+    }
+
+    const { passwordResetExpiresMinutes } = config.accountTokens;
+    const token = await accountTokenService.issueToken(
+      user,
+      accountTokenService.types.PASSWORD_RESET,
+      passwordResetExpiresMinutes * 60,
+      context
+    );
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId: user.tenantId,
+        userId: user.id,
+        action: 'PASSWORD_RESET_REQUESTED',
+        targetId: user.id,
+        context: `Password reset requested${context.ipAddress ? ` from ${context.ipAddress}` : ''}`
+      }
+    });
+
+    await sendPasswordResetEmail({
+      to: user.email,
+      resetUrl: `${config.frontend.url}/reset-password?token=${encodeURIComponent(token)}`,
+      displayName: user.displayName,
+      expiresInMinutes: passwordResetExpiresMinutes,
+      tenantId: user.tenantId
+    });
+  }
+
+  async resetPassword(token, password) {
+    const record = await accountTokenService.consumeToken(token, accountTokenService.types.PASSWORD_RESET);
+    const user = record.user;
+
+    if (!user.isActive || user.deletedAt) {
+      throw createError.validation('This link is invalid');
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        passwordHash: await this.hashPassword(password),
+        // Following the emailed link proves control of the inbox
+        ...(!user.emailVerified && { emailVerified: true, emailVerifiedAt: new Date() })
+      }
+    });
+
+    // Whoever knew the old password must not stay signed in
+    const revokedSessionIds = await sessionService.revokeUserSessions(user.id, { reason: 'password_reset' });
+    if (revokedSessionIds.length > 0) {
+      socketRegistry.terminateUserSockets(user.id, {
+        reason: 'password_reset',
+        sessionIds: revokedSessionIds
+      });
+    }
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId: user.tenantId,
+        userId: user.id,
+        action: 'PASSWORD_RESET',
+        targetId: user.id,
+        context: 'Password reset via emailed link'
+      }
+    });
+  }
+
+  // Email verification
+  async sendEmailVerification(userId, context = {}) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+      throw createError.notFound('User not found');
+    }
+    if (user.emailVerified) {
+      throw createError.validation('Email address is already verified');
+    }
+
+    const { emailVerificationExpiresHours } = config.accountTokens;
+    const token = await accountTokenService.issueToken(
+      user,
+      accountTokenService.types.EMAIL_VERIFICATION,
+      emailVerificationExpiresHours * 3600,
+      context
+    );
+
+    return sendVerificationEmail({
+      to: user.email,
+      verifyUrl: `${config.frontend.url}/verify-email?token=${encodeURIComponent(token)}`,
+      displayName: user.displayName,
+      expiresInHours: emailVerificationExpiresHours,
+      tenantId: user.tenantId
+    });
+  }
+
+  async verifyEmail(token) {
+    const record = await accountTokenService.consumeToken(token, accountTokenService.types.EMAIL_VERIFICATION);
+    const user = record.user;
+
+    if (user.emailVerified) {
+      return { email: user.email, emailVerified: true };
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: { emailVerified: true, emailVerifiedAt: new Date() }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId: user.tenantId,
+        userId: user.id,
+        action: 'EMAIL_VERIFIED',
+        targetId: user.id,
+        context: `Email address ${user.email} verified`
+      }
+    });
+
+    return { email: updated.email, emailVerified: true };
+  }
+
   async exchangeGoogleCode(code, redirectUri) {
     if (!config.oauth.google.enabled || !googleClient) {
       throw createError.server('Google OAuth is not configured');
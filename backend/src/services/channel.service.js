@@ -0,0 +1,327 @@
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const conversationService = require('./conversation.service');
+const { CAPABILITIES } = require('./conversation.service');
+
+const JOIN_REQUEST_STATUSES = ['pending', 'approved', 'denied'];
+
+// Visibilities anyone in the tenant can join without asking
+const OPEN_VISIBILITIES = ['public', 'announcement'];
+
+const REQUESTER_SELECT = {
+  id: true,
+  email: true,
+  displayName: true,
+  avatarUrl: true
+};
+
+class ChannelService {
+  /**
+   * Browse and search the tenant's channel directory. Direct messages,
+   * cross-tenant, archived and deleted conversations are never listed.
+   * @param {Object} params - Query parameters
+   * @param {string} params.tenantId - Tenant ID
+   * @param {string} params.userId - Browsing user ID
+   * @param {string} [params.search] - Matches name, description or topic
+   * @param {string} [params.visibility] - Only channels with this visibility
+   * @param {number} [params.page] - Page number
+   * @param {number} [params.limit] - Page size
+   * @returns {Promise<Object>} Channels with member counts and the user's membership, and pagination
+   */
+  async listDirectory({ tenantId, userId, search, visibility, page = 1, limit = 20 }) {
+    const where = {
+      tenantId,
+      isGroup: true,
+      crossTenant: false,
+      deletedAt: null,
+      archivedAt: null,
+      ...(visibility && { visibility }),
+      ...(search && {
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { description: { contains: search, mode: 'insensitive' } },
+          { topic: { contains: search, mode: 'insensitive' } }
+        ]
+      })
+    };
+
+    const [channels, total] = await Promise.all([
+      prisma.conversation.findMany({
+        where,
+        select: {
+          id: true,
+          name: true,
+          description: true,
+          topic: true,
+          visibility: true,
+          createdAt: true,
+          _count: {
+            select: {
+              participants: { where: { deletedAt: null } }
+            }
+          },
+          participants: {
+            where: { userId, deletedAt: null },
+            select: { role: true }
+          },
+          joinRequests: {
+            where: { userId, status: 'pending' },
+            select: { id: true, createdAt: true }
+          }
+        },
+        orderBy: { name: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.conversation.count({ where })
+    ]);
+
+    return {
+      channels: channels.map(({ _count, participants, joinRequests, ...channel }) => ({
+        ...channel,
+        memberCount: _count.participants,
+        isMember: participants.length > 0,
+        role: participants[0]?.role || null,
+        pendingJoinRequest: joinRequests[0] || null
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      }
+    };
+  }
+
+  /**
+   * Join a public or announcement channel
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Channel ID
+   * @param {string} params.userId - Joining user ID
+   * @param {string} params.tenantId - Joining user's tenant ID
+   * @returns {Promise<Object>} Participant with its user
+   */
+  async joinChannel({ conversationId, userId, tenantId }) {
+    const channel = await this.getChannel(conversationId, tenantId);
+    if (!OPEN_VISIBILITIES.includes(channel.visibility)) {
+      throw createError.authorization('This channel is private; ask to join instead');
+    }
+    await this.assertNotMember(conversationId, userId);
+
+    const participant = await prisma.$transaction(async (tx) => {
+      const joined = await this.activateParticipant(tx, conversationId, userId);
+
+      await tx.auditLog.create({
+        data: {
+          tenantId: channel.tenantId,
+          userId,
+          action: 'CONVERSATION_JOINED',
+          targetId: conversationId,
+          context: `Joined ${channel.visibility} channel "${channel.name}"`
+        }
+      });
+
+      return joined;
+    });
+
+    return participant;
+  }
+
+  /**
+   * Ask to join a private channel
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Channel ID
+   * @param {string} params.userId - Requesting user ID
+   * @param {string} params.tenantId - Requesting user's tenant ID
+   * @param {string} [params.message] - Note for the channel's owners and moderators
+   * @returns {Promise<Object>} Pending join request
+   */
+  async requestToJoin({ conversationId, userId, tenantId, message }) {
+    const channel = await this.getChannel(conversationId, tenantId);
+    if (OPEN_VISIBILITIES.includes(channel.visibility)) {
+      throw createError.validation('This channel is open; join it directly');
+    }
+    await this.assertNotMember(conversationId, userId);
+
+    const pending = await prisma.conversationJoinRequest.findFirst({
+      where: { conversationId, userId, status: 'pending' },
+      select: { id: true }
+    });
+    if (pending) {
+      throw createError.conflict('You have already asked to join this channel');
+    }
+
+    const request = await prisma.conversationJoinRequest.create({
+      data: { conversationId, userId, message },
+      include: { user: { select: REQUESTER_SELECT } }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId: channel.tenantId,
+        userId,
+        action: 'CONVERSATION_JOIN_REQUESTED',
+        targetId: conversationId,
+        context: `Asked to join "${channel.name}"`
+      }
+    });
+
+    return request;
+  }
+
+  /**
+   * List a channel's join requests; needs permission to add participants
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Channel ID
+   * @param {string} params.userId - Acting user ID
+   * @param {string} params.tenantId - Acting user's tenant ID
+   * @param {string} [params.status] - Request status, defaults to pending
+   * @returns {Promise<Object[]>} Join requests with requesters
+   */
+  async listJoinRequests({ conversationId, userId, tenantId, status = 'pending' }) {
+    const access = await conversationService.getAccess(conversationId, userId, tenantId);
+    conversationService.assertCapability(access, CAPABILITIES.ADD_PARTICIPANTS);
+
+    return prisma.conversationJoinRequest.findMany({
+      where: { conversationId, status },
+      include: {
+        user: { select: REQUESTER_SELECT },
+        reviewedBy: { select: { id: true, displayName: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Approve or deny a pending join request. Approving adds the requester as a member.
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Channel ID
+   * @param {string} params.requestId - Join request ID
+   * @param {string} params.userId - Reviewing user ID
+   * @param {string} params.tenantId - Reviewing user's tenant ID
+   * @param {boolean} params.approved - Approve rather than deny
+   * @returns {Promise<Object>} Reviewed request, and the new participant when approved
+   */
+  async reviewJoinRequest({ conversationId, requestId, userId, tenantId, approved }) {
+    const access = await conversationService.getAccess(conversationId, userId, tenantId);
+    const viaOverride = conversationService.assertCapability(access, CAPABILITIES.ADD_PARTICIPANTS);
+
+    const request = await prisma.conversationJoinRequest.findFirst({
+      where: { id: requestId, conversationId },
+      include: { user: { select: { ...REQUESTER_SELECT, isActive: true } } }
+    });
+
+    if (!request) {
+      throw createError.notFound('Join request not found');
+    }
+    if (request.status !== 'pending') {
+      throw createError.conflict(`This request has already been ${request.status}`);
+    }
+    if (approved && !request.user.isActive) {
+      throw createError.validation('The requester no longer has an active account');
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Guard against two reviewers acting on the same request
+      const { count } = await tx.conversationJoinRequest.updateMany({
+        where: { id: requestId, status: 'pending' },
+        data: {
+          status: approved ? 'approved' : 'denied',
+          reviewedById: userId,
+          reviewedAt: new Date()
+        }
+      });
+      if (count === 0) {
+        throw createError.conflict('This request has already been reviewed');
+      }
+
+      const participant = approved
+        ? await this.activateParticipant(tx, conversationId, request.userId)
+        : null;
+
+      const reviewed = await tx.conversationJoinRequest.findUnique({
+        where: { id: requestId },
+        include: { user: { select: REQUESTER_SELECT } }
+      });
+
+      return { request: reviewed, participant };
+    });
+
+    await conversationService.audit(access, userId,
+      approved ? 'CONVERSATION_JOIN_APPROVED' : 'CONVERSATION_JOIN_DENIED', conversationId,
+      `${approved ? 'Approved' : 'Denied'} ${request.user.email}'s request to join "${access.conversation.name}"`,
+      viaOverride);
+
+    return result;
+  }
+
+  /**
+   * Users who review a channel's join requests
+   * @param {string} conversationId - Channel ID
+   * @returns {Promise<string[]>} Owner and moderator user IDs
+   */
+  async getReviewerIds(conversationId) {
+    const reviewers = await prisma.conversationParticipant.findMany({
+      where: { conversationId, deletedAt: null, role: { in: ['owner', 'moderator'] } },
+      select: { userId: true }
+    });
+    return reviewers.map(reviewer => reviewer.userId);
+  }
+
+  async getChannel(conversationId, tenantId) {
+    const channel = await prisma.conversation.findFirst({
+      where: {
+        id: conversationId,
+        tenantId,
+        isGroup: true,
+        crossTenant: false,
+        deletedAt: null
+      },
+      select: { id: true, tenantId: true, name: true, visibility: true, archivedAt: true }
+    });
+
+    if (!channel) {
+      throw createError.notFound('Channel not found');
+    }
+    if (channel.archivedAt) {
+      throw createError.conflict('This channel is archived');
+    }
+    return channel;
+  }
+
+  async assertNotMember(conversationId, userId) {
+    const participant = await prisma.conversationParticipant.findFirst({
+      where: { conversationId, userId, deletedAt: null },
+      select: { id: true }
+    });
+
+    if (participant) {
+      throw createError.conflict('You are already a member of this channel');
+    }
+  }
+
+  // Re-activate a previous participant row if there is one, so membership history stays on a single row.
+  // The channel's history counts as read for people joining now.
+  async activateParticipant(client, conversationId, userId) {
+    const previous = await client.conversationParticipant.findFirst({
+      where: { conversationId, userId },
+      select: { id: true }
+    });
+    const joined = { role: 'member', joinedAt: new Date(), lastReadMessageId: null, lastReadAt: new Date(), unreadCount: 0 };
+
+    return previous
+      ? client.conversationParticipant.update({
+        where: { id: previous.id },
+        data: { ...joined, deletedAt: null },
+        include: { user: { select: REQUESTER_SELECT } }
+      })
+      : client.conversationParticipant.create({
+        data: { ...joined, conversationId, userId },
+        include: { user: { select: REQUESTER_SELECT } }
+      });
+  }
+}
+
+module.exports = new ChannelService();
+
+module.exports.JOIN_REQUEST_STATUSES = JOIN_REQUEST_STATUSES;
@@ -0,0 +1,642 @@
+const { prisma } = require('../utils/prisma');
+const { AppError, createError } = require('../utils/errors');
+const permissionService = require('./permission.service');
+const legalHoldService = require('./legalHold.service');
+
+const CONVERSATION_ROLES = ['owner', 'moderator', 'member'];
+
+// public: listed and open to anyone in the tenant; private: listed, joined by request;
+// announcement: open like public, but only owners and moderators post
+const VISIBILITIES = ['public', 'private', 'announcement'];
+
+// Actions gated by a participant's conversation role
+const CAPABILITIES = {
+  RENAME: 'rename',
+  EDIT_SETTINGS: 'edit_settings',
+  ADD_PARTICIPANTS: 'add_participants',
+  REMOVE_PARTICIPANTS: 'remove_participants',
+  ASSIGN_ROLES: 'assign_roles',
+  DELETE_MESSAGES: 'delete_messages',
+  PIN_MESSAGES: 'pin_messages',
+  POST_ANNOUNCEMENTS: 'post_announcements',
+  MENTION_EVERYONE: 'mention_everyone',
+  ARCHIVE: 'archive',
+  DELETE_CONVERSATION: 'delete_conversation'
+};
+
+const ROLE_CAPABILITIES = {
+  owner: Object.values(CAPABILITIES),
+  moderator: [
+    CAPABILITIES.RENAME,
+    CAPABILITIES.EDIT_SETTINGS,
+    CAPABILITIES.ADD_PARTICIPANTS,
+    CAPABILITIES.REMOVE_PARTICIPANTS,
+    CAPABILITIES.DELETE_MESSAGES,
+    CAPABILITIES.PIN_MESSAGES,
+    CAPABILITIES.POST_ANNOUNCEMENTS,
+    CAPABILITIES.MENTION_EVERYONE
+  ],
+  member: []
+};
+
+// Tenant-wide permissions that stand in for a conversation role
+const TENANT_OVERRIDES = {
+  'conversation.manage': Object.values(CAPABILITIES),
+  'conversation.delete': [CAPABILITIES.DELETE_CONVERSATION],
+  'message.delete': [CAPABILITIES.DELETE_MESSAGES]
+};
+
+// Direct messages have no moderators; either side may pin or archive
+const DIRECT_CAPABILITIES = [CAPABILITIES.PIN_MESSAGES, CAPABILITIES.ARCHIVE];
+
+const PARTICIPANT_USER_SELECT = {
+  id: true,
+  email: true,
+  displayName: true,
+  avatarUrl: true
+};
+
+class ConversationService {
+  /**
+   * Resolve what a user may do in a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Acting user ID
+   * @param {string} tenantId - Acting user's tenant ID
+   * @returns {Promise<Object>} Conversation, participant row, conversation role and capabilities
+   */
+  async getAccess(conversationId, userId, tenantId) {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: conversationId, deletedAt: null },
+      select: {
+        id: true,
+        tenantId: true,
+        name: true,
+        isGroup: true,
+        crossTenant: true,
+        createdById: true,
+        archivedAt: true,
+        visibility: true
+      }
+    });
+
+    if (!conversation) {
+      throw createError.notFound('Conversation not found');
+    }
+
+    const participant = await prisma.conversationParticipant.findFirst({
+      where: { conversationId, userId, deletedAt: null }
+    });
+
+    let role = participant?.role || null;
+    // Group conversations created before roles existed have no owner row; their creator owns them
+    if (role === 'member' && conversation.isGroup && conversation.createdById === userId) {
+      const ownerCount = await prisma.conversationParticipant.count({
+        where: { conversationId, role: 'owner', deletedAt: null }
+      });
+      if (ownerCount === 0) {
+        role = 'owner';
+      }
+    }
+
+    const roleCapabilities = new Set(
+      participant ? (conversation.isGroup ? ROLE_CAPABILITIES[role] || [] : DIRECT_CAPABILITIES) : []
+    );
+    const capabilities = new Set(roleCapabilities);
+
+    // Tenant permissions only reach conversations owned by the user's own tenant
+    if (conversation.tenantId === tenantId) {
+      const permissions = await permissionService.getEffectivePermissions(userId);
+      Object.entries(TENANT_OVERRIDES)
+        .filter(([permission]) => permissions.has(permission))
+        .forEach(([, granted]) => granted.forEach(capability => capabilities.add(capability)));
+    }
+
+    if (!participant && capabilities.size === 0) {
+      throw createError.authorization('Not a participant in this conversation');
+    }
+
+    return { conversation, participant, role, roleCapabilities, capabilities };
+  }
+
+  /**
+   * Require a capability
+   * @param {Object} access - Result of getAccess
+   * @param {string} capability - Capability from CAPABILITIES
+   * @returns {boolean} True when only a tenant-wide permission allowed it
+   */
+  assertCapability(access, capability) {
+    if (!access.capabilities.has(capability)) {
+      throw createError.authorization('Your role in this conversation does not allow this action');
+    }
+    return !access.roleCapabilities.has(capability);
+  }
+
+  /**
+   * Whether the user may post; announcement channels are limited to owners and moderators
+   * @param {Object} access - Result of getAccess
+   * @returns {boolean} Whether posting is allowed
+   */
+  canPost(access) {
+    return access.conversation.visibility !== 'announcement' ||
+      access.capabilities.has(CAPABILITIES.POST_ANNOUNCEMENTS);
+  }
+
+  /**
+   * Rename a conversation or change its description, topic and visibility
+   * @param {Object} params - Update parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - Acting user ID
+   * @param {string} params.tenantId - Acting user's tenant ID
+   * @param {Object} params.updates - name, description, topic and/or visibility
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async updateConversation({ conversationId, userId, tenantId, updates }) {
+    const access = await this.getAccess(conversationId, userId, tenantId);
+    const { name, description, topic, visibility } = updates;
+
+    let viaOverride = false;
+    if (name !== undefined) {
+      if (!access.conversation.isGroup) {
+        throw createError.validation('Direct conversations cannot be renamed');
+      }
+      viaOverride = this.assertCapability(access, CAPABILITIES.RENAME) || viaOverride;
+    }
+    if (visibility !== undefined) {
+      if (!access.conversation.isGroup || access.conversation.crossTenant) {
+        throw createError.validation('Only group conversations within the organization can change visibility');
+      }
+    }
+    if (description !== undefined || topic !== undefined || visibility !== undefined) {
+      viaOverride = this.assertCapability(access, CAPABILITIES.EDIT_SETTINGS) || viaOverride;
+    }
+
+    const conversation = await prisma.conversation.update({
+      where: { id: conversationId },
+      data: {
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+        ...(topic !== undefined && { topic }),
+        ...(visibility !== undefined && { visibility })
+      },
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        topic: true,
+        isGroup: true,
+        visibility: true,
+        updatedAt: true
+      }
+    });
+
+    const changes = [
+      name !== undefined && name !== access.conversation.name && `renamed from "${access.conversation.name}" to "${name}"`,
+      description !== undefined && 'description changed',
+      topic !== undefined && 'topic changed',
+      visibility !== undefined && visibility !== access.conversation.visibility &&
+        `visibility changed from ${access.conversation.visibility} to ${visibility}`
+    ].filter(Boolean);
+
+    await this.audit(access, userId, 'CONVERSATION_UPDATED', conversationId,
+      `Conversation ${changes.join(', ') || 'updated'}`, viaOverride);
+
+    return conversation;
+  }
+
+  /**
+   * Add people to a group conversation. People who left or were removed are re-added.
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - Acting user ID
+   * @param {string} params.tenantId - Acting user's tenant ID
+   * @param {string[]} params.userIds - Users to add
+   * @returns {Promise<Object[]>} Added participants with their users
+   */
+  async addParticipants({ conversationId, userId, tenantId, userIds }) {
+    const access = await this.getAccess(conversationId, userId, tenantId);
+    if (!access.conversation.isGroup) {
+      throw createError.validation('Participants cannot be added to a direct conversation');
+    }
+    const viaOverride = this.assertCapability(access, CAPABILITIES.ADD_PARTICIPANTS);
+
+    const uniqueIds = [...new Set(userIds)];
+    const users = await prisma.user.findMany({
+      where: {
+        id: { in: uniqueIds },
+        isActive: true,
+        deletedAt: null,
+        ...(access.conversation.crossTenant ? {} : { tenantId: access.conversation.tenantId })
+      },
+      select: { id: true }
+    });
+
+    if (users.length !== uniqueIds.length) {
+      throw createError.validation('One or more users not found or not accessible');
+    }
+
+    const existing = await prisma.conversationParticipant.findMany({
+      where: { conversationId, userId: { in: uniqueIds } }
+    });
+    const active = new Set(existing.filter(p => !p.deletedAt).map(p => p.userId));
+    const toAdd = uniqueIds.filter(id => !active.has(id));
+
+    if (!toAdd.length) {
+      throw createError.conflict('These users are already participants');
+    }
+
+    const added = await prisma.$transaction(async (tx) => {
+      const rows = [];
+      for (const id of toAdd) {
+        const previous = existing.find(p => p.userId === id);
+        // Earlier history counts as read for people joining now
+        const joined = { role: 'member', joinedAt: new Date(), lastReadMessageId: null, lastReadAt: new Date(), unreadCount: 0 };
+        rows.push(previous
+          ? await tx.conversationParticipant.update({
+            where: { id: previous.id },
+            data: { ...joined, deletedAt: null },
+            include: { user: { select: PARTICIPANT_USER_SELECT } }
+          })
+          : await tx.conversationParticipant.create({
+            data: { ...joined, conversationId, userId: id },
+            include: { user: { select: PARTICIPANT_USER_SELECT } }
+          }));
+      }
+      return rows;
+    });
+
+    await this.audit(access, userId, 'CONVERSATION_PARTICIPANTS_ADDED', conversationId,
+      `Added ${added.map(p => p.user.email).join(', ')} to "${access.conversation.name}"`, viaOverride);
+
+    return added;
+  }
+
+  /**
+   * Remove someone from a group conversation. Moderators can only remove
+   * members; owners can remove anyone but the last owner.
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - Acting user ID
+   * @param {string} params.tenantId - Acting user's tenant ID
+   * @param {string} params.targetUserId - User to remove
+   * @returns {Promise<Object>} Removed participant
+   */
+  async removeParticipant({ conversationId, userId, tenantId, targetUserId }) {
+    const access = await this.getAccess(conversationId, userId, tenantId);
+    if (!access.conversation.isGroup) {
+      throw createError.validation('Participants cannot be removed from a direct conversation');
+    }
+    const viaOverride = this.assertCapability(access, CAPABILITIES.REMOVE_PARTICIPANTS);
+
+    if (targetUserId === userId) {
+      throw createError.validation('Use leave to remove yourself from a conversation');
+    }
+
+    const target = await this.getParticipant(conversationId, targetUserId);
+    // Only those who can assign roles may remove moderators and owners
+    if (target.role !== 'member' && !access.capabilities.has(CAPABILITIES.ASSIGN_ROLES)) {
+      throw createError.authorization('Only conversation owners can remove moderators or owners');
+    }
+    await this.assertNotLastOwner(conversationId, target);
+
+    const removed = await prisma.conversationParticipant.update({
+      where: { id: target.id },
+      data: { deletedAt: new Date() },
+      include: { user: { select: PARTICIPANT_USER_SELECT } }
+    });
+
+    await this.audit(access, userId, 'CONVERSATION_PARTICIPANT_REMOVED', conversationId,
+      `Removed ${removed.user.email} (${target.role}) from "${access.conversation.name}"`, viaOverride);
+
+    return removed;
+  }
+
+  /**
+   * Change a participant's conversation role
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - Acting user ID
+   * @param {string} params.tenantId - Acting user's tenant ID
+   * @param {string} params.targetUserId - Participant to change
+   * @param {string} params.role - owner, moderator or member
+   * @returns {Promise<Object>} Updated participant
+   */
+  async setParticipantRole({ conversationId, userId, tenantId, targetUserId, role }) {
+    if (!CONVERSATION_ROLES.includes(role)) {
+      throw createError.validation(`Role must be one of ${CONVERSATION_ROLES.join(', ')}`);
+    }
+
+    const access = await this.getAccess(conversationId, userId, tenantId);
+    if (!access.conversation.isGroup) {
+      throw createError.validation('Direct conversations do not have roles');
+    }
+    const viaOverride = this.assertCapability(access, CAPABILITIES.ASSIGN_ROLES);
+
+    const target = await this.getParticipant(conversationId, targetUserId);
+    if (target.role === role) {
+      return prisma.conversationParticipant.findUnique({
+        where: { id: target.id },
+        include: { user: { select: PARTICIPANT_USER_SELECT } }
+      });
+    }
+    if (target.role === 'owner') {
+      await this.assertNotLastOwner(conversationId, target);
+    }
+
+    const updated = await prisma.conversationParticipant.update({
+      where: { id: target.id },
+      data: { role },
+      include: { user: { select: PARTICIPANT_USER_SELECT } }
+    });
+
+    await this.audit(access, userId, 'CONVERSATION_ROLE_UPDATED', conversationId,
+      `Changed ${updated.user.email} from ${target.role} to ${role} in "${access.conversation.name}"`, viaOverride);
+
+    return updated;
+  }
+
+  /**
+   * Leave a group conversation. The last owner has to hand over ownership
+   * first unless nobody else is left.
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - Leaving user ID
+   * @param {string} params.tenantId - Leaving user's tenant ID
+   * @returns {Promise<Object>} Participant row that was closed
+   */
+  async leaveConversation({ conversationId, userId, tenantId }) {
+    const access = await this.getAccess(conversationId, userId, tenantId);
+    if (!access.participant) {
+      throw createError.validation('You are not a participant in this conversation');
+    }
+    if (!access.conversation.isGroup) {
+      throw createError.validation('You cannot leave a direct conversation');
+    }
+
+    if (access.role === 'owner') {
+      const [owners, others] = await Promise.all([
+        prisma.conversationParticipant.count({
+          where: { conversationId, role: 'owner', deletedAt: null, userId: { not: userId } }
+        }),
+        prisma.conversationParticipant.count({
+          where: { conversationId, deletedAt: null, userId: { not: userId } }
+        })
+      ]);
+
+      if (owners === 0 && others > 0) {
+        throw createError.conflict('Make another participant an owner before leaving');
+      }
+    }
+
+    const participant = await prisma.conversationParticipant.update({
+      where: { id: access.participant.id },
+      data: { deletedAt: new Date() }
+    });
+
+    await this.audit(access, userId, 'CONVERSATION_LEFT', conversationId,
+      `Left "${access.conversation.name}"`, false);
+
+    return participant;
+  }
+
+  /**
+   * Archive or restore a conversation. Archived conversations stay readable
+   * but accept no new messages.
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - Acting user ID
+   * @param {string} params.tenantId - Acting user's tenant ID
+   * @param {boolean} params.archived - Archive when true, restore when false
+   * @returns {Promise<Object>} Conversation archive state
+   */
+  async setArchived({ conversationId, userId, tenantId, archived }) {
+    const access = await this.getAccess(conversationId, userId, tenantId);
+    const viaOverride = this.assertCapability(access, CAPABILITIES.ARCHIVE);
+
+    if (archived === !!access.conversation.archivedAt) {
+      throw createError.conflict(archived ? 'Conversation is already archived' : 'Conversation is not archived');
+    }
+
+    const conversation = await prisma.conversation.update({
+      where: { id: conversationId },
+      data: archived
+        ? { archivedAt: new Date(), archivedById: userId }
+        : { archivedAt: null, archivedById: null },
+      select: {
+        id: true,
+        name: true,
+        isGroup: true,
+        archivedAt: true,
+        archivedById: true,
+        updatedAt: true
+      }
+    });
+
+    await this.audit(access, userId, archived ? 'CONVERSATION_ARCHIVED' : 'CONVERSATION_UNARCHIVED', conversationId,
+      `Conversation "${access.conversation.name}" ${archived ? 'archived' : 'restored from archive'}`, viaOverride);
+
+    return conversation;
+  }
+
+  /**
+   * Delete a conversation for everyone. Conversations under legal hold are kept.
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - Acting user ID
+   * @param {string} params.tenantId - Acting user's tenant ID
+   * @param {Object} [params.req] - Express request, for the blocked-deletion audit entry
+   * @returns {Promise<string[]>} IDs of the participants it was removed for
+   */
+  async deleteConversation({ conversationId, userId, tenantId, req }) {
+    const access = await this.getAccess(conversationId, userId, tenantId);
+    if (!access.conversation.isGroup) {
+      throw createError.validation('Direct conversations cannot be deleted; archive them instead');
+    }
+    const viaOverride = this.assertCapability(access, CAPABILITIES.DELETE_CONVERSATION);
+
+    const hold = await legalHoldService.findActiveHold({ conversationIds: [conversationId] });
+    if (hold) {
+      await legalHoldService.recordBlockedDeletion({
+        tenantId: access.conversation.tenantId,
+        userId,
+        hold,
+        targetId: conversationId,
+        context: `Conversation deletion blocked: "${access.conversation.name}"`,
+        req
+      });
+      throw new AppError('This conversation is under legal hold and cannot be deleted', 423, 'LEGAL_HOLD');
+    }
+
+    const participants = await prisma.conversationParticipant.findMany({
+      where: { conversationId, deletedAt: null },
+      select: { userId: true }
+    });
+
+    await prisma.conversation.update({
+      where: { id: conversationId },
+      data: { deletedAt: new Date() }
+    });
+
+    await this.audit(access, userId, 'CONVERSATION_DELETED', conversationId,
+      `Conversation "${access.conversation.name}" deleted`, viaOverride);
+
+    return participants.map(p => p.userId);
+  }
+
+  /**
+   * Check whether a user may delete a message: senders can delete their own,
+   * conversation moderators and holders of message.delete can delete any
+   * @param {Object} message - Message with id, senderId and conversationId
+   * @param {string} userId - Acting user ID
+   * @param {string} tenantId - Acting user's tenant ID
+   * @returns {Promise<Object>} Whether the deletion is moderation and the access it relied on
+   */
+  async authorizeMessageDeletion(message, userId, tenantId) {
+    if (message.senderId === userId) {
+      return { moderated: false, access: null, viaOverride: false };
+    }
+
+    const access = await this.getAccess(message.conversationId, userId, tenantId);
+    const viaOverride = this.assertCapability(access, CAPABILITIES.DELETE_MESSAGES);
+    return { moderated: true, access, viaOverride };
+  }
+
+  /**
+   * Pin or unpin a message
+   * @param {Object} params - Parameters
+   * @param {string} params.messageId - Message ID
+   * @param {string} params.userId - Acting user ID
+   * @param {string} params.tenantId - Acting user's tenant ID
+   * @param {boolean} params.pinned - Pin when true, unpin when false
+   * @returns {Promise<Object>} Message pin state
+   */
+  async setPinned({ messageId, userId, tenantId, pinned }) {
+    const message = await prisma.message.findFirst({
+      where: { id: messageId, deletedAt: null },
+      select: { id: true, conversationId: true, pinnedAt: true }
+    });
+
+    if (!message) {
+      throw createError.notFound('Message not found');
+    }
+
+    const access = await this.getAccess(message.conversationId, userId, tenantId);
+    const viaOverride = this.assertCapability(access, CAPABILITIES.PIN_MESSAGES);
+
+    if (pinned === !!message.pinnedAt) {
+      throw createError.conflict(pinned ? 'Message is already pinned' : 'Message is not pinned');
+    }
+
+    const updated = await prisma.message.update({
+      where: { id: messageId },
+      data: pinned
+        ? { pinnedAt: new Date(), pinnedById: userId }
+        : { pinnedAt: null, pinnedById: null },
+      select: {
+        id: true,
+        conversationId: true,
+        pinnedAt: true,
+        pinnedBy: { select: { id: true, displayName: true } }
+      }
+    });
+
+    await this.audit(access, userId, pinned ? 'MESSAGE_PINNED' : 'MESSAGE_UNPINNED', messageId,
+      `Message ${pinned ? 'pinned' : 'unpinned'} in "${access.conversation.name}"`, viaOverride);
+
+    return updated;
+  }
+
+  /**
+   * List a conversation's pinned messages, most recently pinned first
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Acting user ID
+   * @param {string} tenantId - Acting user's tenant ID
+   * @returns {Promise<Object[]>} Pinned messages
+   */
+  async getPinnedMessages(conversationId, userId, tenantId) {
+    await this.getAccess(conversationId, userId, tenantId);
+
+    return prisma.message.findMany({
+      where: { conversationId, deletedAt: null, pinnedAt: { not: null } },
+      include: {
+        sender: { select: PARTICIPANT_USER_SELECT },
+        pinnedBy: { select: { id: true, displayName: true } }
+      },
+      orderBy: { pinnedAt: 'desc' }
+    });
+  }
+
+  /**
+   * Conversation details sent to clients that should add it to their sidebar,
+   * shaped like the conversation list
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Conversation with its active participants
+   */
+  async getConversationSummary(conversationId) {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: {
+        id: true,
+        name: true,
+        isGroup: true,
+        description: true,
+        topic: true,
+        visibility: true,
+        createdAt: true,
+        archivedAt: true,
+        participants: {
+          where: { deletedAt: null },
+          select: {
+            userId: true,
+            role: true,
+            user: { select: PARTICIPANT_USER_SELECT }
+          }
+        }
+      }
+    });
+
+    return conversation;
+  }
+
+  async getParticipant(conversationId, userId) {
+    const participant = await prisma.conversationParticipant.findFirst({
+      where: { conversationId, userId, deletedAt: null }
+    });
+
+    if (!participant) {
+      throw createError.notFound('Participant not found');
+    }
+    return participant;
+  }
+
+  async assertNotLastOwner(conversationId, participant) {
+    if (participant.role !== 'owner') {
+      return;
+    }
+
+    const owners = await prisma.conversationParticipant.count({
+      where: { conversationId, role: 'owner', deletedAt: null }
+    });
+
+    if (owners <= 1) {
+      throw createError.conflict('A conversation must keep at least one owner');
+    }
+  }
+
+  async audit(access, userId, action, targetId, context, viaOverride) {
+    await prisma.auditLog.create({
+      data: {
+        tenantId: access.conversation.tenantId,
+        userId,
+        action,
+        targetId,
+        context: viaOverride ? `${context} (tenant permission)` : context
+      }
+    });
+  }
+}
+
+module.exports = new ConversationService();
+
+module.exports.CONVERSATION_ROLES = CONVERSATION_ROLES;
+module.exports.VISIBILITIES = VISIBILITIES;
+module.exports.CAPABILITIES = CAPABILITIES;
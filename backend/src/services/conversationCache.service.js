@@ -0,0 +1,153 @@
+const { prisma } = require('../utils/prisma');
+const readReceiptService = require('./readReceipt.service');
+const threadService = require('./thread.service');
+
+// Characters of message text kept on the conversation for the sidebar preview
+const PREVIEW_LENGTH = 200;
+
+/**
+ * Keeps the denormalized conversation list state in step with messages:
+ * the last-message snapshot on Conversation and the unread counter on each
+ * ConversationParticipant. Every method takes the Prisma client or
+ * transaction to write with, so callers update the cache in the same
+ * transaction as the message itself.
+ */
+class ConversationCacheService {
+  /**
+   * Last-message columns for a message
+   * @param {Object|null} message - Message, or null when the conversation has none left
+   * @returns {Object} Conversation update data
+   */
+  snapshot(message) {
+    return {
+      lastMessageId: message?.id || null,
+      lastMessageAt: message?.createdAt || null,
+      lastMessageSenderId: message?.senderId || null,
+      lastMessagePreview: message?.messageText ? message.messageText.slice(0, PREVIEW_LENGTH) : null
+    };
+  }
+
+  /**
+   * Cache a new message as the conversation's last message and count it
+   * as unread for every other active participant
+   * @param {Object} client - Prisma client or transaction
+   * @param {Object} message - Created message
+   * @returns {Promise<void>}
+   */
+  async recordNewMessage(client, message) {
+    await client.conversation.update({
+      where: { id: message.conversationId },
+      data: this.snapshot(message)
+    });
+
+    await client.conversationParticipant.updateMany({
+      where: {
+        conversationId: message.conversationId,
+        deletedAt: null,
+        userId: { not: message.senderId }
+      },
+      data: { unreadCount: { increment: 1 } }
+    });
+  }
+
+  /**
+   * Take a deleted message out of unread counters and, if it was the last
+   * message, fall back to the one before it. Call after the message is
+   * soft-deleted.
+   * @param {Object} client - Prisma client or transaction
+   * @param {Object} message - Deleted message (id, conversationId, senderId, createdAt)
+   * @returns {Promise<void>}
+   */
+  async recordDeletedMessage(client, message) {
+    const { id, conversationId, senderId, createdAt } = message;
+
+    // Only participants who had not read it yet counted it
+    await client.conversationParticipant.updateMany({
+      where: {
+        conversationId,
+        deletedAt: null,
+        userId: { not: senderId },
+        unreadCount: { gt: 0 },
+        OR: [
+          { lastReadAt: { lt: createdAt } },
+          { lastReadAt: null, user: { messageReads: { none: { messageId: id } } } }
+        ]
+      },
+      data: { unreadCount: { decrement: 1 } }
+    });
+
+    const conversation = await client.conversation.findUnique({
+      where: { id: conversationId },
+      select: { lastMessageId: true }
+    });
+
+    if (conversation?.lastMessageId === id) {
+      await this.refreshLastMessage(client, conversationId);
+    }
+  }
+
+  /**
+   * Refresh the preview when the cached last message is edited
+   * @param {Object} client - Prisma client or transaction
+   * @param {Object} message - Edited message
+   * @returns {Promise<void>}
+   */
+  async recordEditedMessage(client, message) {
+    await client.conversation.updateMany({
+      where: { id: message.conversationId, lastMessageId: message.id },
+      data: { lastMessagePreview: this.snapshot(message).lastMessagePreview }
+    });
+  }
+
+  /**
+   * Re-read the conversation's latest message into the cache
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<void>}
+   */
+  async refreshLastMessage(client, conversationId) {
+    const latest = await client.message.findFirst({
+      where: { conversationId, deletedAt: null },
+      select: { id: true, senderId: true, messageText: true, createdAt: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    // Leave updatedAt alone so the conversation does not jump up the list
+    const { updatedAt } = await client.conversation.findUnique({
+      where: { id: conversationId },
+      select: { updatedAt: true }
+    });
+
+    await client.conversation.update({
+      where: { id: conversationId },
+      data: { ...this.snapshot(latest), updatedAt }
+    });
+  }
+
+  /**
+   * Recompute a conversation's cache from its messages and read cursors,
+   * along with its threads' reply counts. Used after bulk changes such as
+   * retention sweeps, and to backfill.
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<void>}
+   */
+  async rebuildConversation(conversationId) {
+    await this.refreshLastMessage(prisma, conversationId);
+    await threadService.rebuildThreads(prisma, conversationId);
+
+    const participants = await prisma.conversationParticipant.findMany({
+      where: { conversationId, deletedAt: null },
+      select: { id: true, conversationId: true, userId: true, lastReadAt: true }
+    });
+
+    for (const participant of participants) {
+      const unreadCount = await prisma.message.count({ where: readReceiptService.unreadWhere(participant) });
+      await prisma.conversationParticipant.update({
+        where: { id: participant.id },
+        data: { unreadCount }
+      });
+    }
+  }
+}
+
+module.exports = new ConversationCacheService();
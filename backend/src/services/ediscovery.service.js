@@ -0,0 +1,562 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const config = require('../config/environment');
+
+const EXPORT_JOB_SELECT = {
+  id: true,
+  status: true,
+  filters: true,
+  progress: true,
+  totalItems: true,
+  processedItems: true,
+  fileSize: true,
+  sha256: true,
+  error: true,
+  startedAt: true,
+  completedAt: true,
+  createdAt: true,
+  requestedBy: {
+    select: {
+      id: true,
+      email: true,
+      displayName: true
+    }
+  }
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+class EDiscoveryService {
+  /**
+   * Absolute directory that holds export archives
+   * @returns {string} Export directory
+   */
+  getExportDir() {
+    return path.resolve(process.cwd(), config.ediscovery.exportDir);
+  }
+
+  /**
+   * Shape an export job for API responses
+   * @param {Object} job - Export job row
+   * @returns {Object} Serialized export job
+   */
+  serializeJob(job) {
+    return {
+      ...job,
+      filters: JSON.parse(job.filters || '{}'),
+      fileSize: job.fileSize !== null && job.fileSize !== undefined ? Number(job.fileSize) : null
+    };
+  }
+
+  /**
+   * Queue a new export job and start it in the background
+   * @param {Object} params - Export parameters
+   * @param {string} params.tenantId - Tenant ID
+   * @param {string} params.requestedById - Admin requesting the export
+   * @param {Object} params.filters - Export filters
+   * @param {string} [params.filters.startDate] - Include messages sent on or after this date
+   * @param {string} [params.filters.endDate] - Include messages sent on or before this date
+   * @param {string[]} [params.filters.userIds] - Only conversations these users took part in
+   * @param {string[]} [params.filters.conversationIds] - Only these conversations
+   * @param {Object} [io] - Socket.IO server instance for progress events
+   * @returns {Promise<Object>} Queued export job
+   */
+  async createExportJob({ tenantId, requestedById, filters }, io) {
+    const job = await prisma.exportJob.create({
+      data: {
+        tenantId,
+        requestedById,
+        filters: JSON.stringify(filters)
+      },
+      select: EXPORT_JOB_SELECT
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId,
+        userId: requestedById,
+        action: 'EDISCOVERY_EXPORT_REQUESTED',
+        targetId: job.id,
+        context: `eDiscovery export requested with filters ${JSON.stringify(filters)}`
+      }
+    });
+
+    setImmediate(() => {
+      this.runExportJob(job.id, io).catch(error => {
+        console.error(`❌ eDiscovery export ${job.id} crashed:`, error);
+      });
+    });
+
+    return this.serializeJob(job);
+  }
+
+  /**
+   * List export jobs for a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Array>} Export jobs, newest first
+   */
+  async listExportJobs(tenantId) {
+    const jobs = await prisma.exportJob.findMany({
+      where: { tenantId },
+      select: EXPORT_JOB_SELECT,
+      orderBy: { createdAt: 'desc' },
+      take: 100
+    });
+
+    return jobs.map(job => this.serializeJob(job));
+  }
+
+  /**
+   * Get a single export job
+   * @param {string} jobId - Export job ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} Export job
+   */
+  async getExportJob(jobId, tenantId) {
+    const job = await prisma.exportJob.findFirst({
+      where: { id: jobId, tenantId },
+      select: EXPORT_JOB_SELECT
+    });
+
+    if (!job) {
+      throw createError.notFound('Export job not found');
+    }
+
+    return this.serializeJob(job);
+  }
+
+  /**
+   * Resolve the archive path of a completed export
+   * @param {string} jobId - Export job ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} Job and absolute archive path
+   */
+  async getExportArchive(jobId, tenantId) {
+    const job = await prisma.exportJob.findFirst({
+      where: { id: jobId, tenantId }
+    });
+
+    if (!job) {
+      throw createError.notFound('Export job not found');
+    }
+    if (job.status !== 'completed' || !job.filePath) {
+      throw createError.conflict(`Export job is ${job.status}`);
+    }
+
+    const archivePath = path.join(this.getExportDir(), job.filePath);
+    if (!fs.existsSync(archivePath)) {
+      throw createError.notFound('Export archive no longer exists');
+    }
+
+    return { job, archivePath };
+  }
+
+  /**
+   * Mark jobs interrupted by a restart as failed
+   * @returns {Promise<void>}
+   */
+  async failInterruptedJobs() {
+    await prisma.exportJob.updateMany({
+      where: { status: { in: ['queued', 'running'] } },
+      data: {
+        status: 'failed',
+        error: 'Export interrupted by server restart'
+      }
+    });
+  }
+
+  /**
+   * Find the conversations and message filter covered by an export
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} filters - Export filters
+   * @returns {Promise<Object>} Conversations and message where clause
+   */
+  async resolveScope(tenantId, filters) {
+    const { startDate, endDate, userIds = [], conversationIds = [] } = filters;
+
+    const conversations = await prisma.conversation.findMany({
+      where: {
+        tenantId,
+        ...(conversationIds.length > 0 && { id: { in: conversationIds } }),
+        ...(userIds.length > 0 && { participants: { some: { userId: { in: userIds } } } })
+      },
+      include: {
+        participants: {
+          include: {
+            user: {
+              select: {
+                id: true,
+                email: true,
+                displayName: true
+              }
+            }
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const messageWhere = {};
+    if (startDate || endDate) {
+      messageWhere.createdAt = {};
+      if (startDate) messageWhere.createdAt.gte = new Date(startDate);
+      if (endDate) messageWhere.createdAt.lte = new Date(endDate);
+    }
+
+    return { conversations, messageWhere };
+  }
+
+  /**
+   * Write a file into the staging directory and record its hash
+   * @param {string} stagingDir - Staging directory
+   * @param {string} relativePath - Path inside the archive
+   * @param {string|Buffer} content - File content
+   * @param {Array} manifest - Manifest entries to append to
+   * @returns {Promise<void>}
+   */
+  async writeStagedFile(stagingDir, relativePath, content, manifest) {
+    const target = path.join(stagingDir, relativePath);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, content);
+
+    manifest.push({
+      path: relativePath,
+      size: Buffer.byteLength(content),
+      sha256: crypto.createHash('sha256').update(content).digest('hex')
+    });
+  }
+
+  /**
+   * Hash a file on disk
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<string>} Hex SHA-256 digest
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Render an HTML transcript for a conversation
+   * @param {Object} conversation - Conversation with participants
+   * @param {Array} messages - Messages in chronological order
+   * @returns {string} HTML document
+   */
+  renderTranscript(conversation, messages) {
+    const participants = conversation.participants
+      .map(p => `${escapeHtml(p.user.displayName)} &lt;${escapeHtml(p.user.email)}&gt;`)
+      .join(', ');
+
+    const rows = messages.map(message => {
+      const attachments = message.mediaFiles
+        .map(link => `<li>${escapeHtml(path.basename(link.mediaFile.fileUrl))} (${escapeHtml(link.mediaFile.fileType)})</li>`)
+        .join('');
+      const revisions = (message.revisions || [])
+        .map(revision => `<li>Replaced ${new Date(revision.editedAt).toISOString()}: ${escapeHtml(revision.messageText)}</li>`)
+        .join('');
+
+      return `
+      <div class="message${message.deletedAt ? ' deleted' : ''}">
+        <div class="meta">
+          <strong>${escapeHtml(message.sender?.displayName)}</strong>
+          &lt;${escapeHtml(message.sender?.email)}&gt;
+          &middot; ${new Date(message.createdAt).toISOString()}
+          ${message.edited ? `&middot; edited ${message.editedAt ? new Date(message.editedAt).toISOString() : ''}` : ''}
+          ${message.deletedAt ? `&middot; deleted ${new Date(message.deletedAt).toISOString()}` : ''}
+        </div>
+        <div class="text">${escapeHtml(message.messageText)}</div>
+        ${attachments ? `<ul class="attachments">${attachments}</ul>` : ''}
+        ${revisions ? `<ol class="revisions">${revisions}</ol>` : ''}
+      </div>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(conversation.name)} - Transcript</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #1f2937; max-width: 900px; margin: 0 auto; padding: 24px; }
+    h1 { font-size: 20px; }
+    .info { color: #6b7280; font-size: 13px; margin-bottom: 24px; }
+    .message { border-bottom: 1px solid #e5e7eb; padding: 8px 0; }
+    .message.deleted { background: #fef2f2; }
+    .meta { color: #6b7280; font-size: 12px; }
+    .text { white-space: pre-wrap; margin-top: 4px; }
+    .attachments { font-size: 12px; color: #374151; }
+    .revisions { font-size: 12px; color: #6b7280; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(conversation.name)}</h1>
+  <div class="info">
+    Conversation ID: ${escapeHtml(conversation.id)}<br>
+    Participants: ${participants}<br>
+    Messages: ${messages.length}
+  </div>
+  ${rows}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Update job progress and notify the requester
+   * @param {Object} io - Socket.IO server instance
+   * @param {Object} job - Export job row
+   * @param {Object} data - Fields to update
+   * @returns {Promise<void>}
+   */
+  async reportProgress(io, job, data) {
+    const updated = await prisma.exportJob.update({
+      where: { id: job.id },
+      data
+    });
+
+    if (io) {
+      io.to(`user:${job.requestedById}`).emit('export-progress', {
+        jobId: updated.id,
+        status: updated.status,
+        progress: updated.progress,
+        processedItems: updated.processedItems,
+        totalItems: updated.totalItems
+      });
+    }
+  }
+
+  /**
+   * Build the export archive for a job
+   * @param {string} jobId - Export job ID
+   * @param {Object} [io] - Socket.IO server instance for progress events
+   * @returns {Promise<void>}
+   */
+  async runExportJob(jobId, io) {
+    const job = await prisma.exportJob.findUnique({ where: { id: jobId } });
+    if (!job || job.status !== 'queued') return;
+
+    const exportDir = this.getExportDir();
+    const stagingDir = path.join(exportDir, job.id);
+    const archiveName = `${job.id}.zip`;
+
+    try {
+      const filters = JSON.parse(job.filters);
+      const { conversations, messageWhere } = await this.resolveScope(job.tenantId, filters);
+
+      const conversationIds = conversations.map(c => c.id);
+      const [messageCount, mediaFiles] = await Promise.all([
+        prisma.message.count({ where: { ...messageWhere, conversationId: { in: conversationIds } } }),
+        prisma.mediaFile.findMany({
+          where: {
+            messages: {
+              some: { message: { ...messageWhere, conversationId: { in: conversationIds } } }
+            }
+          }
+        })
+      ]);
+
+      const totalItems = messageCount + mediaFiles.length;
+      let processedItems = 0;
+
+      await this.reportProgress(io, job, {
+        status: 'running',
+        startedAt: new Date(),
+        totalItems
+      });
+
+      await fs.promises.mkdir(stagingDir, { recursive: true });
+      const manifest = [];
+
+      // Messages: one JSON lines file and one HTML transcript per conversation
+      for (const conversation of conversations) {
+        const messages = [];
+        let cursor;
+
+        while (true) {
+          const batch = await prisma.message.findMany({
+            where: { ...messageWhere, conversationId: conversation.id },
+            include: {
+              sender: {
+                select: {
+                  id: true,
+                  email: true,
+                  displayName: true
+                }
+              },
+              reactions: {
+                select: {
+                  userId: true,
+                  emoji: true,
+                  createdAt: true
+                }
+              },
+              readBy: {
+                select: {
+                  userId: true,
+                  readAt: true
+                }
+              },
+              mediaFiles: {
+                include: { mediaFile: true }
+              },
+              revisions: {
+                select: {
+                  revision: true,
+                  messageText: true,
+                  editedById: true,
+                  editedAt: true
+                },
+                orderBy: { revision: 'asc' }
+              }
+            },
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+            take: config.ediscovery.batchSize,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+          });
+
+          messages.push(...batch);
+          if (batch.length < config.ediscovery.batchSize) break;
+          cursor = batch[batch.length - 1].id;
+        }
+
+        const lines = messages.map(message => JSON.stringify({
+          id: message.id,
+          conversationId: message.conversationId,
+          sender: message.sender,
+          messageText: message.messageText,
+          messageType: message.messageType,
+          parentId: message.parentId,
+          threadId: message.threadId,
+          createdAt: message.createdAt,
+          edited: message.edited,
+          editedAt: message.editedAt,
+          revisions: message.revisions,
+          deletedAt: message.deletedAt,
+          reactions: message.reactions,
+          readBy: message.readBy,
+          attachments: message.mediaFiles.map(link => ({
+            mediaFileId: link.mediaFile.id,
+            fileName: path.basename(link.mediaFile.fileUrl),
+            fileType: link.mediaFile.fileType,
+            size: Number(link.mediaFile.size)
+          }))
+        }));
+
+        const folder = `conversations/${conversation.id}`;
+        await this.writeStagedFile(stagingDir, `${folder}/messages.jsonl`, lines.length ? `${lines.join('\n')}\n` : '', manifest);
+        await this.writeStagedFile(stagingDir, `${folder}/transcript.html`, this.renderTranscript(conversation, messages), manifest);
+
+        processedItems += messages.length;
+        await this.reportProgress(io, job, {
+          processedItems,
+          progress: totalItems ? Math.floor((processedItems / totalItems) * 100) : 100
+        });
+      }
+
+      // Attached media blobs from the uploads directory
+      const uploadDir = config.getUploadPath();
+      for (const mediaFile of mediaFiles) {
+        const source = path.join(uploadDir, mediaFile.fileUrl);
+        const relativePath = `files/${mediaFile.id}/${path.basename(mediaFile.fileUrl)}`;
+
+        if (fs.existsSync(source)) {
+          const target = path.join(stagingDir, relativePath);
+          await fs.promises.mkdir(path.dirname(target), { recursive: true });
+          await fs.promises.copyFile(source, target);
+          const stat = await fs.promises.stat(target);
+
+          manifest.push({
+            path: relativePath,
+            size: stat.size,
+            sha256: await this.hashFile(target),
+            mediaFileId: mediaFile.id,
+            fileType: mediaFile.fileType
+          });
+        } else {
+          manifest.push({
+            path: relativePath,
+            mediaFileId: mediaFile.id,
+            fileType: mediaFile.fileType,
+            missing: true
+          });
+        }
+
+        processedItems++;
+        await this.reportProgress(io, job, {
+          processedItems,
+          progress: Math.floor((processedItems / totalItems) * 100)
+        });
+      }
+
+      await fs.promises.writeFile(path.join(stagingDir, 'manifest.json'), JSON.stringify({
+        exportId: job.id,
+        tenantId: job.tenantId,
+        requestedById: job.requestedById,
+        generatedAt: new Date().toISOString(),
+        filters,
+        conversations: conversations.map(c => ({ id: c.id, name: c.name })),
+        messageCount,
+        files: manifest
+      }, null, 2));
+
+      // Package the staging directory into a single archive
+      const archivePath = path.join(exportDir, archiveName);
+      await new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(archivePath);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        output.on('close', resolve);
+        archive.on('error', reject);
+        archive.pipe(output);
+        archive.directory(stagingDir, false);
+        archive.finalize();
+      });
+
+      const archiveStat = await fs.promises.stat(archivePath);
+      await this.reportProgress(io, job, {
+        status: 'completed',
+        progress: 100,
+        filePath: archiveName,
+        fileSize: BigInt(archiveStat.size),
+        sha256: await this.hashFile(archivePath),
+        completedAt: new Date()
+      });
+
+      await prisma.auditLog.create({
+        data: {
+          tenantId: job.tenantId,
+          userId: job.requestedById,
+          action: 'EDISCOVERY_EXPORT_COMPLETED',
+          targetId: job.id,
+          context: `eDiscovery export completed: ${conversations.length} conversation(s), ${messageCount} message(s), ${mediaFiles.length} file(s)`
+        }
+      });
+
+      console.log(`📦 eDiscovery export ${job.id} completed`);
+    } catch (error) {
+      console.error(`❌ eDiscovery export ${job.id} failed:`, error);
+      await this.reportProgress(io, job, {
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date()
+      });
+    } finally {
+      await fs.promises.rm(stagingDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = new EDiscoveryService();
@@ -1,117 +1,373 @@
 const config = require('../config/environment');
-const path = require('path');
-
-async function sendInviteEmail({ to, inviteUrl, tenantName, invitedByName }) {
-  const subject = `You're invited to join ${tenantName} on TeamHub`;
-  const logoUrl = process.env.EMAIL_LOGO_URL || `${config.frontend.url}/logo.png`;
-  const html = `
-  <div style="font-family: Arial, sans-serif; background-color: #f4f6f8; padding: 30px; color: #333;">
-    <table align="center" width="100%" style="max-width: 600px; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.05);">
-      <tr>
-        <td style="padding: 30px; text-align: center; background-color: #4f46e5; color: #ffffff;">
-          <img src="${logoUrl}" alt="TeamHub Logo" style="width: 50px; margin-bottom: 10px;">
-          <h1 style="margin: 0; font-size: 22px; font-weight: 600;">You're Invited!</h1>
-        </td>
-      </tr>
-      <tr>
-        <td style="padding: 30px; font-size: 15px; line-height: 1.6;">
-          <p style="margin: 0 0 10px;">Hi,</p>
-          <p style="margin: 0 0 15px;">
-            <strong>${invitedByName}</strong> has invited you to join 
-            <strong>${tenantName}</strong> on <strong>TeamHub</strong>.
-          </p>
-          <p style="margin: 0 0 20px;">Click below to accept your invitation and start collaborating.</p>
-          <div style="text-align: center; margin: 25px 0;">
-            <a href="${inviteUrl}" style="background-color: #4f46e5; color: #ffffff; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold; display: inline-block;">
-              Accept Invitation
-            </a>
-          </div>
-          <p style="font-size: 13px; color: #777;">This link expires in ${config.invitation.expiresInDays} days.</p>
-        </td>
-      </tr>
-      <tr>
-        <td style="padding: 20px; background-color: #f9fafb; font-size: 12px; color: #999; text-align: center;">
-          TeamHub © ${new Date().getFullYear()} • Bringing teams together
-        </td>
-      </tr>
-    </table>
-  </div>
-`;
-  const text = `You were invited by ${invitedByName} to join ${tenantName} on TeamHub.
-Accept: ${inviteUrl}
-This link expires in ${config.invitation.expiresInDays} days.`;
-
-  // Helper: detect free webmail domains which typically fail DMARC when sent via ESPs (gmail, yahoo, outlook, hotmail)
-  const isFreeWebmail = (email) => /@(gmail\.com|yahoo\.com|ymail\.com|outlook\.com|hotmail\.com|live\.com)$/i.test(email || '');
-
-  const senderEmail = config.email.from.address;
-  const senderName = config.email.from.name;
-  const replyTo = process.env.REPLY_TO_ADDRESS;
-
-  // Prefer Brevo only when we have an API key AND sender is NOT a free webmail domain
-  if (process.env.BREVO_API_KEY && !isFreeWebmail(senderEmail)) {
-    try {
-      const Brevo = require('@getbrevo/brevo');
-      const api = new Brevo.TransactionalEmailsApi();
-      api.setApiKey(Brevo.TransactionalEmailsApiApiKeys.apiKey, process.env.BREVO_API_KEY);
-
-      if (!senderEmail) {
-        console.warn('Email not sent: EMAIL_FROM_ADDRESS not configured.');
-        return false;
-      }
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const emailTransportService = require('./emailTransport.service');
+const emailTemplateService = require('./emailTemplate.service');
 
-      const response = await api.sendTransacEmail({
-        sender: { name: senderName, email: senderEmail },
-        to: [{ email: to }],
-        subject,
-        htmlContent: html,
-        textContent: text,
-        replyTo: replyTo ? { email: replyTo } : undefined
-      });
+// Columns safe to show admins; bodies are left out because they can contain reset and verification links
+const DELIVERY_SELECT = {
+  id: true,
+  template: true,
+  recipient: true,
+  subject: true,
+  transport: true,
+  status: true,
+  attempts: true,
+  lastError: true,
+  providerMessageId: true,
+  nextAttemptAt: true,
+  sentAt: true,
+  createdAt: true,
+  updatedAt: true
+};
 
-      const messageId = response?.body?.messageId || response?.messageId || 'unknown';
-      console.info(`Brevo invite email queued successfully. messageId=${messageId} to=${to}`);
-      return true;
-    } catch (err) {
-      console.error('Brevo invite email failed:', err?.response?.body || err.message || err);
-      throw err;
-    }
+// Bodies carry single-use reset, verification and unsubscribe tokens, so they
+// are only kept while the delivery can still be sent
+const DISCARDED_BODIES = { htmlBody: null, textBody: null };
+
+let retryTimer = null;
+let retryRunning = false;
+
+// Exponential backoff: baseDelay, 2x, 4x, ...
+const nextAttemptDelay = (attempts) => config.email.retry.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+
+/**
+ * Try to deliver a claimed delivery row and record the outcome
+ * @param {Object} delivery - EmailDelivery row in processing state, attempts already incremented
+ * @returns {Promise<string>} Resulting status
+ */
+async function attemptDelivery(delivery) {
+  const transport = emailTransportService.getTransport();
+
+  if (!transport) {
+    console.warn(`Email not sent: no email transport configured (template=${delivery.template} to=${delivery.recipient}).`);
+    await prisma.emailDelivery.update({
+      where: { id: delivery.id },
+      data: { status: 'skipped', lastError: 'No email transport configured' }
+    });
+    return 'skipped';
   }
 
-  // Fallback: SMTP via nodemailer (works with Gmail when you use an App Password)
   try {
-    const nodemailer = require('nodemailer');
+    const { messageId } = await transport.send({
+      to: delivery.recipient,
+      subject: delivery.subject,
+      html: delivery.htmlBody,
+      text: delivery.textBody,
+      replyTo: process.env.REPLY_TO_ADDRESS || undefined,
+      template: delivery.template
+    });
 
-    if (!config.email.user || !config.email.password) {
-      console.warn('Email not sent: SMTP credentials not configured (EMAIL_USER/EMAIL_PASSWORD).');
-      return false;
-    }
+    await prisma.emailDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: 'sent',
+        transport: transport.name,
+        providerMessageId: messageId,
+        sentAt: new Date(),
+        lastError: null,
+        ...DISCARDED_BODIES
+      }
+    });
+
+    console.info(`${transport.name} ${delivery.template} email sent. messageId=${messageId} to=${delivery.recipient}`);
+    return 'sent';
+  } catch (error) {
+    const exhausted = delivery.attempts >= config.email.retry.maxAttempts;
+    console.error(
+      `${transport.name} ${delivery.template} email failed (attempt ${delivery.attempts}/${config.email.retry.maxAttempts}):`,
+      error.message || error
+    );
 
-    const transporter = nodemailer.createTransport({
-      host: config.email.host,
-      port: config.email.port,
-      secure: !!config.email.secure,
-      auth: {
-        user: config.email.user,
-        pass: config.email.password
+    await prisma.emailDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: exhausted ? 'failed' : 'pending',
+        transport: transport.name,
+        lastError: String(error.message || error).substring(0, 1000),
+        nextAttemptAt: new Date(Date.now() + nextAttemptDelay(delivery.attempts)),
+        ...(exhausted && DISCARDED_BODIES)
       }
     });
+    return exhausted ? 'failed' : 'pending';
+  }
+}
 
-    const info = await transporter.sendMail({
-      from: `${senderName} <${senderEmail || config.email.user}>`,
-      to,
+/**
+ * Render a template and send it, recording the delivery. Failed sends are
+ * queued for retry by the background worker.
+ * @param {Object} params - Email parameters
+ * @param {string} params.to - Recipient address
+ * @param {string} params.template - Registered template name
+ * @param {Object} [params.data] - Template values
+ * @param {string} [params.tenantId] - Tenant the email belongs to, for the admin delivery log
+ * @returns {Promise<boolean>} True when sent or queued for retry, false when no transport is configured
+ */
+async function sendEmail({ to, template, data = {}, tenantId }) {
+  const { subject, html, text } = emailTemplateService.render(template, { to, ...data });
+
+  const delivery = await prisma.emailDelivery.create({
+    data: {
+      tenantId,
+      template,
+      recipient: to,
       subject,
-      text,
-      html,
-      replyTo: replyTo || undefined
+      htmlBody: html,
+      textBody: text,
+      status: 'processing',
+      attempts: 1
+    }
+  });
+
+  const status = await attemptDelivery(delivery);
+  return status !== 'skipped';
+}
+
+async function sendInviteEmail({ to, inviteUrl, tenantName, invitedByName, tenantId }) {
+  return sendEmail({
+    to,
+    template: 'invite',
+    data: { inviteUrl, tenantName, invitedByName },
+    tenantId
+  });
+}
+
+async function sendPasswordResetEmail({ to, resetUrl, displayName, expiresInMinutes, tenantId }) {
+  return sendEmail({
+    to,
+    template: 'password-reset',
+    data: { resetUrl, displayName, expiresInMinutes },
+    tenantId
+  });
+}
+
+async function sendVerificationEmail({ to, verifyUrl, displayName, expiresInHours, tenantId }) {
+  return sendEmail({
+    to,
+    template: 'email-verification',
+    data: { verifyUrl, displayName, expiresInHours },
+    tenantId
+  });
+}
+
+/**
+ * Send an unread digest built by emailDigest.service
+ * @param {Object} params - Digest contents
+ * @param {string} params.to - Recipient address
+ * @param {string} params.displayName - Recipient's name
+ * @param {Object[]} params.mentions - Listed mentions
+ * @param {Object[]} params.directMessages - Listed direct conversations
+ * @param {number} params.mentionCount - All unread mentions, listed or not
+ * @param {number} params.directMessageCount - All unread direct messages, listed or not
+ * @param {number} params.moreMentions - Mentions left out of the list
+ * @param {number} params.moreDirectMessages - Direct conversations left out of the list
+ * @param {string} params.appUrl - Link to the app
+ * @param {string} params.unsubscribeUrl - Signed unsubscribe link
+ * @param {string} params.tenantId - Recipient's tenant
+ * @returns {Promise<boolean>} True when sent or queued for retry
+ */
+async function sendUnreadDigestEmail({ to, tenantId, ...data }) {
+  return sendEmail({
+    to,
+    template: 'unread-digest',
+    data,
+    tenantId
+  });
+}
+
+/**
+ * Claim and retry failed deliveries that are due
+ * @returns {Promise<number>} Number of deliveries retried
+ */
+async function processRetryQueue() {
+  if (retryRunning) {
+    return 0;
+  }
+
+  retryRunning = true;
+  let processed = 0;
+
+  try {
+    const due = await prisma.emailDelivery.findMany({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { lte: new Date() }
+      },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: config.email.retry.batchSize
     });
 
-    console.info(`SMTP invite email sent. messageId=${info.messageId} to=${to}`);
-    return true;
-  } catch (smtpErr) {
-    console.error('SMTP invite email failed:', smtpErr.message || smtpErr);
-    return false;
+    for (const delivery of due) {
+      // Claim the row so a concurrent worker cannot send it twice
+      const claim = await prisma.emailDelivery.updateMany({
+        where: { id: delivery.id, status: 'pending' },
+        data: {
+          status: 'processing',
+          attempts: { increment: 1 }
+        }
+      });
+
+      if (claim.count === 0) {
+        continue;
+      }
+
+      await attemptDelivery({ ...delivery, attempts: delivery.attempts + 1 });
+      processed++;
+    }
+
+    if (processed > 0) {
+      console.log(`📧 Retried ${processed} email delivery(ies)`);
+    }
+  } catch (error) {
+    console.error('❌ Email retry worker error:', error);
+  } finally {
+    retryRunning = false;
+  }
+
+  return processed;
+}
+
+/**
+ * Start the background worker that retries failed deliveries
+ */
+function startWorker() {
+  if (retryTimer) {
+    return;
+  }
+
+  // Deliveries left in processing by a crashed worker go back to the queue
+  prisma.emailDelivery.updateMany({
+    where: { status: 'processing' },
+    data: { status: 'pending' }
+  }).catch((error) => {
+    console.error('❌ Failed to requeue stale email deliveries:', error);
+  });
+
+  retryTimer = setInterval(processRetryQueue, config.email.retry.pollIntervalMs);
+
+  // Do not keep the process alive just for the worker
+  if (retryTimer.unref) {
+    retryTimer.unref();
+  }
+}
+
+/**
+ * Stop the background worker
+ */
+function stopWorker() {
+  if (retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+}
+
+/**
+ * List a tenant's email deliveries with per-status counts
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} [filters] - Filters and pagination
+ * @param {string} [filters.status] - Delivery status
+ * @param {string} [filters.template] - Template name
+ * @param {string} [filters.recipient] - Recipient address
+ * @param {number} [filters.page] - Page number
+ * @param {number} [filters.limit] - Page size
+ * @returns {Promise<Object>} Deliveries, status counts and pagination
+ */
+async function listDeliveries(tenantId, { status, template, recipient, page = 1, limit = 50 } = {}) {
+  const where = {
+    tenantId,
+    ...(status && { status }),
+    ...(template && { template }),
+    ...(recipient && { recipient: { contains: recipient, mode: 'insensitive' } })
+  };
+  const skip = (page - 1) * limit;
+
+  const [deliveries, total, statusCounts] = await Promise.all([
+    prisma.emailDelivery.findMany({
+      where,
+      select: DELIVERY_SELECT,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit
+    }),
+    prisma.emailDelivery.count({ where }),
+    prisma.emailDelivery.groupBy({
+      by: ['status'],
+      where: { tenantId },
+      _count: true
+    })
+  ]);
+
+  const transport = emailTransportService.getTransport();
+
+  return {
+    deliveries,
+    stats: {
+      transport: transport ? transport.name : null,
+      byStatus: statusCounts.reduce((acc, row) => ({ ...acc, [row.status]: row._count }), {})
+    },
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: skip + deliveries.length < total
+    }
+  };
+}
+
+/**
+ * Put a skipped delivery back on the retry queue. Sent and failed deliveries
+ * no longer have their bodies, so they cannot be resent.
+ * @param {string} deliveryId - Delivery ID
+ * @param {string} tenantId - Tenant ID
+ * @param {string} adminUserId - Admin requesting the retry
+ * @returns {Promise<Object>} Requeued delivery
+ */
+async function retryDelivery(deliveryId, tenantId, adminUserId) {
+  const delivery = await prisma.emailDelivery.findFirst({
+    where: { id: deliveryId, tenantId },
+    select: { id: true, status: true, template: true, recipient: true }
+  });
+
+  if (!delivery) {
+    throw createError.notFound('Email delivery not found');
+  }
+  if (delivery.status !== 'skipped') {
+    throw createError.conflict(`Only skipped deliveries can be retried (status is ${delivery.status})`);
   }
+
+  const requeued = await prisma.emailDelivery.update({
+    where: { id: deliveryId },
+    data: {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date()
+    },
+    select: DELIVERY_SELECT
+  });
+
+  await prisma.auditLog.create({
+    data: {
+      tenantId,
+      userId: adminUserId,
+      action: 'EMAIL_DELIVERY_RETRIED',
+      targetId: deliveryId,
+      context: `Requeued ${delivery.template} email to ${delivery.recipient}`
+    }
+  });
+
+  return requeued;
 }
 
-module.exports = { sendInviteEmail };
\ No newline at end of file
+module.exports = {
+  sendEmail,
+  sendInviteEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendUnreadDigestEmail,
+  processRetryQueue,
+  startWorker,
+  stopWorker,
+  listDeliveries,
+  retryDelivery
+};
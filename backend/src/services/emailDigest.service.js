@@ -0,0 +1,476 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const emailTransportService = require('./emailTransport.service');
+const { sendUnreadDigestEmail } = require('./email.service');
+const notificationPreferenceService = require('./notificationPreference.service');
+const mentionService = require('./mention.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Shortest time between two digests to the same user
+const FREQUENCY_INTERVALS = {
+  hourly: HOUR_MS,
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS
+};
+const DIGEST_FREQUENCIES = ['off', ...Object.keys(FREQUENCY_INTERVALS)];
+
+const UNSUBSCRIBE_TOKEN_TYPE = 'email_digest_unsubscribe';
+
+// Most mentions read per digest; busy channels can mention a user many times
+const MENTION_SCAN_LIMIT = 500;
+const PREVIEW_LENGTH = 140;
+
+const SETTINGS_SELECT = {
+  emailDigestFrequency: true,
+  emailDigestQuietStart: true,
+  emailDigestQuietEnd: true,
+  emailDigestTimeZone: true,
+  emailDigestLastSentAt: true
+};
+
+const DIGEST_USER_SELECT = {
+  id: true,
+  tenantId: true,
+  email: true,
+  displayName: true,
+  createdAt: true,
+  lastSeenAt: true,
+  notificationLevel: true,
+  notificationsMutedUntil: true,
+  ...SETTINGS_SELECT
+};
+
+const preview = (text) => {
+  const plain = mentionService.plainText(text).replace(/\s+/g, ' ').trim();
+  return plain.length > PREVIEW_LENGTH ? `${plain.slice(0, PREVIEW_LENGTH - 3)}...` : plain;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Emails users who are away a summary of their unread mentions and direct
+ * messages, at the frequency they choose and outside their quiet hours.
+ * Runs only when features.emailNotifications is on.
+ */
+class EmailDigestService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  isEnabled() {
+    return config.features.emailNotifications;
+  }
+
+  formatSettings(user) {
+    return {
+      enabled: this.isEnabled(),
+      frequency: user.emailDigestFrequency,
+      quietHoursStart: user.emailDigestQuietStart,
+      quietHoursEnd: user.emailDigestQuietEnd,
+      timeZone: user.emailDigestTimeZone,
+      lastSentAt: user.emailDigestLastSentAt
+    };
+  }
+
+  /**
+   * A user's digest settings
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Whether digests run at all, frequency, quiet hours, time zone and last send
+   */
+  async getSettings(userId) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: SETTINGS_SELECT });
+    if (!user) {
+      throw createError.notFound('User not found');
+    }
+
+    return this.formatSettings(user);
+  }
+
+  /**
+   * Change a user's digest settings. Fields left undefined are kept.
+   * @param {string} userId - User ID
+   * @param {Object} changes - Changes
+   * @param {string} [changes.frequency] - One of DIGEST_FREQUENCIES
+   * @param {number|null} [changes.quietHoursStart] - First quiet hour (0-23); null with quietHoursEnd clears quiet hours
+   * @param {number|null} [changes.quietHoursEnd] - Hour quiet hours end (0-23)
+   * @param {string|null} [changes.timeZone] - IANA time zone for quiet hours; null means UTC
+   * @returns {Promise<Object>} The updated settings
+   */
+  async updateSettings(userId, { frequency, quietHoursStart, quietHoursEnd, timeZone }) {
+    const current = await prisma.user.findUnique({ where: { id: userId }, select: SETTINGS_SELECT });
+    if (!current) {
+      throw createError.notFound('User not found');
+    }
+
+    const start = quietHoursStart === undefined ? current.emailDigestQuietStart : quietHoursStart;
+    const end = quietHoursEnd === undefined ? current.emailDigestQuietEnd : quietHoursEnd;
+    if ((start === null) !== (end === null)) {
+      throw createError.validation('Quiet hours need both a start and an end hour');
+    }
+    if (start !== null && start === end) {
+      throw createError.validation('Quiet hours must start and end at different hours');
+    }
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      throw createError.validation(`Unknown time zone "${timeZone}"`);
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        emailDigestFrequency: frequency,
+        emailDigestQuietStart: start,
+        emailDigestQuietEnd: end,
+        emailDigestTimeZone: timeZone
+      },
+      select: SETTINGS_SELECT
+    });
+
+    return this.formatSettings(user);
+  }
+
+  /**
+   * Whether it is currently within a user's quiet hours. Quiet hours may
+   * wrap past midnight (e.g. 22 to 7).
+   * @param {Object} user - User with digest settings
+   * @param {Date} now - Current time
+   * @returns {boolean} True during quiet hours
+   */
+  isQuietTime(user, now) {
+    const { emailDigestQuietStart: start, emailDigestQuietEnd: end } = user;
+    if (start === null || end === null) return false;
+
+    const hour = Number(new Intl.DateTimeFormat('en-US', {
+      hour: 'numeric',
+      hourCycle: 'h23',
+      timeZone: user.emailDigestTimeZone || 'UTC'
+    }).format(now));
+
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+  }
+
+  /**
+   * Whether enough time has passed since a user's last digest
+   * @param {Object} user - User with digest settings
+   * @param {Date} now - Current time
+   * @returns {boolean} True when a digest may be sent
+   */
+  isDue(user, now) {
+    const interval = FREQUENCY_INTERVALS[user.emailDigestFrequency];
+    if (!interval) return false;
+    return !user.emailDigestLastSentAt || now - user.emailDigestLastSentAt >= interval;
+  }
+
+  /**
+   * A signed link token that turns a user's digests off. It does not expire,
+   * so links in old emails keep working.
+   * @param {string} userId - User ID
+   * @returns {string} Signed token
+   */
+  createUnsubscribeToken(userId) {
+    return jwt.sign({ sub: userId, type: UNSUBSCRIBE_TOKEN_TYPE }, config.jwt.secret);
+  }
+
+  /**
+   * Turn off digests for the user an unsubscribe token was issued to
+   * @param {string} token - Token from the unsubscribe link
+   * @returns {Promise<Object>} The unsubscribed address
+   */
+  async unsubscribe(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, config.jwt.secret);
+    } catch {
+      throw createError.validation('This unsubscribe link is invalid');
+    }
+    if (payload.type !== UNSUBSCRIBE_TOKEN_TYPE) {
+      throw createError.validation('This unsubscribe link is invalid');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: payload.sub },
+      select: { id: true, tenantId: true, email: true, emailDigestFrequency: true }
+    });
+    if (!user) {
+      throw createError.notFound('This unsubscribe link is no longer valid');
+    }
+
+    if (user.emailDigestFrequency !== 'off') {
+      await prisma.user.update({ where: { id: user.id }, data: { emailDigestFrequency: 'off' } });
+      await prisma.auditLog.create({
+        data: {
+          tenantId: user.tenantId,
+          userId: user.id,
+          action: 'EMAIL_DIGEST_UNSUBSCRIBED',
+          targetId: user.id,
+          context: `${user.email} unsubscribed from unread digest emails`
+        }
+      });
+    }
+
+    return { email: user.email };
+  }
+
+  conversationUrl(conversationId, threadId) {
+    const params = new URLSearchParams({ conversation: conversationId });
+    if (threadId) params.set('thread', threadId);
+    return `${config.frontend.url}/chat?${params}`;
+  }
+
+  /**
+   * Collect a user's unread mentions in group conversations and unread direct
+   * messages that arrived after a point in time, leaving out conversations
+   * their notification preferences silence
+   * @param {Object} user - User with notification defaults
+   * @param {Date} since - Only activity after this time
+   * @returns {Promise<Object|null>} Digest contents, or null when there is nothing to send
+   */
+  async buildDigest(user, since) {
+    const [mentionRows, directRows] = await Promise.all([
+      prisma.messageMention.findMany({
+        where: {
+          userId: user.id,
+          createdAt: { gt: since },
+          message: {
+            deletedAt: null,
+            // Direct messages are summarized per conversation instead
+            conversation: { isGroup: true, deletedAt: null, archivedAt: null }
+          }
+        },
+        select: {
+          message: {
+            select: {
+              id: true,
+              conversationId: true,
+              threadId: true,
+              messageText: true,
+              createdAt: true,
+              sender: { select: { displayName: true } },
+              conversation: { select: { name: true } }
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: MENTION_SCAN_LIMIT
+      }),
+      prisma.conversationParticipant.findMany({
+        where: {
+          userId: user.id,
+          deletedAt: null,
+          unreadCount: { gt: 0 },
+          conversation: {
+            isGroup: false,
+            deletedAt: null,
+            archivedAt: null,
+            lastMessageAt: { gt: since },
+            lastMessageSenderId: { not: user.id }
+          }
+        },
+        select: {
+          unreadCount: true,
+          ...notificationPreferenceService.PREFERENCE_SELECT,
+          conversation: {
+            select: {
+              id: true,
+              lastMessagePreview: true,
+              participants: {
+                where: { userId: { not: user.id } },
+                select: { user: { select: { displayName: true } } },
+                take: 1
+              }
+            }
+          }
+        },
+        orderBy: { conversation: { lastMessageAt: 'desc' } }
+      })
+    ]);
+
+    // Read cursors and preferences for the conversations the mentions are in
+    const participants = await prisma.conversationParticipant.findMany({
+      where: {
+        userId: user.id,
+        deletedAt: null,
+        conversationId: { in: [...new Set(mentionRows.map(row => row.message.conversationId))] }
+      },
+      select: { conversationId: true, lastReadAt: true, ...notificationPreferenceService.PREFERENCE_SELECT }
+    });
+    const participantByConversation = new Map(participants.map(participant => [participant.conversationId, participant]));
+
+    const mentions = mentionRows
+      .map(row => row.message)
+      .filter(message => {
+        const participant = participantByConversation.get(message.conversationId);
+        if (!participant || (participant.lastReadAt && message.createdAt <= participant.lastReadAt)) return false;
+        return notificationPreferenceService.allows(notificationPreferenceService.resolve(participant, user), { mentioned: true });
+      });
+
+    // A direct message is always aimed at the user
+    const directMessages = directRows.filter(row =>
+      notificationPreferenceService.allows(notificationPreferenceService.resolve(row, user), { mentioned: true }));
+
+    if (!mentions.length && !directMessages.length) {
+      return null;
+    }
+
+    const { maxItems } = config.emailDigests;
+    return {
+      mentionCount: mentions.length,
+      directMessageCount: directMessages.reduce((total, row) => total + row.unreadCount, 0),
+      mentions: mentions.slice(0, maxItems).map(message => ({
+        senderName: message.sender?.displayName || 'Someone',
+        conversationName: message.conversation.name,
+        text: preview(message.messageText),
+        url: this.conversationUrl(message.conversationId, message.threadId)
+      })),
+      moreMentions: Math.max(mentions.length - maxItems, 0),
+      directMessages: directMessages.slice(0, maxItems).map(row => ({
+        senderName: row.conversation.participants[0]?.user.displayName || 'Someone',
+        unreadCount: row.unreadCount,
+        preview: preview(row.conversation.lastMessagePreview),
+        url: this.conversationUrl(row.conversation.id)
+      })),
+      moreDirectMessages: Math.max(directMessages.length - maxItems, 0)
+    };
+  }
+
+  /**
+   * Build and send one user's digest
+   * @param {Object} user - User selected with DIGEST_USER_SELECT
+   * @param {Date} now - Time of this run
+   * @returns {Promise<boolean>} True when a digest was sent
+   */
+  async sendDigest(user, now) {
+    // Only what arrived since the user was last here or last emailed
+    const since = new Date(Math.max(
+      ...[user.createdAt, user.lastSeenAt, user.emailDigestLastSentAt].filter(Boolean).map(date => date.getTime())
+    ));
+
+    const digest = await this.buildDigest(user, since);
+    if (!digest) {
+      return false;
+    }
+
+    // Claim the period so a concurrent worker cannot send the same digest
+    const claim = await prisma.user.updateMany({
+      where: { id: user.id, emailDigestLastSentAt: user.emailDigestLastSentAt },
+      data: { emailDigestLastSentAt: now }
+    });
+    if (claim.count === 0) {
+      return false;
+    }
+
+    await sendUnreadDigestEmail({
+      to: user.email,
+      tenantId: user.tenantId,
+      displayName: user.displayName,
+      ...digest,
+      appUrl: `${config.frontend.url}/chat`,
+      unsubscribeUrl: `${config.frontend.url}/unsubscribe?token=${encodeURIComponent(this.createUnsubscribeToken(user.id))}`
+    });
+    return true;
+  }
+
+  /**
+   * Send digests to every away user who is due one
+   * @returns {Promise<number>} Number of digests sent
+   */
+  async sendDueDigests() {
+    // Without a transport every digest would be recorded as skipped
+    if (this.running || !this.isEnabled() || !emailTransportService.getTransport()) {
+      return 0;
+    }
+
+    this.running = true;
+    let sent = 0;
+
+    try {
+      const now = new Date();
+      const awaySince = new Date(now.getTime() - config.emailDigests.offlineMinutes * 60 * 1000);
+      let cursor = null;
+
+      for (;;) {
+        const users = await prisma.user.findMany({
+          where: {
+            isActive: true,
+            deletedAt: null,
+            emailVerified: true,
+            emailDigestFrequency: { in: Object.keys(FREQUENCY_INTERVALS) },
+            onlineStatus: { not: 'online' },
+            AND: [
+              { OR: [{ lastSeenAt: null }, { lastSeenAt: { lt: awaySince } }] },
+              { OR: [{ emailDigestLastSentAt: null }, { emailDigestLastSentAt: { lte: new Date(now.getTime() - HOUR_MS) } }] },
+              { OR: [{ notificationsMutedUntil: null }, { notificationsMutedUntil: { lte: now } }] }
+            ]
+          },
+          select: DIGEST_USER_SELECT,
+          orderBy: { id: 'asc' },
+          take: config.emailDigests.batchSize,
+          ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+        if (!users.length) break;
+        cursor = users[users.length - 1].id;
+
+        for (const user of users) {
+          if (!this.isDue(user, now) || this.isQuietTime(user, now)) continue;
+          try {
+            if (await this.sendDigest(user, now)) sent++;
+          } catch (error) {
+            console.error(`❌ Unread digest failed for user ${user.id}:`, error);
+          }
+        }
+      }
+
+      if (sent > 0) {
+        console.log(`📬 Sent ${sent} unread digest email(s)`);
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Start the periodic digest sender
+   */
+  startWorker() {
+    if (this.timer || !this.isEnabled()) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sendDueDigests().catch(error => {
+        console.error('❌ Unread digest worker error:', error);
+      });
+    }, config.emailDigests.pollIntervalMs);
+
+    // Do not keep the process alive just for the worker
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop the periodic digest sender
+   */
+  stopWorker() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new EmailDigestService();
+
+module.exports.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
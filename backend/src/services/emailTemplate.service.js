@@ -0,0 +1,216 @@
+const config = require('../config/environment');
+const { createError } = require('../utils/errors');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Shared card layout used by every transactional email
+function renderLayout({ heading, body }) {
+  const logoUrl = process.env.EMAIL_LOGO_URL || `${config.frontend.url}/logo.png`;
+  return `
+  <div style="font-family: Arial, sans-serif; background-color: #f4f6f8; padding: 30px; color: #333;">
+    <table align="center" width="100%" style="max-width: 600px; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.05);">
+      <tr>
+        <td style="padding: 30px; text-align: center; background-color: #4f46e5; color: #ffffff;">
+          <img src="${logoUrl}" alt="TeamHub Logo" style="width: 50px; margin-bottom: 10px;">
+          <h1 style="margin: 0; font-size: 22px; font-weight: 600;">${heading}</h1>
+        </td>
+      </tr>
+      <tr>
+        <td style="padding: 30px; font-size: 15px; line-height: 1.6;">
+${body}
+        </td>
+      </tr>
+      <tr>
+        <td style="padding: 20px; background-color: #f9fafb; font-size: 12px; color: #999; text-align: center;">
+          TeamHub © ${new Date().getFullYear()} • Bringing teams together
+        </td>
+      </tr>
+    </table>
+  </div>
+`;
+}
+
+function renderButton(url, label) {
+  return `
+          <div style="text-align: center; margin: 25px 0;">
+            <a href="${escapeHtml(url)}" style="background-color: #4f46e5; color: #ffffff; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold; display: inline-block;">
+              ${label}
+            </a>
+          </div>`;
+}
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// "2 mentions and 1 direct message" for the digest subject and intro
+const describeUnread = ({ mentionCount, directMessageCount }) => [
+  mentionCount && plural(mentionCount, 'mention'),
+  directMessageCount && plural(directMessageCount, 'direct message')
+].filter(Boolean).join(' and ');
+
+function renderDigestItem({ title, text, url }) {
+  return `
+          <div style="border-left: 3px solid #4f46e5; padding: 8px 12px; margin: 0 0 12px;">
+            <a href="${escapeHtml(url)}" style="color: #4f46e5; font-weight: bold; text-decoration: none;">${escapeHtml(title)}</a>
+            <div style="color: #555; margin-top: 4px;">${escapeHtml(text)}</div>
+          </div>`;
+}
+
+const BUILT_IN_TEMPLATES = {
+  invite: {
+    subject: ({ tenantName }) => `You're invited to join ${tenantName} on TeamHub`,
+    html: ({ inviteUrl, tenantName, invitedByName }) => renderLayout({
+      heading: "You're Invited!",
+      body: `
+          <p style="margin: 0 0 10px;">Hi,</p>
+          <p style="margin: 0 0 15px;">
+            <strong>${escapeHtml(invitedByName)}</strong> has invited you to join
+            <strong>${escapeHtml(tenantName)}</strong> on <strong>TeamHub</strong>.
+          </p>
+          <p style="margin: 0 0 20px;">Click below to accept your invitation and start collaborating.</p>${renderButton(inviteUrl, 'Accept Invitation')}
+          <p style="font-size: 13px; color: #777;">This link expires in ${config.invitation.expiresInDays} days.</p>`
+    }),
+    text: ({ inviteUrl, tenantName, invitedByName }) => `You were invited by ${invitedByName} to join ${tenantName} on TeamHub.
+Accept: ${inviteUrl}
+This link expires in ${config.invitation.expiresInDays} days.`
+  },
+
+  'password-reset': {
+    subject: () => 'Reset your TeamHub password',
+    html: ({ resetUrl, displayName, expiresInMinutes }) => renderLayout({
+      heading: 'Reset Your Password',
+      body: `
+          <p style="margin: 0 0 10px;">Hi ${escapeHtml(displayName || 'there')},</p>
+          <p style="margin: 0 0 20px;">We received a request to reset the password for your TeamHub account. Click below to choose a new one.</p>${renderButton(resetUrl, 'Reset Password')}
+          <p style="font-size: 13px; color: #777;">This link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't request a reset, you can ignore this email.</p>`
+    }),
+    text: ({ resetUrl, displayName, expiresInMinutes }) => `Hi ${displayName || 'there'},
+We received a request to reset the password for your TeamHub account.
+Reset: ${resetUrl}
+This link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't request a reset, you can ignore this email.`
+  },
+
+  'email-verification': {
+    subject: () => 'Verify your email address for TeamHub',
+    html: ({ to, verifyUrl, displayName, expiresInHours }) => renderLayout({
+      heading: 'Verify Your Email',
+      body: `
+          <p style="margin: 0 0 10px;">Hi ${escapeHtml(displayName || 'there')},</p>
+          <p style="margin: 0 0 20px;">Please confirm that <strong>${escapeHtml(to)}</strong> is your email address.</p>${renderButton(verifyUrl, 'Verify Email')}
+          <p style="font-size: 13px; color: #777;">This link expires in ${expiresInHours} hours.</p>`
+    }),
+    text: ({ to, verifyUrl, displayName, expiresInHours }) => `Hi ${displayName || 'there'},
+Please confirm that ${to} is your email address.
+Verify: ${verifyUrl}
+This link expires in ${expiresInHours} hours.`
+  },
+
+  // mentions: [{ senderName, conversationName, text, url }]
+  // directMessages: [{ senderName, unreadCount, preview, url }]
+  'unread-digest': {
+    subject: (data) => `You have ${describeUnread(data)} on TeamHub`,
+    html: ({ displayName, mentions, directMessages, moreMentions, moreDirectMessages, appUrl, unsubscribeUrl, ...data }) => renderLayout({
+      heading: 'While You Were Away',
+      body: `
+          <p style="margin: 0 0 10px;">Hi ${escapeHtml(displayName || 'there')},</p>
+          <p style="margin: 0 0 20px;">You have ${describeUnread(data)} waiting for you.</p>${mentions.length ? `
+          <h2 style="font-size: 16px; margin: 0 0 10px;">Mentions</h2>${mentions.map(mention => renderDigestItem({
+            title: `${mention.senderName} in ${mention.conversationName}`,
+            text: mention.text,
+            url: mention.url
+          })).join('')}${moreMentions ? `
+          <p style="font-size: 13px; color: #777;">And ${plural(moreMentions, 'more mention')}.</p>` : ''}` : ''}${directMessages.length ? `
+          <h2 style="font-size: 16px; margin: 20px 0 10px;">Direct messages</h2>${directMessages.map(dm => renderDigestItem({
+            title: `${dm.senderName} (${plural(dm.unreadCount, 'unread message')})`,
+            text: dm.preview,
+            url: dm.url
+          })).join('')}${moreDirectMessages ? `
+          <p style="font-size: 13px; color: #777;">And ${plural(moreDirectMessages, 'more conversation')}.</p>` : ''}` : ''}${renderButton(appUrl, 'Open TeamHub')}
+          <p style="font-size: 13px; color: #777;">
+            You can change how often you get these emails in your profile, or
+            <a href="${escapeHtml(unsubscribeUrl)}" style="color: #777;">unsubscribe from unread digests</a>.
+          </p>`
+    }),
+    text: ({ displayName, mentions, directMessages, moreMentions, moreDirectMessages, appUrl, unsubscribeUrl, ...data }) => [
+      `Hi ${displayName || 'there'},`,
+      `You have ${describeUnread(data)} waiting for you.`,
+      ...(mentions.length ? [
+        '',
+        'Mentions:',
+        ...mentions.map(mention => `- ${mention.senderName} in ${mention.conversationName}: ${mention.text}\n  ${mention.url}`),
+        ...(moreMentions ? [`And ${plural(moreMentions, 'more mention')}.`] : [])
+      ] : []),
+      ...(directMessages.length ? [
+        '',
+        'Direct messages:',
+        ...directMessages.map(dm => `- ${dm.senderName} (${plural(dm.unreadCount, 'unread message')}): ${dm.preview}\n  ${dm.url}`),
+        ...(moreDirectMessages ? [`And ${plural(moreDirectMessages, 'more conversation')}.`] : [])
+      ] : []),
+      '',
+      `Open TeamHub: ${appUrl}`,
+      `Unsubscribe from unread digests: ${unsubscribeUrl}`
+    ].join('\n')
+  }
+};
+
+class EmailTemplateService {
+  constructor() {
+    this.templates = new Map();
+    Object.entries(BUILT_IN_TEMPLATES).forEach(([name, template]) => this.register(name, template));
+  }
+
+  /**
+   * Add or replace a template
+   * @param {string} name - Template name
+   * @param {Object} template - Template definition
+   * @param {Function} template.subject - Builds the subject line from the template data
+   * @param {Function} template.html - Builds the HTML body from the template data
+   * @param {Function} template.text - Builds the plain text body from the template data
+   */
+  register(name, template) {
+    ['subject', 'html', 'text'].forEach(part => {
+      if (typeof template[part] !== 'function') {
+        throw new Error(`Email template "${name}" is missing its ${part} builder`);
+      }
+    });
+    this.templates.set(name, template);
+  }
+
+  /**
+   * List registered template names
+   * @returns {string[]} Template names
+   */
+  list() {
+    return Array.from(this.templates.keys());
+  }
+
+  /**
+   * Render a template
+   * @param {string} name - Template name
+   * @param {Object} data - Values used by the template
+   * @returns {Object} Subject, HTML and text bodies
+   */
+  render(name, data = {}) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw createError.server(`Unknown email template "${name}"`);
+    }
+
+    return {
+      subject: template.subject(data),
+      html: template.html(data),
+      text: template.text(data)
+    };
+  }
+}
+
+module.exports = new EmailTemplateService();
+
+// Exported for templates registered from other modules
+module.exports.renderLayout = renderLayout;
+module.exports.renderButton = renderButton;
+module.exports.escapeHtml = escapeHtml;
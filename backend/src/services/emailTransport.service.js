@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/environment');
+
+// Free webmail domains typically fail DMARC when sent via ESPs (gmail, yahoo, outlook, hotmail)
+const isFreeWebmail = (email) => /@(gmail\.com|yahoo\.com|ymail\.com|outlook\.com|hotmail\.com|live\.com)$/i.test(email || '');
+
+const formatFrom = () => `${config.email.from.name} <${config.email.from.address || config.email.user}>`;
+
+/**
+ * Built-in transports. Each exposes:
+ *   isConfigured() - whether the credentials it needs are present
+ *   send(message)  - deliver { to, subject, html, text, replyTo } and resolve with { messageId }
+ */
+const smtpTransport = {
+  name: 'smtp',
+
+  isConfigured() {
+    return !!(config.email.user && config.email.password);
+  },
+
+  async send({ to, subject, html, text, replyTo }) {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: config.email.host,
+      port: config.email.port,
+      secure: !!config.email.secure,
+      auth: {
+        user: config.email.user,
+        pass: config.email.password
+      }
+    });
+
+    const info = await transporter.sendMail({ from: formatFrom(), to, subject, text, html, replyTo });
+    return { messageId: info.messageId };
+  }
+};
+
+const brevoTransport = {
+  name: 'brevo',
+
+  isConfigured() {
+    return !!(process.env.BREVO_API_KEY && config.email.from.address);
+  },
+
+  async send({ to, subject, html, text, replyTo }) {
+    const Brevo = require('@getbrevo/brevo');
+    const api = new Brevo.TransactionalEmailsApi();
+    api.setApiKey(Brevo.TransactionalEmailsApiApiKeys.apiKey, process.env.BREVO_API_KEY);
+
+    try {
+      const response = await api.sendTransacEmail({
+        sender: { name: config.email.from.name, email: config.email.from.address },
+        to: [{ email: to }],
+        subject,
+        htmlContent: html,
+        textContent: text,
+        replyTo: replyTo ? { email: replyTo } : undefined
+      });
+
+      return { messageId: response?.body?.messageId || response?.messageId || 'unknown' };
+    } catch (err) {
+      // Surface the API's explanation rather than a bare HTTP status
+      const detail = err?.response?.body?.message || err?.body?.message;
+      throw detail ? new Error(`Brevo: ${detail}`) : err;
+    }
+  }
+};
+
+// Writes each message as an .eml file so emails can be inspected with no network
+const outboxTransport = {
+  name: 'outbox',
+
+  isConfigured() {
+    return true;
+  },
+
+  async send({ to, subject, html, text, replyTo, template }) {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    const info = await transporter.sendMail({ from: formatFrom(), to, subject, text, html, replyTo });
+
+    await fs.promises.mkdir(config.email.outboxDir, { recursive: true });
+    const safeRecipient = String(to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const filePath = path.join(config.email.outboxDir, `${Date.now()}-${template || 'email'}-${safeRecipient}.eml`);
+    await fs.promises.writeFile(filePath, info.message);
+
+    return { messageId: filePath };
+  }
+};
+
+// Prints the text variant to the server log; handy when even the filesystem is inconvenient
+const consoleTransport = {
+  name: 'console',
+
+  isConfigured() {
+    return true;
+  },
+
+  async send({ to, subject, text }) {
+    console.info(`📧 [console email] to=${to} subject="${subject}"\n${text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+class EmailTransportService {
+  constructor() {
+    this.transports = new Map();
+    [smtpTransport, brevoTransport, outboxTransport, consoleTransport]
+      .forEach(transport => this.register(transport));
+  }
+
+  /**
+   * Add or replace a transport
+   * @param {Object} transport - Transport with name, isConfigured() and send(message)
+   */
+  register(transport) {
+    this.transports.set(transport.name, transport);
+  }
+
+  /**
+   * Resolve the transport selected by EMAIL_TRANSPORT
+   * @returns {Object|null} Transport, or null when nothing usable is configured
+   */
+  getTransport() {
+    const selected = config.email.transport === 'file' ? 'outbox' : config.email.transport;
+
+    if (selected && selected !== 'auto') {
+      const transport = this.transports.get(selected);
+      if (!transport) {
+        console.warn(`Unknown EMAIL_TRANSPORT "${selected}"; no email will be sent.`);
+        return null;
+      }
+      return transport.isConfigured() ? transport : null;
+    }
+
+    // Prefer Brevo only when we have an API key AND sender is NOT a free webmail domain
+    if (brevoTransport.isConfigured() && !isFreeWebmail(config.email.from.address)) {
+      return brevoTransport;
+    }
+
+    // Fallback: SMTP via nodemailer (works with Gmail when you use an App Password)
+    return smtpTransport.isConfigured() ? smtpTransport : null;
+  }
+}
+
+module.exports = new EmailTransportService();
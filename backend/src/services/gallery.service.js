@@ -0,0 +1,195 @@
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const attachmentService = require('./attachment.service');
+
+// http(s) URLs in message text; trailing sentence punctuation is trimmed afterwards
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/gi;
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}]+$/;
+
+const SENDER_SELECT = {
+  id: true,
+  displayName: true,
+  avatarUrl: true
+};
+
+/**
+ * Lists what has been shared in a conversation: attached files from
+ * MessageMediaFile/MediaFile, and links parsed from message text
+ */
+class GalleryService {
+  /**
+   * Files attached to a conversation's messages, newest first
+   * @param {Object} params - Query parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - Requesting user ID, must be a participant
+   * @param {string} [params.fileType] - MIME type or prefix, e.g. image/ or application/pdf
+   * @param {string} [params.senderId] - Only files shared by this user
+   * @param {Date} [params.from] - Shared at or after
+   * @param {Date} [params.to] - Shared at or before
+   * @param {number} [params.page] - Page number
+   * @param {number} [params.limit] - Page size
+   * @returns {Promise<Object>} Attachments with the message that shared them, and pagination
+   */
+  async listFiles({ conversationId, userId, fileType, senderId, from, to, page = 1, limit = 20 }) {
+    await this.assertParticipant(conversationId, userId);
+
+    const where = {
+      message: this.messageWhere({ conversationId, senderId, from, to }),
+      mediaFile: {
+        deletedAt: null,
+        ...(fileType && { fileType: { startsWith: fileType } })
+      }
+    };
+
+    const [links, total] = await Promise.all([
+      prisma.messageMediaFile.findMany({
+        where,
+        include: {
+          mediaFile: true,
+          message: {
+            select: { id: true, createdAt: true, sender: { select: SENDER_SELECT } }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.messageMediaFile.count({ where })
+    ]);
+
+    const files = await Promise.all(links.map(async (link) => ({
+      ...await attachmentService.format(link.mediaFile),
+      messageId: link.message.id,
+      sender: link.message.sender,
+      sharedAt: link.message.createdAt
+    })));
+
+    return {
+      files,
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      }
+    };
+  }
+
+  /**
+   * Links shared in a conversation's messages, newest first. Pages are
+   * counted in messages containing links, so a page can hold more than
+   * `limit` links.
+   * @param {Object} params - Query parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - Requesting user ID, must be a participant
+   * @param {string} [params.domain] - Only links to this host or its subdomains
+   * @param {string} [params.senderId] - Only links shared by this user
+   * @param {Date} [params.from] - Shared at or after
+   * @param {Date} [params.to] - Shared at or before
+   * @param {number} [params.page] - Page number
+   * @param {number} [params.limit] - Messages per page
+   * @returns {Promise<Object>} Links with the message that shared them, and pagination
+   */
+  async listLinks({ conversationId, userId, domain, senderId, from, to, page = 1, limit = 20 }) {
+    await this.assertParticipant(conversationId, userId);
+
+    // A cheap pre-filter; the text is parsed properly below
+    const where = {
+      ...this.messageWhere({ conversationId, senderId, from, to }),
+      AND: [
+        { messageText: { contains: 'http', mode: 'insensitive' } },
+        ...(domain ? [{ messageText: { contains: domain, mode: 'insensitive' } }] : [])
+      ]
+    };
+
+    const [messages, total] = await Promise.all([
+      prisma.message.findMany({
+        where,
+        select: { id: true, messageText: true, createdAt: true, sender: { select: SENDER_SELECT } },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.message.count({ where })
+    ]);
+
+    const links = messages.flatMap(message =>
+      this.extractLinks(message.messageText)
+        .filter(link => !domain || this.matchesDomain(link.domain, domain))
+        .map(link => ({
+          ...link,
+          messageId: message.id,
+          sender: message.sender,
+          sharedAt: message.createdAt
+        }))
+    );
+
+    return {
+      links,
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      }
+    };
+  }
+
+  /**
+   * Parse the http(s) links out of message text
+   * @param {string} text - Message text
+   * @returns {Object[]} Unique links in order of appearance, with their host
+   */
+  extractLinks(text) {
+    const seen = new Set();
+    const links = [];
+
+    for (const match of (text || '').matchAll(URL_PATTERN)) {
+      const url = match[0].replace(TRAILING_PUNCTUATION, '');
+      if (seen.has(url)) continue;
+
+      let host;
+      try {
+        host = new URL(url).hostname.toLowerCase();
+      } catch {
+        continue;
+      }
+
+      seen.add(url);
+      links.push({ url, domain: host.replace(/^www\./, '') });
+    }
+    return links;
+  }
+
+  matchesDomain(host, domain) {
+    const wanted = domain.toLowerCase().replace(/^www\./, '');
+    return host === wanted || host.endsWith(`.${wanted}`);
+  }
+
+  messageWhere({ conversationId, senderId, from, to }) {
+    return {
+      conversationId,
+      deletedAt: null,
+      ...(senderId && { senderId }),
+      ...((from || to) && {
+        createdAt: {
+          ...(from && { gte: from }),
+          ...(to && { lte: to })
+        }
+      })
+    };
+  }
+
+  async assertParticipant(conversationId, userId) {
+    const participant = await prisma.conversationParticipant.findFirst({
+      where: { conversationId, userId, deletedAt: null },
+      select: { id: true }
+    });
+
+    if (!participant) {
+      throw createError.authorization('Not a participant in this conversation');
+    }
+  }
+}
+
+module.exports = new GalleryService();
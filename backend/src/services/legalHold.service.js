@@ -0,0 +1,254 @@
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+
+const LEGAL_HOLD_INCLUDE = {
+  user: {
+    select: {
+      id: true,
+      email: true,
+      displayName: true
+    }
+  },
+  conversation: {
+    select: {
+      id: true,
+      name: true,
+      isGroup: true
+    }
+  },
+  createdBy: {
+    select: {
+      id: true,
+      email: true,
+      displayName: true
+    }
+  },
+  releasedBy: {
+    select: {
+      id: true,
+      email: true,
+      displayName: true
+    }
+  }
+};
+
+class LegalHoldService {
+  /**
+   * Place a user or conversation on legal hold
+   * @param {Object} params - Hold parameters
+   * @param {string} params.tenantId - Tenant ID
+   * @param {string} params.targetType - user or conversation
+   * @param {string} params.targetId - Held user or conversation ID
+   * @param {string} params.reason - Why the data must be preserved
+   * @param {string} params.custodian - Person responsible for the hold
+   * @param {string} params.createdById - Admin placing the hold
+   * @returns {Promise<Object>} Created legal hold
+   */
+  async createHold({ tenantId, targetType, targetId, reason, custodian, createdById }) {
+    const target = targetType === 'user'
+      ? await prisma.user.findFirst({ where: { id: targetId, tenantId } })
+      : await prisma.conversation.findFirst({ where: { id: targetId, tenantId } });
+
+    if (!target) {
+      throw createError.notFound(`${targetType === 'user' ? 'User' : 'Conversation'} not found`);
+    }
+
+    const targetField = targetType === 'user' ? 'userId' : 'conversationId';
+
+    const existingHold = await prisma.legalHold.findFirst({
+      where: {
+        tenantId,
+        [targetField]: targetId,
+        releasedAt: null
+      }
+    });
+
+    if (existingHold) {
+      throw createError.conflict(`An active legal hold already exists for this ${targetType}`);
+    }
+
+    const hold = await prisma.legalHold.create({
+      data: {
+        tenantId,
+        targetType,
+        [targetField]: targetId,
+        reason,
+        custodian,
+        createdById
+      },
+      include: LEGAL_HOLD_INCLUDE
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId,
+        userId: createdById,
+        action: 'LEGAL_HOLD_CREATED',
+        targetId,
+        context: `Legal hold ${hold.id} placed on ${targetType} (custodian: ${custodian}): ${reason}`
+      }
+    });
+
+    return hold;
+  }
+
+  /**
+   * List legal holds for a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.status] - active, released or all (defaults to active)
+   * @param {string} [filters.targetType] - user or conversation
+   * @param {number} [filters.page] - Page number
+   * @param {number} [filters.limit] - Page size
+   * @returns {Promise<Object>} Holds and pagination info
+   */
+  async listHolds(tenantId, { status = 'active', targetType, page = 1, limit = 50 } = {}) {
+    const where = {
+      tenantId,
+      ...(targetType && { targetType }),
+      ...(status === 'active' && { releasedAt: null }),
+      ...(status === 'released' && { releasedAt: { not: null } })
+    };
+    const skip = (page - 1) * limit;
+
+    const [holds, total] = await Promise.all([
+      prisma.legalHold.findMany({
+        where,
+        include: LEGAL_HOLD_INCLUDE,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.legalHold.count({ where })
+    ]);
+
+    return {
+      holds,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: skip + holds.length < total
+      }
+    };
+  }
+
+  /**
+   * Release an active legal hold
+   * @param {string} holdId - Legal hold ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} releasedById - Admin releasing the hold
+   * @param {string} [releaseReason] - Why the hold was lifted
+   * @returns {Promise<Object>} Released legal hold
+   */
+  async releaseHold(holdId, tenantId, releasedById, releaseReason) {
+    const hold = await prisma.legalHold.findFirst({
+      where: { id: holdId, tenantId }
+    });
+
+    if (!hold) {
+      throw createError.notFound('Legal hold not found');
+    }
+    if (hold.releasedAt) {
+      throw createError.conflict('Legal hold has already been released');
+    }
+
+    const releasedHold = await prisma.legalHold.update({
+      where: { id: holdId },
+      data: {
+        releasedAt: new Date(),
+        releasedById,
+        releaseReason
+      },
+      include: LEGAL_HOLD_INCLUDE
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId,
+        userId: releasedById,
+        action: 'LEGAL_HOLD_RELEASED',
+        targetId: hold.userId || hold.conversationId,
+        context: `Legal hold ${hold.id} released${releaseReason ? `: ${releaseReason}` : ''}`
+      }
+    });
+
+    return releasedHold;
+  }
+
+  /**
+   * Find an active hold covering any of the given users or conversations
+   * @param {Object} scope - Data being deleted
+   * @param {string[]} [scope.userIds] - Users whose data is affected
+   * @param {string[]} [scope.conversationIds] - Conversations whose data is affected
+   * @returns {Promise<Object|null>} First matching active hold, if any
+   */
+  async findActiveHold({ userIds = [], conversationIds = [] }) {
+    const targets = [
+      ...userIds.filter(Boolean).map(userId => ({ userId })),
+      ...conversationIds.filter(Boolean).map(conversationId => ({ conversationId }))
+    ];
+
+    if (targets.length === 0) return null;
+
+    return prisma.legalHold.findFirst({
+      where: {
+        releasedAt: null,
+        OR: targets
+      }
+    });
+  }
+
+  /**
+   * Load every active hold in a tenant, grouped by target
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} Maps of held user and conversation IDs to hold IDs
+   */
+  async getActiveHoldScope(tenantId) {
+    const holds = await prisma.legalHold.findMany({
+      where: { tenantId, releasedAt: null },
+      select: { id: true, userId: true, conversationId: true }
+    });
+
+    const users = new Map();
+    const conversations = new Map();
+    holds.forEach(hold => {
+      if (hold.userId) users.set(hold.userId, hold.id);
+      if (hold.conversationId) conversations.set(hold.conversationId, hold.id);
+    });
+
+    return { users, conversations };
+  }
+
+  /**
+   * Record a deletion that was refused because of a legal hold
+   * @param {Object} params - Blocked attempt details
+   * @param {string} params.tenantId - Tenant ID
+   * @param {string} [params.userId] - User who attempted the deletion (null for system jobs)
+   * @param {Object} params.hold - Hold that blocked the deletion
+   * @param {string} params.targetId - ID of the record that was not deleted
+   * @param {string} params.context - What was being deleted
+   * @param {Object} [params.req] - Express request, for IP and user agent
+   * @returns {Promise<void>}
+   */
+  async recordBlockedDeletion({ tenantId, userId = null, hold, targetId, context, req }) {
+    try {
+      await prisma.auditLog.create({
+        data: {
+          tenantId,
+          userId,
+          action: 'DELETION_BLOCKED_LEGAL_HOLD',
+          targetId,
+          context: `${context} (legal hold ${hold.id})`,
+          ipAddress: req?.ip,
+          userAgent: req?.get?.('User-Agent')
+        }
+      });
+    } catch (error) {
+      console.error('⚠️ Failed to record blocked deletion:', error);
+    }
+  }
+}
+
+module.exports = new LegalHoldService();
@@ -0,0 +1,288 @@
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const conversationService = require('./conversation.service');
+const { CAPABILITIES } = require('./conversation.service');
+const notificationService = require('./notification.service');
+
+// @[Display Name](user:<id>) and @[Role name](group:<roleId>), as inserted by the composer
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\((user|group):([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\)/gi;
+// @here and @channel as whole words
+const BROADCAST_PATTERN = /(^|[^\w@[])@(here|channel)\b/gi;
+
+// Notification titles by how the user was mentioned
+const MENTION_TITLES = {
+  user: name => `${name} mentioned you`,
+  group: name => `${name} mentioned a group you are in`,
+  here: name => `${name} mentioned @here`,
+  channel: name => `${name} mentioned @channel`
+};
+
+const SENDER_SELECT = {
+  id: true,
+  displayName: true,
+  avatarUrl: true
+};
+
+/**
+ * Mentions are written into message text as tokens and stored as one
+ * MessageMention row per mentioned participant. User groups are tenant roles;
+ * @here reaches participants who are online and @channel everyone.
+ */
+class MentionService {
+  /**
+   * Find the mention tokens in message text
+   * @param {string} text - Message text
+   * @returns {Object} Mentioned user and role IDs, and whether @here or @channel was used
+   */
+  parse(text) {
+    const userIds = new Set();
+    const roleIds = new Set();
+    let here = false;
+    let channel = false;
+
+    for (const [, , kind, id] of (text || '').matchAll(MENTION_PATTERN)) {
+      (kind.toLowerCase() === 'user' ? userIds : roleIds).add(id.toLowerCase());
+    }
+    for (const [, , keyword] of (text || '').matchAll(BROADCAST_PATTERN)) {
+      if (keyword.toLowerCase() === 'here') here = true;
+      else channel = true;
+    }
+
+    return { userIds: [...userIds], roleIds: [...roleIds], here, channel };
+  }
+
+  /**
+   * Message text with mention tokens written as @Name, for notifications and email
+   * @param {string} text - Message text
+   * @returns {string} Text without tokens
+   */
+  plainText(text) {
+    return (text || '').replace(MENTION_PATTERN, (match, name) => `@${name}`);
+  }
+
+  /**
+   * Work out who a message mentions. Only active participants other than the
+   * sender can be mentioned; groups are the sender's tenant roles.
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.senderId - Sender user ID
+   * @param {string} params.tenantId - Sender's tenant ID
+   * @param {string} [params.messageText] - Message text
+   * @returns {Promise<Object[]>} Mentioned users with how they were mentioned (userId, type, roleId)
+   * @throws {AuthorizationError} When @here or @channel is restricted in this conversation
+   */
+  async resolveForMessage({ conversationId, senderId, tenantId, messageText }) {
+    const { userIds, roleIds, here, channel } = this.parse(messageText);
+    if (!userIds.length && !roleIds.length && !here && !channel) {
+      return [];
+    }
+
+    if (here || channel) {
+      await this.assertCanMentionEveryone(conversationId, senderId, tenantId);
+    }
+
+    const participants = await prisma.conversationParticipant.findMany({
+      where: {
+        conversationId,
+        deletedAt: null,
+        userId: { not: senderId },
+        // @channel reaches everyone, so only narrow the query without it
+        ...(!channel && {
+          OR: [
+            { userId: { in: userIds } },
+            { user: { roleAssignments: { some: { roleId: { in: roleIds }, tenantId } } } },
+            ...(here ? [{ user: { onlineStatus: 'online' } }] : [])
+          ]
+        })
+      },
+      select: {
+        userId: true,
+        user: {
+          select: {
+            onlineStatus: true,
+            roleAssignments: {
+              where: { roleId: { in: roleIds }, tenantId },
+              select: { roleId: true },
+              take: 1
+            }
+          }
+        }
+      }
+    });
+
+    // A user mentioned several ways keeps the most direct: user, group, here, channel
+    return participants.map(({ userId, user }) => {
+      if (userIds.includes(userId)) {
+        return { userId, type: 'user', roleId: null };
+      }
+      if (user.roleAssignments.length) {
+        return { userId, type: 'group', roleId: user.roleAssignments[0].roleId };
+      }
+      return { userId, type: here && user.onlineStatus === 'online' ? 'here' : 'channel', roleId: null };
+    });
+  }
+
+  /**
+   * Tenants can limit @here and @channel to owners and moderators in
+   * conversations above a member count (TenantSettings.channelMentionLimit)
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Sender user ID
+   * @param {string} tenantId - Sender's tenant ID
+   * @returns {Promise<void>}
+   */
+  async assertCanMentionEveryone(conversationId, userId, tenantId) {
+    const access = await conversationService.getAccess(conversationId, userId, tenantId);
+    if (access.capabilities.has(CAPABILITIES.MENTION_EVERYONE)) return;
+
+    // The conversation's own tenant sets the rule
+    const settings = await prisma.tenantSettings.findUnique({
+      where: { tenantId: access.conversation.tenantId },
+      select: { channelMentionLimit: true }
+    });
+    const limit = settings?.channelMentionLimit;
+    if (!limit) return;
+
+    const memberCount = await prisma.conversationParticipant.count({
+      where: { conversationId, deletedAt: null }
+    });
+
+    if (memberCount > limit) {
+      throw createError.authorization(
+        `Only owners and moderators can use @here or @channel in conversations with more than ${limit} members`
+      );
+    }
+  }
+
+  /**
+   * Store a new message's mentions
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} messageId - Message ID
+   * @param {Object[]} mentions - Result of resolveForMessage
+   * @returns {Promise<void>}
+   */
+  async record(client, messageId, mentions) {
+    if (!mentions.length) return;
+
+    await client.messageMention.createMany({
+      data: mentions.map(({ userId, type, roleId }) => ({ messageId, userId, type, roleId })),
+      skipDuplicates: true
+    });
+  }
+
+  /**
+   * Replace an edited message's mentions
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} messageId - Message ID
+   * @param {Object[]} mentions - Result of resolveForMessage for the new text
+   * @returns {Promise<Object[]>} Mentions of users the previous text did not mention
+   */
+  async replace(client, messageId, mentions) {
+    const previous = await client.messageMention.findMany({
+      where: { messageId },
+      select: { userId: true }
+    });
+
+    await client.messageMention.deleteMany({ where: { messageId } });
+    await this.record(client, messageId, mentions);
+
+    const alreadyMentioned = new Set(previous.map(mention => mention.userId));
+    return mentions.filter(mention => !alreadyMentioned.has(mention.userId));
+  }
+
+  /**
+   * Tell each mentioned user about the message in their own room, and leave
+   * them a notification unless their preferences silence the conversation
+   * @param {Object} io - Socket.IO server instance (optional)
+   * @param {Object} message - Message as sent in the new-message event
+   * @param {Object[]} mentions - Mentions to notify
+   * @returns {Promise<void>}
+   */
+  async notify(io, message, mentions) {
+    if (!mentions.length) return;
+
+    const senderName = message.sender?.displayName || 'Someone';
+    const notified = await notificationService.notify(io, mentions.map(({ userId, type }) => ({
+      userId,
+      actorId: message.senderId,
+      type: 'mention',
+      title: MENTION_TITLES[type](senderName),
+      body: this.plainText(message.messageText),
+      conversationId: message.conversationId,
+      messageId: message.id,
+      mentioned: true
+    })));
+
+    if (!io) return;
+    const notifiedUserIds = new Set(notified.map(notification => notification.userId));
+    for (const { userId, type } of mentions) {
+      io.to(`user:${userId}`).emit('mention', {
+        type,
+        conversationId: message.conversationId,
+        message,
+        // Still marks the message as mentioning them, without alerting
+        silent: !notifiedUserIds.has(userId)
+      });
+    }
+  }
+
+  /**
+   * Messages that mention the user, newest first
+   * @param {Object} params - Query parameters
+   * @param {string} params.userId - User ID
+   * @param {string} [params.conversationId] - Only mentions in this conversation
+   * @param {number} [params.page] - Page number
+   * @param {number} [params.limit] - Page size
+   * @returns {Promise<Object>} Mentions with their message and conversation, and pagination
+   */
+  async listForUser({ userId, conversationId, page = 1, limit = 20 }) {
+    const where = {
+      userId,
+      message: {
+        deletedAt: null,
+        ...(conversationId && { conversationId }),
+        // Only conversations the user is still part of
+        conversation: {
+          deletedAt: null,
+          participants: { some: { userId, deletedAt: null } }
+        }
+      }
+    };
+
+    const [rows, total] = await Promise.all([
+      prisma.messageMention.findMany({
+        where,
+        select: {
+          type: true,
+          message: {
+            select: {
+              id: true,
+              conversationId: true,
+              threadId: true,
+              messageText: true,
+              edited: true,
+              createdAt: true,
+              sender: { select: SENDER_SELECT },
+              conversation: { select: { id: true, name: true, isGroup: true } }
+            }
+          }
+        },
+        orderBy: { message: { createdAt: 'desc' } },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.messageMention.count({ where })
+    ]);
+
+    return {
+      mentions: rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      }
+    };
+  }
+}
+
+module.exports = new MentionService();
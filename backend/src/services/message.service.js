@@ -0,0 +1,544 @@
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const conversationCacheService = require('./conversationCache.service');
+const readReceiptService = require('./readReceipt.service');
+const attachmentService = require('./attachment.service');
+const { ATTACHMENTS_INCLUDE } = require('./attachment.service');
+const permissionService = require('./permission.service');
+const threadService = require('./thread.service');
+const mentionService = require('./mention.service');
+
+// Returned with a message after an edit
+const EDITED_MESSAGE_INCLUDE = {
+  sender: {
+    select: {
+      id: true,
+      email: true,
+      displayName: true,
+      avatarUrl: true
+    }
+  }
+};
+
+const EDITOR_SELECT = {
+  id: true,
+  email: true,
+  displayName: true
+};
+
+// Relations returned with each message in a conversation's history
+const historyInclude = (userId) => ({
+  sender: {
+    select: {
+      id: true,
+      email: true,
+      displayName: true,
+      avatarUrl: true
+    }
+  },
+  reactions: {
+    include: {
+      user: {
+        select: {
+          id: true,
+          displayName: true
+        }
+      }
+    }
+  },
+  parent: {
+    select: {
+      id: true,
+      messageText: true,
+      sender: {
+        select: {
+          id: true,
+          displayName: true
+        }
+      }
+    }
+  },
+  thread: {
+    select: {
+      id: true,
+      messageText: true,
+      sender: {
+        select: {
+          id: true,
+          displayName: true
+        }
+      }
+    }
+  },
+  readBy: {
+    where: { userId },
+    select: { readAt: true }
+  },
+  mediaFiles: ATTACHMENTS_INCLUDE,
+  // Whether the reader follows the thread this message starts
+  followers: {
+    where: { userId },
+    select: { lastReadAt: true }
+  },
+  // How the message mentions the reader, if it does
+  mentions: {
+    where: { userId },
+    select: { type: true }
+  },
+  _count: {
+    select: {
+      childMessages: true,
+      threadMessages: true,
+      revisions: true
+    }
+  }
+});
+
+class MessageService {
+  /**
+   * Create a message and index its text for search
+   * @param {Object} params - Message parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.senderId - Sender user ID
+   * @param {string} [params.messageText] - Message text
+   * @param {string[]} [params.attachmentIds] - Uploaded MediaFile IDs, already checked with attachmentService.resolveForMessage
+   * @param {string} [params.messageType] - Message type (text, image, file, system)
+   * @param {string} [params.parentId] - Parent message ID for replies
+   * @param {string} [params.threadId] - Thread root message ID
+   * @param {Object[]} [params.mentions] - Mentions from mentionService.resolveForMessage
+   * @param {Function} [params.onCreate] - Called with (tx, message) inside the creating transaction, for writes that must commit or roll back with the message
+   * @returns {Promise<Object>} Created message with sender, conversation, attachments, mentions and, for replies, a thread summary
+   */
+  async createMessage({ conversationId, senderId, messageText, attachmentIds = [], messageType = 'text', parentId, threadId, mentions = [], onCreate }) {
+    const message = await prisma.$transaction(async (tx) => {
+      console.log(`🔄 Starting database transaction for message creation`);
+
+      // First create the message without the vector
+      const newMessage = await tx.message.create({
+        data: {
+          conversationId,
+          senderId,
+          messageText,
+          messageType,
+          parentId,
+          threadId,
+          readBy: {
+            create: {
+              userId: senderId // Mark as read by sender
+            }
+          },
+          ...(attachmentIds.length && {
+            mediaFiles: {
+              create: attachmentIds.map(mediaFileId => ({ mediaFileId }))
+            }
+          })
+        },
+        include: {
+          sender: {
+            select: {
+              id: true,
+              email: true,
+              displayName: true,
+              avatarUrl: true
+            }
+          },
+          conversation: {
+            include: {
+              participants: true
+            }
+          },
+          readBy: true,
+          mediaFiles: ATTACHMENTS_INCLUDE
+        }
+      });
+
+      console.log(`✅ Message created with ID: ${newMessage.id}`);
+
+      // Last-message cache and unread counters change with the message
+      await conversationCacheService.recordNewMessage(tx, newMessage);
+
+      await mentionService.record(tx, newMessage.id, mentions);
+
+      // Replies update their thread's count and followers; mentioned users follow too
+      const threadSummary = threadId
+        ? await threadService.recordReply(tx, newMessage, mentions.map(mention => mention.userId))
+        : null;
+
+      if (onCreate) {
+        await onCreate(tx, newMessage);
+      }
+
+      return { ...newMessage, threadSummary, mentions };
+    });
+
+    // Index after commit: a failed statement would abort the whole transaction
+    if (messageText) {
+      await this.indexText(message.id, messageText);
+    }
+
+    return attachmentService.formatMessage(message);
+  }
+
+  /**
+   * Edit a message's text, keeping the text it replaces as a revision
+   * @param {Object} params - Parameters
+   * @param {string} params.messageId - Message ID
+   * @param {string} params.userId - Editing user ID, must be the sender
+   * @param {string} params.messageText - New text
+   * @param {string} params.tenantId - Editing user's tenant ID
+   * @returns {Promise<Object>} Updated message with sender, its revision count, and mentions of users the edit newly mentions
+   */
+  async editMessage({ messageId, userId, messageText, tenantId }) {
+    const existing = await prisma.message.findFirst({
+      where: { id: messageId, senderId: userId, deletedAt: null },
+      select: { id: true, conversationId: true, messageText: true }
+    });
+
+    if (!existing) {
+      throw createError.notFound('Message not found or not authorized to edit');
+    }
+
+    const mentions = existing.messageText === messageText
+      ? []
+      : await mentionService.resolveForMessage({
+        conversationId: existing.conversationId,
+        senderId: userId,
+        tenantId,
+        messageText
+      });
+
+    const result = await prisma.$transaction(async (tx) => {
+      const revisionCount = await tx.messageRevision.count({ where: { messageId } });
+
+      // Saving the same text again is not a revision
+      if (existing.messageText === messageText) {
+        const message = await tx.message.findUnique({
+          where: { id: messageId },
+          include: EDITED_MESSAGE_INCLUDE
+        });
+        return { message, revisionCount, changed: false, newMentions: [] };
+      }
+
+      await tx.messageRevision.create({
+        data: {
+          messageId,
+          revision: revisionCount + 1,
+          messageText: existing.messageText,
+          editedById: userId
+        }
+      });
+
+      const message = await tx.message.update({
+        where: { id: messageId },
+        data: {
+          messageText,
+          edited: true,
+          editedAt: new Date()
+        },
+        include: EDITED_MESSAGE_INCLUDE
+      });
+
+      // The sidebar preview follows the new text
+      await conversationCacheService.recordEditedMessage(tx, message);
+      const newMentions = await mentionService.replace(tx, messageId, mentions);
+
+      return { message, revisionCount: revisionCount + 1, changed: true, newMentions };
+    });
+
+    // Search follows the new text once the edit has committed
+    if (result.changed) {
+      await this.indexText(messageId, messageText);
+    }
+
+    return result;
+  }
+
+  /**
+   * A message's earlier texts, oldest first. Available to the sender, and to
+   * users with audit.read in the tenant that owns the conversation, who can
+   * also see the history of deleted messages.
+   * @param {Object} params - Parameters
+   * @param {string} params.messageId - Message ID
+   * @param {string} params.userId - Requesting user ID
+   * @param {string} params.tenantId - Requesting user's tenant ID
+   * @returns {Promise<Object>} Current text and the revisions it replaced
+   */
+  async getRevisions({ messageId, userId, tenantId }) {
+    const message = await prisma.message.findUnique({
+      where: { id: messageId },
+      select: {
+        id: true,
+        senderId: true,
+        messageText: true,
+        createdAt: true,
+        editedAt: true,
+        deletedAt: true,
+        conversation: { select: { tenantId: true } }
+      }
+    });
+
+    const isSender = message && message.senderId === userId && !message.deletedAt;
+    const isAuditor = message && message.conversation.tenantId === tenantId &&
+      await permissionService.hasPermission(userId, 'audit.read');
+
+    // Not found and not allowed look the same, so message IDs cannot be probed
+    if (!isSender && !isAuditor) {
+      throw createError.notFound('Message not found');
+    }
+
+    const revisions = await prisma.messageRevision.findMany({
+      where: { messageId },
+      select: {
+        revision: true,
+        messageText: true,
+        editedAt: true,
+        editedBy: { select: EDITOR_SELECT }
+      },
+      orderBy: { revision: 'asc' }
+    });
+
+    return {
+      messageId,
+      createdAt: message.createdAt,
+      current: {
+        messageText: message.messageText,
+        editedAt: message.editedAt,
+        deletedAt: message.deletedAt
+      },
+      revisions
+    };
+  }
+
+  /**
+   * Rebuild a message's full-text search vector from its text. Call it after
+   * the message write has committed; failures are logged rather than thrown,
+   * leaving the message saved but unsearchable until its next edit.
+   * @param {string} messageId - Message ID
+   * @param {string} messageText - Text to index
+   * @returns {Promise<void>}
+   */
+  async indexText(messageId, messageText) {
+    try {
+      await prisma.$executeRaw`
+        UPDATE "Message"
+        SET "messageVector" = to_tsvector('english', ${messageText}::text)
+        WHERE id = ${messageId}
+      `;
+    } catch (vectorError) {
+      console.error('⚠️ Vector update failed, continuing without vector:', vectorError);
+    }
+  }
+
+  /**
+   * Run the post-create steps for a message: write the audit log, notify
+   * participants in real time, and notify mentioned users and thread
+   * followers. createMessage already bumped the conversation.
+   * @param {Object} io - Socket.IO server instance (optional)
+   * @param {Object} message - Message returned by createMessage
+   * @param {string} tenantId - Sender's tenant ID
+   * @param {string} [context] - Audit log context override
+   * @returns {Promise<void>}
+   */
+  async deliverMessage(io, message, tenantId, context) {
+    const { conversationId, senderId } = message;
+
+    // Create audit log
+    try {
+      await prisma.auditLog.create({
+        data: {
+          tenantId,
+          userId: senderId,
+          action: 'MESSAGE_SENT',
+          targetId: message.id,
+          context: context || `Message sent in conversation ${conversationId}`
+        }
+      });
+    } catch (auditError) {
+      console.error('⚠️ Failed to create audit log:', auditError);
+      // Don't fail the entire operation
+    }
+
+    const payload = this.toSocketPayload(message);
+
+    // Emit real-time message to all participants
+    if (io) {
+      console.log(`📡 Emitting new-message event to conversation ${conversationId}`);
+      io.to(conversationId).emit('new-message', { message: payload });
+
+      // Emit user activity event to update sender's status to online
+      io.to(conversationId).emit('user-activity', {
+        userId: senderId,
+        conversationId,
+        activityType: 'message_sent',
+        timestamp: new Date()
+      });
+    } else {
+      console.warn('⚠️ Socket.IO not available, real-time updates disabled');
+    }
+
+    // Notifications are stored even when they cannot be pushed
+    const mentions = message.mentions || [];
+    await mentionService.notify(io, payload, mentions);
+
+    if (message.threadSummary) {
+      try {
+        // Followers who were mentioned already have a notification for this reply
+        await threadService.notifyFollowers(io, payload, message.threadSummary, mentions.map(mention => mention.userId));
+      } catch (threadError) {
+        console.error('⚠️ Failed to notify thread followers:', threadError);
+      }
+    }
+  }
+
+  /**
+   * Shape a message for the new-message socket event
+   * @param {Object} message - Message with sender included, as returned by createMessage
+   * @returns {Object} Socket payload
+   */
+  toSocketPayload(message) {
+    return {
+      id: message.id,
+      conversationId: message.conversationId,
+      senderId: message.senderId,
+      messageText: message.messageText,
+      attachments: message.attachments || [],
+      messageType: message.messageType,
+      parentId: message.parentId,
+      threadId: message.threadId,
+      // Reply count and last reply time of the thread a reply belongs to
+      threadSummary: message.threadSummary || null,
+      createdAt: message.createdAt,
+      sender: message.sender
+    };
+  }
+
+  /**
+   * Read part of a conversation's history. Pages are keyed on (createdAt, id)
+   * rather than offsets, so messages arriving while someone scrolls back never
+   * shift a page.
+   * @param {Object} params - Query parameters
+   * @param {Object} params.participant - Reader's participant row
+   * @param {string} [params.threadId] - Thread root; otherwise only root messages are read
+   * @param {string} [params.before] - Messages older than this message
+   * @param {string} [params.after] - Messages newer than this message
+   * @param {string} [params.around] - This message with context on both sides
+   * @param {boolean} [params.firstUnread] - Around the reader's first unread message; the latest messages when all are read
+   * @param {number} [params.limit] - Maximum number of messages
+   * @returns {Promise<Object>} Messages oldest first, the anchor message ID and whether there is more on either side
+   */
+  async getHistory({ participant, threadId, before, after, around, firstUnread = false, limit = 50 }) {
+    if ([before, after, around, firstUnread || undefined].filter(Boolean).length > 1) {
+      throw createError.validation('Use only one of before, after, around or anchor');
+    }
+
+    const { conversationId, userId } = participant;
+    const scope = {
+      conversationId,
+      deletedAt: null,
+      ...(threadId ? {
+        OR: [
+          { id: threadId }, // Include the thread starter
+          { threadId } // Include all messages in the thread
+        ]
+      } : {
+        threadId: null // Only show root messages when not viewing a thread
+      })
+    };
+    const include = historyInclude(userId);
+
+    // One extra row tells whether there is more beyond the page
+    const read = (from, direction, take) => prisma.message.findMany({
+      where: { AND: [scope, ...(from ? [this.keyset(from, direction)] : [])] },
+      include,
+      orderBy: direction === 'older'
+        ? [{ createdAt: 'desc' }, { id: 'desc' }]
+        : [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: take + 1
+    });
+
+    const findAnchor = async (messageId) => {
+      const message = await prisma.message.findFirst({
+        where: { AND: [scope, { id: messageId }] },
+        select: { id: true, createdAt: true }
+      });
+      if (!message) {
+        throw createError.notFound('Message not found in this conversation');
+      }
+      return message;
+    };
+
+    let anchorId = around || null;
+    if (firstUnread) {
+      const unread = await prisma.message.findFirst({
+        where: { AND: [scope, readReceiptService.unreadWhere(participant)] },
+        select: { id: true },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+      });
+      anchorId = unread?.id || null;
+    }
+
+    let messages;
+    let hasMoreBefore = false;
+    let hasMoreAfter = false;
+
+    if (before) {
+      const older = await read(await findAnchor(before), 'older', limit);
+      hasMoreBefore = older.length > limit;
+      hasMoreAfter = true;
+      messages = older.slice(0, limit).reverse();
+    } else if (after) {
+      const newer = await read(await findAnchor(after), 'newer', limit);
+      hasMoreBefore = true;
+      hasMoreAfter = newer.length > limit;
+      messages = newer.slice(0, limit);
+    } else if (anchorId) {
+      const anchor = await findAnchor(anchorId);
+      const olderCount = Math.floor((limit - 1) / 2);
+      const newerCount = limit - 1 - olderCount;
+
+      const [older, message, newer] = await Promise.all([
+        read(anchor, 'older', olderCount),
+        prisma.message.findUnique({ where: { id: anchor.id }, include }),
+        read(anchor, 'newer', newerCount)
+      ]);
+
+      hasMoreBefore = older.length > olderCount;
+      hasMoreAfter = newer.length > newerCount;
+      messages = [...older.slice(0, olderCount).reverse(), message, ...newer.slice(0, newerCount)];
+    } else {
+      const latest = await read(null, 'older', limit);
+      hasMoreBefore = latest.length > limit;
+      messages = latest.slice(0, limit).reverse();
+    }
+
+    return {
+      messages: await Promise.all(messages.map(message => attachmentService.formatMessage(message))),
+      anchorId,
+      pagination: {
+        limit,
+        hasMoreBefore,
+        hasMoreAfter,
+        oldestId: messages[0]?.id || null,
+        newestId: messages[messages.length - 1]?.id || null
+      }
+    };
+  }
+
+  /**
+   * Where clause for messages on one side of a message in (createdAt, id) order
+   * @param {Object} message - Message with id and createdAt
+   * @param {string} direction - 'older' or 'newer'
+   * @returns {Object} Prisma where clause
+   */
+  keyset(message, direction) {
+    const op = direction === 'older' ? 'lt' : 'gt';
+    return {
+      OR: [
+        { createdAt: { [op]: message.createdAt } },
+        { createdAt: message.createdAt, id: { [op]: message.id } }
+      ]
+    };
+  }
+}
+
+module.exports = new MessageService();
@@ -0,0 +1,194 @@
+const { prisma } = require('../utils/prisma');
+const notificationPreferenceService = require('./notificationPreference.service');
+
+const NOTIFICATION_TYPES = ['mention', 'thread_reply', 'reaction', 'invitation', 'admin'];
+
+// Activity in a conversation, aimed at the recipient, which their notification
+// preferences for that conversation can silence
+const CONVERSATION_ACTIVITY_TYPES = ['mention', 'thread_reply', 'reaction'];
+
+const isConversationActivity = (notification) =>
+  Boolean(notification.conversationId) && CONVERSATION_ACTIVITY_TYPES.includes(notification.type);
+
+// Longest message excerpt kept in a notification body
+const BODY_LENGTH = 200;
+
+const excerpt = (text) => {
+  if (!text) return null;
+  return text.length > BODY_LENGTH ? `${text.slice(0, BODY_LENGTH - 3)}...` : text;
+};
+
+const NOTIFICATION_SELECT = {
+  id: true,
+  type: true,
+  title: true,
+  body: true,
+  conversationId: true,
+  messageId: true,
+  targetId: true,
+  readAt: true,
+  createdAt: true,
+  actor: {
+    select: {
+      id: true,
+      displayName: true,
+      avatarUrl: true
+    }
+  }
+};
+
+/**
+ * Stores in-app notifications and delivers them to each recipient's
+ * user:<id> room as a notification event
+ */
+class NotificationService {
+  /**
+   * Store notifications and push them to their recipients, skipping anyone
+   * whose preferences silence the conversation. Failures are logged rather
+   * than thrown so they never undo the action being notified.
+   * @param {Object} io - Socket.IO server instance (optional)
+   * @param {Object[]} notifications - userId, type and title, with optional actorId, body, conversationId, messageId, targetId and mentioned (the activity mentions the recipient, so the mentions level lets it through)
+   * @returns {Promise<Object[]>} The notifications stored, with their userId
+   */
+  async notify(io, notifications) {
+    // Nobody is notified about their own actions
+    let data = notifications
+      .filter(notification => notification.userId && notification.userId !== notification.actorId)
+      .map(({ body, ...notification }) => ({
+        ...notification,
+        body: excerpt(body)
+      }));
+    if (!data.length) return [];
+
+    try {
+      data = await this.applyPreferences(data);
+      if (!data.length) return [];
+
+      const created = await prisma.notification.createManyAndReturn({
+        data,
+        select: { ...NOTIFICATION_SELECT, userId: true }
+      });
+
+      if (io) {
+        for (const { userId, ...notification } of created) {
+          io.to(`user:${userId}`).emit('notification', { notification });
+        }
+      }
+      return created;
+    } catch (error) {
+      console.error('⚠️ Failed to store notifications:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Drop conversation activity notifications the recipient has silenced
+   * @param {Object[]} notifications - Notifications about to be stored
+   * @returns {Promise<Object[]>} The notifications to keep, without their mentioned flag
+   */
+  async applyPreferences(notifications) {
+    const groupKey = (notification) => `${notification.conversationId}:${Boolean(notification.mentioned)}`;
+
+    const groups = new Map();
+    for (const notification of notifications) {
+      if (!isConversationActivity(notification)) continue;
+      const key = groupKey(notification);
+      const group = groups.get(key) || {
+        conversationId: notification.conversationId,
+        mentioned: Boolean(notification.mentioned),
+        userIds: []
+      };
+      group.userIds.push(notification.userId);
+      groups.set(key, group);
+    }
+
+    const allowed = new Map();
+    for (const [key, group] of groups) {
+      allowed.set(key, new Set(await notificationPreferenceService.filterRecipients(group)));
+    }
+
+    return notifications
+      .filter(notification =>
+        !isConversationActivity(notification) || allowed.get(groupKey(notification)).has(notification.userId))
+      .map(({ mentioned, ...notification }) => notification);
+  }
+
+  /**
+   * A user's notifications, newest first
+   * @param {Object} params - Query parameters
+   * @param {string} params.userId - User ID
+   * @param {boolean} [params.unreadOnly] - Only unread notifications
+   * @param {string} [params.type] - Only this type
+   * @param {number} [params.page] - Page number
+   * @param {number} [params.limit] - Page size
+   * @returns {Promise<Object>} Notifications, the user's unread count, and pagination
+   */
+  async list({ userId, unreadOnly = false, type, page = 1, limit = 20 }) {
+    const where = {
+      userId,
+      ...(unreadOnly && { readAt: null }),
+      ...(type && { type })
+    };
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        select: NOTIFICATION_SELECT,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.notification.count({ where }),
+      this.countUnread(userId)
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      }
+    };
+  }
+
+  /**
+   * Mark some of a user's notifications read
+   * @param {Object} params - Parameters
+   * @param {string} params.userId - User ID
+   * @param {string[]} params.notificationIds - Notification IDs; other users' IDs are ignored
+   * @returns {Promise<Object>} Number marked and the remaining unread count
+   */
+  async markRead({ userId, notificationIds }) {
+    const { count } = await prisma.notification.updateMany({
+      where: { id: { in: notificationIds }, userId, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    return { updated: count, unreadCount: await this.countUnread(userId) };
+  }
+
+  /**
+   * Mark all of a user's notifications read
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Number marked and the remaining unread count
+   */
+  async markAllRead(userId) {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    return { updated: count, unreadCount: 0 };
+  }
+
+  countUnread(userId) {
+    return prisma.notification.count({ where: { userId, readAt: null } });
+  }
+}
+
+module.exports = new NotificationService();
+
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
@@ -0,0 +1,180 @@
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+
+// all: every message; mentions: only what is aimed at the user; none: nothing
+const NOTIFICATION_LEVELS = ['all', 'mentions', 'none'];
+
+const PREFERENCE_SELECT = {
+  notificationLevel: true,
+  mutedUntil: true
+};
+
+const DEFAULTS_SELECT = {
+  notificationLevel: true,
+  notificationsMutedUntil: true
+};
+
+const isFuture = (date) => Boolean(date) && new Date(date) > new Date();
+
+/**
+ * Per-conversation notification levels and mutes, falling back to the
+ * user's defaults. Every notification channel (in-app, email, push) asks
+ * this service before notifying someone about conversation activity.
+ */
+class NotificationPreferenceService {
+  /**
+   * Combine a participant's conversation settings with the user's defaults
+   * @param {Object} [participant] - notificationLevel and mutedUntil for the conversation
+   * @param {Object} [defaults] - The user's notificationLevel and notificationsMutedUntil
+   * @returns {Object} The conversation's own level and mute, plus the level and mute in effect now
+   */
+  resolve(participant, defaults) {
+    const mutedUntil = isFuture(participant?.mutedUntil) ? participant.mutedUntil : null;
+
+    return {
+      level: participant?.notificationLevel || null,
+      mutedUntil,
+      effectiveLevel: participant?.notificationLevel || defaults?.notificationLevel || 'all',
+      muted: Boolean(mutedUntil) || isFuture(defaults?.notificationsMutedUntil)
+    };
+  }
+
+  /**
+   * Parse a requested mute end
+   * @param {Date|string|null} [value] - Mute end; null unmutes, undefined leaves it unchanged
+   * @returns {Date|null|undefined} Parsed mute end
+   */
+  parseMutedUntil(value) {
+    if (value === undefined || value === null) return value;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw createError.validation('Mute end must be a valid date');
+    }
+    if (date.getTime() <= Date.now()) {
+      throw createError.validation('Mute end must be in the future');
+    }
+    return date;
+  }
+
+  /**
+   * Whether resolved preferences let a notification through
+   * @param {Object} preferences - Result of resolve
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.mentioned] - The activity is aimed at the user (a mention, or a direct message)
+   * @returns {boolean} True when the user should be notified
+   */
+  allows(preferences, { mentioned = false } = {}) {
+    if (preferences.muted || preferences.effectiveLevel === 'none') return false;
+    return preferences.effectiveLevel === 'all' || mentioned;
+  }
+
+  /**
+   * Resolved preferences in one conversation for several users. Users who
+   * are not participants get their defaults.
+   * @param {string} conversationId - Conversation ID
+   * @param {string[]} userIds - User IDs
+   * @returns {Promise<Map<string, Object>>} Preferences by user ID
+   */
+  async getForConversation(conversationId, userIds) {
+    if (!userIds.length) return new Map();
+
+    const [users, participants] = await Promise.all([
+      prisma.user.findMany({
+        where: { id: { in: userIds } },
+        select: { id: true, ...DEFAULTS_SELECT }
+      }),
+      prisma.conversationParticipant.findMany({
+        where: { conversationId, userId: { in: userIds }, deletedAt: null },
+        select: { userId: true, ...PREFERENCE_SELECT }
+      })
+    ]);
+    const byUser = new Map(participants.map(participant => [participant.userId, participant]));
+
+    return new Map(users.map(user => [user.id, this.resolve(byUser.get(user.id), user)]));
+  }
+
+  /**
+   * The users who should be notified about activity in a conversation
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string[]} params.userIds - Candidate recipients
+   * @param {boolean} [params.mentioned] - The activity is aimed at each of them
+   * @returns {Promise<string[]>} Recipients whose preferences allow it
+   */
+  async filterRecipients({ conversationId, userIds, mentioned = false }) {
+    const preferences = await this.getForConversation(conversationId, userIds);
+    return userIds.filter(userId => preferences.has(userId) && this.allows(preferences.get(userId), { mentioned }));
+  }
+
+  /**
+   * A user's default level and global mute
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} notificationLevel and notificationsMutedUntil
+   */
+  async getDefaults(userId) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: DEFAULTS_SELECT });
+    if (!user) {
+      throw createError.notFound('User not found');
+    }
+
+    return {
+      notificationLevel: user.notificationLevel,
+      notificationsMutedUntil: isFuture(user.notificationsMutedUntil) ? user.notificationsMutedUntil : null
+    };
+  }
+
+  /**
+   * Change a user's default level or global mute. Fields left undefined are kept.
+   * @param {string} userId - User ID
+   * @param {Object} changes - Changes
+   * @param {string} [changes.notificationLevel] - One of NOTIFICATION_LEVELS
+   * @param {Date|string|null} [changes.notificationsMutedUntil] - Mute everything until then; null unmutes
+   * @returns {Promise<Object>} The updated defaults
+   */
+  async updateDefaults(userId, { notificationLevel, notificationsMutedUntil }) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { notificationLevel, notificationsMutedUntil: this.parseMutedUntil(notificationsMutedUntil) }
+    });
+
+    return this.getDefaults(userId);
+  }
+
+  /**
+   * Change a user's level or mute in one conversation. Fields left undefined are kept.
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - Participant's user ID
+   * @param {string|null} [params.level] - One of NOTIFICATION_LEVELS; null follows the user's default
+   * @param {Date|string|null} [params.mutedUntil] - Mute the conversation until then; null unmutes
+   * @returns {Promise<Object>} The resolved preferences for the conversation
+   */
+  async updateForConversation({ conversationId, userId, level, mutedUntil }) {
+    const muteEnd = this.parseMutedUntil(mutedUntil);
+    const participant = await prisma.conversationParticipant.findFirst({
+      where: { conversationId, userId, deletedAt: null },
+      select: { id: true }
+    });
+    if (!participant) {
+      throw createError.notFound('Conversation not found or access denied');
+    }
+
+    const [updated, defaults] = await Promise.all([
+      prisma.conversationParticipant.update({
+        where: { id: participant.id },
+        data: { notificationLevel: level, mutedUntil: muteEnd },
+        select: PREFERENCE_SELECT
+      }),
+      prisma.user.findUnique({ where: { id: userId }, select: DEFAULTS_SELECT })
+    ]);
+
+    return this.resolve(updated, defaults);
+  }
+}
+
+module.exports = new NotificationPreferenceService();
+
+module.exports.NOTIFICATION_LEVELS = NOTIFICATION_LEVELS;
+module.exports.PREFERENCE_SELECT = PREFERENCE_SELECT;
+module.exports.DEFAULTS_SELECT = DEFAULTS_SELECT;
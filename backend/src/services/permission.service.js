@@ -0,0 +1,261 @@
+const config = require('../config/environment');
+const { prisma } = require('../utils/prisma');
+
+// Every permission the application checks, with the description shown to admins
+const PERMISSION_CATALOG = {
+  'user.create': 'Create users',
+  'user.read': 'View users in the organization',
+  'user.update': 'Edit user profiles',
+  'user.delete': 'Delete users',
+  'user.invite': 'Invite people to the organization',
+  'user.manage_roles': 'Manage roles and user permissions',
+  'conversation.create': 'Create conversations',
+  'conversation.read': 'Read conversations',
+  'conversation.update': 'Edit conversations',
+  'conversation.delete': 'Delete conversations',
+  'conversation.manage': 'Manage any conversation in the organization',
+  'message.create': 'Send messages',
+  'message.read': 'Read messages',
+  'message.update': 'Edit messages',
+  'message.delete': 'Delete any message',
+  'file.upload': 'Upload files',
+  'file.read': 'View and download files',
+  'file.delete': 'Delete files',
+  'tenant.read': 'View organization details',
+  'tenant.update': 'Edit organization details',
+  'tenant.manage_settings': 'Manage organization settings',
+  'audit.read': 'View audit logs and exports'
+};
+
+// Permissions granted by the built-in User.role; custom roles add to these
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: [
+    'user.create', 'user.read', 'user.update', 'user.delete', 'user.invite', 'user.manage_roles',
+    'conversation.create', 'conversation.read', 'conversation.update', 'conversation.delete', 'conversation.manage',
+    'message.create', 'message.read', 'message.update', 'message.delete',
+    'file.upload', 'file.read', 'file.delete',
+    'tenant.read', 'tenant.update', 'tenant.manage_settings',
+    'audit.read'
+  ],
+  moderator: [
+    'user.read', 'user.invite',
+    'conversation.create', 'conversation.read', 'conversation.update', 'conversation.manage',
+    'message.create', 'message.read', 'message.update', 'message.delete',
+    'file.upload', 'file.read', 'file.delete',
+    'tenant.read'
+  ],
+  member: [
+    'user.read',
+    'conversation.create', 'conversation.read', 'conversation.update',
+    'message.create', 'message.read', 'message.update',
+    'file.upload', 'file.read', 'file.delete',
+    'tenant.read'
+  ],
+  guest: [
+    'conversation.read',
+    'message.read',
+    'file.read'
+  ]
+};
+
+const BUILT_IN_ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+class PermissionService {
+  constructor() {
+    this.cache = new Map();
+    this.catalogSync = null;
+  }
+
+  /**
+   * Whether a permission name exists in the catalog
+   * @param {string} name - Permission name
+   * @returns {boolean} Whether the permission is known
+   */
+  isKnownPermission(name) {
+    return Object.prototype.hasOwnProperty.call(PERMISSION_CATALOG, name);
+  }
+
+  /**
+   * List the permission catalog
+   * @returns {Object[]} Permissions with descriptions and the built-in roles that include them
+   */
+  getCatalog() {
+    return Object.entries(PERMISSION_CATALOG).map(([name, description]) => ({
+      name,
+      description,
+      builtInRoles: BUILT_IN_ROLES.filter(role => DEFAULT_ROLE_PERMISSIONS[role].includes(name))
+    }));
+  }
+
+  /**
+   * Read per-user overrides from User.permissions. Older rows hold a plain
+   * array of extra permissions, which is treated as grants.
+   * @param {string} raw - Stored JSON
+   * @returns {Object} Granted and denied permission names
+   */
+  parseOverrides(raw) {
+    let value;
+    try {
+      value = JSON.parse(raw || '[]');
+    } catch {
+      value = [];
+    }
+
+    if (Array.isArray(value)) {
+      return { grant: value.filter(name => this.isKnownPermission(name)), deny: [] };
+    }
+
+    return {
+      grant: Array.isArray(value?.grant) ? value.grant.filter(name => this.isKnownPermission(name)) : [],
+      deny: Array.isArray(value?.deny) ? value.deny.filter(name => this.isKnownPermission(name)) : []
+    };
+  }
+
+  /**
+   * Serialize per-user overrides for User.permissions
+   * @param {Object} overrides - Granted and denied permission names
+   * @returns {string} JSON
+   */
+  serializeOverrides({ grant = [], deny = [] }) {
+    return JSON.stringify({
+      grant: [...new Set(grant)],
+      deny: [...new Set(deny)]
+    });
+  }
+
+  /**
+   * Make sure every catalog permission has a Permission row. Runs once per process.
+   * @returns {Promise<void>}
+   */
+  async ensureCatalog() {
+    if (!this.catalogSync) {
+      this.catalogSync = Promise.all(
+        Object.entries(PERMISSION_CATALOG).map(([name, description]) => prisma.permission.upsert({
+          where: { name },
+          update: { description, deletedAt: null },
+          create: { name, description }
+        }))
+      ).catch((error) => {
+        this.catalogSync = null;
+        throw error;
+      });
+    }
+
+    await this.catalogSync;
+  }
+
+  /**
+   * Look up Permission row IDs by name
+   * @param {string[]} names - Permission names from the catalog
+   * @returns {Promise<string[]>} Permission IDs
+   */
+  async getPermissionIds(names) {
+    if (!names.length) {
+      return [];
+    }
+
+    await this.ensureCatalog();
+    const rows = await prisma.permission.findMany({
+      where: { name: { in: names }, deletedAt: null },
+      select: { id: true }
+    });
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Resolve a user's effective permissions: built-in role, plus assigned
+   * custom roles, plus per-user grants, minus per-user denies
+   * @param {string} userId - User ID
+   * @returns {Promise<Set<string>>} Permission names; empty for missing or inactive users
+   */
+  async getEffectivePermissions(userId) {
+    const cached = this.cache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        tenantId: true,
+        role: true,
+        isActive: true,
+        permissions: true,
+        roleAssignments: {
+          select: {
+            tenantId: true,
+            role: {
+              select: {
+                tenantId: true,
+                permissions: {
+                  where: { permission: { deletedAt: null } },
+                  select: { permission: { select: { name: true } } }
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    const permissions = new Set();
+
+    if (user?.isActive) {
+      (DEFAULT_ROLE_PERMISSIONS[user.role] || []).forEach(name => permissions.add(name));
+
+      // Assignments left over from another tenant do not apply
+      user.roleAssignments
+        .filter(assignment => assignment.tenantId === user.tenantId && assignment.role.tenantId === user.tenantId)
+        .forEach(assignment => assignment.role.permissions.forEach(({ permission }) => permissions.add(permission.name)));
+
+      const { grant, deny } = this.parseOverrides(user.permissions);
+      grant.forEach(name => permissions.add(name));
+      deny.forEach(name => permissions.delete(name));
+    }
+
+    this.cache.set(userId, {
+      tenantId: user?.tenantId,
+      permissions,
+      expiresAt: Date.now() + config.cache.permissionsTtlMs
+    });
+
+    return permissions;
+  }
+
+  /**
+   * Check if a user has a permission
+   * @param {string} userId - User ID
+   * @param {string} permission - Permission name
+   * @returns {Promise<boolean>} Whether the user has the permission
+   */
+  async hasPermission(userId, permission) {
+    const permissions = await this.getEffectivePermissions(userId);
+    return permissions.has(permission);
+  }
+
+  /**
+   * Drop a user's cached permissions
+   * @param {string} userId - User ID
+   */
+  invalidateUser(userId) {
+    this.cache.delete(userId);
+  }
+
+  /**
+   * Drop cached permissions of every user in a tenant, e.g. after a role changes
+   * @param {string} tenantId - Tenant ID
+   */
+  invalidateTenant(tenantId) {
+    for (const [userId, entry] of this.cache) {
+      if (entry.tenantId === tenantId) {
+        this.cache.delete(userId);
+      }
+    }
+  }
+}
+
+module.exports = new PermissionService();
+
+module.exports.PERMISSION_CATALOG = PERMISSION_CATALOG;
+module.exports.DEFAULT_ROLE_PERMISSIONS = DEFAULT_ROLE_PERMISSIONS;
+module.exports.BUILT_IN_ROLES = BUILT_IN_ROLES;
@@ -0,0 +1,252 @@
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+
+const READER_SELECT = {
+  id: true,
+  displayName: true,
+  avatarUrl: true
+};
+
+class ReadReceiptService {
+  /**
+   * Where clause for a participant's unread messages. Participants without a
+   * cursor yet fall back to their MessageRead rows.
+   * @param {Object} participant - Participant row with its read cursor
+   * @returns {Object} Prisma where clause for Message
+   */
+  unreadWhere(participant) {
+    return {
+      conversationId: participant.conversationId,
+      deletedAt: null,
+      senderId: { not: participant.userId },
+      ...(participant.lastReadAt
+        ? { createdAt: { gt: participant.lastReadAt } }
+        : { NOT: { readBy: { some: { userId: participant.userId } } } })
+    };
+  }
+
+  /**
+   * Move a participant's read cursor forward to a message and record a
+   * MessageRead row for every message it passes. The cursor never moves back;
+   * use markUnread for that.
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - Reading user ID
+   * @param {string} [params.messageId] - Last message read; defaults to the latest message
+   * @returns {Promise<Object>} Cursor, newly read message IDs and the stored unread count
+   */
+  async markRead({ conversationId, userId, messageId }) {
+    const participant = await this.getParticipant(conversationId, userId);
+
+    const target = messageId
+      ? await this.getConversationMessage(conversationId, messageId)
+      : await prisma.message.findFirst({
+        where: { conversationId, deletedAt: null },
+        select: { id: true, createdAt: true },
+        orderBy: { createdAt: 'desc' }
+      });
+
+    if (!target || (participant.lastReadAt && participant.lastReadAt >= target.createdAt)) {
+      return this.formatCursor(participant, []);
+    }
+
+    const { updated, messageIds } = await prisma.$transaction(async (tx) => {
+      const newlyRead = await tx.message.findMany({
+        where: {
+          ...this.unreadWhere(participant),
+          createdAt: {
+            ...(participant.lastReadAt && { gt: participant.lastReadAt }),
+            lte: target.createdAt
+          }
+        },
+        select: { id: true }
+      });
+
+      if (newlyRead.length) {
+        await tx.messageRead.createMany({
+          data: newlyRead.map(message => ({ messageId: message.id, userId })),
+          skipDuplicates: true
+        });
+      }
+
+      const cursor = { lastReadMessageId: target.id, lastReadAt: target.createdAt };
+      const unreadCount = await tx.message.count({ where: this.unreadWhere({ ...participant, ...cursor }) });
+
+      const saved = await tx.conversationParticipant.update({
+        where: { id: participant.id },
+        data: { ...cursor, unreadCount }
+      });
+
+      return { updated: saved, messageIds: newlyRead.map(message => message.id) };
+    });
+
+    return this.formatCursor(updated, messageIds);
+  }
+
+  /**
+   * Mark a message and everything after it unread by moving the cursor to
+   * the message before it
+   * @param {Object} params - Parameters
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.userId - User ID
+   * @param {string} params.messageId - First message to become unread
+   * @returns {Promise<Object>} Cursor, message IDs that became unread and unread count
+   */
+  async markUnread({ conversationId, userId, messageId }) {
+    const participant = await this.getParticipant(conversationId, userId);
+    const target = await this.getConversationMessage(conversationId, messageId);
+
+    const previous = await prisma.message.findFirst({
+      where: { conversationId, deletedAt: null, createdAt: { lt: target.createdAt } },
+      select: { id: true, createdAt: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const { updated, messageIds } = await prisma.$transaction(async (tx) => {
+      const reads = await tx.messageRead.findMany({
+        where: {
+          userId,
+          message: {
+            conversationId,
+            senderId: { not: userId },
+            createdAt: { gte: target.createdAt }
+          }
+        },
+        select: { messageId: true }
+      });
+      const unreadIds = reads.map(read => read.messageId);
+
+      if (unreadIds.length) {
+        await tx.messageRead.deleteMany({ where: { userId, messageId: { in: unreadIds } } });
+      }
+
+      // An epoch cursor keeps "nothing read" distinct from "no cursor yet"
+      const cursor = {
+        lastReadMessageId: previous?.id || null,
+        lastReadAt: previous?.createdAt || new Date(0)
+      };
+      const unreadCount = await tx.message.count({ where: this.unreadWhere({ ...participant, ...cursor }) });
+
+      const saved = await tx.conversationParticipant.update({
+        where: { id: participant.id },
+        data: { ...cursor, unreadCount }
+      });
+
+      return { updated: saved, messageIds: unreadIds };
+    });
+
+    return this.formatCursor(updated, messageIds);
+  }
+
+  /**
+   * List who has seen a message
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Requesting user ID, must be a participant
+   * @returns {Promise<Object>} Readers other than the sender, and how many participants could read it
+   */
+  async getSeenBy(messageId, userId) {
+    const message = await prisma.message.findFirst({
+      where: { id: messageId, deletedAt: null },
+      select: { id: true, conversationId: true, senderId: true }
+    });
+
+    if (!message) {
+      throw createError.notFound('Message not found');
+    }
+    await this.getParticipant(message.conversationId, userId);
+
+    const [reads, participantCount] = await Promise.all([
+      prisma.messageRead.findMany({
+        where: { messageId, userId: { not: message.senderId } },
+        select: { readAt: true, user: { select: READER_SELECT } },
+        orderBy: { readAt: 'asc' }
+      }),
+      prisma.conversationParticipant.count({
+        where: { conversationId: message.conversationId, deletedAt: null, userId: { not: message.senderId } }
+      })
+    ]);
+
+    return {
+      messageId,
+      seenBy: reads.map(read => ({ ...read.user, readAt: read.readAt })),
+      participantCount
+    };
+  }
+
+  /**
+   * A participant's read cursor
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Last read message ID and its time
+   */
+  async getCursor(conversationId, userId) {
+    const participant = await this.getParticipant(conversationId, userId);
+    return {
+      lastReadMessageId: participant.lastReadMessageId,
+      lastReadAt: participant.lastReadAt
+    };
+  }
+
+  /**
+   * Tell the conversation which messages were read, and the reader's other
+   * tabs and devices where their cursor and unread count now stand
+   * @param {Object} io - Socket.IO server instance
+   * @param {Object} cursor - Result of markRead or markUnread
+   * @param {boolean} [unread] - Messages became unread rather than read
+   */
+  broadcast(io, cursor, unread = false) {
+    if (!io) return;
+
+    const { conversationId, userId, lastReadMessageId, lastReadAt, messageIds, unreadCount } = cursor;
+    if (messageIds.length) {
+      io.to(conversationId).emit(unread ? 'messages-unread' : 'messages-read', {
+        userId,
+        conversationId,
+        messageIds,
+        readAt: unread ? null : new Date()
+      });
+    }
+    io.to(`user:${userId}`).emit('read-cursor-updated', {
+      conversationId,
+      lastReadMessageId,
+      lastReadAt,
+      unreadCount
+    });
+  }
+
+  async getParticipant(conversationId, userId) {
+    const participant = await prisma.conversationParticipant.findFirst({
+      where: { conversationId, userId, deletedAt: null }
+    });
+
+    if (!participant) {
+      throw createError.authorization('Not a participant in this conversation');
+    }
+    return participant;
+  }
+
+  async getConversationMessage(conversationId, messageId) {
+    const message = await prisma.message.findFirst({
+      where: { id: messageId, conversationId, deletedAt: null },
+      select: { id: true, createdAt: true }
+    });
+
+    if (!message) {
+      throw createError.notFound('Message not found');
+    }
+    return message;
+  }
+
+  formatCursor(participant, messageIds) {
+    return {
+      conversationId: participant.conversationId,
+      userId: participant.userId,
+      lastReadMessageId: participant.lastReadMessageId,
+      lastReadAt: participant.lastReadAt,
+      messageIds,
+      unreadCount: participant.unreadCount
+    };
+  }
+}
+
+module.exports = new ReadReceiptService();
@@ -0,0 +1,422 @@
+const { prisma } = require('../utils/prisma');
+const config = require('../config/environment');
+const { deleteFile } = require('../config/storage');
+const legalHoldService = require('./legalHold.service');
+const conversationCacheService = require('./conversationCache.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Resolve a tenant's message retention window
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<number>} Retention window in days
+   */
+  async getTenantRetentionDays(tenantId) {
+    const settings = await prisma.tenantSettings.findUnique({
+      where: { tenantId },
+      select: { messageRetentionDays: true }
+    });
+
+    return settings?.messageRetentionDays || config.tenant.defaults.messageRetentionDays;
+  }
+
+  /**
+   * Build the retention policy for every conversation in a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Date} [now] - Reference time for cutoffs
+   * @returns {Promise<Object>} Policy with tenant window, per-conversation cutoffs and legal holds
+   */
+  async getTenantPolicy(tenantId, now = new Date()) {
+    const tenantRetentionDays = await this.getTenantRetentionDays(tenantId);
+    const { purgeGraceDays } = config.retention;
+    const holdScope = await legalHoldService.getActiveHoldScope(tenantId);
+
+    const conversations = await prisma.conversation.findMany({
+      where: { tenantId },
+      select: {
+        id: true,
+        name: true,
+        messageRetentionDays: true
+      }
+    });
+
+    return {
+      tenantRetentionDays,
+      purgeGraceDays,
+      graceCutoff: new Date(now.getTime() - purgeGraceDays * DAY_MS),
+      userHolds: holdScope.users,
+      heldUserIds: [...holdScope.users.keys()],
+      conversations: conversations.map(conversation => {
+        const retentionDays = conversation.messageRetentionDays || tenantRetentionDays;
+        return {
+          conversationId: conversation.id,
+          name: conversation.name,
+          retentionDays,
+          overridden: conversation.messageRetentionDays !== null,
+          cutoff: new Date(now.getTime() - retentionDays * DAY_MS),
+          legalHoldId: holdScope.conversations.get(conversation.id) || null
+        };
+      })
+    };
+  }
+
+  /**
+   * Where clauses for messages past a conversation's retention window
+   * @param {Object} conversationPolicy - Entry from getTenantPolicy().conversations
+   * @param {Date} graceCutoff - Soft-deleted messages older than this are purged
+   * @param {string[]} heldUserIds - Senders whose messages are under legal hold
+   * @returns {Object} Prisma where clauses for soft-delete, purge and held messages
+   */
+  buildWhere(conversationPolicy, graceCutoff, heldUserIds) {
+    const { conversationId, cutoff } = conversationPolicy;
+    const notHeld = heldUserIds.length > 0 ? { senderId: { notIn: heldUserIds } } : {};
+
+    return {
+      softDelete: {
+        conversationId,
+        createdAt: { lt: cutoff },
+        deletedAt: null,
+        ...notHeld
+      },
+      purge: {
+        conversationId,
+        createdAt: { lt: cutoff },
+        deletedAt: { lte: graceCutoff },
+        ...notHeld
+      },
+      held: {
+        conversationId,
+        createdAt: { lt: cutoff },
+        senderId: { in: heldUserIds }
+      }
+    };
+  }
+
+  /**
+   * Count expired messages in a conversation that a legal hold keeps alive
+   * @param {Object} conversationPolicy - Entry from getTenantPolicy().conversations
+   * @param {Object} policy - Result of getTenantPolicy()
+   * @returns {Promise<Array>} Blocked deletions as { holdId, messagesRetained }
+   */
+  async countHeldMessages(conversationPolicy, policy) {
+    const { conversationId, cutoff, legalHoldId } = conversationPolicy;
+
+    if (legalHoldId) {
+      const messagesRetained = await prisma.message.count({
+        where: { conversationId, createdAt: { lt: cutoff } }
+      });
+      return messagesRetained > 0 ? [{ holdId: legalHoldId, messagesRetained }] : [];
+    }
+
+    if (policy.heldUserIds.length === 0) return [];
+
+    const heldBySender = await prisma.message.groupBy({
+      by: ['senderId'],
+      where: this.buildWhere(conversationPolicy, policy.graceCutoff, policy.heldUserIds).held,
+      _count: true
+    });
+
+    return heldBySender.map(group => ({
+      holdId: policy.userHolds.get(group.senderId),
+      messagesRetained: group._count
+    }));
+  }
+
+  /**
+   * Count what a sweep would touch in a single conversation
+   * @param {Object} conversationPolicy - Entry from getTenantPolicy().conversations
+   * @param {Date} graceCutoff - Purge cutoff for soft-deleted messages
+   * @param {string[]} heldUserIds - Senders whose messages are under legal hold
+   * @returns {Promise<Object>} Counts per table
+   */
+  async previewConversation(conversationPolicy, graceCutoff, heldUserIds) {
+    const where = this.buildWhere(conversationPolicy, graceCutoff, heldUserIds);
+
+    const [messagesToSoftDelete, messagesToPurge, messageReads, messageReactions, mediaFiles] = await Promise.all([
+      prisma.message.count({ where: where.softDelete }),
+      prisma.message.count({ where: where.purge }),
+      prisma.messageRead.count({ where: { message: where.purge } }),
+      prisma.messageReaction.count({ where: { message: where.purge } }),
+      prisma.mediaFile.count({
+        where: {
+          uploadedById: { notIn: heldUserIds },
+          messages: {
+            some: { message: where.purge },
+            every: { message: where.purge }
+          }
+        }
+      })
+    ]);
+
+    return { messagesToSoftDelete, messagesToPurge, messageReads, messageReactions, mediaFiles };
+  }
+
+  /**
+   * Soft-delete expired messages and hard-purge expired soft-deleted ones in a conversation
+   * @param {Object} conversationPolicy - Entry from getTenantPolicy().conversations
+   * @param {Date} graceCutoff - Purge cutoff for soft-deleted messages
+   * @param {string[]} heldUserIds - Senders whose messages are under legal hold
+   * @returns {Promise<Object>} Counts per table
+   */
+  async sweepConversation(conversationPolicy, graceCutoff, heldUserIds) {
+    const where = this.buildWhere(conversationPolicy, graceCutoff, heldUserIds);
+    const result = {
+      messagesToSoftDelete: 0,
+      messagesToPurge: 0,
+      messageReads: 0,
+      messageReactions: 0,
+      mediaFiles: 0
+    };
+
+    const softDeleted = await prisma.message.updateMany({
+      where: where.softDelete,
+      data: { deletedAt: new Date() }
+    });
+    result.messagesToSoftDelete = softDeleted.count;
+
+    // Purge in batches to keep transactions short
+    while (true) {
+      const batch = await prisma.message.findMany({
+        where: where.purge,
+        select: { id: true },
+        take: config.retention.batchSize
+      });
+
+      if (batch.length === 0) break;
+
+      const messageIds = batch.map(m => m.id);
+      const linkedFiles = await prisma.mediaFile.findMany({
+        where: { messages: { some: { messageId: { in: messageIds } } } },
+        select: { id: true }
+      });
+
+      const [, , reads, reactions, , , , , , messages] = await prisma.$transaction([
+        // Detach replies and thread messages that outlive their parent
+        prisma.message.updateMany({
+          where: { parentId: { in: messageIds } },
+          data: { parentId: null }
+        }),
+        prisma.message.updateMany({
+          where: { threadId: { in: messageIds } },
+          data: { threadId: null }
+        }),
+        prisma.messageRead.deleteMany({ where: { messageId: { in: messageIds } } }),
+        prisma.messageReaction.deleteMany({ where: { messageId: { in: messageIds } } }),
+        prisma.messageRevision.deleteMany({ where: { messageId: { in: messageIds } } }),
+        prisma.threadFollower.deleteMany({ where: { threadId: { in: messageIds } } }),
+        prisma.messageMention.deleteMany({ where: { messageId: { in: messageIds } } }),
+        prisma.notification.deleteMany({ where: { messageId: { in: messageIds } } }),
+        prisma.messageMediaFile.deleteMany({ where: { messageId: { in: messageIds } } }),
+        prisma.message.deleteMany({ where: { id: { in: messageIds } } })
+      ]);
+
+      result.messagesToPurge += messages.count;
+      result.messageReads += reads.count;
+      result.messageReactions += reactions.count;
+      result.mediaFiles += await this.purgeOrphanedMediaFiles(linkedFiles.map(f => f.id), heldUserIds);
+
+      if (batch.length < config.retention.batchSize) break;
+    }
+
+    // Removed messages leave the unread counters and last-message cache stale
+    if (result.messagesToSoftDelete > 0 || result.messagesToPurge > 0) {
+      await conversationCacheService.rebuildConversation(conversationPolicy.conversationId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete media files that are no longer attached to any message
+   * @param {string[]} mediaFileIds - Candidate media file IDs
+   * @param {string[]} heldUserIds - Uploaders whose files are under legal hold
+   * @returns {Promise<number>} Number of media files deleted
+   */
+  async purgeOrphanedMediaFiles(mediaFileIds, heldUserIds) {
+    if (mediaFileIds.length === 0) return 0;
+
+    const orphans = await prisma.mediaFile.findMany({
+      where: {
+        id: { in: mediaFileIds },
+        uploadedById: { notIn: heldUserIds },
+        messages: { none: {} }
+      },
+      select: { id: true, fileUrl: true }
+    });
+
+    for (const orphan of orphans) {
+      try {
+        await deleteFile(orphan.fileUrl);
+      } catch (error) {
+        console.error(`⚠️ Failed to delete stored file ${orphan.fileUrl}:`, error);
+      }
+    }
+
+    const deleted = await prisma.mediaFile.deleteMany({
+      where: { id: { in: orphans.map(o => o.id) } }
+    });
+
+    return deleted.count;
+  }
+
+  /**
+   * Run (or preview) a retention sweep for one tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} [options] - Sweep options
+   * @param {boolean} [options.dryRun] - Only report what would be removed
+   * @param {string} [options.userId] - Admin who triggered the sweep (null for the scheduler)
+   * @returns {Promise<Object>} Sweep report
+   */
+  async sweepTenant(tenantId, { dryRun = false, userId = null } = {}) {
+    const startedAt = new Date();
+    const policy = await this.getTenantPolicy(tenantId, startedAt);
+
+    const totals = {
+      messagesToSoftDelete: 0,
+      messagesToPurge: 0,
+      messageReads: 0,
+      messageReactions: 0,
+      mediaFiles: 0,
+      messagesHeld: 0
+    };
+    const conversations = [];
+    const blocked = [];
+
+    for (const conversationPolicy of policy.conversations) {
+      const heldMessages = await this.countHeldMessages(conversationPolicy, policy);
+      const messagesHeld = heldMessages.reduce((sum, entry) => sum + entry.messagesRetained, 0);
+      heldMessages.forEach(entry => blocked.push({ ...entry, conversationId: conversationPolicy.conversationId }));
+
+      let counts = { messagesToSoftDelete: 0, messagesToPurge: 0, messageReads: 0, messageReactions: 0, mediaFiles: 0 };
+      if (!conversationPolicy.legalHoldId) {
+        counts = dryRun
+          ? await this.previewConversation(conversationPolicy, policy.graceCutoff, policy.heldUserIds)
+          : await this.sweepConversation(conversationPolicy, policy.graceCutoff, policy.heldUserIds);
+      }
+
+      Object.keys(counts).forEach(key => {
+        totals[key] += counts[key];
+      });
+      totals.messagesHeld += messagesHeld;
+
+      if (messagesHeld > 0 || Object.values(counts).some(count => count > 0)) {
+        conversations.push({ ...conversationPolicy, ...counts, messagesHeld });
+      }
+    }
+
+    const report = {
+      tenantId,
+      dryRun,
+      startedAt,
+      finishedAt: new Date(),
+      tenantRetentionDays: policy.tenantRetentionDays,
+      purgeGraceDays: policy.purgeGraceDays,
+      graceCutoff: policy.graceCutoff,
+      totals,
+      conversations
+    };
+
+    if (!dryRun) {
+      // Each hold that kept expired data alive counts as a blocked deletion
+      for (const entry of blocked) {
+        await legalHoldService.recordBlockedDeletion({
+          tenantId,
+          userId,
+          hold: { id: entry.holdId },
+          targetId: entry.conversationId,
+          context: `Retention sweep retained ${entry.messagesRetained} expired message(s) in conversation ${entry.conversationId}`
+        });
+      }
+
+      await prisma.auditLog.create({
+        data: {
+          tenantId,
+          userId,
+          action: 'RETENTION_SWEEP',
+          targetId: tenantId,
+          context: JSON.stringify({
+            tenantRetentionDays: policy.tenantRetentionDays,
+            purgeGraceDays: policy.purgeGraceDays,
+            conversationsAffected: conversations.length,
+            ...totals
+          })
+        }
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Run a retention sweep for every tenant
+   * @returns {Promise<Array>} Sweep reports
+   */
+  async sweepAllTenants() {
+    if (this.running) {
+      return [];
+    }
+
+    this.running = true;
+    const reports = [];
+
+    try {
+      const tenants = await prisma.tenant.findMany({ select: { id: true } });
+
+      for (const tenant of tenants) {
+        try {
+          const report = await this.sweepTenant(tenant.id);
+          reports.push(report);
+
+          const { messagesToSoftDelete, messagesToPurge } = report.totals;
+          if (messagesToSoftDelete > 0 || messagesToPurge > 0) {
+            console.log(`🧹 Retention sweep for tenant ${tenant.id}: ${messagesToSoftDelete} soft-deleted, ${messagesToPurge} purged`);
+          }
+        } catch (error) {
+          console.error(`❌ Retention sweep failed for tenant ${tenant.id}:`, error);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return reports;
+  }
+
+  /**
+   * Start the periodic retention sweeper
+   */
+  startWorker() {
+    if (this.timer || !config.retention.enabled) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sweepAllTenants().catch(error => {
+        console.error('❌ Retention sweeper error:', error);
+      });
+    }, config.retention.sweepIntervalMs);
+
+    // Do not keep the process alive just for the sweeper
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop the periodic retention sweeper
+   */
+  stopWorker() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new RetentionService();
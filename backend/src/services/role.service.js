@@ -0,0 +1,408 @@
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const permissionService = require('./permission.service');
+const { BUILT_IN_ROLES } = require('./permission.service');
+
+const ROLE_SELECT = {
+  id: true,
+  name: true,
+  description: true,
+  isDefault: true,
+  createdAt: true,
+  updatedAt: true,
+  permissions: {
+    select: {
+      permission: {
+        select: {
+          name: true
+        }
+      }
+    }
+  },
+  _count: {
+    select: {
+      userRoles: true
+    }
+  }
+};
+
+// Flatten the join rows into a plain list of permission names
+const formatRole = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  isDefault: role.isDefault,
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt,
+  permissions: role.permissions.map(({ permission }) => permission.name).sort(),
+  memberCount: role._count.userRoles
+});
+
+const assertKnownPermissions = (names) => {
+  const unknown = names.filter(name => !permissionService.isKnownPermission(name));
+  if (unknown.length) {
+    throw createError.validation(`Unknown permission(s): ${unknown.join(', ')}`);
+  }
+};
+
+class RoleService {
+  /**
+   * List a tenant's custom roles
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object[]>} Roles with permission names and member counts
+   */
+  async listRoles(tenantId) {
+    const roles = await prisma.role.findMany({
+      where: { tenantId },
+      select: ROLE_SELECT,
+      orderBy: { name: 'asc' }
+    });
+    return roles.map(formatRole);
+  }
+
+  /**
+   * Create a custom role
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Role fields
+   * @param {string} data.name - Role name, unique within the tenant
+   * @param {string} [data.description] - Role description
+   * @param {string[]} [data.permissions] - Permission names
+   * @param {boolean} [data.isDefault] - Assign the role to people joining by invitation
+   * @param {string} adminUserId - Admin creating the role
+   * @returns {Promise<Object>} Created role
+   */
+  async createRole(tenantId, { name, description, permissions = [], isDefault = false }, adminUserId) {
+    assertKnownPermissions(permissions);
+    await this.assertNameAvailable(tenantId, name);
+
+    const permissionIds = await permissionService.getPermissionIds(permissions);
+
+    const role = await prisma.$transaction(async (tx) => {
+      const created = await tx.role.create({
+        data: {
+          tenantId,
+          name,
+          description,
+          isDefault,
+          permissions: {
+            create: permissionIds.map(permissionId => ({ permissionId }))
+          }
+        },
+        select: ROLE_SELECT
+      });
+
+      await tx.auditLog.create({
+        data: {
+          tenantId,
+          userId: adminUserId,
+          action: 'ROLE_CREATED',
+          targetId: created.id,
+          context: `Created role ${name} with permissions: ${permissions.join(', ') || 'none'}`
+        }
+      });
+
+      return created;
+    });
+
+    return formatRole(role);
+  }
+
+  /**
+   * Update a custom role. When permissions are given they replace the current set.
+   * @param {string} tenantId - Tenant ID
+   * @param {string} roleId - Role ID
+   * @param {Object} data - Fields to change
+   * @param {string} adminUserId - Admin updating the role
+   * @returns {Promise<Object>} Updated role
+   */
+  async updateRole(tenantId, roleId, { name, description, permissions, isDefault }, adminUserId) {
+    const role = await this.getTenantRole(tenantId, roleId);
+
+    if (permissions) {
+      assertKnownPermissions(permissions);
+    }
+    if (name && name.toLowerCase() !== role.name.toLowerCase()) {
+      await this.assertNameAvailable(tenantId, name);
+    }
+
+    const permissionIds = permissions ? await permissionService.getPermissionIds(permissions) : null;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (permissionIds) {
+        await tx.rolePermission.deleteMany({ where: { roleId } });
+        await tx.rolePermission.createMany({
+          data: permissionIds.map(permissionId => ({ roleId, permissionId }))
+        });
+      }
+
+      const saved = await tx.role.update({
+        where: { id: roleId },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(description !== undefined && { description }),
+          ...(isDefault !== undefined && { isDefault })
+        },
+        select: ROLE_SELECT
+      });
+
+      await tx.auditLog.create({
+        data: {
+          tenantId,
+          userId: adminUserId,
+          action: 'ROLE_UPDATED',
+          targetId: roleId,
+          context: permissions
+            ? `Updated role ${saved.name} with permissions: ${permissions.join(', ') || 'none'}`
+            : `Updated role ${saved.name}`
+        }
+      });
+
+      return saved;
+    });
+
+    permissionService.invalidateTenant(tenantId);
+    return formatRole(updated);
+  }
+
+  /**
+   * Delete a custom role and remove it from everyone holding it
+   * @param {string} tenantId - Tenant ID
+   * @param {string} roleId - Role ID
+   * @param {string} adminUserId - Admin deleting the role
+   * @returns {Promise<void>}
+   */
+  async deleteRole(tenantId, roleId, adminUserId) {
+    const role = await this.getTenantRole(tenantId, roleId);
+
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.userRole.deleteMany({ where: { roleId } });
+      await tx.rolePermission.deleteMany({ where: { roleId } });
+      await tx.role.delete({ where: { id: roleId } });
+
+      await tx.auditLog.create({
+        data: {
+          tenantId,
+          userId: adminUserId,
+          action: 'ROLE_DELETED',
+          targetId: roleId,
+          context: `Deleted role ${role.name}, unassigned from ${count} user(s)`
+        }
+      });
+    });
+
+    permissionService.invalidateTenant(tenantId);
+  }
+
+  /**
+   * Check that role IDs belong to the tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {string[]} roleIds - Role IDs
+   * @returns {Promise<Object[]>} Matching roles (id and name)
+   */
+  async resolveTenantRoles(tenantId, roleIds) {
+    const uniqueIds = [...new Set(roleIds)];
+    if (!uniqueIds.length) {
+      return [];
+    }
+
+    const roles = await prisma.role.findMany({
+      where: { id: { in: uniqueIds }, tenantId },
+      select: { id: true, name: true }
+    });
+
+    if (roles.length !== uniqueIds.length) {
+      throw createError.validation('One or more roles do not exist in this organization');
+    }
+    return roles;
+  }
+
+  /**
+   * Roles given to everyone who joins the tenant by invitation
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} [client] - Prisma client or transaction
+   * @returns {Promise<string[]>} Role IDs
+   */
+  async getDefaultRoleIds(tenantId, client = prisma) {
+    const roles = await client.role.findMany({
+      where: { tenantId, isDefault: true },
+      select: { id: true }
+    });
+    return roles.map(role => role.id);
+  }
+
+  /**
+   * Replace a user's custom roles within a tenant. Callers clear the
+   * permission cache once their transaction has committed.
+   * @param {Object} client - Prisma client or transaction
+   * @param {Object} params - Assignment parameters
+   * @param {string} params.userId - User ID
+   * @param {string} params.tenantId - Tenant ID
+   * @param {string[]} params.roleIds - Role IDs, already checked against the tenant
+   * @param {string} [params.assignedBy] - User making the assignment
+   * @returns {Promise<void>}
+   */
+  async replaceAssignments(client, { userId, tenantId, roleIds, assignedBy }) {
+    await client.userRole.deleteMany({ where: { userId, tenantId } });
+
+    if (roleIds.length) {
+      await client.userRole.createMany({
+        data: [...new Set(roleIds)].map(roleId => ({ userId, roleId, tenantId, assignedBy })),
+        skipDuplicates: true
+      });
+    }
+  }
+
+  /**
+   * Set the custom roles assigned to a user
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Target user ID
+   * @param {string[]} roleIds - Role IDs
+   * @param {string} adminUserId - Admin making the change
+   * @returns {Promise<Object>} The user's roles, overrides and effective permissions
+   */
+  async setUserRoles(tenantId, userId, roleIds, adminUserId) {
+    await this.getTenantUser(tenantId, userId, adminUserId);
+    const roles = await this.resolveTenantRoles(tenantId, roleIds);
+
+    await prisma.$transaction(async (tx) => {
+      await this.replaceAssignments(tx, { userId, tenantId, roleIds: roles.map(role => role.id), assignedBy: adminUserId });
+
+      await tx.auditLog.create({
+        data: {
+          tenantId,
+          userId: adminUserId,
+          action: 'USER_ROLES_UPDATED',
+          targetId: userId,
+          context: `Assigned roles: ${roles.map(role => role.name).join(', ') || 'none'}`
+        }
+      });
+    });
+
+    permissionService.invalidateUser(userId);
+    return this.getUserAccess(tenantId, userId);
+  }
+
+  /**
+   * Set per-user permission grants and denies
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Target user ID
+   * @param {Object} overrides - Permission names to grant and to deny
+   * @param {string} adminUserId - Admin making the change
+   * @returns {Promise<Object>} The user's roles, overrides and effective permissions
+   */
+  async setUserPermissionOverrides(tenantId, userId, { grant = [], deny = [] }, adminUserId) {
+    await this.getTenantUser(tenantId, userId, adminUserId);
+    assertKnownPermissions([...grant, ...deny]);
+
+    const conflicting = grant.filter(name => deny.includes(name));
+    if (conflicting.length) {
+      throw createError.validation(`Permission(s) both granted and denied: ${conflicting.join(', ')}`);
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { permissions: permissionService.serializeOverrides({ grant, deny }) }
+      }),
+      prisma.auditLog.create({
+        data: {
+          tenantId,
+          userId: adminUserId,
+          action: 'USER_PERMISSIONS_UPDATED',
+          targetId: userId,
+          context: `Granted: ${grant.join(', ') || 'none'}; denied: ${deny.join(', ') || 'none'}`
+        }
+      })
+    ]);
+
+    permissionService.invalidateUser(userId);
+    return this.getUserAccess(tenantId, userId);
+  }
+
+  /**
+   * Describe how a user's permissions are made up
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Built-in role, custom roles, overrides and effective permissions
+   */
+  async getUserAccess(tenantId, userId) {
+    const user = await prisma.user.findFirst({
+      where: { id: userId, tenantId },
+      select: {
+        id: true,
+        role: true,
+        permissions: true,
+        roleAssignments: {
+          where: { tenantId },
+          select: {
+            assignedAt: true,
+            role: {
+              select: {
+                id: true,
+                name: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!user) {
+      throw createError.notFound('User not found');
+    }
+
+    const effective = await permissionService.getEffectivePermissions(userId);
+
+    return {
+      userId: user.id,
+      role: user.role,
+      roles: user.roleAssignments.map(({ role, assignedAt }) => ({ ...role, assignedAt })),
+      overrides: permissionService.parseOverrides(user.permissions),
+      effectivePermissions: Array.from(effective).sort()
+    };
+  }
+
+  async getTenantRole(tenantId, roleId) {
+    const role = await prisma.role.findFirst({
+      where: { id: roleId, tenantId },
+      select: { id: true, name: true }
+    });
+
+    if (!role) {
+      throw createError.notFound('Role not found');
+    }
+    return role;
+  }
+
+  async getTenantUser(tenantId, userId, adminUserId) {
+    const user = await prisma.user.findFirst({
+      where: { id: userId, tenantId },
+      select: { id: true }
+    });
+
+    if (!user) {
+      throw createError.notFound('User not found');
+    }
+    if (userId === adminUserId) {
+      throw createError.validation('Cannot change your own roles or permissions');
+    }
+    return user;
+  }
+
+  async assertNameAvailable(tenantId, name) {
+    if (BUILT_IN_ROLES.includes(name.toLowerCase())) {
+      throw createError.conflict(`"${name}" is a built-in role name`);
+    }
+
+    const existing = await prisma.role.findFirst({
+      where: { tenantId, name: { equals: name, mode: 'insensitive' } },
+      select: { id: true }
+    });
+
+    if (existing) {
+      throw createError.conflict('A role with this name already exists');
+    }
+  }
+}
+
+module.exports = new RoleService();
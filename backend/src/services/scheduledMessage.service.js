@@ -0,0 +1,424 @@
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const config = require('../config/environment');
+const messageService = require('./message.service');
+const conversationService = require('./conversation.service');
+const mentionService = require('./mention.service');
+
+const SCHEDULED_MESSAGE_SELECT = {
+  id: true,
+  conversationId: true,
+  senderId: true,
+  messageText: true,
+  messageType: true,
+  parentId: true,
+  threadId: true,
+  sendAt: true,
+  status: true,
+  attempts: true,
+  lastError: true,
+  messageId: true,
+  sentAt: true,
+  createdAt: true,
+  updatedAt: true,
+  conversation: {
+    select: {
+      id: true,
+      name: true,
+      isGroup: true
+    }
+  }
+};
+
+class ScheduledMessageService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Validate a requested delivery time
+   * @param {Date|string} sendAt - Requested delivery time
+   * @returns {Date} Parsed delivery time
+   */
+  parseSendAt(sendAt) {
+    const date = new Date(sendAt);
+    if (Number.isNaN(date.getTime())) {
+      throw createError.validation('sendAt must be a valid date');
+    }
+    if (date.getTime() <= Date.now()) {
+      throw createError.validation('sendAt must be in the future');
+    }
+
+    const maxDate = new Date(Date.now() + config.scheduledMessages.maxScheduleDays * 24 * 60 * 60 * 1000);
+    if (date > maxDate) {
+      throw createError.validation(`sendAt cannot be more than ${config.scheduledMessages.maxScheduleDays} days ahead`);
+    }
+
+    return date;
+  }
+
+  /**
+   * Schedule a message for later delivery
+   * @param {Object} params - Scheduled message parameters
+   * @param {string} params.tenantId - Sender's tenant ID
+   * @param {string} params.conversationId - Conversation ID
+   * @param {string} params.senderId - Sender user ID
+   * @param {string} params.messageText - Message text
+   * @param {string} [params.messageType] - Message type
+   * @param {string} [params.parentId] - Parent message ID for replies
+   * @param {string} [params.threadId] - Thread root message ID
+   * @param {Date|string} params.sendAt - Delivery time
+   * @returns {Promise<Object>} Scheduled message
+   */
+  async scheduleMessage({ tenantId, conversationId, senderId, messageText, messageType = 'text', parentId, threadId, sendAt }) {
+    const scheduledMessage = await prisma.scheduledMessage.create({
+      data: {
+        tenantId,
+        conversationId,
+        senderId,
+        messageText,
+        messageType,
+        parentId,
+        threadId,
+        sendAt: this.parseSendAt(sendAt)
+      },
+      select: SCHEDULED_MESSAGE_SELECT
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId,
+        userId: senderId,
+        action: 'MESSAGE_SCHEDULED',
+        targetId: scheduledMessage.id,
+        context: `Message scheduled in conversation ${conversationId} for ${scheduledMessage.sendAt.toISOString()}`
+      }
+    });
+
+    return scheduledMessage;
+  }
+
+  /**
+   * List a user's scheduled messages
+   * @param {string} senderId - Sender user ID
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.conversationId] - Restrict to one conversation
+   * @param {string} [filters.status] - Status filter (defaults to pending)
+   * @returns {Promise<Array>} Scheduled messages ordered by delivery time
+   */
+  async listScheduledMessages(senderId, { conversationId, status = 'pending' } = {}) {
+    return prisma.scheduledMessage.findMany({
+      where: {
+        senderId,
+        ...(conversationId && { conversationId }),
+        ...(status !== 'all' && { status })
+      },
+      select: SCHEDULED_MESSAGE_SELECT,
+      orderBy: { sendAt: 'asc' }
+    });
+  }
+
+  /**
+   * Load a pending scheduled message owned by the sender
+   * @param {string} id - Scheduled message ID
+   * @param {string} senderId - Sender user ID
+   * @returns {Promise<Object>} Scheduled message
+   */
+  async getPendingForSender(id, senderId) {
+    const scheduledMessage = await prisma.scheduledMessage.findFirst({
+      where: { id, senderId }
+    });
+
+    if (!scheduledMessage) {
+      throw createError.notFound('Scheduled message not found');
+    }
+    if (scheduledMessage.status !== 'pending') {
+      throw createError.conflict(`Scheduled message is already ${scheduledMessage.status}`);
+    }
+
+    return scheduledMessage;
+  }
+
+  /**
+   * Edit the text or delivery time of a pending scheduled message
+   * @param {string} id - Scheduled message ID
+   * @param {string} senderId - Sender user ID
+   * @param {string} tenantId - Sender's tenant ID
+   * @param {Object} updates - Fields to update
+   * @param {string} [updates.messageText] - New message text
+   * @param {Date|string} [updates.sendAt] - New delivery time
+   * @returns {Promise<Object>} Updated scheduled message
+   */
+  async updateScheduledMessage(id, senderId, tenantId, { messageText, sendAt }) {
+    await this.getPendingForSender(id, senderId);
+
+    const data = {};
+    if (messageText !== undefined) data.messageText = messageText;
+    if (sendAt !== undefined) data.sendAt = this.parseSendAt(sendAt);
+
+    // Guard on status so a message the worker already claimed is not edited
+    const result = await prisma.scheduledMessage.updateMany({
+      where: { id, senderId, status: 'pending' },
+      data
+    });
+
+    if (result.count === 0) {
+      throw createError.conflict('Scheduled message is already being delivered');
+    }
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId,
+        userId: senderId,
+        action: 'SCHEDULED_MESSAGE_UPDATED',
+        targetId: id,
+        context: `Scheduled message updated (${Object.keys(data).join(', ')})`
+      }
+    });
+
+    return prisma.scheduledMessage.findUnique({
+      where: { id },
+      select: SCHEDULED_MESSAGE_SELECT
+    });
+  }
+
+  /**
+   * Cancel a pending scheduled message
+   * @param {string} id - Scheduled message ID
+   * @param {string} senderId - Sender user ID
+   * @param {string} tenantId - Sender's tenant ID
+   * @returns {Promise<void>}
+   */
+  async cancelScheduledMessage(id, senderId, tenantId) {
+    await this.getPendingForSender(id, senderId);
+
+    const result = await prisma.scheduledMessage.updateMany({
+      where: { id, senderId, status: 'pending' },
+      data: { status: 'cancelled' }
+    });
+
+    if (result.count === 0) {
+      throw createError.conflict('Scheduled message is already being delivered');
+    }
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId,
+        userId: senderId,
+        action: 'SCHEDULED_MESSAGE_CANCELLED',
+        targetId: id,
+        context: 'Scheduled message cancelled'
+      }
+    });
+  }
+
+  /**
+   * Deliver a single claimed scheduled message
+   * @param {Object} io - Socket.IO server instance
+   * @param {Object} scheduledMessage - Scheduled message row in processing state
+   * @returns {Promise<void>}
+   */
+  async deliverScheduledMessage(io, scheduledMessage) {
+    const { id, conversationId, senderId, tenantId } = scheduledMessage;
+
+    // The sender may have left the conversation or been deactivated, or the
+    // conversation archived or deleted, since scheduling
+    const participant = await prisma.conversationParticipant.findFirst({
+      where: {
+        conversationId,
+        userId: senderId,
+        deletedAt: null,
+        user: { isActive: true },
+        conversation: { deletedAt: null, archivedAt: null }
+      },
+      include: {
+        conversation: { select: { visibility: true } }
+      }
+    });
+
+    if (!participant) {
+      await prisma.scheduledMessage.update({
+        where: { id },
+        data: {
+          status: 'failed',
+          lastError: 'Sender is no longer an active participant in this conversation, or it is archived'
+        }
+      });
+      return;
+    }
+
+    // Announcement channels only take posts from owners and moderators
+    if (participant.conversation.visibility === 'announcement' &&
+      !conversationService.canPost(await conversationService.getAccess(conversationId, senderId, tenantId))) {
+      await prisma.scheduledMessage.update({
+        where: { id },
+        data: {
+          status: 'failed',
+          lastError: 'Sender can no longer post in this announcement channel'
+        }
+      });
+      return;
+    }
+
+    let message;
+    try {
+      // Mentions reach whoever is in the conversation at delivery
+      const mentions = await mentionService.resolveForMessage({
+        conversationId,
+        senderId,
+        tenantId,
+        messageText: scheduledMessage.messageText
+      });
+
+      message = await messageService.createMessage({
+        conversationId,
+        senderId,
+        messageText: scheduledMessage.messageText,
+        messageType: scheduledMessage.messageType,
+        parentId: scheduledMessage.parentId,
+        threadId: scheduledMessage.threadId,
+        mentions,
+        // Marked sent in the same transaction, so a retry can never post the message twice
+        onCreate: (tx, created) => tx.scheduledMessage.update({
+          where: { id },
+          data: {
+            status: 'sent',
+            messageId: created.id,
+            sentAt: new Date(),
+            lastError: null
+          }
+        })
+      });
+    } catch (error) {
+      console.error(`❌ Failed to deliver scheduled message ${id}:`, error);
+      // Errors the sender has to fix, such as a restricted @channel, are not retried
+      const exhausted = Boolean(error.statusCode) ||
+        scheduledMessage.attempts >= config.scheduledMessages.maxAttempts;
+
+      await prisma.scheduledMessage.update({
+        where: { id },
+        data: {
+          status: exhausted ? 'failed' : 'pending',
+          lastError: error.message
+        }
+      });
+      return;
+    }
+
+    // The message is posted; a failure telling clients about it must not requeue it
+    try {
+      await messageService.deliverMessage(
+        io,
+        message,
+        tenantId,
+        `Scheduled message ${id} sent in conversation ${conversationId}`
+      );
+
+      if (io) {
+        io.to(`user:${senderId}`).emit('scheduled-message-sent', {
+          scheduledMessageId: id,
+          conversationId,
+          messageId: message.id
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Scheduled message ${id} was sent but could not be broadcast:`, error);
+    }
+  }
+
+  /**
+   * Claim and deliver all scheduled messages that are due
+   * @param {Object} io - Socket.IO server instance
+   * @returns {Promise<number>} Number of messages processed
+   */
+  async processDueMessages(io) {
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let processed = 0;
+
+    try {
+      const due = await prisma.scheduledMessage.findMany({
+        where: {
+          status: 'pending',
+          sendAt: { lte: new Date() }
+        },
+        orderBy: { sendAt: 'asc' },
+        take: config.scheduledMessages.batchSize
+      });
+
+      for (const scheduledMessage of due) {
+        // Claim the row so concurrent workers or user edits cannot race us
+        const claim = await prisma.scheduledMessage.updateMany({
+          where: { id: scheduledMessage.id, status: 'pending' },
+          data: {
+            status: 'processing',
+            attempts: { increment: 1 }
+          }
+        });
+
+        if (claim.count === 0) {
+          continue;
+        }
+
+        await this.deliverScheduledMessage(io, {
+          ...scheduledMessage,
+          attempts: scheduledMessage.attempts + 1
+        });
+        processed++;
+      }
+
+      if (processed > 0) {
+        console.log(`⏰ Delivered ${processed} scheduled message(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Scheduled message worker error:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Start the background worker that delivers due scheduled messages
+   * @param {Object} io - Socket.IO server instance
+   */
+  startWorker(io) {
+    if (this.timer) {
+      return;
+    }
+
+    // Messages left in processing by a crashed worker go back to the queue
+    prisma.scheduledMessage.updateMany({
+      where: { status: 'processing' },
+      data: { status: 'pending' }
+    }).catch((error) => {
+      console.error('❌ Failed to requeue stale scheduled messages:', error);
+    });
+
+    this.timer = setInterval(() => {
+      this.processDueMessages(io);
+    }, config.scheduledMessages.pollIntervalMs);
+
+    // Do not keep the process alive just for the worker
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop the background worker
+   */
+  stopWorker() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new ScheduledMessageService();
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const socketRegistry = require('./socketRegistry.service');
+
+const SESSION_SELECT = {
+  id: true,
+  userAgent: true,
+  ipAddress: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true
+};
+
+class SessionService {
+  /**
+   * Hash a refresh token for storage; raw tokens never touch the database
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} sessionId - Session ID
+   * @returns {string} Signed access token
+   */
+  signAccessToken(userId, tenantId, sessionId) {
+    return jwt.sign({ userId, tenantId, sessionId }, config.jwt.secret, {
+      expiresIn: config.jwt.expiresIn
+    });
+  }
+
+  /**
+   * Sign a refresh token for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Raw refresh token and its expiry
+   */
+  signRefreshToken(sessionId) {
+    const refreshToken = jwt.sign(
+      { sessionId, type: 'refresh', nonce: crypto.randomBytes(16).toString('hex') },
+      config.jwt.secret,
+      { expiresIn: config.jwt.refreshExpiresIn }
+    );
+    const { exp } = jwt.decode(refreshToken);
+
+    return { refreshToken, expiresAt: new Date(exp * 1000) };
+  }
+
+  /**
+   * Start a new session for a signed-in user
+   * @param {Object} user - User with id and tenantId
+   * @param {Object} [context] - Request details
+   * @param {string} [context.userAgent] - Client user agent
+   * @param {string} [context.ipAddress] - Client IP address
+   * @returns {Promise<Object>} Access token, refresh token and session ID
+   */
+  async createSession(user, { userAgent, ipAddress } = {}) {
+    const sessionId = crypto.randomUUID();
+    const { refreshToken, expiresAt } = this.signRefreshToken(sessionId);
+
+    await prisma.session.create({
+      data: {
+        id: sessionId,
+        userId: user.id,
+        tenantId: user.tenantId,
+        refreshTokenHash: this.hashToken(refreshToken),
+        userAgent: userAgent?.substring(0, 500),
+        ipAddress,
+        expiresAt
+      }
+    });
+
+    return {
+      token: this.signAccessToken(user.id, user.tenantId, sessionId),
+      refreshToken,
+      sessionId
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Current refresh token
+   * @param {Object} [context] - Request details
+   * @param {string} [context.userAgent] - Client user agent
+   * @param {string} [context.ipAddress] - Client IP address
+   * @returns {Promise<Object>} New access token, refresh token and session ID
+   */
+  async rotateSession(refreshToken, { userAgent, ipAddress } = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, config.jwt.secret);
+    } catch (error) {
+      throw createError.authentication(
+        error.name === 'TokenExpiredError' ? 'Refresh token has expired' : 'Invalid refresh token'
+      );
+    }
+
+    if (decoded.type !== 'refresh' || !decoded.sessionId) {
+      throw createError.authentication('Invalid refresh token');
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sessionId },
+      include: {
+        user: {
+          select: { id: true, tenantId: true, isActive: true }
+        }
+      }
+    });
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      throw createError.authentication('Session has expired or been revoked');
+    }
+
+    const tokenHash = this.hashToken(refreshToken);
+
+    // A token that was already rotated out means it leaked; end the session for everyone holding it
+    if (tokenHash === session.previousTokenHash) {
+      await this.revokeSession(session.id, session.userId, 'refresh_token_reuse');
+      socketRegistry.terminateUserSockets(session.userId, {
+        reason: 'refresh_token_reuse',
+        sessionIds: [session.id]
+      });
+      throw createError.authentication('Refresh token has already been used');
+    }
+
+    if (tokenHash !== session.refreshTokenHash) {
+      throw createError.authentication('Invalid refresh token');
+    }
+
+    if (!session.user.isActive) {
+      await this.revokeSession(session.id, session.userId, 'account_deactivated');
+      throw createError.authentication('User account is deactivated');
+    }
+
+    const next = this.signRefreshToken(session.id);
+
+    // Guard on the current hash so two concurrent refreshes cannot both succeed
+    const result = await prisma.session.updateMany({
+      where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+      data: {
+        refreshTokenHash: this.hashToken(next.refreshToken),
+        previousTokenHash: tokenHash,
+        expiresAt: next.expiresAt,
+        lastUsedAt: new Date(),
+        ...(userAgent && { userAgent: userAgent.substring(0, 500) }),
+        ...(ipAddress && { ipAddress })
+      }
+    });
+
+    if (result.count === 0) {
+      throw createError.authentication('Refresh token has already been used');
+    }
+
+    return {
+      token: this.signAccessToken(session.userId, session.user.tenantId, session.id),
+      refreshToken: next.refreshToken,
+      sessionId: session.id
+    };
+  }
+
+  /**
+   * Check whether a session can still be used
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if the session exists, is not revoked and has not expired
+   */
+  async isSessionActive(sessionId) {
+    if (!sessionId) return false;
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      select: { revokedAt: true, expiresAt: true }
+    });
+
+    return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+  }
+
+  /**
+   * Verify an access token and the session it is bound to. Refresh tokens,
+   * 2FA challenges and emailed link tokens share the signing secret but carry
+   * a type claim, so they are rejected here.
+   * @param {string} token - Access token
+   * @returns {Promise<Object>} Decoded token with userId, tenantId and sessionId
+   */
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, config.jwt.secret);
+    if (decoded.type || !decoded.userId || !decoded.tenantId) {
+      throw createError.authentication('Invalid token format');
+    }
+
+    // Revoked or expired sessions lose access immediately
+    if (!decoded.sessionId || !(await this.isSessionActive(decoded.sessionId))) {
+      throw createError.authentication('Session has expired or been revoked');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {string} userId - User ID
+   * @param {string} [currentSessionId] - Session making the request
+   * @returns {Promise<Array>} Sessions, most recently used first
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: SESSION_SELECT,
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    return sessions.map(session => ({
+      ...session,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Session owner
+   * @param {string} [reason] - Why the session was revoked
+   * @returns {Promise<Object>} Revoked session
+   */
+  async revokeSession(sessionId, userId, reason = 'user_revoked') {
+    const session = await prisma.session.findFirst({
+      where: { id: sessionId, userId }
+    });
+
+    if (!session) {
+      throw createError.notFound('Session not found');
+    }
+    if (session.revokedAt) {
+      return session;
+    }
+
+    const revoked = await prisma.session.update({
+      where: { id: sessionId },
+      data: {
+        revokedAt: new Date(),
+        revokedReason: reason
+      }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId: session.tenantId,
+        userId,
+        action: 'SESSION_REVOKED',
+        targetId: sessionId,
+        context: `Session revoked (${reason})`
+      }
+    });
+
+    return revoked;
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Revocation options
+   * @param {string} [options.exceptSessionId] - Session to keep signed in
+   * @param {string} [options.reason] - Why the sessions were revoked
+   * @param {string} [options.actorId] - User performing the revocation, if not the owner
+   * @returns {Promise<string[]>} IDs of the revoked sessions
+   */
+  async revokeUserSessions(userId, { exceptSessionId, reason = 'user_revoked', actorId } = {}) {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId && { id: { not: exceptSessionId } })
+      },
+      select: { id: true, tenantId: true }
+    });
+
+    if (sessions.length === 0) {
+      return [];
+    }
+
+    const sessionIds = sessions.map(session => session.id);
+
+    await prisma.session.updateMany({
+      where: { id: { in: sessionIds } },
+      data: {
+        revokedAt: new Date(),
+        revokedReason: reason
+      }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId: sessions[0].tenantId,
+        userId: actorId || userId,
+        action: 'SESSIONS_REVOKED',
+        targetId: userId,
+        context: `${sessionIds.length} session(s) revoked (${reason})`
+      }
+    });
+
+    return sessionIds;
+  }
+}
+
+module.exports = new SessionService();
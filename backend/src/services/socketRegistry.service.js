@@ -0,0 +1,77 @@
+class SocketRegistryService {
+  constructor() {
+    // userId -> Map(socketId -> socket)
+    this.userSockets = new Map();
+  }
+
+  /**
+   * Track an authenticated socket under its user
+   * @param {Object} socket - Connected Socket.IO socket with userId set
+   */
+  register(socket) {
+    if (!this.userSockets.has(socket.userId)) {
+      this.userSockets.set(socket.userId, new Map());
+    }
+    this.userSockets.get(socket.userId).set(socket.id, socket);
+  }
+
+  /**
+   * Stop tracking a socket once it disconnects
+   * @param {Object} socket - Disconnected Socket.IO socket
+   */
+  unregister(socket) {
+    const sockets = this.userSockets.get(socket.userId);
+    if (!sockets) return;
+
+    sockets.delete(socket.id);
+    if (sockets.size === 0) {
+      this.userSockets.delete(socket.userId);
+    }
+  }
+
+  /**
+   * Get a user's connected sockets
+   * @param {string} userId - User ID
+   * @param {Object} [filters] - Optional filters
+   * @param {string[]} [filters.sessionIds] - Only sockets opened by these sessions
+   * @returns {Object[]} Connected sockets
+   */
+  getUserSockets(userId, { sessionIds } = {}) {
+    const sockets = Array.from(this.userSockets.get(userId)?.values() || []);
+    if (!sessionIds) return sockets;
+
+    return sockets.filter(socket => sessionIds.includes(socket.sessionId));
+  }
+
+  /**
+   * Forcibly end a user's live connections
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Termination options
+   * @param {string} [options.reason] - Reason sent to the client
+   * @param {string[]} [options.sessionIds] - Only terminate sockets opened by these sessions
+   * @returns {number} Number of sockets disconnected
+   */
+  terminateUserSockets(userId, { reason = 'session_revoked', sessionIds } = {}) {
+    const sockets = this.getUserSockets(userId, { sessionIds });
+
+    sockets.forEach(socket => {
+      socket.emit('session-terminated', { reason });
+
+      // Leave rooms right away so no further broadcasts reach the socket before it closes
+      Array.from(socket.rooms)
+        .filter(room => room !== socket.id)
+        .forEach(room => socket.leave(room));
+
+      socket.disconnect(true);
+      this.unregister(socket);
+    });
+
+    if (sockets.length > 0) {
+      console.log(`🔌 Terminated ${sockets.length} socket(s) for user ${userId} (${reason})`);
+    }
+
+    return sockets.length;
+  }
+}
+
+module.exports = new SocketRegistryService();
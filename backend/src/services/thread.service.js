@@ -0,0 +1,320 @@
+const { prisma } = require('../utils/prisma');
+const { createError } = require('../utils/errors');
+const notificationService = require('./notification.service');
+const mentionService = require('./mention.service');
+
+const SENDER_SELECT = {
+  id: true,
+  displayName: true,
+  avatarUrl: true
+};
+
+/**
+ * Threads are identified by their root message. The root carries the reply
+ * count and last reply time; ThreadFollower rows say who follows a thread and
+ * how far they have read it. Methods that write alongside a message take the
+ * Prisma client or transaction to use.
+ */
+class ThreadService {
+  /**
+   * Count a new reply on its thread and update who follows it: the replier,
+   * the root's author on the first reply, and anyone mentioned in the reply
+   * @param {Object} client - Prisma client or transaction
+   * @param {Object} message - Created reply (id, conversationId, senderId, threadId, createdAt)
+   * @param {string[]} [mentionedUserIds] - Users mentioned in the reply
+   * @returns {Promise<Object>} Thread summary: id, replyCount and lastReplyAt
+   */
+  async recordReply(client, message, mentionedUserIds = []) {
+    const { threadId, senderId, createdAt } = message;
+
+    const root = await client.message.update({
+      where: { id: threadId },
+      data: { replyCount: { increment: 1 }, lastReplyAt: createdAt },
+      select: { id: true, senderId: true, createdAt: true, replyCount: true, lastReplyAt: true }
+    });
+
+    // Replying means the thread has been read up to the reply
+    await client.threadFollower.upsert({
+      where: { threadId_userId: { threadId, userId: senderId } },
+      update: { lastReadAt: createdAt },
+      create: { threadId, userId: senderId, lastReadAt: createdAt }
+    });
+
+    // Only the first reply follows the root's author, so an explicit unfollow sticks
+    const autoFollow = new Set(mentionedUserIds);
+    if (root.replyCount === 1) {
+      autoFollow.add(root.senderId);
+    }
+    autoFollow.delete(senderId);
+
+    if (autoFollow.size) {
+      const participants = await client.conversationParticipant.findMany({
+        where: { conversationId: message.conversationId, userId: { in: [...autoFollow] }, deletedAt: null },
+        select: { userId: true }
+      });
+
+      // New followers have read the thread up to its root
+      await client.threadFollower.createMany({
+        data: participants.map(participant => ({
+          threadId,
+          userId: participant.userId,
+          lastReadAt: root.createdAt
+        })),
+        skipDuplicates: true
+      });
+    }
+
+    return { id: root.id, replyCount: root.replyCount, lastReplyAt: root.lastReplyAt };
+  }
+
+  /**
+   * Take a deleted reply out of its thread's count
+   * @param {Object} client - Prisma client or transaction
+   * @param {Object} message - Deleted message; ignored unless it is a reply
+   * @returns {Promise<void>}
+   */
+  async recordDeletedReply(client, message) {
+    if (!message.threadId) return;
+
+    await client.message.updateMany({
+      where: { id: message.threadId, replyCount: { gt: 0 } },
+      data: { replyCount: { decrement: 1 } }
+    });
+  }
+
+  /**
+   * Recompute reply counts and last reply times for a conversation's threads
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<void>}
+   */
+  async rebuildThreads(client, conversationId) {
+    const replies = await client.message.groupBy({
+      by: ['threadId'],
+      where: { conversationId, threadId: { not: null }, deletedAt: null },
+      _count: { _all: true },
+      _max: { createdAt: true }
+    });
+
+    await client.message.updateMany({
+      where: { conversationId, replyCount: { gt: 0 } },
+      data: { replyCount: 0, lastReplyAt: null }
+    });
+
+    for (const thread of replies) {
+      await client.message.update({
+        where: { id: thread.threadId },
+        data: { replyCount: thread._count._all, lastReplyAt: thread._max.createdAt }
+      });
+    }
+  }
+
+  /**
+   * Threads the user follows, most recently active first
+   * @param {Object} params - Query parameters
+   * @param {string} params.userId - User ID
+   * @param {string} [params.conversationId] - Only threads in this conversation
+   * @param {number} [params.page] - Page number
+   * @param {number} [params.limit] - Page size
+   * @returns {Promise<Object>} Threads with their root, conversation and unread reply count, and pagination
+   */
+  async listFollowed({ userId, conversationId, page = 1, limit = 20 }) {
+    const where = {
+      userId,
+      thread: {
+        deletedAt: null,
+        replyCount: { gt: 0 },
+        ...(conversationId && { conversationId }),
+        // Only threads in conversations the user is still part of
+        conversation: {
+          deletedAt: null,
+          participants: { some: { userId, deletedAt: null } }
+        }
+      }
+    };
+
+    const [follows, total] = await Promise.all([
+      prisma.threadFollower.findMany({
+        where,
+        select: {
+          lastReadAt: true,
+          thread: {
+            select: {
+              id: true,
+              conversationId: true,
+              messageText: true,
+              createdAt: true,
+              replyCount: true,
+              lastReplyAt: true,
+              sender: { select: SENDER_SELECT },
+              conversation: { select: { id: true, name: true, isGroup: true } }
+            }
+          }
+        },
+        orderBy: { thread: { lastReplyAt: 'desc' } },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.threadFollower.count({ where })
+    ]);
+
+    const threads = await Promise.all(follows.map(async ({ lastReadAt, thread }) => ({
+      ...thread,
+      lastReadAt,
+      unreadCount: await this.countUnread(thread.id, userId, lastReadAt)
+    })));
+
+    return {
+      threads,
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      }
+    };
+  }
+
+  /**
+   * Follow a thread
+   * @param {Object} params - Parameters
+   * @param {string} params.threadId - Root message ID
+   * @param {string} params.userId - User ID
+   * @returns {Promise<Object>} Follow state and unread reply count
+   */
+  async follow({ threadId, userId }) {
+    const root = await this.getRoot(threadId, userId);
+
+    // Following from scratch starts with everything read
+    const follower = await prisma.threadFollower.upsert({
+      where: { threadId_userId: { threadId, userId } },
+      update: {},
+      create: { threadId, userId, lastReadAt: root.lastReplyAt || root.createdAt }
+    });
+
+    return this.formatState(threadId, follower, await this.countUnread(threadId, userId, follower.lastReadAt));
+  }
+
+  /**
+   * Stop following a thread
+   * @param {Object} params - Parameters
+   * @param {string} params.threadId - Root message ID
+   * @param {string} params.userId - User ID
+   * @returns {Promise<Object>} Follow state
+   */
+  async unfollow({ threadId, userId }) {
+    await this.getRoot(threadId, userId);
+    await prisma.threadFollower.deleteMany({ where: { threadId, userId } });
+    return this.formatState(threadId, null, 0);
+  }
+
+  /**
+   * Mark a followed thread read up to its latest reply
+   * @param {Object} params - Parameters
+   * @param {string} params.threadId - Root message ID
+   * @param {string} params.userId - User ID
+   * @returns {Promise<Object>} Follow state
+   */
+  async markRead({ threadId, userId }) {
+    const root = await this.getRoot(threadId, userId);
+
+    await prisma.threadFollower.updateMany({
+      where: { threadId, userId },
+      data: { lastReadAt: root.lastReplyAt || root.createdAt }
+    });
+
+    const follower = await prisma.threadFollower.findUnique({
+      where: { threadId_userId: { threadId, userId } }
+    });
+    return this.formatState(threadId, follower, 0);
+  }
+
+  /**
+   * Tell a thread's followers about a new reply. Each follower gets their
+   * own unread count for the thread, and a notification.
+   * @param {Object} io - Socket.IO server instance (optional)
+   * @param {Object} reply - Reply as sent in the new-message event
+   * @param {Object} summary - Thread summary from recordReply
+   * @param {string[]} [skipNotificationUserIds] - Followers already notified about this reply some other way
+   * @returns {Promise<void>}
+   */
+  async notifyFollowers(io, reply, summary, skipNotificationUserIds = []) {
+    const followers = await prisma.threadFollower.findMany({
+      where: {
+        threadId: summary.id,
+        userId: { not: reply.senderId },
+        user: { conversationParticipants: { some: { conversationId: reply.conversationId, deletedAt: null } } }
+      },
+      select: { userId: true, lastReadAt: true }
+    });
+
+    if (io) {
+      for (const follower of followers) {
+        io.to(`user:${follower.userId}`).emit('thread-reply', {
+          threadId: summary.id,
+          conversationId: reply.conversationId,
+          replyCount: summary.replyCount,
+          lastReplyAt: summary.lastReplyAt,
+          unreadCount: await this.countUnread(summary.id, follower.userId, follower.lastReadAt),
+          message: reply
+        });
+      }
+    }
+
+    await notificationService.notify(io, followers
+      .filter(follower => !skipNotificationUserIds.includes(follower.userId))
+      .map(follower => ({
+        userId: follower.userId,
+        actorId: reply.senderId,
+        type: 'thread_reply',
+        title: `${reply.sender?.displayName || 'Someone'} replied to a thread you follow`,
+        body: mentionService.plainText(reply.messageText),
+        conversationId: reply.conversationId,
+        messageId: reply.id,
+        targetId: summary.id
+      })));
+  }
+
+  countUnread(threadId, userId, lastReadAt) {
+    return prisma.message.count({
+      where: {
+        threadId,
+        deletedAt: null,
+        senderId: { not: userId },
+        createdAt: { gt: lastReadAt }
+      }
+    });
+  }
+
+  async getRoot(threadId, userId) {
+    const root = await prisma.message.findFirst({
+      where: { id: threadId, threadId: null, deletedAt: null },
+      select: { id: true, conversationId: true, createdAt: true, lastReplyAt: true }
+    });
+
+    if (!root) {
+      throw createError.notFound('Thread not found');
+    }
+
+    const participant = await prisma.conversationParticipant.findFirst({
+      where: { conversationId: root.conversationId, userId, deletedAt: null },
+      select: { id: true }
+    });
+
+    if (!participant) {
+      throw createError.authorization('Not a participant in this conversation');
+    }
+    return root;
+  }
+
+  formatState(threadId, follower, unreadCount) {
+    return {
+      threadId,
+      following: Boolean(follower),
+      lastReadAt: follower?.lastReadAt || null,
+      unreadCount
+    };
+  }
+}
+
+module.exports = new ThreadService();
@@ -0,0 +1,543 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+const { prisma } = require('../utils/prisma');
+const { createError, AppError } = require('../utils/errors');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw createError.validation('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+class TwoFactorService {
+  /**
+   * Derive the AES key used to encrypt TOTP secrets at rest
+   * @returns {Buffer} 32-byte key
+   */
+  getEncryptionKey() {
+    return crypto.createHash('sha256').update(String(config.twoFactor.encryptionKey)).digest();
+  }
+
+  /**
+   * Encrypt a base32 TOTP secret for storage
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv:tag:ciphertext, base64 encoded
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   * @param {string} payload - Value produced by encryptSecret
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Compute the TOTP code for a time step (RFC 6238, HMAC-SHA1)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step counter
+   * @returns {string} Zero-padded code
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+    return String(code).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Find the time step a code belongs to, allowing for clock drift
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number|null} [lastUsedStep] - Last accepted step, to block replays
+   * @returns {number|null} Matching step, or null if the code is invalid
+   */
+  matchCode(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let drift = -config.twoFactor.window; drift <= config.twoFactor.window; drift++) {
+      const step = currentStep + drift;
+      if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// provisioning URI rendered as a QR code by authenticator apps
+   * @param {string} email - Account label
+   * @param {string} secret - Base32 secret
+   * @returns {string} Provisioning URI
+   */
+  buildProvisioningUri(email, secret) {
+    const issuer = config.twoFactor.issuer;
+    const label = encodeURIComponent(`${issuer}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate a fresh set of single-use recovery codes
+   * @returns {Object} Plain codes for the user and hashes for storage
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+  }
+
+  /**
+   * Issue a short-lived token proving the password step succeeded
+   * @param {Object} user - User with id and tenantId
+   * @param {string} purpose - verify (enrolled user) or enroll (enrollment required by tenant)
+   * @returns {string} Signed challenge token
+   */
+  createChallenge(user, purpose) {
+    return jwt.sign(
+      { userId: user.id, tenantId: user.tenantId, type: '2fa_challenge', purpose },
+      config.jwt.secret,
+      { expiresIn: config.twoFactor.challengeExpiresIn }
+    );
+  }
+
+  /**
+   * Validate a challenge token issued by createChallenge
+   * @param {string} challengeToken - Challenge token
+   * @param {string} purpose - Expected purpose
+   * @returns {string} User ID the challenge belongs to
+   */
+  verifyChallenge(challengeToken, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, config.jwt.secret);
+    } catch (error) {
+      throw createError.authentication(
+        error.name === 'TokenExpiredError'
+          ? 'Two-factor challenge has expired. Please sign in again.'
+          : 'Invalid two-factor challenge'
+      );
+    }
+
+    if (decoded.type !== '2fa_challenge' || decoded.purpose !== purpose || !decoded.userId) {
+      throw createError.authentication('Invalid two-factor challenge');
+    }
+
+    return decoded.userId;
+  }
+
+  /**
+   * Check whether a tenant requires every user to enroll in 2FA
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<boolean>} True if 2FA is mandatory
+   */
+  async isRequiredForTenant(tenantId) {
+    const settings = await prisma.tenantSettings.findUnique({
+      where: { tenantId },
+      select: { requireTwoFactor: true }
+    });
+
+    return Boolean(settings?.requireTwoFactor);
+  }
+
+  /**
+   * Describe a user's 2FA state
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Enrollment status
+   */
+  async getStatus(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        tenantId: true,
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: true,
+        twoFactorRecoveryCodes: true
+      }
+    });
+
+    if (!user) {
+      throw createError.notFound('User not found');
+    }
+
+    return {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining: JSON.parse(user.twoFactorRecoveryCodes || '[]').length,
+      required: await this.isRequiredForTenant(user.tenantId)
+    };
+  }
+
+  /**
+   * Start enrollment by generating a pending secret
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Base32 secret and provisioning URI
+   */
+  async beginEnrollment(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { email: true, twoFactorEnabled: true }
+    });
+
+    if (!user) {
+      throw createError.notFound('User not found');
+    }
+    if (user.twoFactorEnabled) {
+      throw createError.conflict('Two-factor authentication is already enabled');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    // Stored but inactive until the user proves their authenticator produces matching codes
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorSecret: this.encryptSecret(secret),
+        twoFactorLastUsedStep: null
+      }
+    });
+
+    return {
+      secret,
+      otpauthUri: this.buildProvisioningUri(user.email, secret)
+    };
+  }
+
+  /**
+   * Finish enrollment once the user enters a valid code
+   * @param {string} userId - User ID
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<string[]>} Recovery codes, shown to the user once
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, tenantId: true, twoFactorEnabled: true, twoFactorSecret: true }
+    });
+
+    if (!user) {
+      throw createError.notFound('User not found');
+    }
+    if (user.twoFactorEnabled) {
+      throw createError.conflict('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactorSecret) {
+      throw createError.validation('Start two-factor enrollment before verifying a code');
+    }
+
+    const step = this.matchCode(this.decryptSecret(user.twoFactorSecret), code);
+    if (step === null) {
+      throw createError.validation('Invalid verification code');
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastUsedStep: step,
+        twoFactorRecoveryCodes: JSON.stringify(hashes)
+      }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId: user.tenantId,
+        userId,
+        action: 'TWO_FACTOR_ENABLED',
+        targetId: userId,
+        context: 'Two-factor authentication enabled'
+      }
+    });
+
+    return codes;
+  }
+
+  /**
+   * Verify a TOTP or recovery code for an enrolled user, consuming it on success
+   * @param {Object} user - User row including 2FA fields
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<string>} totp or recovery, depending on what was used
+   */
+  async verifyUserCode(user, code) {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+      throw createError.validation('Two-factor authentication is not enabled');
+    }
+
+    const since = new Date(Date.now() - config.twoFactor.lockoutMinutes * 60 * 1000);
+    const recentFailures = await prisma.auditLog.count({
+      where: {
+        userId: user.id,
+        action: 'TWO_FACTOR_FAILED',
+        createdAt: { gte: since }
+      }
+    });
+
+    if (recentFailures >= config.twoFactor.maxFailedAttempts) {
+      throw new AppError('Too many invalid codes. Please try again later.', 429, 'RATE_LIMIT_ERROR');
+    }
+
+    const step = this.matchCode(
+      this.decryptSecret(user.twoFactorSecret),
+      code,
+      user.twoFactorLastUsedStep
+    );
+
+    if (step !== null) {
+      // Guard on the previous step so the same code cannot be replayed concurrently
+      const result = await prisma.user.updateMany({
+        where: {
+          id: user.id,
+          OR: [
+            { twoFactorLastUsedStep: null },
+            { twoFactorLastUsedStep: { lt: step } }
+          ]
+        },
+        data: { twoFactorLastUsedStep: step }
+      });
+
+      if (result.count === 1) {
+        return 'totp';
+      }
+    }
+
+    const hashes = JSON.parse(user.twoFactorRecoveryCodes || '[]');
+    const codeHash = hashRecoveryCode(String(code || ''));
+
+    if (hashes.includes(codeHash)) {
+      // Guard on the codes as read so a recovery code cannot be used twice concurrently
+      const result = await prisma.user.updateMany({
+        where: {
+          id: user.id,
+          twoFactorRecoveryCodes: user.twoFactorRecoveryCodes
+        },
+        data: { twoFactorRecoveryCodes: JSON.stringify(hashes.filter(hash => hash !== codeHash)) }
+      });
+
+      if (result.count === 1) {
+        await prisma.auditLog.create({
+          data: {
+            tenantId: user.tenantId,
+            userId: user.id,
+            action: 'TWO_FACTOR_RECOVERY_CODE_USED',
+            targetId: user.id,
+            context: `Recovery code used (${hashes.length - 1} remaining)`
+          }
+        });
+
+        return 'recovery';
+      }
+    }
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId: user.tenantId,
+        userId: user.id,
+        action: 'TWO_FACTOR_FAILED',
+        targetId: user.id,
+        context: 'Invalid two-factor code'
+      }
+    });
+
+    // 400 rather than 401 so clients do not treat a mistyped code as an expired session
+    throw createError.validation('Invalid two-factor code');
+  }
+
+  /**
+   * Turn off 2FA for the signed-in user
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP or recovery code
+   * @returns {Promise<void>}
+   */
+  async disable(userId, code) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      throw createError.notFound('User not found');
+    }
+    if (await this.isRequiredForTenant(user.tenantId)) {
+      throw createError.authorization('Your organization requires two-factor authentication');
+    }
+
+    await this.verifyUserCode(user, code);
+    await this.clearEnrollment(userId);
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId: user.tenantId,
+        userId,
+        action: 'TWO_FACTOR_DISABLED',
+        targetId: userId,
+        context: 'Two-factor authentication disabled by user'
+      }
+    });
+  }
+
+  /**
+   * Replace a user's recovery codes
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<string[]>} New recovery codes
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      throw createError.notFound('User not found');
+    }
+
+    await this.verifyUserCode(user, code);
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorRecoveryCodes: JSON.stringify(hashes) }
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId: user.tenantId,
+        userId,
+        action: 'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+        targetId: userId,
+        context: 'Recovery codes regenerated'
+      }
+    });
+
+    return codes;
+  }
+
+  /**
+   * Remove a user's 2FA enrollment on behalf of an admin (e.g. lost device)
+   * @param {string} targetUserId - User whose 2FA is reset
+   * @param {string} tenantId - Admin's tenant ID
+   * @param {string} adminUserId - Admin performing the reset
+   * @param {string} [reason] - Why the reset was needed
+   * @returns {Promise<void>}
+   */
+  async resetForUser(targetUserId, tenantId, adminUserId, reason) {
+    const user = await prisma.user.findFirst({
+      where: { id: targetUserId, tenantId },
+      select: { id: true, email: true, twoFactorEnabled: true, twoFactorSecret: true }
+    });
+
+    if (!user) {
+      throw createError.notFound('User not found');
+    }
+    if (!user.twoFactorEnabled && !user.twoFactorSecret) {
+      throw createError.conflict('User does not have two-factor authentication enabled');
+    }
+
+    await this.clearEnrollment(targetUserId);
+
+    await prisma.auditLog.create({
+      data: {
+        tenantId,
+        userId: adminUserId,
+        action: 'TWO_FACTOR_RESET',
+        targetId: targetUserId,
+        context: `Two-factor authentication reset for ${user.email}${reason ? `: ${reason}` : ''}`
+      }
+    });
+  }
+
+  /**
+   * Wipe all 2FA state from a user
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async clearEnrollment(userId) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: '[]',
+        twoFactorLastUsedStep: null,
+        twoFactorEnabledAt: null
+      }
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
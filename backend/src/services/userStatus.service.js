@@ -159,7 +159,7 @@ class UserStatusService {
   async getConversationParticipantsWithStatus(conversationId) {
     try {
       const participants = await prisma.conversationParticipant.findMany({
-        where: { conversationId },
+        where: { conversationId, deletedAt: null },
         include: {
           user: {
             select: {
@@ -0,0 +1,127 @@
+const config = require('../config/environment');
+
+/**
+ * Fixed-window counters held in process memory. Counts are per server
+ * instance, so use the Redis store when running more than one.
+ */
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.buckets = new Map();
+
+    // Drop expired windows periodically so the map does not grow without bound
+    this.sweepTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, bucket] of this.buckets) {
+        if (bucket.resetAt <= now) {
+          this.buckets.delete(key);
+        }
+      }
+    }, 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Count a hit against a key
+   * @param {string} key - Bucket key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<Object>} Hits in the current window and when it resets (epoch ms)
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.count += 1;
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  }
+}
+
+// INCR and start the window's expiry atomically on the first hit
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * Fixed-window counters shared through Redis. Falls back to a local memory
+ * store while Redis is unreachable so requests are never blocked by an outage.
+ */
+class RedisStore {
+  constructor(client, fallback) {
+    this.name = 'redis';
+    this.client = client;
+    this.fallback = fallback;
+    this.prefix = 'ratelimit:';
+  }
+
+  async increment(key, windowMs) {
+    if (!this.client.isReady) {
+      return this.fallback.increment(key, windowMs);
+    }
+
+    try {
+      const [count, ttl] = await this.client.eval(INCREMENT_SCRIPT, {
+        keys: [`${this.prefix}${key}`],
+        arguments: [String(windowMs)]
+      });
+
+      return { count: Number(count), resetAt: Date.now() + (ttl > 0 ? Number(ttl) : windowMs) };
+    } catch (error) {
+      console.error('Redis rate limit store error, using memory store:', error.message);
+      return this.fallback.increment(key, windowMs);
+    }
+  }
+}
+
+let store = null;
+
+/**
+ * Create the Redis-backed store, or null when the redis package is missing
+ * @returns {RedisStore|null} Redis store
+ */
+const createRedisStore = () => {
+  let createClient;
+  try {
+    ({ createClient } = require('redis'));
+  } catch {
+    console.warn('REDIS_ENABLED is set but the "redis" package is not installed; rate limits use the memory store.');
+    return null;
+  }
+
+  const { url, password, db } = config.cache.redis;
+  const client = createClient({ url, password, database: db });
+
+  client.on('error', (error) => {
+    console.error('Redis rate limit store connection error:', error.message);
+  });
+  client.connect()
+    .then(() => console.log('🚦 Rate limit store connected to Redis'))
+    .catch((error) => console.error('❌ Failed to connect rate limit store to Redis:', error.message));
+
+  return new RedisStore(client, new MemoryStore());
+};
+
+/**
+ * Get the shared rate limit store, creating it on first use
+ * @returns {MemoryStore|RedisStore} Store
+ */
+const getStore = () => {
+  if (!store) {
+    store = (config.cache.redis.enabled && createRedisStore()) || new MemoryStore();
+  }
+  return store;
+};
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  getStore,
+};
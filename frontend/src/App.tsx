@@ -22,6 +22,10 @@ import LoadingScreen from './components/LoadingScreen';
 import GoogleCallback from './pages/GoogleCallback'; 
 import Invite from './pages/Invite';
 import AcceptInvite from './pages/AcceptInvite';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import Unsubscribe from './pages/Unsubscribe';
 
 // Create MUI theme – enterprise look: squared corners, neutral grays, crisp toolbar
 const theme = createTheme({
@@ -184,6 +188,27 @@ const App: React.FC = () => {
                       }
                     />
 
+                    <Route
+                      path="/forgot-password"
+                      element={
+                        <PublicRoute>
+                          <ForgotPassword />
+                        </PublicRoute>
+                      }
+                    />
+                    <Route
+                      path="/reset-password"
+                      element={
+                        <PublicRoute>
+                          <ResetPassword />
+                        </PublicRoute>
+                      }
+                    />
+
+                    {/* Email verification works whether or not the user is signed in */}
+                    <Route path="/verify-email" element={<VerifyEmail />} />
+                    <Route path="/unsubscribe" element={<Unsubscribe />} />
+
                     {/* Public invite routes */}
                     <Route path="/invite/:inviteToken" element={<Invite />} />
                     <Route path="/organization/invite/:inviteToken" element={<AcceptInvite />} />
@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Badge,
+  Box,
+  Button,
+  CircularProgress,
+  Divider,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  Popover,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Notifications as BellIcon } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import {
+  getNotifications,
+  markNotificationsRead,
+  markAllNotificationsRead,
+  AppNotification
+} from '../services/chatService';
+import { toast } from '../utils/toast';
+
+interface NotificationBellProps {
+  socket: any;
+}
+
+const formatTime = (value: string) =>
+  new Date(value).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+// Header bell with the unread count and an inbox of the user's notifications
+const NotificationBell: React.FC<NotificationBellProps> = ({ socket }) => {
+  const navigate = useNavigate();
+  const [anchorEl, setAnchorEl] = useState<HTMLElement | null>(null);
+  const [notifications, setNotifications] = useState<AppNotification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+
+  const load = async (nextPage = 1) => {
+    try {
+      setLoading(true);
+      const data = await getNotifications({ page: nextPage });
+      setNotifications(prev => nextPage === 1 ? data.notifications : [...prev, ...data.notifications]);
+      setUnreadCount(data.unreadCount);
+      setHasMore(data.pagination.hasMore);
+      setPage(nextPage);
+    } catch (e: any) {
+      toast.error(e.response?.data?.message || 'Failed to load notifications');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleNotification = ({ notification }: { notification: AppNotification }) => {
+      setNotifications(prev => prev.some(n => n.id === notification.id) ? prev : [notification, ...prev]);
+      setUnreadCount(count => count + 1);
+    };
+
+    // Read on another tab or device
+    const handleRead = (payload: { notificationIds?: string[]; all?: boolean; unreadCount: number }) => {
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(n =>
+        !n.readAt && (payload.all || payload.notificationIds?.includes(n.id)) ? { ...n, readAt } : n));
+      setUnreadCount(payload.unreadCount);
+    };
+
+    socket.on('notification', handleNotification);
+    socket.on('notifications-read', handleRead);
+    return () => {
+      socket.off('notification', handleNotification);
+      socket.off('notifications-read', handleRead);
+    };
+  }, [socket]);
+
+  const openNotification = async (notification: AppNotification) => {
+    setAnchorEl(null);
+    if (!notification.readAt) {
+      try {
+        const { unreadCount } = await markNotificationsRead([notification.id]);
+        setNotifications(prev => prev.map(n => n.id === notification.id ? { ...n, readAt: new Date().toISOString() } : n));
+        setUnreadCount(unreadCount);
+      } catch (e: any) {
+        toast.error(e.response?.data?.message || 'Failed to update notification');
+      }
+    }
+
+    if (notification.conversationId) {
+      const params = new URLSearchParams({ conversation: notification.conversationId });
+      if (notification.type === 'thread_reply' && notification.targetId) params.set('thread', notification.targetId);
+      navigate(`/chat?${params}`);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(n => n.readAt ? n : { ...n, readAt }));
+      setUnreadCount(0);
+    } catch (e: any) {
+      toast.error(e.response?.data?.message || 'Failed to update notifications');
+    }
+  };
+
+  return (
+    <>
+      <Tooltip title="Notifications">
+        <IconButton color="inherit" onClick={(e) => setAnchorEl(e.currentTarget)}>
+          <Badge badgeContent={unreadCount} color="error" max={99}>
+            <BellIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        PaperProps={{ sx: { width: 380, maxHeight: 480, display: 'flex', flexDirection: 'column' } }}
+      >
+        <Box sx={{ display: 'flex', alignItems: 'center', px: 2, py: 1 }}>
+          <Typography variant="subtitle1" sx={{ flex: 1, fontWeight: 600 }}>Notifications</Typography>
+          <Button size="small" onClick={markAllRead} disabled={unreadCount === 0}>Mark all read</Button>
+        </Box>
+        <Divider />
+
+        <Box sx={{ flex: 1, overflowY: 'auto' }}>
+          {notifications.length === 0 && !loading ? (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 3, textAlign: 'center' }}>
+              You have no notifications
+            </Typography>
+          ) : (
+            <List dense disablePadding>
+              {notifications.map(notification => (
+                <ListItemButton
+                  key={notification.id}
+                  onClick={() => openNotification(notification)}
+                  sx={{ alignItems: 'flex-start', bgcolor: notification.readAt ? undefined : 'action.hover' }}
+                >
+                  <ListItemText
+                    primary={notification.title}
+                    primaryTypographyProps={{ fontWeight: notification.readAt ? 400 : 600 }}
+                    secondary={
+                      <>
+                        {notification.body && (
+                          <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }} noWrap>
+                            {notification.body}
+                          </Typography>
+                        )}
+                        <Typography component="span" variant="caption" color="text.secondary">
+                          {formatTime(notification.createdAt)}
+                        </Typography>
+                      </>
+                    }
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          )}
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}><CircularProgress size={24} /></Box>
+          ) : hasMore && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 1 }}>
+              <Button size="small" onClick={() => load(page + 1)}>Load more</Button>
+            </Box>
+          )}
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Box, Typography, TextField, Button, Paper } from '@mui/material';
+import { QRCodeSVG } from 'qrcode.react';
+import { TwoFactorEnrollment } from '../services/authService';
+
+interface TwoFactorSetupProps {
+  enrollment: TwoFactorEnrollment;
+  code: string;
+  onCodeChange: (code: string) => void;
+  onVerify: () => void;
+  verifying?: boolean;
+}
+
+// QR code, manual key and verification field for enrolling an authenticator app
+export const TwoFactorSetup: React.FC<TwoFactorSetupProps> = ({ enrollment, code, onCodeChange, onVerify, verifying }) => (
+  <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, alignItems: 'center' }}>
+    <Typography variant="body2" color="text.secondary">
+      Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+    </Typography>
+    <Box sx={{ p: 1, bgcolor: '#fff' }}>
+      <QRCodeSVG value={enrollment.otpauthUri} size={180} />
+    </Box>
+    <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-all', textAlign: 'center' }}>
+      Can't scan? Enter this key manually: <strong>{enrollment.secret}</strong>
+    </Typography>
+    <TextField
+      label="Authentication code"
+      value={code}
+      onChange={(e) => onCodeChange(e.target.value)}
+      inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code', maxLength: 6 }}
+      fullWidth
+    />
+    <Button variant="contained" fullWidth onClick={onVerify} disabled={verifying || code.trim().length < 6}>
+      Verify and enable
+    </Button>
+  </Box>
+);
+
+interface RecoveryCodesListProps {
+  codes: string[];
+}
+
+// One-time display of recovery codes; they cannot be retrieved again
+export const RecoveryCodesList: React.FC<RecoveryCodesListProps> = ({ codes }) => (
+  <Box>
+    <Typography variant="body2" sx={{ mb: 1 }}>
+      Save these recovery codes somewhere safe. Each code can be used once if you lose access to your authenticator app.
+    </Typography>
+    <Paper variant="outlined" sx={{ p: 2, display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 1, fontFamily: 'monospace' }}>
+      {codes.map((code) => (
+        <span key={code}>{code}</span>
+      ))}
+    </Paper>
+    <Button size="small" sx={{ mt: 1 }} onClick={() => navigator.clipboard?.writeText(codes.join('\n'))}>
+      Copy codes
+    </Button>
+  </Box>
+);
@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  TextField,
+  List,
+  ListItem,
+  ListItemText,
+  Button,
+  Chip,
+  Box,
+  CircularProgress,
+  Typography
+} from '@mui/material';
+import { Search as SearchIcon } from '@mui/icons-material';
+import {
+  browseChannels,
+  joinChannel,
+  requestToJoinChannel,
+  DirectoryChannel
+} from '../../services/chatService';
+import { toast } from '../../utils/toast';
+
+interface ChannelDirectoryDialogProps {
+  open: boolean;
+  onClose: () => void;
+  // Called with the channel's ID when the user is already a member
+  onOpenChannel: (conversationId: string) => void;
+}
+
+const VISIBILITY_LABELS: Record<DirectoryChannel['visibility'], string> = {
+  public: 'Public',
+  private: 'Private',
+  announcement: 'Announcements'
+};
+
+// Browse the organization's channels; open ones are joined directly, private ones by request.
+// Joined channels reach the sidebar through the conversation-added socket event.
+const ChannelDirectoryDialog: React.FC<ChannelDirectoryDialogProps> = ({ open, onClose, onOpenChannel }) => {
+  const [query, setQuery] = useState('');
+  const [channels, setChannels] = useState<DirectoryChannel[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const data = await browseChannels(query.trim());
+        if (!cancelled) setChannels(data.channels);
+      } catch (e: any) {
+        if (!cancelled) toast.error(e.response?.data?.message || 'Failed to load channels');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [open, query]);
+
+  const updateChannel = (id: string, changes: Partial<DirectoryChannel>) => {
+    setChannels(prev => prev.map(c => c.id === id ? { ...c, ...changes } : c));
+  };
+
+  const handleJoin = async (channel: DirectoryChannel) => {
+    try {
+      setBusyId(channel.id);
+      if (channel.visibility === 'private') {
+        const request = await requestToJoinChannel(channel.id);
+        updateChannel(channel.id, { pendingJoinRequest: { id: request.id, createdAt: request.createdAt } });
+        toast.success('Request sent to the channel owners');
+      } else {
+        await joinChannel(channel.id);
+        updateChannel(channel.id, { isMember: true, role: 'member', memberCount: channel.memberCount + 1 });
+        toast.success(`Joined ${channel.name}`);
+      }
+    } catch (e: any) {
+      toast.error(e.response?.data?.message || 'Failed to join channel');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderAction = (channel: DirectoryChannel) => {
+    if (channel.isMember) {
+      return <Button size="small" onClick={() => { onOpenChannel(channel.id); onClose(); }}>Open</Button>;
+    }
+    if (channel.pendingJoinRequest) {
+      return <Button size="small" disabled>Requested</Button>;
+    }
+    return (
+      <Button size="small" variant="contained" disabled={busyId === channel.id} onClick={() => handleJoin(channel)}>
+        {channel.visibility === 'private' ? 'Ask to join' : 'Join'}
+      </Button>
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Browse channels</DialogTitle>
+      <DialogContent>
+        <div className="flex items-center gap-2 mb-4">
+          <SearchIcon fontSize="small" className="text-gray-400" />
+          <TextField
+            autoFocus
+            fullWidth
+            placeholder="Search channels by name, description or topic"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+        </div>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}><CircularProgress size={24} /></Box>
+        ) : channels.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+            No channels found
+          </Typography>
+        ) : (
+          <List>
+            {channels.map((channel) => (
+              <ListItem key={channel.id} secondaryAction={renderAction(channel)}>
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <span>{channel.name}</span>
+                      <Chip size="small" label={VISIBILITY_LABELS[channel.visibility]} />
+                    </Box>
+                  }
+                  secondary={`${channel.memberCount} member${channel.memberCount === 1 ? '' : 's'}${channel.description ? ` · ${channel.description}` : ''}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ChannelDirectoryDialog;
@@ -16,7 +16,8 @@ import {
   TextField, 
   Button, 
   Chip,
-  Box
+  Box,
+  Popover
 } from '@mui/material';
 import {
   Chat as ChatIcon,
@@ -26,21 +27,46 @@ import {
   Videocam as VideocamIcon,
   Call as CallIcon,
   MoreVert as MoreVertIcon,
-  AttachFile as AttachFileIcon,
   EmojiEmotions as EmojiEmotionsIcon,
   Send as SendIcon,
-  ScheduleSend
+  ScheduleSend,
+  Close as CloseIcon,
+  InsertDriveFile as FilesIcon,
+  Link as LinksIcon,
+  Forum as ThreadsIcon,
+  NotificationsOff as MutedIcon
 } from '@mui/icons-material';
 import MessageComposer from './MessageComposer';
-import { listConversations, getMessages, sendMessage, createConversation } from '../../services/chatService';
+import MessageAttachments from './MessageAttachments';
+import MessageText, { plainMentions } from './MessageText';
+import {
+  listConversations,
+  getMessages,
+  sendMessage,
+  createConversation,
+  listScheduledMessages,
+  cancelScheduledMessage,
+  ScheduledMessage,
+  MessageHistory,
+  MessageAttachment,
+  ThreadSummary,
+  MentionType,
+  NotificationPreferences
+} from '../../services/chatService';
 import { useAuth } from '../../contexts/AuthContext';
+import { authService } from '../../services/authService';
 import { toast } from '../../utils/toast';
 import { fetchUsers } from '../../services/adminService';
 import { userStatusService } from '../../services/userStatusService';
 import UserStatusIndicator from '../UserStatusIndicator';
 import SocketDebugger from './SocketDebugger';
+import ChannelDirectoryDialog from './ChannelDirectoryDialog';
+import ConversationGalleryDialog, { GalleryTab } from './ConversationGalleryDialog';
+import ThreadPanel from './ThreadPanel';
+import ConversationNotificationsMenu, { isQuiet } from './ConversationNotificationsMenu';
 
 import { io as createSocket } from 'socket.io-client';
+import { useSearchParams } from 'react-router-dom';
 import { useTheme } from '@mui/material/styles';
 
 interface Participant {
@@ -66,6 +92,7 @@ interface Conversation {
     read: boolean;
   };
   unreadCount?: number;
+  notificationPreferences?: NotificationPreferences;
 }
 
 interface MessageItem {
@@ -73,8 +100,26 @@ interface MessageItem {
   senderId: string;
   messageText: string;
   createdAt: string;
+  attachments?: MessageAttachment[];
+  replyCount?: number;
+  lastReplyAt?: string | null;
+  // How the message mentions the current user, if it does
+  mentions?: { type: MentionType }[];
 }
 
+// Apply a reply's thread summary to its root message; replies stay out of the main list
+const applyThreadSummary = (current: MessageItem[], summary: ThreadSummary) =>
+  current.map(m => m.id === summary.id ? { ...m, replyCount: summary.replyCount, lastReplyAt: summary.lastReplyAt } : m);
+
+// Add a page of history to the loaded messages, dropping duplicates and keeping them oldest first
+const mergeMessages = (current: MessageItem[], page: MessageItem[]) => {
+  const byId = new Map(current.map(m => [m.id, m]));
+  page.forEach(m => byId.set(m.id, m));
+  return Array.from(byId.values()).sort((a, b) =>
+    new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime() || a.id.localeCompare(b.id)
+  );
+};
+
 const getOtherParticipant = (conversation: Conversation | undefined, userId: string | undefined) => {
   if (!conversation || !userId) return undefined;
   return conversation.participants?.find(p => p.userId !== userId)?.user;
@@ -133,7 +178,8 @@ const formatLastMessageDate = (date: string) => {
 };
 
 const getLastMessagePreview = (message: string) => {
-  return message.length > 50 ? message.substring(0, 47) + '...' : message;
+  const text = plainMentions(message);
+  return text.length > 50 ? text.substring(0, 47) + '...' : text;
 };
 
 const getLastMessageSender = (senderId: string, user: any, conversation: Conversation) => {
@@ -181,16 +227,23 @@ const getPatientStatus = (conversation: Conversation | undefined, userId: string
 const ChatPanel = (): JSX.Element => {
   const theme = useTheme();
   const { user } = useAuth();
-  const fileRef = useRef<HTMLInputElement>(null);
   const [loading, setLoading] = useState(true);
   const [scheduleAnchor, setScheduleAnchor] = useState<null | HTMLElement>(null);
   const [scheduledAt, setScheduledAt] = useState('');
+  const [scheduledMessages, setScheduledMessages] = useState<ScheduledMessage[]>([]);
   const [conversations, setConversations] = useState<Conversation[]>([]);
   const [active, setActive] = useState<Conversation | null>(null);
   const [messages, setMessages] = useState<MessageItem[]>([]);
   // Draft managed by MessageComposer
   const endRef = useRef<HTMLDivElement>(null);
   const [startOpen, setStartOpen] = useState(false);
+  const [directoryOpen, setDirectoryOpen] = useState(false);
+  // Open tab of the shared files and links gallery, or null when it is closed
+  const [galleryTab, setGalleryTab] = useState<GalleryTab | null>(null);
+  // Thread side panel: a thread root ID, or null for the followed threads list
+  const [threadsOpen, setThreadsOpen] = useState(false);
+  const [openThreadId, setOpenThreadId] = useState<string | null>(null);
+  const [searchParams, setSearchParams] = useSearchParams();
   const [searchExpanded, setSearchExpanded] = useState(false);
   const [messageSearchExpanded, setMessageSearchExpanded] = useState(false);
   const [memberQuery, setMemberQuery] = useState('');
@@ -201,6 +254,8 @@ const ChatPanel = (): JSX.Element => {
   // Add loading states
   const [sendingMessage, setSendingMessage] = useState(false);
   const [loadingMore, setLoadingMore] = useState(false);
+  // Bounds of the loaded window of history, from the last getMessages call
+  const [historyBounds, setHistoryBounds] = useState<MessageHistory['pagination'] | null>(null);
   const [tempMessageId, setTempMessageId] = useState<string | null>(null);
 
   // Refs
@@ -216,17 +271,67 @@ const ChatPanel = (): JSX.Element => {
   const [socket, setSocket] = useState<any>(null);
   const [socketConnected, setSocketConnected] = useState(false);
 
-  // Add the file handling function
-  const handleFileChange = () => {
-    const files = fileRef.current?.files;
-    if (files && files.length > 0) {
-      toast.info('Attachments will be sent with next message');
-      // TODO: Handle file upload
+  // Schedule a message for later delivery instead of sending it now
+  const handleSchedule = async (messageText: string) => {
+    if (!active || !user) return;
+
+    setSendingMessage(true);
+    try {
+      const data = await sendMessage(active.id, messageText, {
+        sendAt: new Date(scheduledAt).toISOString()
+      });
+      const scheduled: ScheduledMessage = data.scheduledMessage;
+      setScheduledMessages(prev =>
+        [...prev, scheduled].sort((a, b) => new Date(a.sendAt).getTime() - new Date(b.sendAt).getTime())
+      );
+      toast.success(`Message scheduled for ${new Date(scheduled.sendAt).toLocaleString()}`);
+      setScheduledAt('');
+    } catch (error: any) {
+      console.error('Error scheduling message:', error);
+      toast.error(error.message || 'Failed to schedule message. Please try again.');
+      throw error;
+    } finally {
+      setSendingMessage(false);
+      setScheduleAnchor(null);
+    }
+  };
+
+  const applyNotificationPreferences = (conversationId: string, notificationPreferences: NotificationPreferences) => {
+    setConversations(prev => prev.map(c => c.id === conversationId ? { ...c, notificationPreferences } : c));
+    setActive(prev => prev && prev.id === conversationId ? { ...prev, notificationPreferences } : prev);
+  };
+
+  const openThread = (threadId: string | null) => {
+    setOpenThreadId(threadId);
+    setThreadsOpen(true);
+  };
+
+  // Threads belong to the conversation they were opened from
+  useEffect(() => {
+    setThreadsOpen(false);
+    setOpenThreadId(null);
+  }, [active?.id]);
+
+  const handleCancelScheduled = async (scheduledMessageId: string) => {
+    try {
+      await cancelScheduledMessage(scheduledMessageId);
+      setScheduledMessages(prev => prev.filter(m => m.id !== scheduledMessageId));
+      toast.info('Scheduled message cancelled');
+    } catch (error: any) {
+      console.error('Error cancelling scheduled message:', error);
+      toast.error(error.response?.data?.message || 'Failed to cancel scheduled message');
     }
   };
 
-  const handleSend = async (messageText: string) => {
+  const handleSend = async (messageText: string, attachments: MessageAttachment[] = []) => {
     if (!active || !user) return;
+    if (scheduledAt) {
+      if (attachments.length) {
+        toast.error('Messages with attachments cannot be scheduled');
+        throw new Error('Messages with attachments cannot be scheduled');
+      }
+      return handleSchedule(messageText);
+    }
     
     setSendingMessage(true);
     const tempId = `temp-${Date.now()}`;
@@ -239,6 +344,7 @@ const ChatPanel = (): JSX.Element => {
         conversationId: active.id,
         senderId: user.id,
         messageText,
+        attachments,
         createdAt: new Date().toISOString(),
         read: true
       };
@@ -252,7 +358,9 @@ const ChatPanel = (): JSX.Element => {
       }, 100);
       
       // Send the message to the server
-      const sentMessage = await sendMessage(active.id, messageText);
+      const { message: sentMessage } = await sendMessage(active.id, messageText, {
+        attachmentIds: attachments.map(a => a.id)
+      });
       
       // Update the message with the server response
       setMessages(prev => 
@@ -348,6 +456,24 @@ const ChatPanel = (): JSX.Element => {
      })();
    }, [user?.id]);
 
+  // Links from notifications name a conversation, and optionally a thread in it
+  useEffect(() => {
+    const conversationId = searchParams.get('conversation');
+    if (!conversationId || conversations.length === 0) return;
+
+    if (active?.id !== conversationId) {
+      const conversation = conversations.find(c => c.id === conversationId);
+      if (conversation) {
+        setActive(conversation);
+        return;
+      }
+    } else {
+      const threadId = searchParams.get('thread');
+      if (threadId) openThread(threadId);
+    }
+    setSearchParams({}, { replace: true });
+  }, [searchParams, conversations, active?.id]);
+
   // Refresh user statuses when conversations change
   useEffect(() => {
     if (conversations.length > 0 && user?.id) {
@@ -519,6 +645,8 @@ const ChatPanel = (): JSX.Element => {
     
     const connectSocket = () => {
       try {
+        let socketTokenRefreshed = false;
+        let sessionTerminated = false;
         const token = localStorage.getItem('token') || '';
         if (!token) {
           console.error('No authentication token found');
@@ -531,7 +659,8 @@ const ChatPanel = (): JSX.Element => {
         console.log('🔌 Connecting to Socket.IO at:', apiBase);
         
         newSocket = createSocket(apiBase, { 
-          auth: { token },
+          // Re-read on reconnect so a refreshed access token is used
+          auth: (cb) => cb({ token: localStorage.getItem('token') || '' }),
           transports: ['websocket', 'polling'],
           timeout: 20000,
           reconnection: true,
@@ -549,6 +678,7 @@ const ChatPanel = (): JSX.Element => {
           console.log('✅ Socket.IO connected successfully, ID:', newSocket.id);
           setSocketConnected(true);
           reconnectAttempts = 0;
+          socketTokenRefreshed = false;
           
           // Join all conversations immediately
           newSocket.emit('join-conversations');
@@ -563,21 +693,34 @@ const ChatPanel = (): JSX.Element => {
           console.error('❌ Socket.IO connection error:', error);
           setSocketConnected(false);
           
-          if (error.message === 'Authentication failed') {
-            toast.error('Authentication failed. Please log in again.');
-            // Redirect to login or refresh token
-            localStorage.removeItem('token');
-            window.location.href = '/login';
+          if (error.message === 'Authentication failed' || error.message === 'Session has expired or been revoked') {
+            // The access token may just have expired; refresh it once and retry before giving up
+            const refresh = socketTokenRefreshed ? Promise.resolve(null) : authService.refreshAccessToken();
+            socketTokenRefreshed = true;
+            refresh.then((freshToken) => {
+              if (freshToken) {
+                newSocket.connect();
+                return;
+              }
+              toast.error('Authentication failed. Please log in again.');
+              authService.logout();
+              window.location.href = '/login';
+            });
           } else {
             toast.error('Real-time connection failed. Messages may not update in real-time.');
           }
         });
 
+        // Session revoked or account deactivated; Layout handles the logout
+        newSocket.on('session-terminated', () => {
+          sessionTerminated = true;
+        });
+
         newSocket.on('disconnect', (reason: string) => {
           console.log('🔌 Socket.IO disconnected:', reason);
           setSocketConnected(false);
           
-          if (reason === 'io server disconnect') {
+          if (reason === 'io server disconnect' && !sessionTerminated) {
             // Server disconnected, try to reconnect
             console.log('🔄 Server disconnected, attempting to reconnect...');
             setTimeout(() => {
@@ -635,12 +778,99 @@ const ChatPanel = (): JSX.Element => {
           }
         });
 
+        // Membership events: keep the sidebar in step with the server
+        newSocket.on('conversation-added', (payload: any) => {
+          const conv = payload?.conversation;
+          if (!conv) return;
+          setConversations(prev => prev.find(c => c.id === conv.id) ? prev : [conv, ...prev]);
+        });
+
+        newSocket.on('conversation-removed', (payload: any) => {
+          const conversationId = payload?.conversationId;
+          if (!conversationId) return;
+          setConversations(prev => prev.filter(c => c.id !== conversationId));
+          if (active?.id === conversationId) {
+            setActive(null);
+            setMessages([]);
+          }
+        });
+
+        newSocket.on('conversation-updated', (payload: any) => {
+          const conv = payload?.conversation;
+          if (!conv) return;
+          // Archived conversations leave the main list
+          if (conv.archivedAt) {
+            setConversations(prev => prev.filter(c => c.id !== conv.id));
+            if (active?.id === conv.id) {
+              setActive(null);
+              setMessages([]);
+            }
+            return;
+          }
+          setConversations(prev => prev.map(c => c.id === conv.id ? { ...c, ...conv } : c));
+          setActive(prev => prev && prev.id === conv.id ? { ...prev, ...conv } : prev);
+        });
+
+        newSocket.on('participants-added', (payload: any) => {
+          const { conversationId, participants } = payload || {};
+          if (!conversationId || !Array.isArray(participants)) return;
+          const addParticipants = (c: Conversation): Conversation => ({
+            ...c,
+            participants: [
+              ...c.participants,
+              ...participants.filter((p: Participant) => !c.participants.some(existing => existing.userId === p.userId))
+            ]
+          });
+          setConversations(prev => prev.map(c => c.id === conversationId ? addParticipants(c) : c));
+          setActive(prev => prev && prev.id === conversationId ? addParticipants(prev) : prev);
+        });
+
+        newSocket.on('participant-removed', (payload: any) => {
+          const { conversationId, userId: removedUserId } = payload || {};
+          if (!conversationId || !removedUserId) return;
+          const removeParticipant = (c: Conversation): Conversation => ({
+            ...c,
+            participants: c.participants.filter(p => p.userId !== removedUserId)
+          });
+          setConversations(prev => prev.map(c => c.id === conversationId ? removeParticipant(c) : c));
+          setActive(prev => prev && prev.id === conversationId ? removeParticipant(prev) : prev);
+        });
+
+        newSocket.on('join-request-created', (payload: any) => {
+          const request = payload?.joinRequest;
+          if (!request) return;
+          toast.info(`${request.user?.displayName || 'Someone'} asked to join a channel you manage`);
+        });
+
+        newSocket.on('join-request-reviewed', (payload: any) => {
+          const request = payload?.joinRequest;
+          if (!request) return;
+          if (request.status === 'denied') {
+            toast.warning('Your request to join a channel was declined');
+          } else {
+            toast.success('Your request to join a channel was approved');
+          }
+        });
+
+        // Read cursor moved on this or another of the user's devices
+        newSocket.on('read-cursor-updated', (payload: any) => {
+          if (!payload?.conversationId) return;
+          setConversations(prev => prev.map(c => c.id === payload.conversationId
+            ? { ...c, unreadCount: payload.unreadCount }
+            : c));
+        });
+
         // Message events
         newSocket.on('new-message', (payload: any) => {
           const msg = payload?.message;
           if (!msg) return;
           
           console.log('📨 Received new message via Socket.IO:', msg);
+
+          if (msg.threadId) {
+            if (payload.threadSummary) setMessages(m => applyThreadSummary(m, payload.threadSummary));
+            return;
+          }
           
           // Add message to current conversation if it matches and not already present
           setMessages(m => {
@@ -656,12 +886,19 @@ const ChatPanel = (): JSX.Element => {
                 id: msg.id,
                 senderId: msg.senderId,
                 messageText: msg.messageText,
+                attachments: msg.attachments || [],
                 createdAt: msg.createdAt
               }];
             }
             return m;
           });
 
+          // Messages arriving in the open conversation are read straight away
+          const isActive = !!active && msg.conversationId === active.id;
+          if (isActive && msg.senderId !== user?.id) {
+            newSocket.emit('mark-messages-read', { conversationId: msg.conversationId, messageId: msg.id });
+          }
+
           // Update conversation list with latest message
           setConversations(prev => prev.map(conv => {
             if (conv.id === msg.conversationId) {
@@ -672,9 +909,9 @@ const ChatPanel = (): JSX.Element => {
                   senderId: msg.senderId,
                   messageText: msg.messageText,
                   createdAt: msg.createdAt,
-                  read: false
+                  read: isActive
                 },
-                unreadCount: conv.unreadCount ? conv.unreadCount + 1 : 1
+                unreadCount: isActive || msg.senderId === user?.id ? 0 : (conv.unreadCount || 0) + 1
               };
             }
             return conv;
@@ -808,6 +1045,14 @@ const ChatPanel = (): JSX.Element => {
         newSocket.off('reconnect_error');
         newSocket.off('reconnect_failed');
         newSocket.off('conversation-created');
+        newSocket.off('conversation-added');
+        newSocket.off('conversation-removed');
+        newSocket.off('conversation-updated');
+        newSocket.off('participants-added');
+        newSocket.off('participant-removed');
+        newSocket.off('join-request-created');
+        newSocket.off('join-request-reviewed');
+        newSocket.off('read-cursor-updated');
         newSocket.off('new-message');
         newSocket.off('user-status-change');
         newSocket.off('user-online');
@@ -842,19 +1087,27 @@ const ChatPanel = (): JSX.Element => {
     const loadMessages = async () => {
       try {
         setLoading(true);
-        const data = await getMessages(active.id);
-        setMessages(data.messages || []);
+        // Open at the first unread message, or the latest page when everything is read
+        const data = await getMessages(active.id, { anchor: 'first-unread' });
+        const loaded = data.messages || [];
+        setMessages(loaded);
+        setHistoryBounds(data.pagination);
         
-        // Mark messages as read
-        if (socket && socket.connected) {
+        // Move the read cursor to the newest message on screen
+        const newest = loaded[loaded.length - 1];
+        if (newest && socket && socket.connected) {
           socket.emit('mark-messages-read', { 
-            conversationId: active.id 
+            conversationId: active.id,
+            messageId: newest.id
           });
         }
         
-        // Scroll to bottom after a short delay to ensure DOM is updated
+        // Scroll after a short delay to ensure DOM is updated
         setTimeout(() => {
-          if (endRef.current) {
+          const anchor = data.anchorId && document.getElementById(`message-${data.anchorId}`);
+          if (anchor) {
+            anchor.scrollIntoView({ block: 'start' });
+          } else if (endRef.current) {
             endRef.current.scrollIntoView({ behavior: 'smooth' });
           }
         }, 100);
@@ -869,56 +1122,66 @@ const ChatPanel = (): JSX.Element => {
     loadMessages();
   }, [active?.id, socket]);
 
-  useEffect(() => {
-    (async () => {
-      if (!active) return;
-      
+  // Handle scroll for infinite loading in both directions
+  const handleScroll = useCallback(() => {
+    const container = messagesContainerRef.current;
+    if (!container || loadingMore || !active?.id || !historyBounds) return;
+
+    const nearTop = container.scrollTop < 100;
+    const nearBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 100;
+    const older = nearTop && historyBounds.hasMoreBefore && historyBounds.oldestId;
+    const newer = nearBottom && historyBounds.hasMoreAfter && historyBounds.newestId;
+    if (!older && !newer) return;
+
+    setLoadingMore(true);
+    const conversationId = active.id;
+
+    const loadMore = async () => {
       try {
-        console.log('Loading messages for conversation:', active.id);
-        const data = await getMessages(active.id);
-        const newMessages = data.messages || [];
-        
-        // Filter out any duplicate messages
-        setMessages(prev => {
-          const existingIds = new Set(prev.map(m => m.id));
-          const uniqueNewMessages = newMessages.filter(m => !existingIds.has(m.id));
-          return [...prev, ...uniqueNewMessages];
-        });
-        
-        setTimeout(() => endRef.current?.scrollIntoView({ behavior: 'smooth' }), 50);
+        const data = older
+          ? await getMessages(conversationId, { before: historyBounds.oldestId! })
+          : await getMessages(conversationId, { after: historyBounds.newestId! });
+        const page = data.messages || [];
+        // Keep the viewport on the same message when older history is prepended
+        const previousHeight = container.scrollHeight;
+
+        setMessages(prev => mergeMessages(prev, page));
+        setHistoryBounds(prev => prev && (older
+          ? { ...prev, hasMoreBefore: data.pagination.hasMoreBefore, oldestId: data.pagination.oldestId || prev.oldestId }
+          : { ...prev, hasMoreAfter: data.pagination.hasMoreAfter, newestId: data.pagination.newestId || prev.newestId }));
+
+        if (older) {
+          requestAnimationFrame(() => {
+            container.scrollTop += container.scrollHeight - previousHeight;
+          });
+        } else if (page.length && socket?.connected) {
+          socket.emit('mark-messages-read', { conversationId, messageId: page[page.length - 1].id });
+        }
       } catch (error) {
-        console.error('Error loading messages:', error);
-        toast.error('Failed to load messages');
+        console.error('Error loading more messages:', error);
+        toast.error('Failed to load more messages');
+      } finally {
+        setLoadingMore(false);
       }
-    })();
-  }, [active]);
+    };
 
-  // Handle scroll for infinite loading
-  const handleScroll = useCallback(() => {
-    const container = messagesContainerRef.current;
-    if (!container || loadingMore || !active?.id) return;
-    
-    // Load more messages when scrolling near the top
-    if (container.scrollTop < 100) {
-      setLoadingMore(true);
-      
-      // Simulate loading more messages (replace with actual API call)
-      const loadMore = async () => {
-        try {
-          // TODO: Implement actual pagination
-          // const data = await getMessages(active.id, nextPage);
-          // setMessages(prev => [...(data.messages || []), ...prev]);
-        } catch (error) {
-          console.error('Error loading more messages:', error);
-          toast.error('Failed to load more messages');
-        } finally {
-          setLoadingMore(false);
-        }
-      };
-      
-      loadMore();
+    loadMore();
+  }, [loadingMore, active?.id, historyBounds, socket]);
+
+  // Drop the loaded window and reload the newest page, for when the user has
+  // scrolled far back or opened at an old unread message
+  const jumpToLatest = useCallback(async () => {
+    if (!active?.id) return;
+    try {
+      const data = await getMessages(active.id);
+      setMessages(data.messages || []);
+      setHistoryBounds(data.pagination);
+      setTimeout(() => endRef.current?.scrollIntoView({ behavior: 'smooth' }), 50);
+    } catch (error) {
+      console.error('Error loading messages:', error);
+      toast.error('Failed to load messages');
     }
-  }, [loadingMore, active?.id]);
+  }, [active?.id]);
 
   // Real-time status updates would be handled here via WebSocket
   // when users change their status or go online/offline
@@ -933,14 +1196,80 @@ const ChatPanel = (): JSX.Element => {
     // For now, status is static based on user ID
   }, [active]);
 
+  // Load pending scheduled messages for the active conversation
+  useEffect(() => {
+    if (!active?.id) {
+      setScheduledMessages([]);
+      return;
+    }
+
+    listScheduledMessages(active.id)
+      .then(setScheduledMessages)
+      .catch(error => console.error('Error loading scheduled messages:', error));
+  }, [active?.id]);
+
+  // Drop scheduled messages from the list once the server delivers them
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleScheduledSent = (payload: { scheduledMessageId: string }) => {
+      setScheduledMessages(prev => prev.filter(m => m.id !== payload.scheduledMessageId));
+    };
+
+    socket.on('scheduled-message-sent', handleScheduledSent);
+    return () => {
+      socket.off('scheduled-message-sent', handleScheduledSent);
+    };
+  }, [socket]);
+
+  // Mentions mark the message in the open conversation, and are announced from anywhere else
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleMention = (payload: { type: MentionType; conversationId: string; message: MessageItem & { sender?: { displayName: string } }; silent?: boolean }) => {
+      if (active?.id === payload.conversationId) {
+        setMessages(prev => prev.map(m => m.id === payload.message.id ? { ...m, mentions: [{ type: payload.type }] } : m));
+        return;
+      }
+      // The conversation is muted or set to nothing
+      if (payload.silent) return;
+      const where = conversations.find(c => c.id === payload.conversationId);
+      toast.info(`${payload.message.sender?.displayName || 'Someone'} mentioned you${where?.isGroup ? ` in ${where.name}` : ''}: ${getLastMessagePreview(payload.message.messageText || '')}`);
+    };
+
+    socket.on('mention', handleMention);
+    return () => {
+      socket.off('mention', handleMention);
+    };
+  }, [socket, active?.id, conversations]);
+
+  // Notification settings changed on another tab or device
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleNotificationsUpdated = (payload: { conversationId: string; notificationPreferences: NotificationPreferences }) => {
+      applyNotificationPreferences(payload.conversationId, payload.notificationPreferences);
+    };
+
+    socket.on('conversation-notifications-updated', handleNotificationsUpdated);
+    return () => {
+      socket.off('conversation-notifications-updated', handleNotificationsUpdated);
+    };
+  }, [socket]);
+
   // Handle new message from socket
   useEffect(() => {
     if (!socket || !user) return;
 
-    const handleNewMessage = (payload: { message?: MessageItem & { conversationId: string } }) => {
+    const handleNewMessage = (payload: { message?: MessageItem & { conversationId: string; threadId?: string | null }; threadSummary?: ThreadSummary | null }) => {
       const message = payload?.message;
       if (!message) return;
 
+      if (message.threadId) {
+        if (payload.threadSummary) setMessages(prev => applyThreadSummary(prev, payload.threadSummary!));
+        return;
+      }
+
       console.log('📨 New message received:', message);
 
       // Update messages if it's for the active conversation
@@ -1024,6 +1353,14 @@ const ChatPanel = (): JSX.Element => {
               >
                 <SearchIcon className="w-5 h-5" />
               </button>
+              <Tooltip title="Browse channels">
+                <button
+                  onClick={() => setDirectoryOpen(true)}
+                  className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200"
+                >
+                  <GroupsIcon className="w-5 h-5" />
+                </button>
+              </Tooltip>
               <button className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200">
                 <ChatIcon className="w-5 h-5" />
               </button>
@@ -1092,12 +1429,7 @@ const ChatPanel = (): JSX.Element => {
                   className={`px-4 py-3 cursor-pointer transition-all duration-200 hover:bg-gray-50 ${
                     active?.id === c.id ? 'bg-blue-50 border-l-4 border-l-blue-600' : ''
                   }`}
-                  onClick={() => {
-                    setActive(c);
-                    if (c.unreadCount) {
-                      getMessages(c.id);
-                    }
-                  }}
+                  onClick={() => setActive(c)}
                 >
                   <div className="flex items-center gap-3">
                     {/* Avatar */}
@@ -1148,8 +1480,9 @@ const ChatPanel = (): JSX.Element => {
                     {/* Conversation details */}
                     <div className="flex-1 min-w-0">
                       <div className="flex items-center justify-between mb-1">
-                        <h3 className="font-medium truncate transition-colors duration-200 text-gray-700">
+                        <h3 className={`font-medium truncate transition-colors duration-200 flex items-center gap-1 ${isQuiet(c.notificationPreferences) ? 'text-gray-400' : 'text-gray-700'}`}>
                           {getDisplayName(c, user?.id)}
+                          {isQuiet(c.notificationPreferences) && <MutedIcon sx={{ fontSize: 14 }} />}
                         </h3>
                         {c.lastMessage && (
                           <span className="text-xs text-gray-500 transition-colors duration-200">
@@ -1218,6 +1551,45 @@ const ChatPanel = (): JSX.Element => {
                          />
                        </div>
                        
+                       <Tooltip title="Files">
+                         <span>
+                           <button 
+                             onClick={() => setGalleryTab('files')}
+                             disabled={!active}
+                             className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200"
+                           >
+                             <FilesIcon className="w-5 h-5" />
+                           </button>
+                         </span>
+                       </Tooltip>
+                       <Tooltip title="Threads">
+                         <span>
+                           <button 
+                             onClick={() => openThread(null)}
+                             disabled={!active}
+                             className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200"
+                           >
+                             <ThreadsIcon className="w-5 h-5" />
+                           </button>
+                         </span>
+                       </Tooltip>
+                       <ConversationNotificationsMenu
+                         conversationId={active?.id || null}
+                         preferences={active?.notificationPreferences}
+                         onChange={applyNotificationPreferences}
+                       />
+                       <Tooltip title="Links">
+                         <span>
+                           <button 
+                             onClick={() => setGalleryTab('links')}
+                             disabled={!active}
+                             className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200"
+                           >
+                             <LinksIcon className="w-5 h-5" />
+                           </button>
+                         </span>
+                       </Tooltip>
+                       
                        <button 
                          onClick={() => setMessageSearchExpanded(!messageSearchExpanded)}
                          className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200"
@@ -1289,6 +1661,7 @@ const ChatPanel = (): JSX.Element => {
             groups.push(
               <div 
                 key={message.id} 
+                id={`message-${message.id}`}
                 className={`flex flex-col ${mine ? 'items-end' : 'items-start'} ${isFirstInGroup ? 'mt-4' : 'mt-1'} w-full`}
               >
                 {/* Header with name and time */}
@@ -1324,13 +1697,28 @@ const ChatPanel = (): JSX.Element => {
                       className={`px-4 py-3 rounded-2xl shadow-sm transition-all duration-200 hover:shadow-md ${
                         mine 
                           ? 'bg-blue-600 text-white rounded-br-md' 
-                          : 'bg-white text-gray-900 rounded-bl-md border border-gray-200 hover:border-gray-300'
+                          : message.mentions?.length
+                            ? 'bg-amber-50 text-gray-900 rounded-bl-md border border-amber-300'
+                            : 'bg-white text-gray-900 rounded-bl-md border border-gray-200 hover:border-gray-300'
                       }`}
                     >
-                      <p className="whitespace-pre-wrap leading-relaxed text-sm">
-                        {message.messageText}
-                      </p>
+                      {message.messageText && (
+                        <p className="whitespace-pre-wrap leading-relaxed text-sm">
+                          <MessageText text={message.messageText} mine={mine} />
+                        </p>
+                      )}
+                      <MessageAttachments attachments={message.attachments || []} />
                     </div>
+                    {!message.id.startsWith('temp-') && (
+                      <button
+                        onClick={() => openThread(message.id)}
+                        className={`mt-1 text-xs font-medium ${message.replyCount ? 'text-blue-600 hover:underline' : 'text-gray-400 hover:text-gray-600'} ${mine ? 'float-right' : ''}`}
+                      >
+                        {message.replyCount
+                          ? `${message.replyCount} ${message.replyCount === 1 ? 'reply' : 'replies'}`
+                          : 'Reply in thread'}
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1338,15 +1726,89 @@ const ChatPanel = (): JSX.Element => {
 
             return groups;
           }, [])}
+          {historyBounds?.hasMoreAfter && (
+            <div className="sticky bottom-0 flex justify-center">
+              <button
+                onClick={jumpToLatest}
+                className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 rounded-full shadow hover:bg-blue-700"
+              >
+                Jump to latest
+              </button>
+            </div>
+          )}
           <div ref={endRef} />
         </div>
 
         {/* Message Input */}
         <div className="p-4 border-t border-gray-200 bg-white">
-          <MessageComposer 
-            onSend={handleSend} 
-            disabled={!active || sendingMessage} 
-          />
+          {scheduledMessages.length > 0 && (
+            <div className="mb-3 flex flex-wrap gap-2">
+              {scheduledMessages.map(scheduled => (
+                <Chip
+                  key={scheduled.id}
+                  size="small"
+                  icon={<ScheduleSend fontSize="small" />}
+                  label={`${new Date(scheduled.sendAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} · ${getLastMessagePreview(scheduled.messageText || '')}`}
+                  onDelete={() => handleCancelScheduled(scheduled.id)}
+                  deleteIcon={
+                    <Tooltip title="Cancel scheduled message">
+                      <CloseIcon fontSize="small" />
+                    </Tooltip>
+                  }
+                />
+              ))}
+            </div>
+          )}
+          <div className="flex items-end gap-2">
+            <div className="flex-1">
+              <MessageComposer 
+                onSend={handleSend} 
+                disabled={!active || sendingMessage} 
+              />
+            </div>
+            <Tooltip title={scheduledAt ? `Scheduled for ${new Date(scheduledAt).toLocaleString()}` : 'Schedule message'}>
+              <span>
+                <IconButton
+                  color={scheduledAt ? 'primary' : 'default'}
+                  disabled={!active || sendingMessage}
+                  onClick={(e) => setScheduleAnchor(e.currentTarget)}
+                >
+                  <ScheduleSend />
+                </IconButton>
+              </span>
+            </Tooltip>
+          </div>
+          <Popover
+            open={Boolean(scheduleAnchor)}
+            anchorEl={scheduleAnchor}
+            onClose={() => setScheduleAnchor(null)}
+            anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+            transformOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+          >
+            <Box sx={{ p: 2, display: 'flex', flexDirection: 'column', gap: 1.5, width: 280 }}>
+              <TextField
+                label="Send at"
+                type="datetime-local"
+                size="small"
+                value={scheduledAt}
+                onChange={(e) => setScheduledAt(e.target.value)}
+                InputLabelProps={{ shrink: true }}
+              />
+              <div className="flex justify-end gap-2">
+                <Button size="small" onClick={() => { setScheduledAt(''); setScheduleAnchor(null); }}>
+                  Clear
+                </Button>
+                <Button
+                  size="small"
+                  variant="contained"
+                  disabled={!scheduledAt || new Date(scheduledAt).getTime() <= Date.now()}
+                  onClick={() => setScheduleAnchor(null)}
+                >
+                  Done
+                </Button>
+              </div>
+            </Box>
+          </Popover>
           {sendingMessage && (
             <div className="mt-2 text-sm text-gray-500 flex items-center">
               <CircularProgress size={16} className="mr-2" />
@@ -1356,36 +1818,19 @@ const ChatPanel = (): JSX.Element => {
         </div>
           
           <div className="flex items-end gap-3 bg-gray-50 rounded-xl p-3 border border-gray-200 focus-within:border-blue-500 focus-within:ring-2 focus-within:ring-blue-100 transition-all">
-            {/* Left side actions - File attachment */}
-            <div className="flex gap-1">
-              <Tooltip title="Attach file">
-                <button 
-                  className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-100 rounded-lg transition-all duration-200 hover:scale-105"
-                  onClick={() => fileRef.current?.click()}
-                >
-                  <AttachFileIcon className="w-5 h-5" />
-                </button>
-              </Tooltip>
-              <input 
-                ref={fileRef} 
-                type="file" 
-                hidden 
-                multiple 
-                onChange={handleFileChange}
-              />
-            </div>
-
             {/* Message Composer */}
                          <MessageComposer 
-               onSend={async (text) => {
-                 if (!active || !text.trim()) return;
+               onSend={async (text, attachments) => {
+                 if (!active || (!text.trim() && attachments.length === 0)) return;
                  
                  try {
                    setSendingMessage(true);
                    console.log('Sending message:', text, 'to conversation:', active.id);
                    
                    // Send message via API
-                   const result = await sendMessage(active.id, text);
+                   const result = await sendMessage(active.id, text, {
+                     attachmentIds: attachments.map(a => a.id)
+                   });
                    console.log('Message sent successfully:', result);
                    
                    // Add message to local state immediately for better UX
@@ -1393,6 +1838,7 @@ const ChatPanel = (): JSX.Element => {
                      id: result.message.id || `temp-${Date.now()}`,
                      senderId: user?.id || '',
                      messageText: text,
+                     attachments: result.message.attachments || attachments,
                      createdAt: new Date().toISOString()
                    };
                    
@@ -1562,6 +2008,38 @@ const ChatPanel = (): JSX.Element => {
         </DialogContent>
       </Dialog>
 
+      {/* Channel directory */}
+      <ChannelDirectoryDialog
+        open={directoryOpen}
+        onClose={() => setDirectoryOpen(false)}
+        onOpenChannel={(conversationId) => {
+          const conv = conversations.find(c => c.id === conversationId);
+          if (conv) setActive(conv);
+        }}
+      />
+
+      {/* Shared files and links in the open conversation */}
+      <ConversationGalleryDialog
+        open={galleryTab !== null}
+        onClose={() => setGalleryTab(null)}
+        conversationId={active?.id || null}
+        participants={(active?.participants || []).map(p => p.user)}
+        tab={galleryTab || 'files'}
+        onTabChange={setGalleryTab}
+      />
+
+      {/* Thread replies and followed threads */}
+      <ThreadPanel
+        open={threadsOpen}
+        onClose={() => setThreadsOpen(false)}
+        conversationId={active?.id || null}
+        threadId={openThreadId}
+        onOpenThread={setOpenThreadId}
+        participants={(active?.participants || []).map(p => p.user)}
+        socket={socket}
+        currentUserId={user?.id}
+      />
+
       {/* Socket.IO Debugger for development */}
       {process.env.NODE_ENV === 'development' && <SocketDebugger />}
     </div>
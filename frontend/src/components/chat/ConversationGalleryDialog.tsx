@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  Tabs,
+  Tab,
+  TextField,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Button,
+  Box,
+  CircularProgress,
+  Typography
+} from '@mui/material';
+import { InsertDriveFile as FileIcon, Link as LinkIcon } from '@mui/icons-material';
+import {
+  getConversationFiles,
+  getConversationLinks,
+  SharedFile,
+  SharedLink,
+  GallerySender
+} from '../../services/chatService';
+import { formatSize, saveAttachment } from './MessageAttachments';
+import { toast } from '../../utils/toast';
+
+export type GalleryTab = 'files' | 'links';
+
+interface ConversationGalleryDialogProps {
+  open: boolean;
+  onClose: () => void;
+  conversationId: string | null;
+  participants: GallerySender[];
+  tab: GalleryTab;
+  onTabChange: (tab: GalleryTab) => void;
+}
+
+// MIME prefixes offered in the Files tab's type filter
+const FILE_TYPES = [
+  { value: '', label: 'All types' },
+  { value: 'image/', label: 'Images' },
+  { value: 'video/', label: 'Videos' },
+  { value: 'audio/', label: 'Audio' },
+  { value: 'application/pdf', label: 'PDFs' },
+  { value: 'text/', label: 'Text' }
+];
+
+const PAGE_SIZE = 20;
+
+// Files and links shared in the open conversation, newest first
+const ConversationGalleryDialog: React.FC<ConversationGalleryDialogProps> = ({
+  open,
+  onClose,
+  conversationId,
+  participants,
+  tab,
+  onTabChange
+}) => {
+  const [fileType, setFileType] = useState('');
+  const [senderId, setSenderId] = useState('');
+  const [files, setFiles] = useState<SharedFile[]>([]);
+  const [links, setLinks] = useState<SharedLink[]>([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const load = async (nextPage: number) => {
+    if (!conversationId) return;
+    try {
+      setLoading(true);
+      const filters = { senderId: senderId || undefined, page: nextPage, limit: PAGE_SIZE };
+      if (tab === 'files') {
+        const data = await getConversationFiles(conversationId, { ...filters, fileType: fileType || undefined });
+        setFiles(prev => nextPage === 1 ? data.files : [...prev, ...data.files]);
+        setHasMore(data.pagination.hasMore);
+      } else {
+        const data = await getConversationLinks(conversationId, filters);
+        setLinks(prev => nextPage === 1 ? data.links : [...prev, ...data.links]);
+        setHasMore(data.pagination.hasMore);
+      }
+      setPage(nextPage);
+    } catch (e: any) {
+      toast.error(e.response?.data?.message || `Failed to load ${tab}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) load(1);
+  }, [open, conversationId, tab, fileType, senderId]);
+
+  const shared = (item: { sender: GallerySender; sharedAt: string }) =>
+    `${item.sender.displayName} · ${new Date(item.sharedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`;
+
+  const items = tab === 'files' ? files : links;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ pb: 0 }}>
+        <Tabs value={tab} onChange={(_, value) => onTabChange(value)}>
+          <Tab value="files" label="Files" />
+          <Tab value="links" label="Links" />
+        </Tabs>
+      </DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', gap: 1, my: 2 }}>
+          {tab === 'files' && (
+            <TextField select size="small" label="Type" value={fileType} onChange={(e) => setFileType(e.target.value)} sx={{ minWidth: 140 }}>
+              {FILE_TYPES.map(type => <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>)}
+            </TextField>
+          )}
+          <TextField select size="small" label="Shared by" value={senderId} onChange={(e) => setSenderId(e.target.value)} sx={{ minWidth: 180 }}>
+            <MenuItem value="">Anyone</MenuItem>
+            {participants.map(p => <MenuItem key={p.id} value={p.id}>{p.displayName}</MenuItem>)}
+          </TextField>
+        </Box>
+
+        {items.length === 0 && !loading ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+            {tab === 'files' ? 'No files shared yet' : 'No links shared yet'}
+          </Typography>
+        ) : (
+          <List dense>
+            {tab === 'files'
+              ? files.map(file => (
+                <ListItem key={`${file.messageId}-${file.id}`} disablePadding>
+                  <ListItemButton onClick={() => saveAttachment(file)}>
+                    <ListItemIcon><FileIcon fontSize="small" /></ListItemIcon>
+                    <ListItemText primary={file.name} secondary={`${formatSize(file.size)} · ${shared(file)}`} />
+                  </ListItemButton>
+                </ListItem>
+              ))
+              : links.map((link, index) => (
+                <ListItem key={`${link.messageId}-${index}`} disablePadding>
+                  <ListItemButton component="a" href={link.url} target="_blank" rel="noopener noreferrer">
+                    <ListItemIcon><LinkIcon fontSize="small" /></ListItemIcon>
+                    <ListItemText
+                      primary={link.url}
+                      primaryTypographyProps={{ noWrap: true }}
+                      secondary={`${link.domain} · ${shared(link)}`}
+                    />
+                  </ListItemButton>
+                </ListItem>
+              ))}
+          </List>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}><CircularProgress size={24} /></Box>
+        ) : hasMore && (
+          <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+            <Button size="small" onClick={() => load(page + 1)}>Load more</Button>
+          </Box>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ConversationGalleryDialog;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Divider, ListItemIcon, ListItemText, ListSubheader, Menu, MenuItem, Tooltip } from '@mui/material';
+import {
+  Check as CheckIcon,
+  NotificationsActive as NotificationsIcon,
+  NotificationsOff as MutedIcon
+} from '@mui/icons-material';
+import {
+  updateConversationNotifications,
+  NotificationLevel,
+  NotificationPreferences
+} from '../../services/chatService';
+import { toast } from '../../utils/toast';
+
+export const LEVEL_LABELS: Record<NotificationLevel, string> = {
+  all: 'All messages',
+  mentions: 'Mentions only',
+  none: 'Nothing'
+};
+
+export const MUTE_DURATIONS = [
+  { label: '1 hour', hours: 1 },
+  { label: '8 hours', hours: 8 },
+  { label: '24 hours', hours: 24 },
+  { label: '1 week', hours: 24 * 7 }
+];
+
+export const muteEnd = (hours: number) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+// Muted, or set to nothing: the conversation never notifies
+export const isQuiet = (preferences?: NotificationPreferences) =>
+  !!preferences && (preferences.muted || preferences.effectiveLevel === 'none');
+
+interface ConversationNotificationsMenuProps {
+  conversationId: string | null;
+  preferences?: NotificationPreferences;
+  onChange: (conversationId: string, preferences: NotificationPreferences) => void;
+}
+
+// Header button for the user's notification level and mute in one conversation
+const ConversationNotificationsMenu: React.FC<ConversationNotificationsMenuProps> = ({ conversationId, preferences, onChange }) => {
+  const [anchorEl, setAnchorEl] = useState<HTMLElement | null>(null);
+
+  const update = async (changes: { level?: NotificationLevel | null; mutedUntil?: string | null }) => {
+    setAnchorEl(null);
+    if (!conversationId) return;
+    try {
+      const { notificationPreferences } = await updateConversationNotifications(conversationId, changes);
+      onChange(conversationId, notificationPreferences);
+    } catch (e: any) {
+      toast.error(e.response?.data?.message || 'Failed to update notifications');
+    }
+  };
+
+  const level = preferences?.level ?? null;
+  const options: { value: NotificationLevel | null; label: string }[] = [
+    { value: null, label: 'Use my default' },
+    ...(Object.keys(LEVEL_LABELS) as NotificationLevel[]).map(value => ({ value, label: LEVEL_LABELS[value] }))
+  ];
+
+  return (
+    <>
+      <Tooltip title={preferences?.mutedUntil ? `Muted until ${new Date(preferences.mutedUntil).toLocaleString()}` : 'Notifications'}>
+        <span>
+          <button
+            onClick={(e) => setAnchorEl(e.currentTarget)}
+            disabled={!conversationId}
+            className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200"
+          >
+            {isQuiet(preferences) ? <MutedIcon className="w-5 h-5" /> : <NotificationsIcon className="w-5 h-5" />}
+          </button>
+        </span>
+      </Tooltip>
+
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        <ListSubheader>Notify me about</ListSubheader>
+        {options.map(option => (
+          <MenuItem key={option.value ?? 'default'} onClick={() => update({ level: option.value })}>
+            <ListItemIcon>{level === option.value && <CheckIcon fontSize="small" />}</ListItemIcon>
+            <ListItemText
+              primary={option.label}
+              secondary={option.value === null && level === null && preferences ? LEVEL_LABELS[preferences.effectiveLevel] : undefined}
+            />
+          </MenuItem>
+        ))}
+        <Divider />
+        <ListSubheader>Mute</ListSubheader>
+        {preferences?.mutedUntil ? (
+          <MenuItem onClick={() => update({ mutedUntil: null })}>
+            <ListItemText inset primary="Unmute" secondary={`Muted until ${new Date(preferences.mutedUntil).toLocaleString()}`} />
+          </MenuItem>
+        ) : (
+          MUTE_DURATIONS.map(duration => (
+            <MenuItem key={duration.hours} onClick={() => update({ mutedUntil: muteEnd(duration.hours) })}>
+              <ListItemText inset primary={`For ${duration.label}`} />
+            </MenuItem>
+          ))
+        )}
+      </Menu>
+    </>
+  );
+};
+
+export default ConversationNotificationsMenu;
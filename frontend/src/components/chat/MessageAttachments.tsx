@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from 'react';
+import { Chip } from '@mui/material';
+import { InsertDriveFile as FileIcon } from '@mui/icons-material';
+import { fetchAttachment, MessageAttachment } from '../../services/chatService';
+import { toast } from '../../utils/toast';
+
+interface MessageAttachmentsProps {
+  attachments: MessageAttachment[];
+}
+
+export const formatSize = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const saveAttachment = async (attachment: MessageAttachment) => {
+  try {
+    const url = URL.createObjectURL(await fetchAttachment(attachment));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = attachment.name;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    toast.error('Failed to download file');
+  }
+};
+
+// Image attachments are fetched with the user's token, so they are shown from an object URL
+const ImagePreview: React.FC<{ attachment: MessageAttachment }> = ({ attachment }) => {
+  const [src, setSrc] = useState<string | null>(null);
+
+  useEffect(() => {
+    let url: string | null = null;
+    let cancelled = false;
+    fetchAttachment(attachment)
+      .then(blob => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setSrc(url);
+      })
+      .catch(error => console.error('Error loading image attachment:', error));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [attachment.id]);
+
+  if (!src) {
+    return <div className="w-48 h-32 rounded-lg bg-gray-200 animate-pulse" />;
+  }
+  return (
+    <img
+      src={src}
+      alt={attachment.name}
+      width={attachment.width || undefined}
+      height={attachment.height || undefined}
+      className="max-w-xs max-h-64 rounded-lg cursor-pointer object-cover"
+      onClick={() => saveAttachment(attachment)}
+    />
+  );
+};
+
+const MessageAttachments: React.FC<MessageAttachmentsProps> = ({ attachments }) => {
+  if (!attachments.length) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2 mt-1">
+      {attachments.map(attachment => attachment.fileType.startsWith('image/') ? (
+        <ImagePreview key={attachment.id} attachment={attachment} />
+      ) : (
+        <Chip
+          key={attachment.id}
+          icon={<FileIcon fontSize="small" />}
+          label={`${attachment.name} · ${formatSize(attachment.size)}`}
+          onClick={() => saveAttachment(attachment)}
+          variant="outlined"
+        />
+      ))}
+    </div>
+  );
+};
+
+export default MessageAttachments;
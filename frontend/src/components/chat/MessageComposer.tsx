@@ -1,10 +1,15 @@
-import React, { useRef, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
   Box,
   IconButton,
   Tooltip,
   Paper,
   Divider,
+  Chip,
+  CircularProgress,
+  List,
+  ListItemButton,
+  ListItemText,
 } from '@mui/material';
 import FormatBold from '@mui/icons-material/FormatBold';
 import FormatItalic from '@mui/icons-material/FormatItalic';
@@ -20,32 +25,158 @@ import EmojiEmotions from '@mui/icons-material/EmojiEmotions';
 import AttachFile from '@mui/icons-material/AttachFile';
 import Send from '@mui/icons-material/Send';
 import MoreVert from '@mui/icons-material/MoreVert';
+import { uploadFiles, searchUsers, MessageAttachment } from '../../services/chatService';
+import { toast } from '../../utils/toast';
+
+// Matches the upload endpoint and the per-message attachment limit
+const MAX_FILES = 10;
+
+// The word being typed after an @, up to the caret
+const MENTION_QUERY = /(?:^|\s)@([\w.-]{0,30})$/;
+
+const BROADCASTS = [
+  { label: 'here', description: 'Notify everyone online in this conversation' },
+  { label: 'channel', description: 'Notify everyone in this conversation' }
+];
+
+interface Suggestion {
+  label: string;
+  description: string;
+  // Token sent in place of @label; broadcasts are sent as typed
+  token?: string;
+}
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 interface Props {
-  onSend: (text: string) => void;
+  // Attached files are uploaded before onSend is called; a rejected promise keeps the draft
+  onSend: (text: string, attachments: MessageAttachment[]) => void | Promise<unknown>;
   sx?: any;
   disabled?: boolean;
 }
 
 const MessageComposer: React.FC<Props> = ({ onSend, sx, disabled }) => {
   const editorRef = useRef<HTMLDivElement>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
   const [expanded, setExpanded] = useState(false);
   const [showPlaceholder, setShowPlaceholder] = useState(true);
+  const [files, setFiles] = useState<File[]>([]);
+  const [uploading, setUploading] = useState(false);
+  const [mentionQuery, setMentionQuery] = useState<string | null>(null);
+  const [suggestions, setSuggestions] = useState<Suggestion[]>([]);
+  const [highlighted, setHighlighted] = useState(0);
+  // Mentions picked from the autocomplete, by the @Name shown in the editor
+  const pickedRef = useRef(new Map<string, string>());
+
+  useEffect(() => {
+    if (mentionQuery === null) {
+      setSuggestions([]);
+      return;
+    }
+
+    const query = mentionQuery.toLowerCase();
+    const broadcasts = BROADCASTS.filter(b => b.label.startsWith(query));
+    const timer = setTimeout(async () => {
+      try {
+        const users = await searchUsers(mentionQuery);
+        setSuggestions([
+          ...users.map(u => {
+            const name = u.displayName.replace(/[[\]\n]/g, '');
+            return { label: name, description: u.email, token: `@[${name}](user:${u.id})` };
+          }),
+          ...broadcasts
+        ]);
+      } catch (error) {
+        console.error('Error searching users:', error);
+        setSuggestions(broadcasts);
+      }
+      setHighlighted(0);
+    }, 200);
+    return () => clearTimeout(timer);
+  }, [mentionQuery]);
+
+  // Find an @ being typed just before the caret
+  const updateMentionQuery = () => {
+    const selection = window.getSelection();
+    const node = selection?.anchorNode;
+    if (!selection?.isCollapsed || !node || node.nodeType !== Node.TEXT_NODE || !editorRef.current?.contains(node)) {
+      setMentionQuery(null);
+      return;
+    }
+    const match = (node.textContent || '').slice(0, selection.anchorOffset).match(MENTION_QUERY);
+    setMentionQuery(match ? match[1] : null);
+  };
+
+  const pickSuggestion = (suggestion: Suggestion) => {
+    const selection = window.getSelection();
+    const node = selection?.anchorNode;
+    if (!selection || !node || node.nodeType !== Node.TEXT_NODE || mentionQuery === null) return;
+
+    // Replace the typed @query with the full @label
+    const text = node.textContent || '';
+    const end = selection.anchorOffset;
+    const start = end - mentionQuery.length - 1;
+    const inserted = `@${suggestion.label} `;
+    node.textContent = text.slice(0, start) + inserted + text.slice(end);
+
+    const range = document.createRange();
+    range.setStart(node, start + inserted.length);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    if (suggestion.token) {
+      pickedRef.current.set(`@${suggestion.label}`, suggestion.token);
+    }
+    setMentionQuery(null);
+    setShowPlaceholder(false);
+  };
+
+  // Swap the @Names picked from the autocomplete for mention tokens, longest first
+  const withMentionTokens = (text: string) =>
+    Array.from(pickedRef.current.entries())
+      .sort(([a], [b]) => b.length - a.length)
+      .reduce((result, [label, token]) => result.replace(new RegExp(`${escapeRegExp(label)}(?![\\w])`, 'g'), token), text);
 
   const exec = (command: string, value?: string) => {
     document.execCommand(command, false, value);
     editorRef.current?.focus();
   };
 
-  const handleSend = () => {
-    if (disabled) return;
+  const handleFilesChosen = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const chosen = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length + chosen.length > MAX_FILES) {
+      toast.warning(`You can attach up to ${MAX_FILES} files to a message`);
+    }
+    setFiles(prev => [...prev, ...chosen].slice(0, MAX_FILES));
+  };
+
+  const handleSend = async () => {
+    if (disabled || uploading) return;
     
     const text = editorRef.current?.innerText?.trim() || '';
-    if (!text) return;
+    if (!text && files.length === 0) return;
     
     try {
-      onSend(text);
+      let attachments: MessageAttachment[] = [];
+      if (files.length) {
+        setUploading(true);
+        try {
+          attachments = await uploadFiles(files);
+        } catch (error: any) {
+          toast.error(error.response?.data?.message || 'Failed to upload attachments');
+          return;
+        } finally {
+          setUploading(false);
+        }
+      }
+
+      await onSend(withMentionTokens(text), attachments);
       editorRef.current!.innerHTML = '';
+      pickedRef.current.clear();
+      setMentionQuery(null);
+      setFiles([]);
       setShowPlaceholder(true);
       setExpanded(false);
     } catch (error) {
@@ -56,6 +187,7 @@ const MessageComposer: React.FC<Props> = ({ onSend, sx, disabled }) => {
   const handleInput = () => {
     const empty = editorRef.current?.innerText?.trim() === '';
     setShowPlaceholder(empty);
+    updateMentionQuery();
   };
 
   return (
@@ -64,9 +196,36 @@ const MessageComposer: React.FC<Props> = ({ onSend, sx, disabled }) => {
       sx={{
         width: '100%',
         borderRadius: 1,
+        position: 'relative',
         ...sx,
       }}
     >
+      {/* @ mention autocomplete */}
+      {suggestions.length > 0 && (
+        <Paper
+          elevation={4}
+          sx={{ position: 'absolute', bottom: '100%', left: 0, mb: 0.5, width: 320, maxHeight: 280, overflowY: 'auto', zIndex: 10 }}
+        >
+          <List dense disablePadding>
+            {suggestions.map((suggestion, index) => (
+              <ListItemButton
+                key={suggestion.token || suggestion.label}
+                selected={index === highlighted}
+                // Keep the editor's caret where the @ was typed
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => pickSuggestion(suggestion)}
+              >
+                <ListItemText
+                  primary={`@${suggestion.label}`}
+                  secondary={suggestion.description}
+                  secondaryTypographyProps={{ noWrap: true }}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+        </Paper>
+      )}
+
       {/* Show formatting toolbar only if expanded */}
       {expanded && (
         <Box
@@ -98,6 +257,22 @@ const MessageComposer: React.FC<Props> = ({ onSend, sx, disabled }) => {
         </Box>
       )}
 
+      {/* Files waiting to be uploaded with the next message */}
+      {files.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, px: 1, pt: 1 }}>
+          {files.map((file, index) => (
+            <Chip
+              key={`${file.name}-${index}`}
+              size="small"
+              icon={<AttachFile fontSize="small" />}
+              label={file.name}
+              disabled={uploading}
+              onDelete={() => setFiles(prev => prev.filter((_, i) => i !== index))}
+            />
+          ))}
+        </Box>
+      )}
+
       {/* Editor + actions */}
       <Box sx={{ display: 'flex', alignItems: 'center', px: 1, py: 0.5 }}>
         <Box
@@ -107,7 +282,28 @@ const MessageComposer: React.FC<Props> = ({ onSend, sx, disabled }) => {
           suppressContentEditableWarning
           onClick={() => !disabled && setExpanded(true)}
           onInput={handleInput}
+          onKeyUp={(e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') updateMentionQuery();
+          }}
           onKeyDown={(e) => {
+            if (suggestions.length > 0) {
+              if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setHighlighted(prev => (prev + step + suggestions.length) % suggestions.length);
+                return;
+              }
+              if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                pickSuggestion(suggestions[highlighted]);
+                return;
+              }
+              if (e.key === 'Escape') {
+                e.preventDefault();
+                setMentionQuery(null);
+                return;
+              }
+            }
             if (e.key === 'Enter' && !e.shiftKey) {
               e.preventDefault();
               handleSend();
@@ -147,16 +343,23 @@ const MessageComposer: React.FC<Props> = ({ onSend, sx, disabled }) => {
           </Box>
         )}
         <IconButton size="small" disabled={disabled}><EmojiEmotions fontSize="small" /></IconButton>
-        <IconButton size="small" disabled={disabled}><AttachFile fontSize="small" /></IconButton>
+        <Tooltip title="Attach files">
+          <span>
+            <IconButton size="small" disabled={disabled || uploading} onClick={() => fileInputRef.current?.click()}>
+              <AttachFile fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <input ref={fileInputRef} type="file" hidden multiple onChange={handleFilesChosen} />
         <IconButton size="small" disabled={disabled}><MoreVert fontSize="small" /></IconButton>
         <IconButton 
           size="small" 
           color="primary" 
           onClick={handleSend}
-          disabled={disabled}
+          disabled={disabled || uploading}
           sx={disabled ? { color: 'text.disabled' } : {}}
         >
-          <Send fontSize="small" />
+          {uploading ? <CircularProgress size={16} /> : <Send fontSize="small" />}
         </IconButton>
       </Box>
     </Paper>
@@ -0,0 +1,38 @@
+import React from 'react';
+
+// Mention tokens written by the composer, plus @here and @channel; see mention.service on the server
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\((?:user|group):[0-9a-f-]{36}\)|(?<![\w@[])@(?:here|channel)\b/gi;
+
+// Message text with mention tokens shown as their names, for previews and notifications
+export const plainMentions = (text: string) =>
+  text.replace(MENTION_PATTERN, (match, name) => (name ? `@${name}` : match));
+
+interface MessageTextProps {
+  text: string;
+  // Sent bubbles are dark, so mentions are drawn lighter
+  mine?: boolean;
+}
+
+const MessageText: React.FC<MessageTextProps> = ({ text, mine }) => {
+  const parts: React.ReactNode[] = [];
+  let last = 0;
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const index = match.index ?? 0;
+    if (index > last) parts.push(text.slice(last, index));
+    parts.push(
+      <span
+        key={index}
+        className={`rounded px-0.5 font-medium ${mine ? 'bg-white/20' : 'bg-blue-100 text-blue-800'}`}
+      >
+        {match[1] ? `@${match[1]}` : match[0]}
+      </span>
+    );
+    last = index + match[0].length;
+  }
+  if (last < text.length) parts.push(text.slice(last));
+
+  return <>{parts}</>;
+};
+
+export default MessageText;
@@ -0,0 +1,252 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Drawer,
+  Box,
+  Typography,
+  IconButton,
+  Button,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Badge,
+  CircularProgress,
+  Divider
+} from '@mui/material';
+import { Close as CloseIcon, ArrowBack as BackIcon } from '@mui/icons-material';
+import MessageComposer from './MessageComposer';
+import MessageAttachments from './MessageAttachments';
+import MessageText, { plainMentions } from './MessageText';
+import {
+  getMessages,
+  sendMessage,
+  getThreads,
+  followThread,
+  unfollowThread,
+  markThreadRead,
+  FollowedThread,
+  ThreadState,
+  MessageAttachment
+} from '../../services/chatService';
+import { toast } from '../../utils/toast';
+
+interface ThreadMessage {
+  id: string;
+  senderId: string;
+  messageText: string;
+  createdAt: string;
+  threadId?: string | null;
+  attachments?: MessageAttachment[];
+  sender?: { id: string; displayName: string };
+}
+
+interface ThreadPanelProps {
+  open: boolean;
+  onClose: () => void;
+  conversationId: string | null;
+  // Root message of the open thread; null lists the followed threads instead
+  threadId: string | null;
+  onOpenThread: (threadId: string | null) => void;
+  participants: { id: string; displayName: string }[];
+  socket: any;
+  currentUserId?: string;
+}
+
+const formatTime = (value: string) =>
+  new Date(value).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+// Side panel with a thread's replies, or the threads the user follows in the conversation
+const ThreadPanel: React.FC<ThreadPanelProps> = ({
+  open,
+  onClose,
+  conversationId,
+  threadId,
+  onOpenThread,
+  participants,
+  socket,
+  currentUserId
+}) => {
+  const [messages, setMessages] = useState<ThreadMessage[]>([]);
+  const [following, setFollowing] = useState(false);
+  const [threads, setThreads] = useState<FollowedThread[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const senderName = (message: ThreadMessage) =>
+    message.sender?.displayName || participants.find(p => p.id === message.senderId)?.displayName || 'Unknown';
+
+  useEffect(() => {
+    if (!open || !conversationId) return;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        if (threadId) {
+          const data = await getMessages(conversationId, { threadId, limit: 100 });
+          if (cancelled) return;
+          setMessages(data.messages);
+          const root = data.messages.find((m: any) => m.id === threadId);
+          setFollowing(!!root?.followers?.length);
+          await markThreadRead(threadId);
+        } else {
+          const data = await getThreads(conversationId);
+          if (!cancelled) setThreads(data.threads);
+        }
+      } catch (e: any) {
+        if (!cancelled) toast.error(e.response?.data?.message || 'Failed to load threads');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [open, conversationId, threadId]);
+
+  useEffect(() => {
+    if (!socket || !open) return;
+
+    const handleNewMessage = (payload: { message?: ThreadMessage }) => {
+      const message = payload?.message;
+      if (!message || !threadId || message.threadId !== threadId) return;
+      setMessages(prev => prev.some(m => m.id === message.id) ? prev : [...prev, message]);
+      if (message.senderId !== currentUserId) {
+        markThreadRead(threadId).catch(error => console.error('Error marking thread read:', error));
+      }
+    };
+
+    const handleThreadReply = (payload: { threadId: string; replyCount: number; lastReplyAt: string; unreadCount: number }) => {
+      setThreads(prev => prev
+        .map(t => t.id === payload.threadId
+          ? { ...t, replyCount: payload.replyCount, lastReplyAt: payload.lastReplyAt, unreadCount: payload.threadId === threadId ? 0 : payload.unreadCount }
+          : t)
+        .sort((a, b) => new Date(b.lastReplyAt || 0).getTime() - new Date(a.lastReplyAt || 0).getTime()));
+    };
+
+    const handleThreadState = (state: ThreadState) => {
+      if (state.threadId === threadId) setFollowing(state.following);
+      setThreads(prev => state.following
+        ? prev.map(t => t.id === state.threadId ? { ...t, unreadCount: state.unreadCount } : t)
+        : prev.filter(t => t.id !== state.threadId));
+    };
+
+    socket.on('new-message', handleNewMessage);
+    socket.on('thread-reply', handleThreadReply);
+    socket.on('thread-state-updated', handleThreadState);
+    return () => {
+      socket.off('new-message', handleNewMessage);
+      socket.off('thread-reply', handleThreadReply);
+      socket.off('thread-state-updated', handleThreadState);
+    };
+  }, [socket, open, threadId, currentUserId]);
+
+  const handleReply = async (text: string, attachments: MessageAttachment[]) => {
+    if (!conversationId || !threadId) return;
+    try {
+      const { message } = await sendMessage(conversationId, text, {
+        threadId,
+        attachmentIds: attachments.map(a => a.id)
+      });
+      setMessages(prev => prev.some(m => m.id === message.id) ? prev : [...prev, message]);
+      // Replying follows the thread
+      setFollowing(true);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to send reply');
+      throw error;
+    }
+  };
+
+  const toggleFollow = async () => {
+    if (!threadId) return;
+    try {
+      const state = following ? await unfollowThread(threadId) : await followThread(threadId);
+      setFollowing(state.following);
+    } catch (e: any) {
+      toast.error(e.response?.data?.message || 'Failed to update thread');
+    }
+  };
+
+  const [root, ...replies] = threadId ? messages : [];
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose} PaperProps={{ sx: { width: 400, display: 'flex' } }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, p: 2 }}>
+        {threadId && (
+          <IconButton size="small" onClick={() => onOpenThread(null)}>
+            <BackIcon fontSize="small" />
+          </IconButton>
+        )}
+        <Typography variant="subtitle1" sx={{ flex: 1, fontWeight: 600 }}>
+          {threadId ? 'Thread' : 'Followed threads'}
+        </Typography>
+        {threadId && (
+          <Button size="small" variant={following ? 'outlined' : 'contained'} onClick={toggleFollow}>
+            {following ? 'Unfollow' : 'Follow'}
+          </Button>
+        )}
+        <IconButton size="small" onClick={onClose}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Box>
+      <Divider />
+
+      <Box sx={{ flex: 1, overflowY: 'auto', p: 2 }}>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}><CircularProgress size={24} /></Box>
+        ) : threadId ? (
+          root && (
+            <>
+              {[root, ...replies].map((message, index) => (
+                <Box key={message.id} sx={{ mb: 2 }}>
+                  <Typography variant="caption" color="text.secondary">
+                    {senderName(message)} · {formatTime(message.createdAt)}
+                  </Typography>
+                  {message.messageText && (
+                    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}><MessageText text={message.messageText} /></Typography>
+                  )}
+                  <MessageAttachments attachments={message.attachments || []} />
+                  {index === 0 && (
+                    <Divider sx={{ mt: 2 }}>
+                      <Typography variant="caption" color="text.secondary">
+                        {replies.length === 1 ? '1 reply' : `${replies.length} replies`}
+                      </Typography>
+                    </Divider>
+                  )}
+                </Box>
+              ))}
+            </>
+          )
+        ) : threads.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+            You are not following any threads here
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {threads.map(thread => (
+              <ListItem key={thread.id} disablePadding>
+                <ListItemButton onClick={() => onOpenThread(thread.id)}>
+                  <ListItemText
+                    primary={thread.messageText ? plainMentions(thread.messageText) : 'Attachment'}
+                    primaryTypographyProps={{ noWrap: true }}
+                    secondary={`${thread.sender.displayName} · ${thread.replyCount} ${thread.replyCount === 1 ? 'reply' : 'replies'}${thread.lastReplyAt ? ` · ${formatTime(thread.lastReplyAt)}` : ''}`}
+                  />
+                  <Badge badgeContent={thread.unreadCount} color="primary" sx={{ ml: 2 }} />
+                </ListItemButton>
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </Box>
+
+      {threadId && (
+        <Box sx={{ p: 2, borderTop: 1, borderColor: 'divider' }}>
+          <MessageComposer onSend={handleReply} disabled={!root} />
+        </Box>
+      )}
+    </Drawer>
+  );
+};
+
+export default ThreadPanel;
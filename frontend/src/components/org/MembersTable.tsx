@@ -7,7 +7,7 @@ import AccessTime from '@mui/icons-material/AccessTime';
 import CheckCircleOutline from '@mui/icons-material/CheckCircleOutline';
 import ShieldOutlined from '@mui/icons-material/ShieldOutlined';
 // Icons removed after simplifying actions
-import { fetchUsers, updateUserStatus, type OrgUser, getInvitations, revokeInvitation } from '../../services/adminService';
+import { fetchUsers, updateUserStatus, resetUserTwoFactor, type OrgUser, getInvitations, revokeInvitation } from '../../services/adminService';
 import { useAuth } from '../../contexts/AuthContext';
 import { toast } from '../../utils/toast';
 import { io as createSocket, Socket } from 'socket.io-client';
@@ -50,9 +50,8 @@ const MembersTable: React.FC = () => {
 
     // connect socket for live updates
     try {
-      const token = localStorage.getItem('token') || '';
       const apiBase = (import.meta.env.VITE_API_URL || 'http://localhost:5000/api').replace(/\/api$/, '');
-      const s = createSocket(apiBase, { auth: { token } });
+      const s = createSocket(apiBase, { auth: (cb) => cb({ token: localStorage.getItem('token') || '' }) });
       setSocket(s);
       s.on('connect', () => {
         // already joined tenant room by server on connect
@@ -125,6 +124,17 @@ const MembersTable: React.FC = () => {
     }
   };
 
+  const handleResetTwoFactor = async (m: OrgUser) => {
+    try {
+      if (user?.role !== 'admin') return;
+      await resetUserTwoFactor(m.id);
+      setMembers(prev => prev.map(p => (p.id === m.id ? { ...p, twoFactorEnabled: false } : p)));
+      toast.success('Two-factor authentication reset');
+    } catch (e: any) {
+      toast.error(e.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
   const handleBulkInvite = async () => {
     const list = emailChips
       .map(e => e.trim())
@@ -331,6 +341,11 @@ const MembersTable: React.FC = () => {
                       <MenuItem onClick={() => { closeMenu(); handleToggleActive(m); }}>
                         {m.isActive ? 'Deactivate' : 'Activate'}
                       </MenuItem>
+                      {user?.role === 'admin' && m.twoFactorEnabled && (
+                        <MenuItem onClick={() => { closeMenu(); handleResetTwoFactor(m); }}>
+                          Reset 2FA
+                        </MenuItem>
+                      )}
                     </Menu>
                   </div>
                 </div>
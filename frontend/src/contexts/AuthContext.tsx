@@ -1,11 +1,13 @@
 import React, { createContext, useContext, useEffect, useState, useMemo } from 'react';
-import { authService, User } from '../services/authService';
+import { authService, User, AuthResponse, TwoFactorChallenge } from '../services/authService';
 
 interface AuthContextType {
   user: User | null;
   isAuthenticated: boolean;
   isLoading: boolean;
-  login: (email: string, password: string) => Promise<void>;
+  login: (email: string, password: string) => Promise<TwoFactorChallenge | null>;
+  verifyTwoFactor: (challengeToken: string, code: string) => Promise<void>;
+  finishTwoFactorEnrollment: (response: AuthResponse) => void;
   loginToTenant: (domain: string, email: string, password: string) => Promise<void>;
   register: (
     email: string,
@@ -99,12 +101,17 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
-  const login = async (email: string, password: string) => {
+  const login = async (email: string, password: string): Promise<TwoFactorChallenge | null> => {
     try {
       setIsLoading(true);
       setError(null);
       const response = await authService.login(email, password);
+      // Second factor needed: hand the challenge back to the login page
+      if (response.success && 'challengeToken' in response.data) {
+        return response.data;
+      }
       handleAuthResponse(response);
+      return null;
     } catch (error: any) {
       setError(error.response?.data?.message || error.message || 'Login failed');
       throw error;
@@ -113,6 +120,26 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken: string, code: string) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await authService.verifyTwoFactorLogin(challengeToken, code);
+      handleAuthResponse(response);
+    } catch (error: any) {
+      setError(error.response?.data?.message || error.message || 'Verification failed');
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Called once the user has saved the recovery codes shown after mandatory enrollment
+  const finishTwoFactorEnrollment = (response: AuthResponse) => {
+    authService.persistAuthResponse(response);
+    handleAuthResponse(response);
+  };
+
   const loginToTenant = async (domain: string, email: string, password: string) => {
     try {
       setIsLoading(true);
@@ -282,6 +309,8 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     isAuthenticated: !!user,
     isLoading,
     login,
+    verifyTwoFactor,
+    finishTwoFactorEnrollment,
     loginToTenant,
     register,
     googleAuth,
@@ -5,10 +5,12 @@ import { useAuth } from '../contexts/AuthContext';
 import InviteMembersDialog from '../components/InviteMembersDialog';
 import MembersTable from '../components/org/MembersTable'; 
 import ChatPanel from '../components/chat/ChatPanel';
-import { io } from 'socket.io-client';
+import NotificationBell from '../components/NotificationBell';
+import { io, Socket } from 'socket.io-client';
 import { fetchUsers, getInvitations } from '../services/adminService';
 import { AccountCircle, ExitToApp, People, Chat } from '@mui/icons-material';
 import Profile from '../pages/Profile';
+import { toast } from '../utils/toast';
 
 const Layout: React.FC = () => {
   const { user, logout } = useAuth();
@@ -31,6 +33,7 @@ const Layout: React.FC = () => {
   if (!user) return null;
 
   const [showInvite, setShowInvite] = useState(false);
+  const [socket, setSocket] = useState<Socket | null>(null);
   
   // Socket connection effect
   useEffect(() => {
@@ -38,9 +41,8 @@ const Layout: React.FC = () => {
 
     const baseUrl = (import.meta.env.VITE_API_URL || 'http://localhost:5000/api').replace(/\/api$/, '');
     const s = io(baseUrl, {
-      auth: {
-        token: localStorage.getItem('token'),
-      },
+      // Read the token on every (re)connect so refreshed access tokens are picked up
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
     });
     
     s.on('connect', () => {
@@ -50,9 +52,21 @@ const Layout: React.FC = () => {
     s.on('disconnect', () => {
       console.log('Disconnected from socket server');
     });
-    
+
+    // Server ended this session (revoked elsewhere, account deactivated or deleted)
+    s.on('session-terminated', ({ reason }: { reason?: string }) => {
+      toast.error(
+        reason === 'account_deactivated' || reason === 'account_deleted'
+          ? 'Your account is no longer active.'
+          : 'You have been signed out of this session.'
+      );
+      logout();
+    });
+
+    setSocket(s);
     return () => {
       s.disconnect();
+      setSocket(null);
     };
   }, [user]);
 
@@ -89,6 +103,8 @@ const Layout: React.FC = () => {
               {user.tenant.name}
             </div>
             
+            <NotificationBell socket={socket} />
+
             <div className="flex items-center gap-2">
               <span className="hidden sm:block text-sm">
                 {user.displayName}
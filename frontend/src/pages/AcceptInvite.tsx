@@ -2,13 +2,16 @@ import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { Button, CircularProgress, TextField } from '@mui/material';
-import { authService } from '../services/authService';
+import { useAuth } from '../contexts/AuthContext';
+import { authService, AuthResponse, TwoFactorChallenge, TwoFactorEnrollment } from '../services/authService';
+import { TwoFactorSetup, RecoveryCodesList } from '../components/TwoFactorSetup';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
 const AcceptInvite: React.FC = () => {
   const { inviteToken } = useParams<{ inviteToken: string }>();
   const navigate = useNavigate();
+  const { verifyTwoFactor, finishTwoFactorEnrollment } = useAuth();
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -18,6 +21,14 @@ const AcceptInvite: React.FC = () => {
   const [password, setPassword] = useState('');
   const [confirm, setConfirm] = useState('');
 
+  // Second step required by the account or organization (2FA code, or mandatory enrollment)
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [enrollment, setEnrollment] = useState<TwoFactorEnrollment | null>(null);
+  const [enrollmentResult, setEnrollmentResult] = useState<(AuthResponse & { data: { recoveryCodes: string[] } }) | null>(null);
+  const [twoFactorError, setTwoFactorError] = useState<string | null>(null);
+  const [twoFactorBusy, setTwoFactorBusy] = useState(false);
+
   useEffect(() => {
     if (!inviteToken) return;
     setLoading(true);
@@ -56,8 +67,17 @@ const AcceptInvite: React.FC = () => {
         displayName: displayName || email.split('@')[0],
       });
       const data = res.data?.data;
+      // The invitation is accepted; the session waits for the second step
+      if (data?.challengeToken) {
+        setChallenge(data);
+        if (data.twoFactorSetupRequired) {
+          setEnrollment(await authService.beginLoginTwoFactorEnrollment(data.challengeToken));
+        }
+        return;
+      }
       if (data?.token && data?.user) {
         authService.setToken(data.token);
+        authService.setRefreshToken(data.refreshToken);
         authService.setUser(data.user);
         navigate('/', { replace: true });
       } else {
@@ -70,6 +90,44 @@ const AcceptInvite: React.FC = () => {
     }
   };
 
+  const handleVerifyTwoFactor = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!challenge) return;
+
+    try {
+      setTwoFactorBusy(true);
+      setTwoFactorError(null);
+      await verifyTwoFactor(challenge.challengeToken, twoFactorCode.trim());
+      navigate('/', { replace: true });
+    } catch (err: any) {
+      setTwoFactorError(err?.response?.data?.message || err?.message || 'Verification failed');
+      setTwoFactorCode('');
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  };
+
+  const handleVerifyEnrollment = async () => {
+    if (!challenge) return;
+
+    try {
+      setTwoFactorBusy(true);
+      setTwoFactorError(null);
+      setEnrollmentResult(await authService.completeLoginTwoFactorEnrollment(challenge.challengeToken, twoFactorCode.trim()));
+    } catch (err: any) {
+      setTwoFactorError(err?.message || 'Verification failed');
+      setTwoFactorCode('');
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  };
+
+  const handleFinishEnrollment = () => {
+    if (!enrollmentResult) return;
+    finishTwoFactorEnrollment(enrollmentResult);
+    navigate('/', { replace: true });
+  };
+
   return (
     <div className="flex justify-center items-center min-h-screen p-4">
       <div className="bg-white rounded-lg shadow-lg p-8 max-w-lg w-full">
@@ -87,6 +145,63 @@ const AcceptInvite: React.FC = () => {
               Return to Login
             </Button>
           </>
+        ) : challenge ? (
+          <div>
+            {twoFactorError && <p className="text-red-600 mt-2 mb-4">{twoFactorError}</p>}
+            {enrollmentResult ? (
+              <>
+                <RecoveryCodesList codes={enrollmentResult.data.recoveryCodes} />
+                <Button fullWidth variant="contained" className="mt-6" onClick={handleFinishEnrollment}>
+                  I've saved my recovery codes
+                </Button>
+              </>
+            ) : challenge.twoFactorSetupRequired ? (
+              <>
+                <p className="text-gray-600 mb-4">
+                  You have joined {tenantName}. It requires two-factor authentication; set it up to finish signing in.
+                </p>
+                {enrollment ? (
+                  <TwoFactorSetup
+                    enrollment={enrollment}
+                    code={twoFactorCode}
+                    onCodeChange={setTwoFactorCode}
+                    onVerify={handleVerifyEnrollment}
+                    verifying={twoFactorBusy}
+                  />
+                ) : (
+                  <div className="flex justify-center"><CircularProgress size={24} /></div>
+                )}
+              </>
+            ) : (
+              <form onSubmit={handleVerifyTwoFactor} noValidate>
+                <p className="text-gray-600 mb-2">
+                  You have joined {tenantName}. Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                </p>
+                <TextField
+                  fullWidth
+                  autoFocus
+                  label="Authentication code"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  margin="normal"
+                  inputProps={{ autoComplete: 'one-time-code' }}
+                />
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  disabled={twoFactorBusy || !twoFactorCode.trim()}
+                  className="mt-6"
+                >
+                  {twoFactorBusy ? <CircularProgress size={24} color="inherit" /> : 'Verify'}
+                </Button>
+              </form>
+            )}
+            {/* The invitation is used up; a lost challenge continues from the sign-in page */}
+            <div className="text-center mt-4">
+              <Button size="small" onClick={() => navigate('/login', { replace: true })}>Go to sign in</Button>
+            </div>
+          </div>
         ) : (
           <form onSubmit={onSubmit}>
             <p className="text-gray-600 mb-4">
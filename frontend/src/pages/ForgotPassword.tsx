@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { TextField, Button, Alert, CircularProgress, InputAdornment } from '@mui/material';
+import { Email as EmailIcon } from '@mui/icons-material';
+import BrandLogo from '../components/BrandLogo';
+import { authService } from '../services/authService';
+
+const ForgotPassword: React.FC = () => {
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      await authService.requestPasswordReset(email);
+      setSubmitted(true);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to request password reset');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto max-w-sm">
+      <div className="min-h-screen flex items-center justify-center py-12">
+        <div className="bg-white p-8 w-full rounded-lg shadow-sm">
+          <div className="flex items-center gap-3 justify-center mb-4">
+            <BrandLogo size={32} />
+            <h1 className="text-xl font-bold">TeamHub</h1>
+          </div>
+          <p className="text-sm text-gray-600 text-center mb-6">
+            Reset your password
+          </p>
+
+          {error && (
+            <Alert severity="error" className="mb-6">
+              {error}
+            </Alert>
+          )}
+
+          {submitted ? (
+            <Alert severity="success">
+              If an account exists for <strong>{email}</strong>, we've sent a link to reset your password.
+              Check your inbox and spam folder.
+            </Alert>
+          ) : (
+            <form onSubmit={handleSubmit} noValidate>
+              <p className="text-sm text-gray-600 mb-2">
+                Enter the email address you sign in with and we'll send you a reset link.
+              </p>
+              <TextField
+                fullWidth
+                autoFocus
+                label="Email Address"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                margin="normal"
+                required
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <EmailIcon />
+                    </InputAdornment>
+                  ),
+                }}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={submitting}
+                className="mt-6 mb-4 py-3"
+              >
+                {submitting ? <CircularProgress size={24} color="inherit" /> : 'Send reset link'}
+              </Button>
+            </form>
+          )}
+
+          <div className="text-center mt-6">
+            <Link to="/login" className="text-sm text-inherit no-underline">
+              <strong>Back to sign in</strong>
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -18,10 +18,12 @@ import { useAuth } from '../contexts/AuthContext';
 import GoogleOAuthButtonDirect from '../components/GoogleOAuthButtonDirect';
 import MicrosoftOAuthButton from '../components/MicrosoftOAuthButton';
 import BrandLogo from '../components/BrandLogo';
+import { TwoFactorSetup, RecoveryCodesList } from '../components/TwoFactorSetup';
+import { authService, AuthResponse, TwoFactorChallenge, TwoFactorEnrollment } from '../services/authService';
 
 const Login: React.FC = () => {
   const navigate = useNavigate();
-  const { login, googleAuth, microsoftAuth, isLoading, error, clearError } = useAuth();
+  const { login, verifyTwoFactor, finishTwoFactorEnrollment, googleAuth, microsoftAuth, isLoading, error, clearError } = useAuth();
 
   const [formData, setFormData] = useState({
     email: '',
@@ -30,6 +32,14 @@ const Login: React.FC = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [formErrors, setFormErrors] = useState<Record<string, string>>({});
 
+  // Second login step (2FA code, or mandatory enrollment)
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [enrollment, setEnrollment] = useState<TwoFactorEnrollment | null>(null);
+  const [enrollmentResult, setEnrollmentResult] = useState<(AuthResponse & { data: { recoveryCodes: string[] } }) | null>(null);
+  const [twoFactorError, setTwoFactorError] = useState<string | null>(null);
+  const [twoFactorBusy, setTwoFactorBusy] = useState(false);
+
   const validateForm = () => {
     const errors: Record<string, string> = {};
 
@@ -77,7 +87,14 @@ const Login: React.FC = () => {
     }
 
     try {
-      await login(formData.email, formData.password);
+      const pendingChallenge = await login(formData.email, formData.password);
+      if (pendingChallenge) {
+        setChallenge(pendingChallenge);
+        if (pendingChallenge.twoFactorSetupRequired) {
+          setEnrollment(await authService.beginLoginTwoFactorEnrollment(pendingChallenge.challengeToken));
+        }
+        return;
+      }
       navigate('/dashboard');
     } catch (error: any) {
       console.error('Login failed:', error);
@@ -91,6 +108,53 @@ const Login: React.FC = () => {
     }
   };
 
+  const resetTwoFactor = () => {
+    setChallenge(null);
+    setEnrollment(null);
+    setEnrollmentResult(null);
+    setTwoFactorCode('');
+    setTwoFactorError(null);
+  };
+
+  const handleVerifyTwoFactor = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!challenge) return;
+
+    try {
+      setTwoFactorError(null);
+      await verifyTwoFactor(challenge.challengeToken, twoFactorCode.trim());
+      navigate('/dashboard');
+    } catch (error: any) {
+      console.error('Two-factor verification failed:', error);
+      setTwoFactorCode('');
+      // An expired challenge means the password step has to be repeated
+      if (error.response?.status === 401) {
+        resetTwoFactor();
+      }
+    }
+  };
+
+  const handleVerifyEnrollment = async () => {
+    if (!challenge) return;
+
+    try {
+      setTwoFactorBusy(true);
+      setTwoFactorError(null);
+      setEnrollmentResult(await authService.completeLoginTwoFactorEnrollment(challenge.challengeToken, twoFactorCode.trim()));
+    } catch (error: any) {
+      setTwoFactorError(error.message || 'Verification failed');
+      setTwoFactorCode('');
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  };
+
+  const handleFinishEnrollment = () => {
+    if (!enrollmentResult) return;
+    finishTwoFactorEnrollment(enrollmentResult);
+    navigate('/dashboard');
+  };
+
   const handleGoogleSuccess = async (token: string) => {
     try {
       await googleAuth(token);
@@ -147,96 +211,168 @@ const Login: React.FC = () => {
             </Alert>
           )}
 
-          <form onSubmit={handleSubmit} noValidate>
-            <TextField
-              fullWidth
-              label="Email Address"
-              type="email"
-              value={formData.email}
-              onChange={handleInputChange('email')}
-              error={!!formErrors.email}
-              helperText={formErrors.email}
-              margin="normal"
-              required
-              InputProps={{
-                startAdornment: (
-                  <InputAdornment position="start">
-                    <EmailIcon />
-                  </InputAdornment>
-                ),
-              }}
-            />
-
-            <TextField
-              fullWidth
-              label="Password"
-              type={showPassword ? 'text' : 'password'}
-              value={formData.password}
-              onChange={handleInputChange('password')}
-              error={!!formErrors.password}
-              helperText={formErrors.password}
-              margin="normal"
-              required
-              InputProps={{
-                startAdornment: (
-                  <InputAdornment position="start">
-                    <LockIcon />
-                  </InputAdornment>
-                ),
-                endAdornment: (
-                  <InputAdornment position="end">
-                    <IconButton
-                      aria-label="toggle password visibility"
-                      onClick={() => setShowPassword(!showPassword)}
-                      edge="end"
-                    >
-                      {showPassword ? <VisibilityOff /> : <Visibility />}
-                    </IconButton>
-                  </InputAdornment>
-                ),
-              }}
-            />
-
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              size="large"
-              disabled={isLoading}
-              className="mt-6 mb-4 py-3"
-            >
-              {isLoading ? (
-                <CircularProgress size={24} color="inherit" />
+          {twoFactorError && (
+            <Alert severity="error" className="mb-6">
+              {twoFactorError}
+            </Alert>
+          )}
+
+          {challenge ? (
+            <div>
+              {enrollmentResult ? (
+                <>
+                  <RecoveryCodesList codes={enrollmentResult.data.recoveryCodes} />
+                  <Button fullWidth variant="contained" size="large" className="mt-6" onClick={handleFinishEnrollment}>
+                    I've saved my recovery codes
+                  </Button>
+                </>
+              ) : challenge.twoFactorSetupRequired ? (
+                <>
+                  <p className="text-sm text-gray-600 mb-4">
+                    Your organization requires two-factor authentication. Set it up to finish signing in.
+                  </p>
+                  {enrollment ? (
+                    <TwoFactorSetup
+                      enrollment={enrollment}
+                      code={twoFactorCode}
+                      onCodeChange={setTwoFactorCode}
+                      onVerify={handleVerifyEnrollment}
+                      verifying={twoFactorBusy}
+                    />
+                  ) : (
+                    <div className="flex justify-center"><CircularProgress size={24} /></div>
+                  )}
+                </>
               ) : (
-                'Sign In'
+                <form onSubmit={handleVerifyTwoFactor} noValidate>
+                  <p className="text-sm text-gray-600 mb-2">
+                    Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                  </p>
+                  <TextField
+                    fullWidth
+                    autoFocus
+                    label="Authentication code"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    margin="normal"
+                    inputProps={{ autoComplete: 'one-time-code' }}
+                  />
+                  <Button
+                    type="submit"
+                    fullWidth
+                    variant="contained"
+                    size="large"
+                    disabled={isLoading || !twoFactorCode.trim()}
+                    className="mt-6 mb-4 py-3"
+                  >
+                    {isLoading ? <CircularProgress size={24} color="inherit" /> : 'Verify'}
+                  </Button>
+                </form>
               )}
-            </Button>
-          </form>
-
-          <div className="relative flex items-center justify-center my-8">
-            <div className="absolute inset-0 flex items-center">
-              <div className="w-full border-t border-gray-300"></div>
+              <div className="text-center mt-4">
+                <Button size="small" onClick={resetTwoFactor}>Back to sign in</Button>
+              </div>
             </div>
-            <div className="relative px-4 text-sm text-gray-500 bg-white">
-              Or continue with
-            </div>
-          </div>
+          ) : (
+            <>
+              <form onSubmit={handleSubmit} noValidate>
+                <TextField
+                  fullWidth
+                  label="Email Address"
+                  type="email"
+                  value={formData.email}
+                  onChange={handleInputChange('email')}
+                  error={!!formErrors.email}
+                  helperText={formErrors.email}
+                  margin="normal"
+                  required
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <EmailIcon />
+                      </InputAdornment>
+                    ),
+                  }}
+                />
+
+                <TextField
+                  fullWidth
+                  label="Password"
+                  type={showPassword ? 'text' : 'password'}
+                  value={formData.password}
+                  onChange={handleInputChange('password')}
+                  error={!!formErrors.password}
+                  helperText={formErrors.password}
+                  margin="normal"
+                  required
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <LockIcon />
+                      </InputAdornment>
+                    ),
+                    endAdornment: (
+                      <InputAdornment position="end">
+                        <IconButton
+                          aria-label="toggle password visibility"
+                          onClick={() => setShowPassword(!showPassword)}
+                          edge="end"
+                        >
+                          {showPassword ? <VisibilityOff /> : <Visibility />}
+                        </IconButton>
+                      </InputAdornment>
+                    ),
+                  }}
+                />
+
+                <div className="text-right mt-1">
+                  <Link to="/forgot-password" className="text-sm text-inherit no-underline">
+                    Forgot password?
+                  </Link>
+                </div>
 
-          <div className="flex flex-col gap-4">
-            <GoogleOAuthButtonDirect
-              onSuccess={handleGoogleSuccess}
-              onError={handleGoogleError}
-              text="Sign in with Google"
-              disabled={isLoading}
-            />
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  size="large"
+                  disabled={isLoading}
+                  className="mt-6 mb-4 py-3"
+                >
+                  {isLoading ? (
+                    <CircularProgress size={24} color="inherit" />
+                  ) : (
+                    'Sign In'
+                  )}
+                </Button>
+              </form>
+
+              <div className="relative flex items-center justify-center my-8">
+                <div className="absolute inset-0 flex items-center">
+                  <div className="w-full border-t border-gray-300"></div>
+                </div>
+                <div className="relative px-4 text-sm text-gray-500 bg-white">
+                  Or continue with
+                </div>
+              </div>
+
+              <div className="flex flex-col gap-4">
+                <GoogleOAuthButtonDirect
+                  onSuccess={handleGoogleSuccess}
+                  onError={handleGoogleError}
+                  text="Sign in with Google"
+                  disabled={isLoading}
+                />
             
-            <MicrosoftOAuthButton
-              onSuccess={handleMicrosoftSuccess}
-              onError={handleMicrosoftError}
-              text="Sign in with Microsoft"
-              disabled={isLoading}
-            />
-          </div>
+                <MicrosoftOAuthButton
+                  onSuccess={handleMicrosoftSuccess}
+                  onError={handleMicrosoftError}
+                  text="Sign in with Microsoft"
+                  disabled={isLoading}
+                />
+              </div>
+            </>
+          )}
 
           <div className="text-center mt-6">
             <p className="text-sm">
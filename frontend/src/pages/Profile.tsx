@@ -1,13 +1,102 @@
-import React, { useState } from 'react';
-import { Paper, Typography, Avatar, Box, TextField, Button } from '@mui/material';
+import React, { useCallback, useEffect, useState } from 'react';
+import { Paper, Typography, Avatar, Box, TextField, Button, List, ListItem, ListItemText, Chip, Divider, MenuItem } from '@mui/material';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { toast } from '../utils/toast';
+import { authService, UserSession, TwoFactorEnrollment, TwoFactorStatus } from '../services/authService';
+import { TwoFactorSetup, RecoveryCodesList } from '../components/TwoFactorSetup';
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getEmailDigestSettings,
+  updateEmailDigestSettings,
+  NotificationDefaults,
+  NotificationLevel,
+  EmailDigestFrequency,
+  EmailDigestSettings
+} from '../services/chatService';
+import { LEVEL_LABELS, MUTE_DURATIONS, muteEnd } from '../components/chat/ConversationNotificationsMenu';
+
+// Short, human-readable label for a session's user agent
+const describeDevice = (userAgent?: string | null) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : 'Browser';
+  const os = /Windows/.test(userAgent) ? 'Windows'
+    : /Android/.test(userAgent) ? 'Android'
+    : /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : 'Unknown OS';
+  return `${browser} on ${os}`;
+};
+
+const DIGEST_FREQUENCY_LABELS: Record<EmailDigestFrequency, string> = {
+  off: 'Never',
+  hourly: 'At most hourly',
+  daily: 'At most daily',
+  weekly: 'At most weekly'
+};
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const formatHour = (hour: number) => `${String(hour).padStart(2, '0')}:00`;
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
 
 const Profile: React.FC = () => {
   const { user } = useAuth();
   const [displayName, setDisplayName] = useState(user?.displayName || '');
   const [avatarUrl, setAvatarUrl] = useState(user?.avatarUrl || '');
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [twoFactor, setTwoFactor] = useState<TwoFactorStatus | null>(null);
+  const [enrollment, setEnrollment] = useState<TwoFactorEnrollment | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [notificationDefaults, setNotificationDefaults] = useState<NotificationDefaults | null>(null);
+  const [emailDigest, setEmailDigest] = useState<EmailDigestSettings | null>(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await authService.listSessions());
+    } catch (e) {
+      console.error('Failed to load sessions:', e);
+    }
+  }, []);
+
+  const loadTwoFactor = useCallback(async () => {
+    try {
+      setTwoFactor(await authService.getTwoFactorStatus());
+    } catch (e) {
+      console.error('Failed to load two-factor status:', e);
+    }
+  }, []);
+
+  const loadNotificationDefaults = useCallback(async () => {
+    try {
+      setNotificationDefaults(await getNotificationPreferences());
+    } catch (e) {
+      console.error('Failed to load notification preferences:', e);
+    }
+  }, []);
+
+  const loadEmailDigest = useCallback(async () => {
+    try {
+      setEmailDigest(await getEmailDigestSettings());
+    } catch (e) {
+      console.error('Failed to load email digest settings:', e);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadSessions();
+      loadTwoFactor();
+      loadNotificationDefaults();
+      loadEmailDigest();
+    }
+  }, [user, loadSessions, loadTwoFactor, loadNotificationDefaults, loadEmailDigest]);
 
   if (!user) return null;
 
@@ -23,6 +112,106 @@ const Profile: React.FC = () => {
     }
   };
 
+  const saveNotificationDefaults = async (changes: Partial<NotificationDefaults>) => {
+    try {
+      setNotificationDefaults(await updateNotificationPreferences(changes));
+      toast.success('Notification preferences updated');
+    } catch (e: any) {
+      toast.error(e.response?.data?.message || 'Failed to update notification preferences');
+    }
+  };
+
+  const saveEmailDigest = async (changes: Parameters<typeof updateEmailDigestSettings>[0]) => {
+    try {
+      setEmailDigest(await updateEmailDigestSettings(changes));
+      toast.success('Email digest settings updated');
+    } catch (e: any) {
+      toast.error(e.response?.data?.message || 'Failed to update email digest settings');
+    }
+  };
+
+  // Quiet hours need both ends; picking one fills in the other with an overnight default
+  const saveQuietHours = (start: number | null, end: number | null) => {
+    if (start === null || end === null) {
+      saveEmailDigest({ quietHoursStart: null, quietHoursEnd: null });
+      return;
+    }
+    saveEmailDigest({ quietHoursStart: start, quietHoursEnd: end, timeZone: emailDigest?.timeZone || browserTimeZone() });
+  };
+
+  const startEnrollment = async () => {
+    try {
+      setRecoveryCodes(null);
+      setTwoFactorCode('');
+      setEnrollment(await authService.startTwoFactorEnrollment());
+    } catch (e) {
+      console.error('Failed to start two-factor enrollment:', e);
+    }
+  };
+
+  const confirmEnrollment = async () => {
+    try {
+      setRecoveryCodes(await authService.confirmTwoFactorEnrollment(twoFactorCode.trim()));
+      setEnrollment(null);
+      setTwoFactorCode('');
+      await loadTwoFactor();
+    } catch (e) {
+      console.error('Failed to verify two-factor code:', e);
+    }
+  };
+
+  const regenerateCodes = async () => {
+    try {
+      setRecoveryCodes(await authService.regenerateRecoveryCodes(twoFactorCode.trim()));
+      setTwoFactorCode('');
+      await loadTwoFactor();
+    } catch (e) {
+      console.error('Failed to regenerate recovery codes:', e);
+    }
+  };
+
+  const disableTwoFactor = async () => {
+    try {
+      await authService.disableTwoFactor(twoFactorCode.trim());
+      setRecoveryCodes(null);
+      setTwoFactorCode('');
+      await loadTwoFactor();
+    } catch (e) {
+      console.error('Failed to disable two-factor authentication:', e);
+    }
+  };
+
+  const resendVerification = async () => {
+    try {
+      await authService.resendVerificationEmail();
+    } catch (e) {
+      console.error('Failed to resend verification email:', e);
+    }
+  };
+
+  const revokeSession = async (session: UserSession) => {
+    try {
+      await authService.revokeSession(session.id);
+      if (session.current) {
+        authService.logout();
+        window.location.href = '/login';
+        return;
+      }
+      await loadSessions();
+    } catch (e) {
+      console.error('Failed to revoke session:', e);
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    try {
+      await authService.revokeOtherSessions();
+      await loadSessions();
+    } catch (e) {
+      console.error('Failed to revoke sessions:', e);
+    }
+  };
+
   return (
     <Paper sx={{ p: 3 }}>
       <Typography variant="h6" sx={{ mb: 2 }}>Profile</Typography>
@@ -32,6 +221,217 @@ const Profile: React.FC = () => {
       </Box>
       <TextField label="Display Name" value={displayName} onChange={(e) => setDisplayName(e.target.value)} fullWidth sx={{ mb: 2 }} />
       <Button variant="contained" onClick={save}>Save Changes</Button>
+
+      <Divider sx={{ my: 3 }} />
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Typography variant="h6">Email</Typography>
+        <Chip
+          label={user.emailVerified ? 'Verified' : 'Not verified'}
+          size="small"
+          color={user.emailVerified ? 'success' : 'warning'}
+        />
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {user.email}
+      </Typography>
+      {!user.emailVerified && (
+        <Button onClick={resendVerification}>Resend verification email</Button>
+      )}
+
+      <Divider sx={{ my: 3 }} />
+      <Typography variant="h6" sx={{ mb: 1 }}>Notifications</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Applies to every conversation you have not set on its own.
+      </Typography>
+      {notificationDefaults && (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField
+            select
+            size="small"
+            label="Notify me about"
+            value={notificationDefaults.notificationLevel}
+            onChange={(e) => saveNotificationDefaults({ notificationLevel: e.target.value as NotificationLevel })}
+            sx={{ minWidth: 200 }}
+          >
+            {(Object.keys(LEVEL_LABELS) as NotificationLevel[]).map(level => (
+              <MenuItem key={level} value={level}>{LEVEL_LABELS[level]}</MenuItem>
+            ))}
+          </TextField>
+          {notificationDefaults.notificationsMutedUntil ? (
+            <>
+              <Typography variant="body2" color="text.secondary">
+                Paused until {new Date(notificationDefaults.notificationsMutedUntil).toLocaleString()}
+              </Typography>
+              <Button onClick={() => saveNotificationDefaults({ notificationsMutedUntil: null })}>Resume</Button>
+            </>
+          ) : (
+            <TextField
+              select
+              size="small"
+              label="Pause all notifications"
+              value=""
+              onChange={(e) => saveNotificationDefaults({ notificationsMutedUntil: muteEnd(Number(e.target.value)) })}
+              sx={{ minWidth: 200 }}
+            >
+              {MUTE_DURATIONS.map(duration => (
+                <MenuItem key={duration.hours} value={duration.hours}>For {duration.label}</MenuItem>
+              ))}
+            </TextField>
+          )}
+        </Box>
+      )}
+      {emailDigest?.enabled && (
+        <>
+          <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>Email digests</Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {user.emailVerified
+              ? 'When you are away, we email you a summary of unread mentions and direct messages.'
+              : 'Verify your email address to receive summaries of unread mentions and direct messages.'}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+            <TextField
+              select
+              size="small"
+              label="Send digests"
+              value={emailDigest.frequency}
+              onChange={(e) => saveEmailDigest({ frequency: e.target.value as EmailDigestFrequency })}
+              sx={{ minWidth: 200 }}
+            >
+              {(Object.keys(DIGEST_FREQUENCY_LABELS) as EmailDigestFrequency[]).map(frequency => (
+                <MenuItem key={frequency} value={frequency}>{DIGEST_FREQUENCY_LABELS[frequency]}</MenuItem>
+              ))}
+            </TextField>
+            {emailDigest.frequency !== 'off' && (
+              <>
+                <TextField
+                  select
+                  size="small"
+                  label="Quiet from"
+                  value={emailDigest.quietHoursStart ?? ''}
+                  onChange={(e) => e.target.value === ''
+                    ? saveQuietHours(null, null)
+                    : saveQuietHours(Number(e.target.value), emailDigest.quietHoursEnd ?? 7)}
+                  sx={{ minWidth: 140 }}
+                >
+                  <MenuItem value="">No quiet hours</MenuItem>
+                  {HOURS.map(hour => <MenuItem key={hour} value={hour}>{formatHour(hour)}</MenuItem>)}
+                </TextField>
+                <TextField
+                  select
+                  size="small"
+                  label="Until"
+                  value={emailDigest.quietHoursEnd ?? ''}
+                  onChange={(e) => saveQuietHours(emailDigest.quietHoursStart ?? 22, Number(e.target.value))}
+                  disabled={emailDigest.quietHoursStart === null}
+                  sx={{ minWidth: 140 }}
+                >
+                  {HOURS.map(hour => <MenuItem key={hour} value={hour}>{formatHour(hour)}</MenuItem>)}
+                </TextField>
+                {emailDigest.quietHoursStart !== null && (
+                  <Typography variant="body2" color="text.secondary">
+                    {emailDigest.timeZone || 'UTC'}
+                    {emailDigest.timeZone !== browserTimeZone() && (
+                      <Button size="small" onClick={() => saveEmailDigest({ timeZone: browserTimeZone() })}>
+                        Use {browserTimeZone()}
+                      </Button>
+                    )}
+                  </Typography>
+                )}
+              </>
+            )}
+          </Box>
+        </>
+      )}
+
+      <Divider sx={{ my: 3 }} />
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Typography variant="h6">Two-factor authentication</Typography>
+        {twoFactor && (
+          <Chip
+            label={twoFactor.enabled ? 'Enabled' : 'Disabled'}
+            size="small"
+            color={twoFactor.enabled ? 'success' : 'default'}
+          />
+        )}
+      </Box>
+      {twoFactor?.required && !twoFactor.enabled && (
+        <Typography variant="body2" color="warning.main" sx={{ mb: 1 }}>
+          Your organization requires two-factor authentication.
+        </Typography>
+      )}
+      {recoveryCodes && (
+        <Box sx={{ mb: 2 }}>
+          <RecoveryCodesList codes={recoveryCodes} />
+        </Box>
+      )}
+      {twoFactor && !twoFactor.enabled && (
+        enrollment ? (
+          <Box sx={{ maxWidth: 360 }}>
+            <TwoFactorSetup
+              enrollment={enrollment}
+              code={twoFactorCode}
+              onCodeChange={setTwoFactorCode}
+              onVerify={confirmEnrollment}
+            />
+          </Box>
+        ) : (
+          <Button variant="outlined" onClick={startEnrollment}>Set up authenticator app</Button>
+        )
+      )}
+      {twoFactor?.enabled && (
+        <Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            {twoFactor.recoveryCodesRemaining} recovery code(s) remaining. Enter a current code to manage two-factor authentication.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+            <TextField
+              size="small"
+              label="Authentication code"
+              value={twoFactorCode}
+              onChange={(e) => setTwoFactorCode(e.target.value)}
+              inputProps={{ autoComplete: 'one-time-code' }}
+            />
+            <Button onClick={regenerateCodes} disabled={!twoFactorCode.trim()}>New recovery codes</Button>
+            <Button color="error" onClick={disableTwoFactor} disabled={!twoFactorCode.trim() || twoFactor.required}>
+              Disable
+            </Button>
+          </Box>
+        </Box>
+      )}
+
+      <Divider sx={{ my: 3 }} />
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="h6">Active sessions</Typography>
+        <Button size="small" color="error" onClick={revokeOtherSessions} disabled={sessions.length <= 1}>
+          Sign out other devices
+        </Button>
+      </Box>
+      <List dense>
+        {sessions.map((session) => (
+          <ListItem
+            key={session.id}
+            divider
+            secondaryAction={
+              <Button size="small" color="error" onClick={() => revokeSession(session)}>
+                {session.current ? 'Sign out' : 'Revoke'}
+              </Button>
+            }
+          >
+            <ListItemText
+              primary={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {describeDevice(session.userAgent)}
+                  {session.current && <Chip label="This device" size="small" color="primary" />}
+                </Box>
+              }
+              secondary={`${session.ipAddress || 'Unknown IP'} · Last active ${new Date(session.lastUsedAt).toLocaleString()}`}
+            />
+          </ListItem>
+        ))}
+        {sessions.length === 0 && (
+          <Typography variant="body2" color="text.secondary">No active sessions</Typography>
+        )}
+      </List>
     </Paper>
   );
 };
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { TextField, Button, Alert, CircularProgress } from '@mui/material';
+import BrandLogo from '../components/BrandLogo';
+import { authService } from '../services/authService';
+
+const ResetPassword: React.FC = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(token ? null : 'This reset link is invalid. Please request a new one.');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+    if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
+      setError('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+      return;
+    }
+    if (password !== confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      await authService.resetPassword(token, password);
+      navigate('/login', { replace: true });
+    } catch (err: any) {
+      setError(err?.message || 'Failed to reset password');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto max-w-sm">
+      <div className="min-h-screen flex items-center justify-center py-12">
+        <div className="bg-white p-8 w-full rounded-lg shadow-sm">
+          <div className="flex items-center gap-3 justify-center mb-4">
+            <BrandLogo size={32} />
+            <h1 className="text-xl font-bold">TeamHub</h1>
+          </div>
+          <p className="text-sm text-gray-600 text-center mb-6">
+            Choose a new password
+          </p>
+
+          {error && (
+            <Alert severity="error" className="mb-6">
+              {error}
+            </Alert>
+          )}
+
+          {token && (
+            <form onSubmit={handleSubmit} noValidate>
+              <TextField
+                fullWidth
+                autoFocus
+                label="New password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                margin="normal"
+                helperText="At least 6 characters with an uppercase letter, a lowercase letter and a number"
+                inputProps={{ autoComplete: 'new-password' }}
+              />
+              <TextField
+                fullWidth
+                label="Confirm new password"
+                type="password"
+                value={confirm}
+                onChange={(e) => setConfirm(e.target.value)}
+                margin="normal"
+                inputProps={{ autoComplete: 'new-password' }}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={submitting}
+                className="mt-6 mb-4 py-3"
+              >
+                {submitting ? <CircularProgress size={24} color="inherit" /> : 'Reset password'}
+              </Button>
+            </form>
+          )}
+
+          <div className="text-center mt-6">
+            <Link to="/forgot-password" className="text-sm text-inherit no-underline">
+              <strong>Request a new link</strong>
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
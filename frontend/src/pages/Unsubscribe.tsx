@@ -0,0 +1,75 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Button, Alert, CircularProgress } from '@mui/material';
+import BrandLogo from '../components/BrandLogo';
+import { authService } from '../services/authService';
+import { unsubscribeEmailDigest } from '../services/chatService';
+
+const Unsubscribe: React.FC = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState<'unsubscribing' | 'unsubscribed' | 'failed'>(token ? 'unsubscribing' : 'failed');
+  const [email, setEmail] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(token ? null : 'This unsubscribe link is invalid.');
+  // Make sure a double-mounted effect only submits once
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+    unsubscribeEmailDigest(token)
+      .then((result) => {
+        setEmail(result.email);
+        setStatus('unsubscribed');
+      })
+      .catch((err: any) => {
+        setError(err?.response?.data?.message || 'Failed to unsubscribe');
+        setStatus('failed');
+      });
+  }, [token]);
+
+  const isAuthenticated = authService.isAuthenticated();
+
+  return (
+    <div className="container mx-auto max-w-sm">
+      <div className="min-h-screen flex items-center justify-center py-12">
+        <div className="bg-white p-8 w-full rounded-lg shadow-sm">
+          <div className="flex items-center gap-3 justify-center mb-4">
+            <BrandLogo size={32} />
+            <h1 className="text-xl font-bold">TeamHub</h1>
+          </div>
+          <p className="text-sm text-gray-600 text-center mb-6">
+            Unread message digests
+          </p>
+
+          {status === 'unsubscribing' && (
+            <div className="flex justify-center py-6"><CircularProgress size={24} /></div>
+          )}
+          {status === 'unsubscribed' && (
+            <Alert severity="success" className="mb-6">
+              {email} will no longer receive unread message digests. You can turn them back on from your profile.
+            </Alert>
+          )}
+          {status === 'failed' && (
+            <Alert severity="error" className="mb-6">
+              {error} You can turn digests off from your profile.
+            </Alert>
+          )}
+
+          {status !== 'unsubscribing' && (
+            <Button
+              fullWidth
+              variant="contained"
+              onClick={() => navigate(isAuthenticated ? '/profile' : '/login', { replace: true })}
+            >
+              {isAuthenticated ? 'Go to your profile' : 'Go to sign in'}
+            </Button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Unsubscribe;
@@ -0,0 +1,71 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Button, Alert, CircularProgress } from '@mui/material';
+import BrandLogo from '../components/BrandLogo';
+import { authService } from '../services/authService';
+
+const VerifyEmail: React.FC = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>(token ? 'verifying' : 'failed');
+  const [error, setError] = useState<string | null>(token ? null : 'This verification link is invalid.');
+  // Tokens are single-use; make sure a double-mounted effect only submits once
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+    authService
+      .verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((err: any) => {
+        setError(err?.message || 'Failed to verify email address');
+        setStatus('failed');
+      });
+  }, [token]);
+
+  const isAuthenticated = authService.isAuthenticated();
+
+  return (
+    <div className="container mx-auto max-w-sm">
+      <div className="min-h-screen flex items-center justify-center py-12">
+        <div className="bg-white p-8 w-full rounded-lg shadow-sm">
+          <div className="flex items-center gap-3 justify-center mb-4">
+            <BrandLogo size={32} />
+            <h1 className="text-xl font-bold">TeamHub</h1>
+          </div>
+          <p className="text-sm text-gray-600 text-center mb-6">
+            Email verification
+          </p>
+
+          {status === 'verifying' && (
+            <div className="flex justify-center py-6"><CircularProgress size={24} /></div>
+          )}
+          {status === 'verified' && (
+            <Alert severity="success" className="mb-6">
+              Your email address has been verified.
+            </Alert>
+          )}
+          {status === 'failed' && (
+            <Alert severity="error" className="mb-6">
+              {error} {isAuthenticated ? 'You can request a new link from your profile.' : 'Sign in to request a new link.'}
+            </Alert>
+          )}
+
+          {status !== 'verifying' && (
+            <Button
+              fullWidth
+              variant="contained"
+              onClick={() => navigate(isAuthenticated ? '/chat' : '/login', { replace: true })}
+            >
+              {isAuthenticated ? 'Continue to TeamHub' : 'Go to sign in'}
+            </Button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { authService } from './authService';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -13,12 +14,26 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    if (error.response?.status === 401) {
+      const retried = await authService.retryWithFreshToken(error, api);
+      if (retried) {
+        return retried;
+      }
+    }
+    return Promise.reject(error);
+  }
+);
+
 export interface OrgUser {
   id: string;
   email: string;
   displayName: string;
   role: 'admin' | 'moderator' | 'member' | 'guest';
   isActive: boolean;
+  twoFactorEnabled?: boolean;
   avatarUrl?: string;
   lastLoginAt?: string;
   createdAt: string;
@@ -29,8 +44,33 @@ export async function fetchUsers(page = 1, limit = 20, search = '') {
   return res.data.data as { users: OrgUser[]; pagination: any };
 }
 
-export async function sendInvitation(email: string, role: string = 'member') {
-  const res = await api.post('/admin/invitations', { email, role });
+export interface CustomRole {
+  id: string;
+  name: string;
+  description?: string | null;
+  isDefault: boolean;
+  permissions: string[];
+  memberCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PermissionInfo {
+  name: string;
+  description: string;
+  builtInRoles: OrgUser['role'][];
+}
+
+export interface UserAccess {
+  userId: string;
+  role: OrgUser['role'];
+  roles: { id: string; name: string; assignedAt: string }[];
+  overrides: { grant: string[]; deny: string[] };
+  effectivePermissions: string[];
+}
+
+export async function sendInvitation(email: string, role: string = 'member', roleIds: string[] = []) {
+  const res = await api.post('/admin/invitations', { email, role, roleIds });
   return res.data.data.invitation as { inviteToken: string; inviteUrl: string; email: string };
 }
 
@@ -44,16 +84,80 @@ export async function revokeInvitation(invitationId: string) {
   return res.data;
 }
 
-export async function updateUserRole(userId: string, role: OrgUser['role'], permissions: string[] = []) {
+export async function updateUserRole(userId: string, role: OrgUser['role'], permissions?: string[]) {
   const res = await api.put(`/admin/users/${userId}/role`, { role, permissions });
   return res.data.data.user as OrgUser;
 }
 
+export async function getPermissionCatalog() {
+  const res = await api.get('/admin/permissions');
+  return res.data.data.permissions as PermissionInfo[];
+}
+
+export async function getRoles() {
+  const res = await api.get('/admin/roles');
+  return res.data.data.roles as CustomRole[];
+}
+
+export async function createRole(role: Pick<CustomRole, 'name' | 'permissions'> & Partial<Pick<CustomRole, 'description' | 'isDefault'>>) {
+  const res = await api.post('/admin/roles', role);
+  return res.data.data.role as CustomRole;
+}
+
+export async function updateRole(roleId: string, updates: Partial<Pick<CustomRole, 'name' | 'description' | 'permissions' | 'isDefault'>>) {
+  const res = await api.put(`/admin/roles/${roleId}`, updates);
+  return res.data.data.role as CustomRole;
+}
+
+export async function deleteRole(roleId: string) {
+  await api.delete(`/admin/roles/${roleId}`);
+}
+
+export async function getUserAccess(userId: string) {
+  const res = await api.get(`/admin/users/${userId}/permissions`);
+  return res.data.data as UserAccess;
+}
+
+export async function updateUserRoles(userId: string, roleIds: string[]) {
+  const res = await api.put(`/admin/users/${userId}/roles`, { roleIds });
+  return res.data.data as UserAccess;
+}
+
+export async function updateUserPermissions(userId: string, overrides: UserAccess['overrides']) {
+  const res = await api.put(`/admin/users/${userId}/permissions`, overrides);
+  return res.data.data as UserAccess;
+}
+
 export async function updateUserStatus(userId: string, isActive: boolean) {
   const res = await api.put(`/admin/users/${userId}/status`, { isActive });
   return res.data.data?.user as OrgUser | undefined;
 }
 
+export async function resetUserTwoFactor(userId: string, reason?: string) {
+  await api.post(`/admin/users/${userId}/2fa/reset`, { reason });
+}
+
+export async function getSecuritySettings() {
+  const res = await api.get('/admin/security');
+  return res.data.data as { requireTwoFactor: boolean; twoFactorEnrollment: { enrolledUsers: number; totalUsers: number } };
+}
+
+export async function updateSecuritySettings(requireTwoFactor: boolean) {
+  const res = await api.put('/admin/security', { requireTwoFactor });
+  return res.data.data as { requireTwoFactor: boolean };
+}
+
+export async function getMentionSettings() {
+  const res = await api.get('/admin/mentions');
+  return res.data.data as { channelMentionLimit: number | null };
+}
+
+// Above channelMentionLimit members only owners and moderators can use @here and @channel; null lifts the limit
+export async function updateMentionSettings(channelMentionLimit: number | null) {
+  const res = await api.put('/admin/mentions', { channelMentionLimit });
+  return res.data.data as { channelMentionLimit: number | null };
+}
+
 export async function updateMyProfile(userId: string, updates: Partial<Pick<OrgUser, 'displayName' | 'avatarUrl'>>) {
   const res = await api.put(`/users/${userId}`, updates);
   return res.data.data as OrgUser;
@@ -1,5 +1,5 @@
 /// <reference types="vite/client" />
-import axios, { AxiosResponse } from 'axios';
+import axios, { AxiosInstance, AxiosResponse } from 'axios';
 import { PublicClientApplication } from '@azure/msal-browser';
 
 interface ApiError extends Error {
@@ -31,6 +31,8 @@ export interface User {
     settings?: any;
   };
   isFirstUser?: boolean;
+  emailVerified?: boolean;
+  effectivePermissions?: string[];
   createdAt: string;
   lastLoginAt?: string;
 }
@@ -41,9 +43,45 @@ export interface AuthResponse {
   data: {
     user: User;
     token: string;
+    refreshToken: string;
   };
 }
 
+// Returned by login when a second factor is needed instead of a token pair
+export interface TwoFactorChallenge {
+  twoFactorRequired?: boolean;
+  twoFactorSetupRequired?: boolean;
+  challengeToken: string;
+}
+
+export interface LoginResponse {
+  success: boolean;
+  message: string;
+  data: AuthResponse['data'] | TwoFactorChallenge;
+}
+
+export interface TwoFactorEnrollment {
+  secret: string;
+  otpauthUri: string;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt?: string | null;
+  recoveryCodesRemaining: number;
+  required: boolean;
+}
+
+export interface UserSession {
+  id: string;
+  userAgent?: string | null;
+  ipAddress?: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
 export interface TenantInfo {
   id: string;
   name: string;
@@ -101,7 +139,12 @@ msalInstance.initialize().catch(error => {
   console.error('MSAL initialization failed:', error);
 });
 
+// Endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
 class AuthService {
+  private refreshPromise: Promise<string | null> | null = null;
+
   private readonly apiClient = axios.create({
     baseURL: API_BASE,
     headers: {
@@ -134,8 +177,12 @@ class AuthService {
         } catch {}
         return response;
       },
-      (error) => {
+      async (error) => {
         if (error.response?.status === 401) {
+          const retried = await this.retryWithFreshToken(error, this.apiClient);
+          if (retried) {
+            return retried;
+          }
           // Silent logout; let route guards handle navigation to login
           this.logout();
         }
@@ -170,6 +217,68 @@ class AuthService {
     localStorage.removeItem('token');
   }
 
+  getRefreshToken(): string | null {
+    return localStorage.getItem('refreshToken');
+  }
+
+  setRefreshToken(refreshToken?: string): void {
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+  }
+
+  removeRefreshToken(): void {
+    localStorage.removeItem('refreshToken');
+  }
+
+  // Exchange the refresh token for a new token pair; concurrent callers share one request
+  refreshAccessToken(): Promise<string | null> {
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      return Promise.resolve(null);
+    }
+
+    this.refreshPromise = axios
+      .post(`${API_BASE}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        this.setToken(token);
+        this.setRefreshToken(nextRefreshToken);
+        return token as string;
+      })
+      .catch((error) => {
+        console.error('Token refresh failed:', error);
+        this.logout();
+        return null;
+      })
+      .finally(() => {
+        this.refreshPromise = null;
+      });
+
+    return this.refreshPromise;
+  }
+
+  // Replay a request that failed with 401 once a fresh access token is available
+  async retryWithFreshToken(error: any, client: AxiosInstance): Promise<AxiosResponse | null> {
+    const request = error.config;
+    if (!request || request._retry || NO_REFRESH_PATHS.some((path) => request.url?.includes(path))) {
+      return null;
+    }
+
+    const token = await this.refreshAccessToken();
+    if (!token) {
+      return null;
+    }
+
+    request._retry = true;
+    request.headers = { ...request.headers, Authorization: `Bearer ${token}` };
+    return client(request);
+  }
+
   // User Management
   getUser(): User | null {
     const userStr = localStorage.getItem('user');
@@ -192,6 +301,7 @@ class AuthService {
 
   logout(): void {
     this.removeToken();
+    this.removeRefreshToken();
     this.removeUser();
   }
 
@@ -222,26 +332,105 @@ class AuthService {
     
     if (response.data.success) {
       this.setToken(response.data.data.token);
+      this.setRefreshToken(response.data.data.refreshToken);
       this.setUser(response.data.data.user);
     }
     
     return response.data;
   }
 
-  async login(email: string, password: string): Promise<AuthResponse> {
+  async login(email: string, password: string): Promise<LoginResponse> {
     const response = await this.apiClient.post('/auth/login', {
       email,
       password,
     });
     
-    if (response.data.success) {
-      this.setToken(response.data.data.token);
-      this.setUser(response.data.data.user);
+    // A challenge response carries no tokens; the second step completes the login
+    if (response.data.success && response.data.data.token) {
+      this.persistAuthResponse(response.data);
     }
     
     return response.data;
   }
 
+  persistAuthResponse(response: AuthResponse): void {
+    this.setToken(response.data.token);
+    this.setRefreshToken(response.data.refreshToken);
+    this.setUser(response.data.user);
+  }
+
+  // Two-factor login steps
+  async verifyTwoFactorLogin(challengeToken: string, code: string): Promise<AuthResponse> {
+    const response = await this.apiClient.post('/auth/login/2fa', { challengeToken, code });
+
+    if (response.data.success) {
+      this.persistAuthResponse(response.data);
+    }
+
+    return response.data;
+  }
+
+  async beginLoginTwoFactorEnrollment(challengeToken: string): Promise<TwoFactorEnrollment> {
+    const response = await this.apiClient.post('/auth/login/2fa/enroll', { challengeToken });
+    return response.data.data;
+  }
+
+  // Not persisted here: the caller shows the recovery codes first, then calls persistAuthResponse
+  async completeLoginTwoFactorEnrollment(
+    challengeToken: string,
+    code: string
+  ): Promise<AuthResponse & { data: { recoveryCodes: string[] } }> {
+    const response = await this.apiClient.post('/auth/login/2fa/enroll/verify', { challengeToken, code });
+    return response.data;
+  }
+
+  // Two-factor management
+  async getTwoFactorStatus(): Promise<TwoFactorStatus> {
+    const response = await this.apiClient.get('/auth/2fa');
+    return response.data.data.twoFactor;
+  }
+
+  async startTwoFactorEnrollment(): Promise<TwoFactorEnrollment> {
+    const response = await this.apiClient.post('/auth/2fa/enroll');
+    return response.data.data;
+  }
+
+  async confirmTwoFactorEnrollment(code: string): Promise<string[]> {
+    const response = await this.apiClient.post('/auth/2fa/verify', { code });
+    return response.data.data.recoveryCodes;
+  }
+
+  async disableTwoFactor(code: string): Promise<void> {
+    await this.apiClient.post('/auth/2fa/disable', { code });
+  }
+
+  async regenerateRecoveryCodes(code: string): Promise<string[]> {
+    const response = await this.apiClient.post('/auth/2fa/recovery-codes', { code });
+    return response.data.data.recoveryCodes;
+  }
+
+  // Password reset
+  async requestPasswordReset(email: string): Promise<void> {
+    await this.apiClient.post('/auth/password/forgot', { email });
+  }
+
+  async resetPassword(token: string, password: string): Promise<void> {
+    await this.apiClient.post('/auth/password/reset', { token, password });
+  }
+
+  // Email verification
+  async verifyEmail(token: string): Promise<void> {
+    await this.apiClient.post('/auth/email/verify', { token });
+    const user = this.getUser();
+    if (user) {
+      this.setUser({ ...user, emailVerified: true });
+    }
+  }
+
+  async resendVerificationEmail(): Promise<void> {
+    await this.apiClient.post('/auth/email/verify/resend');
+  }
+
   async loginToTenant(domain: string, email: string, password: string): Promise<AuthResponse> {
     const response = await this.apiClient.post(`/auth/tenant/${domain}/login`, {
       email,
@@ -250,6 +439,7 @@ class AuthService {
     
     if (response.data.success) {
       this.setToken(response.data.data.token);
+      this.setRefreshToken(response.data.data.refreshToken);
       this.setUser(response.data.data.user);
     }
     
@@ -301,6 +491,7 @@ class AuthService {
     
     if (response.data.success) {
       this.setToken(response.data.data.token);
+      this.setRefreshToken(response.data.data.refreshToken);
       this.setUser(response.data.data.user);
     }
     
@@ -314,6 +505,7 @@ class AuthService {
     
     if (response.data.success) {
       this.setToken(response.data.data.token);
+      this.setRefreshToken(response.data.data.refreshToken);
       this.setUser(response.data.data.user);
     }
     
@@ -332,6 +524,7 @@ class AuthService {
     
     if (response.data.success) {
       this.setToken(response.data.data.token);
+      this.setRefreshToken(response.data.data.refreshToken);
       this.setUser(response.data.data.user);
     }
     
@@ -345,6 +538,7 @@ class AuthService {
     
     if (response.data.success) {
       this.setToken(response.data.data.token);
+      this.setRefreshToken(response.data.data.refreshToken);
       this.setUser(response.data.data.user);
     }
     
@@ -401,6 +595,21 @@ class AuthService {
     }
   }
 
+  // Sessions
+  async listSessions(): Promise<UserSession[]> {
+    const response = await this.apiClient.get('/auth/sessions');
+    return response.data.data.sessions;
+  }
+
+  async revokeSession(sessionId: string): Promise<void> {
+    await this.apiClient.delete(`/auth/sessions/${sessionId}`);
+  }
+
+  async revokeOtherSessions(): Promise<number> {
+    const response = await this.apiClient.delete('/auth/sessions');
+    return response.data.data.revokedCount;
+  }
+
   // Extract user ID from JWT token
   private getUserIdFromToken(token: string): string | null {
     try {
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { authService } from './authService';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -13,11 +14,16 @@ api.interceptors.request.use((config) => {
 // Add response interceptor for better error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     console.error('API Error:', error);
     if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
+      // Access token expired: refresh once and replay the request
+      const retried = await authService.retryWithFreshToken(error, api);
+      if (retried) {
+        return retried;
+      }
+      // Refresh token expired or session revoked
+      authService.logout();
       window.location.href = '/login';
     }
     return Promise.reject(error);
@@ -40,22 +46,143 @@ export interface Message {
   createdAt: string;
 }
 
-export async function listConversations(page = 1, limit = 50) {
-  const res = await api.get('/messages/conversations', { params: { page, limit } });
-  return res.data.data;
+export interface ScheduledMessage {
+  id: string;
+  conversationId: string;
+  senderId: string;
+  messageText?: string;
+  messageType: 'text' | 'file';
+  sendAt: string;
+  status: 'pending' | 'processing' | 'sent' | 'cancelled' | 'failed';
+  attempts: number;
+  lastError?: string | null;
+  messageId?: string | null;
+  sentAt?: string | null;
+  createdAt: string;
 }
 
-export async function createConversation(name: string, participantIds: string[], isGroup = true) {
-  const res = await api.post('/messages/conversations', { name, participantIds, isGroup });
+export async function listConversations(page = 1, limit = 50, archived = false) {
+  const res = await api.get('/messages/conversations', { params: { page, limit, archived } });
   return res.data.data;
 }
 
-export async function getMessages(conversationId: string, page = 1, limit = 50) {
-  const res = await api.get(`/messages/conversations/${conversationId}/messages`, { params: { page, limit } });
+export async function createConversation(name: string, participantIds: string[], isGroup = true, visibility?: ConversationVisibility) {
+  const res = await api.post('/messages/conversations', { name, participantIds, isGroup, visibility });
   return res.data.data;
 }
 
-export async function sendMessage(conversationId: string, messageText: string) {
+// Pass at most one of before, after, around or anchor; with none the latest page is returned
+export interface MessageHistoryOptions {
+  before?: string;
+  after?: string;
+  around?: string;
+  anchor?: 'first-unread';
+  threadId?: string;
+  limit?: number;
+}
+
+export interface MessageHistory {
+  messages: any[];
+  anchorId: string | null;
+  pagination: {
+    limit: number;
+    hasMoreBefore: boolean;
+    hasMoreAfter: boolean;
+    oldestId: string | null;
+    newestId: string | null;
+  };
+  readCursor: { lastReadMessageId: string | null; lastReadAt: string | null } | null;
+}
+
+export async function getMessages(conversationId: string, options: MessageHistoryOptions = {}) {
+  const res = await api.get(`/messages/conversations/${conversationId}/messages`, { params: options });
+  return res.data.data as MessageHistory;
+}
+
+export interface MessageAttachment {
+  id: string;
+  name: string;
+  fileType: string;
+  size: number;
+  width?: number | null;
+  height?: number | null;
+  duration?: number | null;
+  uploadedAt?: string;
+  downloadUrl: string;
+}
+
+// Upload files for attaching to a message; send their IDs as attachmentIds
+export async function uploadFiles(files: File[]) {
+  const form = new FormData();
+  files.forEach(file => form.append('files', file));
+  const res = await api.post('/files/upload', form, { headers: { 'Content-Type': 'multipart/form-data' } });
+  const uploaded: Array<{ id: string; originalName: string; fileType: string; size: number; downloadUrl: string }> = res.data.data.files;
+  return uploaded.map((file): MessageAttachment => ({
+    id: file.id,
+    name: file.originalName,
+    fileType: file.fileType,
+    size: file.size,
+    downloadUrl: file.downloadUrl
+  }));
+}
+
+// Download URLs are rooted at /api like the API base, and need the bearer token, so fetch them through api
+export async function fetchAttachment(attachment: MessageAttachment) {
+  const res = await api.get(attachment.downloadUrl.replace(/^\/api/, ''), { responseType: 'blob' });
+  return res.data as Blob;
+}
+
+export interface GallerySender {
+  id: string;
+  displayName: string;
+  avatarUrl?: string | null;
+}
+
+export interface SharedFile extends MessageAttachment {
+  messageId: string;
+  sender: GallerySender;
+  sharedAt: string;
+}
+
+export interface SharedLink {
+  url: string;
+  domain: string;
+  messageId: string;
+  sender: GallerySender;
+  sharedAt: string;
+}
+
+export interface GalleryFilters {
+  senderId?: string;
+  from?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface GalleryPagination {
+  page: number;
+  limit: number;
+  total: number;
+  hasMore: boolean;
+}
+
+// fileType is a MIME type or prefix, e.g. image/ or application/pdf
+export async function getConversationFiles(conversationId: string, filters: GalleryFilters & { fileType?: string } = {}) {
+  const res = await api.get(`/messages/conversations/${conversationId}/files`, { params: filters });
+  return res.data.data as { files: SharedFile[]; pagination: GalleryPagination };
+}
+
+export async function getConversationLinks(conversationId: string, filters: GalleryFilters & { domain?: string } = {}) {
+  const res = await api.get(`/messages/conversations/${conversationId}/links`, { params: filters });
+  return res.data.data as { links: SharedLink[]; pagination: GalleryPagination };
+}
+
+export async function sendMessage(
+  conversationId: string,
+  messageText: string,
+  options: { sendAt?: string; attachmentIds?: string[]; threadId?: string } = {}
+) {
   console.log(`📤 Sending message to conversation ${conversationId}:`, messageText);
   
   // Add timeout to prevent hanging
@@ -66,7 +193,13 @@ export async function sendMessage(conversationId: string, messageText: string) {
     const startTime = Date.now();
     const res = await api.post(
       `/messages/conversations/${conversationId}/messages`, 
-      { messageText, messageType: 'text' },
+      {
+        ...(messageText && { messageText }),
+        messageType: options.attachmentIds?.length ? 'file' : 'text',
+        ...(options.attachmentIds?.length && { attachmentIds: options.attachmentIds }),
+        ...(options.threadId && { threadId: options.threadId }),
+        ...(options.sendAt && { sendAt: options.sendAt })
+      },
       { signal: controller.signal }
     );
     clearTimeout(timeoutId);
@@ -99,10 +232,369 @@ export async function sendMessage(conversationId: string, messageText: string) {
   }
 }
 
+export async function listScheduledMessages(conversationId?: string, status = 'pending') {
+  const res = await api.get('/messages/scheduled', { params: { conversationId, status } });
+  return res.data.data.scheduledMessages as ScheduledMessage[];
+}
+
+export async function updateScheduledMessage(scheduledMessageId: string, updates: { messageText?: string; sendAt?: string }) {
+  const res = await api.put(`/messages/scheduled/${scheduledMessageId}`, updates);
+  return res.data.data.scheduledMessage as ScheduledMessage;
+}
+
+export async function cancelScheduledMessage(scheduledMessageId: string) {
+  await api.delete(`/messages/scheduled/${scheduledMessageId}`);
+}
+
 export async function setTyping(conversationId: string, isTyping: boolean) {
   await api.post(`/messages/conversations/${conversationId}/typing`, { isTyping });
 }
 
+export type ConversationRole = 'owner' | 'moderator' | 'member';
+
+export type ConversationVisibility = 'public' | 'private' | 'announcement';
+
+export interface DirectoryChannel {
+  id: string;
+  name: string;
+  description?: string | null;
+  topic?: string | null;
+  visibility: ConversationVisibility;
+  createdAt: string;
+  memberCount: number;
+  isMember: boolean;
+  role: ConversationRole | null;
+  pendingJoinRequest: { id: string; createdAt: string } | null;
+}
+
+export interface JoinRequest {
+  id: string;
+  conversationId: string;
+  userId: string;
+  message?: string | null;
+  status: 'pending' | 'approved' | 'denied';
+  reviewedAt?: string | null;
+  createdAt: string;
+  user: { id: string; email: string; displayName: string; avatarUrl?: string | null };
+}
+
+export async function updateConversation(conversationId: string, updates: { name?: string; description?: string | null; topic?: string | null; visibility?: ConversationVisibility }) {
+  const res = await api.put(`/messages/conversations/${conversationId}`, updates);
+  return res.data.data.conversation;
+}
+
+export async function addParticipants(conversationId: string, userIds: string[]) {
+  const res = await api.post(`/messages/conversations/${conversationId}/participants`, { userIds });
+  return res.data.data.participants;
+}
+
+export async function removeParticipant(conversationId: string, userId: string) {
+  await api.delete(`/messages/conversations/${conversationId}/participants/${userId}`);
+}
+
+export async function updateParticipantRole(conversationId: string, userId: string, role: ConversationRole) {
+  const res = await api.put(`/messages/conversations/${conversationId}/participants/${userId}/role`, { role });
+  return res.data.data.participant;
+}
+
+export async function browseChannels(q = '', page = 1, limit = 20, visibility?: ConversationVisibility) {
+  const res = await api.get('/messages/channels', { params: { q: q || undefined, page, limit, visibility } });
+  return res.data.data as { channels: DirectoryChannel[]; pagination: { page: number; limit: number; total: number; hasMore: boolean } };
+}
+
+export async function joinChannel(conversationId: string) {
+  const res = await api.post(`/messages/conversations/${conversationId}/join`);
+  return res.data.data.participant;
+}
+
+export async function requestToJoinChannel(conversationId: string, message?: string) {
+  const res = await api.post(`/messages/conversations/${conversationId}/join-requests`, { message });
+  return res.data.data.joinRequest as JoinRequest;
+}
+
+export async function getJoinRequests(conversationId: string, status: JoinRequest['status'] = 'pending') {
+  const res = await api.get(`/messages/conversations/${conversationId}/join-requests`, { params: { status } });
+  return res.data.data.joinRequests as JoinRequest[];
+}
+
+export async function approveJoinRequest(conversationId: string, requestId: string) {
+  const res = await api.post(`/messages/conversations/${conversationId}/join-requests/${requestId}/approve`);
+  return res.data.data.joinRequest as JoinRequest;
+}
+
+export async function denyJoinRequest(conversationId: string, requestId: string) {
+  const res = await api.post(`/messages/conversations/${conversationId}/join-requests/${requestId}/deny`);
+  return res.data.data.joinRequest as JoinRequest;
+}
+
+export interface ReadCursor {
+  conversationId: string;
+  userId: string;
+  lastReadMessageId: string | null;
+  lastReadAt: string | null;
+  messageIds: string[];
+  unreadCount: number;
+}
+
+export interface MessageReader {
+  id: string;
+  displayName: string;
+  avatarUrl?: string | null;
+  readAt: string;
+}
+
+export async function markConversationRead(conversationId: string, messageId?: string) {
+  const res = await api.post(`/messages/conversations/${conversationId}/read`, { messageId });
+  return res.data.data.cursor as ReadCursor;
+}
+
+export async function markConversationUnread(conversationId: string, messageId: string) {
+  const res = await api.post(`/messages/conversations/${conversationId}/unread`, { messageId });
+  return res.data.data.cursor as ReadCursor;
+}
+
+export interface MessageRevision {
+  revision: number;
+  messageText: string | null;
+  editedAt: string;
+  editedBy: { id: string; email: string; displayName: string };
+}
+
+export interface MessageRevisionHistory {
+  messageId: string;
+  createdAt: string;
+  current: { messageText: string | null; editedAt: string | null; deletedAt: string | null };
+  // Earlier texts, oldest first; revision 1 is the original
+  revisions: MessageRevision[];
+}
+
+// Only the sender, or users with audit.read, can see a message's history
+export async function getMessageRevisions(messageId: string) {
+  const res = await api.get(`/messages/${messageId}/revisions`);
+  return res.data.data as MessageRevisionHistory;
+}
+
+// Reply count and last reply time of a thread root, sent with each reply
+export interface ThreadSummary {
+  id: string;
+  replyCount: number;
+  lastReplyAt: string | null;
+}
+
+export interface ThreadState {
+  threadId: string;
+  following: boolean;
+  lastReadAt: string | null;
+  unreadCount: number;
+}
+
+export interface FollowedThread {
+  id: string;
+  conversationId: string;
+  messageText: string | null;
+  createdAt: string;
+  replyCount: number;
+  lastReplyAt: string | null;
+  lastReadAt: string;
+  unreadCount: number;
+  sender: GallerySender;
+  conversation: { id: string; name: string; isGroup: boolean };
+}
+
+// Threads the user follows, most recently active first
+export async function getThreads(conversationId?: string, page = 1, limit = 20) {
+  const res = await api.get('/messages/threads', { params: { conversationId, page, limit } });
+  return res.data.data as { threads: FollowedThread[]; pagination: GalleryPagination };
+}
+
+export async function followThread(threadId: string) {
+  const res = await api.post(`/messages/threads/${threadId}/follow`);
+  return res.data.data.thread as ThreadState;
+}
+
+export async function unfollowThread(threadId: string) {
+  const res = await api.delete(`/messages/threads/${threadId}/follow`);
+  return res.data.data.thread as ThreadState;
+}
+
+export async function markThreadRead(threadId: string) {
+  const res = await api.post(`/messages/threads/${threadId}/read`);
+  return res.data.data.thread as ThreadState;
+}
+
+export interface MentionCandidate {
+  id: string;
+  displayName: string;
+  email: string;
+  avatarUrl?: string | null;
+}
+
+// Users for the composer's @ autocomplete; the server matches name or email
+export async function searchUsers(query: string, limit = 8) {
+  const res = await api.get('/search/users', { params: { query, limit } });
+  return res.data.data.users as MentionCandidate[];
+}
+
+export type MentionType = 'user' | 'group' | 'here' | 'channel';
+
+export interface Mention {
+  type: MentionType;
+  message: {
+    id: string;
+    conversationId: string;
+    threadId: string | null;
+    messageText: string | null;
+    edited: boolean;
+    createdAt: string;
+    sender: GallerySender;
+    conversation: { id: string; name: string; isGroup: boolean };
+  };
+}
+
+// Messages that mention the current user, newest first
+export async function getMentions(conversationId?: string, page = 1, limit = 20) {
+  const res = await api.get('/messages/mentions', { params: { conversationId, page, limit } });
+  return res.data.data as { mentions: Mention[]; pagination: GalleryPagination };
+}
+
+export type NotificationType = 'mention' | 'thread_reply' | 'reaction' | 'invitation' | 'admin';
+
+export interface AppNotification {
+  id: string;
+  type: NotificationType;
+  title: string;
+  body: string | null;
+  conversationId: string | null;
+  messageId: string | null;
+  // Thread root for thread replies, the invitation or join request, or the user an admin changed
+  targetId: string | null;
+  readAt: string | null;
+  createdAt: string;
+  actor: { id: string; displayName: string; avatarUrl?: string | null } | null;
+}
+
+export async function getNotifications(options: { unreadOnly?: boolean; type?: NotificationType; page?: number; limit?: number } = {}) {
+  const { unreadOnly, type, page = 1, limit = 20 } = options;
+  const res = await api.get('/notifications', { params: { unread: unreadOnly || undefined, type, page, limit } });
+  return res.data.data as { notifications: AppNotification[]; unreadCount: number; pagination: GalleryPagination };
+}
+
+export async function markNotificationsRead(notificationIds: string[]) {
+  const res = await api.post('/notifications/read', { notificationIds });
+  return res.data.data as { updated: number; unreadCount: number };
+}
+
+export async function markAllNotificationsRead() {
+  const res = await api.post('/notifications/read-all');
+  return res.data.data as { updated: number; unreadCount: number };
+}
+
+export type NotificationLevel = 'all' | 'mentions' | 'none';
+
+// A conversation's own settings, plus what is in effect after the user's defaults
+export interface NotificationPreferences {
+  level: NotificationLevel | null;
+  mutedUntil: string | null;
+  effectiveLevel: NotificationLevel;
+  muted: boolean;
+}
+
+export interface NotificationDefaults {
+  notificationLevel: NotificationLevel;
+  notificationsMutedUntil: string | null;
+}
+
+// A null level follows the user's default; a null mutedUntil unmutes
+export async function updateConversationNotifications(
+  conversationId: string,
+  changes: { level?: NotificationLevel | null; mutedUntil?: string | null }
+) {
+  const res = await api.put(`/messages/conversations/${conversationId}/notifications`, changes);
+  return res.data.data as { conversationId: string; notificationPreferences: NotificationPreferences };
+}
+
+export async function getNotificationPreferences() {
+  const res = await api.get('/notifications/preferences');
+  return res.data.data.preferences as NotificationDefaults;
+}
+
+export async function updateNotificationPreferences(changes: Partial<NotificationDefaults>) {
+  const res = await api.put('/notifications/preferences', changes);
+  return res.data.data.preferences as NotificationDefaults;
+}
+
+export type EmailDigestFrequency = 'off' | 'hourly' | 'daily' | 'weekly';
+
+// Quiet hours are whole hours in timeZone (UTC when null); both null means none
+export interface EmailDigestSettings {
+  enabled: boolean;
+  frequency: EmailDigestFrequency;
+  quietHoursStart: number | null;
+  quietHoursEnd: number | null;
+  timeZone: string | null;
+  lastSentAt: string | null;
+}
+
+export async function getEmailDigestSettings() {
+  const res = await api.get('/notifications/email-digest');
+  return res.data.data.settings as EmailDigestSettings;
+}
+
+export async function updateEmailDigestSettings(
+  changes: Partial<Omit<EmailDigestSettings, 'enabled' | 'lastSentAt'>>
+) {
+  const res = await api.put('/notifications/email-digest', changes);
+  return res.data.data.settings as EmailDigestSettings;
+}
+
+// Works signed out; the token comes from a digest's unsubscribe link
+export async function unsubscribeEmailDigest(token: string) {
+  const res = await api.post('/notifications/email-digest/unsubscribe', { token });
+  return res.data.data as { email: string };
+}
+
+export async function getMessageSeenBy(messageId: string) {
+  const res = await api.get(`/messages/${messageId}/seen-by`);
+  return res.data.data as { messageId: string; seenBy: MessageReader[]; participantCount: number };
+}
+
+export async function leaveConversation(conversationId: string) {
+  await api.post(`/messages/conversations/${conversationId}/leave`);
+}
+
+export async function archiveConversation(conversationId: string) {
+  const res = await api.post(`/messages/conversations/${conversationId}/archive`);
+  return res.data.data.conversation;
+}
+
+export async function unarchiveConversation(conversationId: string) {
+  const res = await api.delete(`/messages/conversations/${conversationId}/archive`);
+  return res.data.data.conversation;
+}
+
+export async function deleteConversation(conversationId: string) {
+  await api.delete(`/messages/conversations/${conversationId}`);
+}
+
+export async function deleteMessage(messageId: string) {
+  await api.delete(`/messages/${messageId}`);
+}
+
+export async function pinMessage(messageId: string) {
+  const res = await api.post(`/messages/${messageId}/pin`);
+  return res.data.data.message;
+}
+
+export async function unpinMessage(messageId: string) {
+  const res = await api.delete(`/messages/${messageId}/pin`);
+  return res.data.data.message;
+}
+
+export async function getPinnedMessages(conversationId: string) {
+  const res = await api.get(`/messages/conversations/${conversationId}/pins`);
+  return res.data.data.messages;
+}
+
 export async function sendSimpleMessage(conversationId: string, messageText: string) {
   // Use the simple endpoint that doesn't require vector operations
   const controller = new AbortController();